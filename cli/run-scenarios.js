@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * Batch scenario runner
+ * Evaluates a list of tape/surface/environment/time combinations with the same
+ * math module the browser uses and prints a table or writes a JSON/CSV report.
+ *
+ *   node cli/run-scenarios.js scenarios.yaml
+ *   node cli/run-scenarios.js scenarios.json --format csv --out report.csv
+ *   node cli/run-scenarios.js scenarios.yaml --fail-on high
+ *
+ * A scenario file is either a list of scenarios or { defaults, scenarios }.
+ * Each scenario uses the UI parameter names and units (width/height mm,
+ * thickness µm, temperature °C, humidity % RH) plus:
+ *   name  - label for the report
+ *   days  - time since application (same as the time slider, 0-366)
+ *   layers - evaluate a laminate instead of `tape`: [{ material, thickness (µm) }],
+ *            outer face first, the last layer carries the adhesive
+ *   tape1 / tape2 - two-backing variant (tape1 on the adhesive, tape2 outside)
+ *   schedule - environment timeline instead of one climate: [{ environment, days, cycle,
+ *              temperature?, humidity? }] with cycle none | day-night | seasonal;
+ *              `repeat: true` loops it. The report shows the climate on `days`.
+ * Picking an environment preset without temperature/humidity uses the preset's typical climate.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parse as parseYAML } from 'yaml';
+import {
+	calculateTapeProperties,
+	calculateLaminateProperties,
+	calculateSurfaceDamageRisk,
+	fromSI,
+	BACKING_MATERIALS,
+	ADHESIVE_TYPES,
+	SURFACE_MATERIALS,
+	ENVIRONMENTAL_CONDITIONS,
+	MAX_LAMINATE_LAYERS,
+	SCHEDULE_CYCLES,
+	MAX_SCHEDULE_SEGMENTS,
+	applyScheduleClimate
+} from '../display and css/math_reasoning.js';
+
+// Same defaults as a fresh browser session
+const DEFAULT_SCENARIO = {
+	width: 100,
+	height: 80,
+	tape: 'PVC',
+	surface: 'Steel',
+	thickness: 120,
+	adhesive: 'Acrylic',
+	environment: 'Dry',
+	peelAngle: 180,
+	peelRate: 300,
+	days: 0
+};
+
+const NUMERIC_LIMITS = {
+	width: [1, 10000],
+	height: [1, 10000],
+	thickness: [1, 1000],
+	temperature: [-100, 200],
+	humidity: [0, 100],
+	peelAngle: [5, 180],
+	peelRate: [1, 10000],
+	days: [0, 366]
+};
+
+const RISK_LEVELS = ['none', 'low', 'moderate', 'high', 'critical'];
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: node cli/run-scenarios.js <scenarios.yaml|.yml|.json> [options]
+
+Options:
+  --format <table|json|csv>   Output format (default: table)
+  --out <file>                Write the report to a file instead of stdout
+  --fail-on <risk>            Exit with code 2 if any scenario reaches this damage risk
+                              (low, moderate, high, critical)
+  --help                      Show this help`;
+
+/**
+ * Report columns shared by the table and CSV output (units match the UI defaults)
+ */
+const COLUMNS = [
+	{ header: 'Scenario', value: r => r.name },
+	{ header: 'Tape', value: r => r.layers ? r.layers.map(layer => `${layer.material} ${layer.thickness}µm`).join(' / ') : r.tape },
+	{ header: 'Adhesive', value: r => r.adhesive },
+	{ header: 'Surface', value: r => r.surface },
+	{ header: 'Climate', value: r => `${r.environment} ${Number(r.temperature.toFixed(1))}°C/${Math.round(r.humidity)}%` },
+	{ header: 'Days', value: r => r.days },
+	{ header: 'Peel (N/cm)', value: r => Number(fromSI(r.peel, 'N/cm').toFixed(2)) },
+	{ header: 'Hold (N/cm²)', value: r => Number(fromSI(r.hold, 'N/cm²').toFixed(2)) },
+	{ header: 'Stretch (%)', value: r => Number(r.stretch.toFixed(1)) },
+	{ header: 'Safety Factor', value: r => r.safetyFactor === null ? 'infinite' : Number(r.safetyFactor.toFixed(2)) },
+	{ header: 'Damage Risk', value: r => r.damageRisk }
+];
+
+class ScenarioError extends Error {}
+
+function loadScenarioFile(file) {
+	const text = readFileSync(file, 'utf8');
+	const extension = extname(file).toLowerCase();
+	let data;
+	try {
+		data = extension === '.json' ? JSON.parse(text) : parseYAML(text);
+	} catch (e) {
+		throw new ScenarioError(`Could not parse ${file}: ${e.message}`);
+	}
+
+	if (Array.isArray(data)) return { defaults: {}, scenarios: data };
+	if (data && typeof data === 'object' && Array.isArray(data.scenarios)) {
+		return { defaults: data.defaults || {}, scenarios: data.scenarios };
+	}
+	throw new ScenarioError(`${file} must contain a list of scenarios or { defaults, scenarios }`);
+}
+
+function checkName(label, value, table) {
+	if (!Object.prototype.hasOwnProperty.call(table, value)) {
+		throw new ScenarioError(`${label}: unknown "${value}" (expected one of: ${Object.keys(table).join(', ')})`);
+	}
+	return value;
+}
+
+/**
+ * Validate a laminate stack: 1-MAX_LAMINATE_LAYERS layers of { material, thickness µm }
+ */
+function normalizeLayers(label, layers) {
+	if (!Array.isArray(layers) || layers.length === 0 || layers.length > MAX_LAMINATE_LAYERS) {
+		throw new ScenarioError(`${label} layers: expected a list of 1-${MAX_LAMINATE_LAYERS} layers`);
+	}
+	return layers.map((layer, i) => {
+		const material = checkName(`${label} layer ${i + 1} material`, layer?.material, BACKING_MATERIALS);
+		const thickness = layer.thickness === undefined ?
+			Math.round(BACKING_MATERIALS[material].typicalThickness.standard * 1e6) :
+			Number(layer.thickness);
+		if (!Number.isFinite(thickness) || thickness < 1 || thickness > 5000) {
+			throw new ScenarioError(`${label} layer ${i + 1} thickness: ${layer.thickness} is outside 1-5000`);
+		}
+		return { material, thickness };
+	});
+}
+
+/**
+ * Validate an environment timeline: 1-MAX_SCHEDULE_SEGMENTS segments of { environment, days, cycle, temperature?, humidity? }
+ */
+function normalizeSchedule(label, segments, repeat) {
+	if (!Array.isArray(segments) || segments.length === 0 || segments.length > MAX_SCHEDULE_SEGMENTS) {
+		throw new ScenarioError(`${label} schedule: expected a list of 1-${MAX_SCHEDULE_SEGMENTS} segments`);
+	}
+	const segmentNumber = (segmentLabel, value, min, max) => {
+		if (value === undefined || value === null) return null;
+		const number = Number(value);
+		if (!Number.isFinite(number) || number < min || number > max) {
+			throw new ScenarioError(`${segmentLabel}: ${value} is outside ${min}-${max}`);
+		}
+		return number;
+	};
+	return {
+		enabled: true,
+		repeat: repeat === true,
+		segments: segments.map((segment, i) => {
+			const segmentLabel = `${label} schedule segment ${i + 1}`;
+			return {
+				environment: checkName(`${segmentLabel} environment`, segment?.environment, ENVIRONMENTAL_CONDITIONS),
+				days: segmentNumber(`${segmentLabel} days`, segment.days ?? 0, 0.1, 366),
+				cycle: checkName(`${segmentLabel} cycle`, segment.cycle ?? 'none', SCHEDULE_CYCLES),
+				temperature: segmentNumber(`${segmentLabel} temperature`, segment.temperature, -100, 200),
+				humidity: segmentNumber(`${segmentLabel} humidity`, segment.humidity, 0, 100)
+			};
+		})
+	};
+}
+
+/**
+ * Merge defaults, validate names and numeric ranges, and resolve the climate
+ */
+function normalizeScenario(raw, defaults, index) {
+	if (!raw || typeof raw !== 'object') {
+		throw new ScenarioError(`Scenario ${index + 1}: expected an object`);
+	}
+	const scenario = { ...DEFAULT_SCENARIO, ...defaults, ...raw };
+	const label = `Scenario ${index + 1}${raw.name ? ` (${raw.name})` : ''}`;
+
+	checkName(`${label} adhesive`, scenario.adhesive, ADHESIVE_TYPES);
+	checkName(`${label} surface`, scenario.surface, SURFACE_MATERIALS);
+	checkName(`${label} environment`, scenario.environment, ENVIRONMENTAL_CONDITIONS);
+	let layers = null;
+	if (scenario.layers !== undefined) {
+		layers = normalizeLayers(label, scenario.layers);
+	} else if (raw.tape1 !== undefined || raw.tape2 !== undefined) {
+		checkName(`${label} tape1`, scenario.tape1, BACKING_MATERIALS);
+		checkName(`${label} tape2`, scenario.tape2, BACKING_MATERIALS);
+		layers = [scenario.tape2, scenario.tape1].map(material => ({
+			material,
+			thickness: Math.round(BACKING_MATERIALS[material].typicalThickness.standard * 1e6)
+		}));
+	} else {
+		checkName(`${label} tape`, scenario.tape, BACKING_MATERIALS);
+	}
+
+	// Preset climate unless the scenario (or the defaults) sets it
+	const preset = ENVIRONMENTAL_CONDITIONS[scenario.environment];
+	scenario.temperature ??= preset.temperature.typical;
+	scenario.humidity ??= preset.humidity.typical;
+
+	Object.entries(NUMERIC_LIMITS).forEach(([key, [min, max]]) => {
+		const value = Number(scenario[key]);
+		if (!Number.isFinite(value) || value < min || value > max) {
+			throw new ScenarioError(`${label} ${key}: ${scenario[key]} is outside ${min}-${max}`);
+		}
+		scenario[key] = value;
+	});
+	const schedule = scenario.schedule !== undefined ? normalizeSchedule(label, scenario.schedule, scenario.repeat) : undefined;
+
+	return {
+		name: String(raw.name ?? `Scenario ${index + 1}`),
+		params: applyScheduleClimate({
+			tape: layers ? layers[layers.length - 1].material : scenario.tape,
+			backing: layers ? layers[0].material : scenario.tape,
+			layers: layers ?? undefined,
+			adhesive: scenario.adhesive,
+			surface: scenario.surface,
+			environment: scenario.environment,
+			temperature: scenario.temperature,
+			humidity: scenario.humidity,
+			thickness: scenario.thickness,
+			width: scenario.width,
+			height: scenario.height,
+			peelAngle: scenario.peelAngle,
+			peelRate: scenario.peelRate,
+			timeImpactDays: scenario.days,
+			schedule
+		})
+	};
+}
+
+/**
+ * Evaluate one scenario the way the browser's experiment results do
+ */
+function evaluateScenario({ name, params }) {
+	const props = params.layers ?
+		calculateLaminateProperties(params) :
+		calculateTapeProperties(params);
+	const damage = calculateSurfaceDamageRisk(params);
+
+	return {
+		name,
+		tape: params.tape,
+		layers: params.layers ?? null,
+		adhesive: params.adhesive,
+		surface: params.surface,
+		environment: params.environment,
+		temperature: params.temperature,
+		humidity: params.humidity,
+		thickness: params.thickness,
+		width: params.width,
+		height: params.height,
+		peelAngle: params.peelAngle,
+		peelRate: params.peelRate,
+		days: params.timeImpactDays,
+		peel: props.peel,
+		hold: props.hold,
+		stretch: props.stretch,
+		safetyFactor: damage.canDamage ? damage.safetyFactor : null,
+		damageRisk: damage.damageRisk,
+		message: damage.message
+	};
+}
+
+function formatTable(results) {
+	const rows = results.map(result => COLUMNS.map(column => String(column.value(result))));
+	const headers = COLUMNS.map(column => column.header);
+	const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+	const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+	return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// Quote CSV fields and neutralize spreadsheet formulas in text cells
+function csvField(value) {
+	if (value === null || value === undefined) return '';
+	let text = String(value);
+	if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCSV(results) {
+	return [
+		COLUMNS.map(column => csvField(column.header)).join(','),
+		...results.map(result => COLUMNS.map(column => csvField(column.value(result))).join(','))
+	].join('\r\n');
+}
+
+// JSON keeps SI values (N/m, Pa) like the math module returns them
+function formatJSON(results) {
+	return JSON.stringify({
+		generatedAt: new Date().toISOString(),
+		units: { peel: 'N/m', hold: 'Pa', stretch: '%' },
+		results
+	}, null, 2);
+}
+
+function main(argv) {
+	const { values, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			format: { type: 'string', default: 'table' },
+			out: { type: 'string' },
+			'fail-on': { type: 'string' },
+			help: { type: 'boolean', default: false }
+		}
+	});
+
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (positionals.length !== 1) throw new ScenarioError(USAGE);
+	if (!FORMATS.includes(values.format)) {
+		throw new ScenarioError(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+	}
+	const failOn = values['fail-on'];
+	if (failOn !== undefined && !RISK_LEVELS.slice(1).includes(failOn)) {
+		throw new ScenarioError(`Unknown risk "${failOn}" for --fail-on (expected ${RISK_LEVELS.slice(1).join(', ')})`);
+	}
+
+	const { defaults, scenarios } = loadScenarioFile(positionals[0]);
+	const results = scenarios.map((raw, i) => evaluateScenario(normalizeScenario(raw, defaults, i)));
+
+	const formatters = { table: formatTable, json: formatJSON, csv: formatCSV };
+	const report = formatters[values.format](results);
+	if (values.out) {
+		writeFileSync(values.out, `${report}\n`);
+		console.error(`Wrote ${results.length} scenarios to ${values.out}`);
+	} else {
+		console.log(report);
+	}
+
+	if (failOn) {
+		const threshold = RISK_LEVELS.indexOf(failOn);
+		const failing = results.filter(result => RISK_LEVELS.indexOf(result.damageRisk) >= threshold);
+		if (failing.length > 0) {
+			console.error(`${failing.length} scenario(s) at or above ${failOn} damage risk: ${failing.map(result => result.name).join(', ')}`);
+			return 2;
+		}
+	}
+	return 0;
+}
+
+try {
+	process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+	if (!(e instanceof ScenarioError) && e.code !== 'ENOENT' && !e.code?.startsWith('ERR_PARSE_ARGS')) throw e;
+	console.error(e.message);
+	process.exitCode = 1;
+}
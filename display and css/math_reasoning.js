@@ -3,9 +3,12 @@
  * Based on collected data on pressure-sensitive adhesive (PSA) tapes
  * 
  * SECURITY: This module contains only pure calculation functions and constant data structures.
- * All user inputs are validated in index.html before being passed to these functions.
+ * All user inputs are validated by the UI modules (display and css/ui/security.js) before being passed to these functions.
  * No eval(), innerHTML, or dynamic code execution is used.
  * 
+ * UNITS: material quantities are unit-tagged (q(260, 'cN/cm')) and normalized to SI at load.
+ * Calculations run in SI and return SI values; use formatQuantity() to display them.
+ * 
  * References:
  * - 3M Scotch 508: 25µm BOPP backing + 15µm acrylic = 40µm total, 260 cN/cm adhesion
  * - 3M Scotch 373: 41µm PP backing + 23µm rubber = 64µm total, 54.7 N/100mm adhesion
@@ -13,6 +16,289 @@
  * - Typical ranges: Office tapes 25-50µm, masking 80-150µm, packaging 60-100µm
  */
 
+// ============================================================================
+// UNITS & QUANTITIES
+// ============================================================================
+
+/**
+ * Unit registry
+ * Every unit belongs to one dimension and converts to the dimension's canonical unit:
+ * value_SI = value × factor + offset
+ * Canonical units are SI (m, N/m, Pa) except temperature, which stays in °C so the
+ * empirical temperature thresholds read naturally.
+ */
+export const UNITS = {
+	// Length
+	'm': { dimension: 'length', factor: 1 },
+	'mm': { dimension: 'length', factor: 1e-3 },
+	'µm': { dimension: 'length', factor: 1e-6 },
+	'mil': { dimension: 'length', factor: 25.4e-6 }, // 1/1000 inch (US datasheets)
+	'in': { dimension: 'length', factor: 0.0254 },
+	// Force (joint and hang loads)
+	'N': { dimension: 'force', factor: 1 },
+	'lbf': { dimension: 'force', factor: 4.4482216 },
+	// Force per unit width (peel adhesion, rupture strength, tape tensile per width)
+	'N/m': { dimension: 'forcePerWidth', factor: 1 },
+	'N/cm': { dimension: 'forcePerWidth', factor: 100 },
+	'cN/cm': { dimension: 'forcePerWidth', factor: 1 },
+	'N/25mm': { dimension: 'forcePerWidth', factor: 40 },
+	'N/100mm': { dimension: 'forcePerWidth', factor: 10 },
+	'oz/in': { dimension: 'forcePerWidth', factor: 10.9436 },
+	'lb/in': { dimension: 'forcePerWidth', factor: 175.127 },
+	// Stress (tensile strength, shear hold)
+	'Pa': { dimension: 'stress', factor: 1 },
+	'kPa': { dimension: 'stress', factor: 1e3 },
+	'MPa': { dimension: 'stress', factor: 1e6 },
+	'N/cm²': { dimension: 'stress', factor: 1e4 },
+	'psi': { dimension: 'stress', factor: 6894.757 },
+	// Velocity (peel rate)
+	'm/s': { dimension: 'velocity', factor: 1 },
+	'mm/s': { dimension: 'velocity', factor: 1e-3 },
+	'mm/min': { dimension: 'velocity', factor: 1e-3 / 60 },
+	'in/min': { dimension: 'velocity', factor: 0.0254 / 60 },
+	// Mass (hang test load)
+	'kg': { dimension: 'mass', factor: 1 },
+	'g': { dimension: 'mass', factor: 1e-3 },
+	'lb': { dimension: 'mass', factor: 0.45359237 },
+	'oz': { dimension: 'mass', factor: 0.028349523 },
+	// Time (dwell before a peel test)
+	's': { dimension: 'time', factor: 1 },
+	'min': { dimension: 'time', factor: 60 },
+	'h': { dimension: 'time', factor: 3600 },
+	'd': { dimension: 'time', factor: 86400 },
+	// Temperature
+	'°C': { dimension: 'temperature', factor: 1 },
+	'K': { dimension: 'temperature', factor: 1, offset: -273.15 },
+	'°F': { dimension: 'temperature', factor: 5 / 9, offset: -160 / 9 }
+};
+
+/**
+ * Canonical (calculation) unit for each dimension
+ */
+export const SI_UNITS = {
+	length: 'm',
+	force: 'N',
+	forcePerWidth: 'N/m',
+	stress: 'Pa',
+	velocity: 'm/s',
+	mass: 'kg',
+	time: 's',
+	temperature: '°C'
+};
+
+/**
+ * Units the UI parameters are entered in (state.params)
+ * Calculation functions convert these on entry so all internal math runs in SI
+ */
+export const PARAM_UNITS = {
+	width: 'mm',
+	height: 'mm',
+	tapeLength: 'mm',
+	thickness: 'µm',
+	peelRate: 'mm/min',
+	hangMass: 'g',
+	temperature: '°C'
+};
+
+/**
+ * Look up a unit, failing loudly on typos
+ * @param {string} unit - Unit symbol (see UNITS)
+ * @returns {Object} { dimension, factor, offset }
+ */
+function getUnit(unit) {
+	const def = UNITS[unit];
+	if (!def) throw new Error(`Unknown unit "${unit}"`);
+	return def;
+}
+
+/**
+ * Create a unit-tagged quantity
+ * @param {number} value - Numeric value
+ * @param {string} unit - Unit symbol (see UNITS)
+ * @returns {Object} Frozen { value, unit }
+ */
+export function q(value, unit) {
+	getUnit(unit);
+	if (!Number.isFinite(value)) throw new Error(`Quantity value must be a finite number (got ${value} ${unit})`);
+	return Object.freeze({ value, unit });
+}
+
+/**
+ * Tag every numeric field of a range object with the same unit
+ * e.g. qRange({ min: 25, max: 50, standard: 36 }, 'µm')
+ */
+export function qRange(range, unit) {
+	return Object.fromEntries(Object.entries(range).map(([key, value]) => [key, q(value, unit)]));
+}
+
+/**
+ * Check whether a value is a unit-tagged quantity
+ */
+export function isQuantity(value) {
+	return !!value && typeof value === 'object' && typeof value.value === 'number' && typeof value.unit === 'string';
+}
+
+/**
+ * Get the dimension a unit measures
+ * @param {string} unit - Unit symbol
+ * @returns {string} Dimension name ('length', 'forcePerWidth', 'stress', 'velocity', 'mass', 'time', 'temperature')
+ */
+export function getUnitDimension(unit) {
+	return getUnit(unit).dimension;
+}
+
+/**
+ * Convert a tagged quantity to its canonical SI value
+ * @param {Object} quantity - { value, unit }
+ * @param {string} [expectedDimension] - Throws if the unit measures something else
+ * @returns {number} Value in SI_UNITS[dimension]
+ */
+export function toSI(quantity, expectedDimension) {
+	const def = getUnit(quantity.unit);
+	if (expectedDimension && def.dimension !== expectedDimension) {
+		throw new Error(`Dimension mismatch: expected ${expectedDimension}, got ${quantity.value} ${quantity.unit} (${def.dimension})`);
+	}
+	return quantity.value * def.factor + (def.offset || 0);
+}
+
+/**
+ * Convert a canonical SI value into a display unit
+ * @param {number} siValue - Value in the dimension's SI unit
+ * @param {string} unit - Target unit
+ * @returns {number} Value in the target unit
+ */
+export function fromSI(siValue, unit) {
+	const def = getUnit(unit);
+	return (siValue - (def.offset || 0)) / def.factor;
+}
+
+/**
+ * Convert a plain number between two units of the same dimension
+ * @param {number} value - Value in fromUnit
+ * @param {string} fromUnit - Source unit
+ * @param {string} toUnit - Target unit
+ * @returns {number} Value in toUnit
+ */
+export function convertUnit(value, fromUnit, toUnit) {
+	return fromSI(toSI({ value, unit: fromUnit }, getUnitDimension(toUnit)), toUnit);
+}
+
+/**
+ * Format a canonical SI value in a chosen unit
+ * @param {number} siValue - Value in the dimension's SI unit
+ * @param {string} unit - Display unit
+ * @param {number} digits - Decimal places
+ * @returns {string} e.g. '2.60 N/cm'
+ */
+export function formatQuantity(siValue, unit, digits = 2) {
+	if (!Number.isFinite(siValue)) return 'N/A';
+	return `${fromSI(siValue, unit).toFixed(digits)} ${unit}`;
+}
+
+/**
+ * Convert a UI parameter (state.params units, see PARAM_UNITS) to SI
+ * @param {Object} params - Calculation parameters
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value (in the parameter's UI unit) used when missing
+ * @returns {number} SI value
+ */
+export function paramToSI(params, name, fallback) {
+	const value = Number.isFinite(params[name]) ? params[name] : fallback;
+	return toSI({ value, unit: PARAM_UNITS[name] }, getUnitDimension(PARAM_UNITS[name]));
+}
+
+/**
+ * Dimension of every unit-tagged material field, per material kind
+ * Material tables (built-in and custom) must tag these fields; they are normalized
+ * to SI at load time and any missing tag or wrong dimension throws.
+ */
+export const MATERIAL_QUANTITY_FIELDS = {
+	backing: {
+		'typicalThickness.min': 'length',
+		'typicalThickness.max': 'length',
+		'typicalThickness.standard': 'length',
+		'tensileStrength': 'stress',
+		'temperatureRange.min': 'temperature',
+		'temperatureRange.max': 'temperature'
+	},
+	adhesive: {
+		'typicalThickness.min': 'length',
+		'typicalThickness.max': 'length',
+		'typicalThickness.standard': 'length',
+		'peelAdhesion': 'forcePerWidth',
+		'temperatureRange.min': 'temperature',
+		'temperatureRange.max': 'temperature'
+	},
+	surface: {
+		'ruptureStrength.min': 'forcePerWidth',
+		'ruptureStrength.max': 'forcePerWidth',
+		'ruptureStrength.typical': 'forcePerWidth'
+	}
+};
+
+/**
+ * Normalize one material entry's tagged quantities to SI numbers
+ * Backing tensile strength may be quoted per width (e.g. N/100mm on tape datasheets);
+ * it is converted to stress using the standard backing thickness.
+ * 
+ * @param {string} kind - 'backing', 'adhesive' or 'surface'
+ * @param {string} name - Material name (for error messages)
+ * @param {Object} entry - Material with unit-tagged fields
+ * @returns {Object} Copy of the entry with SI numbers
+ */
+export function normalizeMaterial(kind, name, entry) {
+	const normalized = {};
+	Object.entries(entry).forEach(([key, value]) => {
+		normalized[key] = value && typeof value === 'object' && !isQuantity(value) ? { ...value } : value;
+	});
+	
+	Object.entries(MATERIAL_QUANTITY_FIELDS[kind]).forEach(([path, dimension]) => {
+		const [head, tail] = path.split('.');
+		const container = tail ? normalized[head] : normalized;
+		const field = tail || head;
+		
+		// Optional groups (e.g. ruptureStrength on surfaces that cannot be damaged)
+		if (!container || container[field] === undefined) {
+			if (kind === 'surface') return;
+			throw new Error(`${kind} "${name}": missing ${path}`);
+		}
+		
+		const value = container[field];
+		if (!isQuantity(value)) {
+			throw new Error(`${kind} "${name}": ${path} must be a unit-tagged quantity, got ${JSON.stringify(value)}`);
+		}
+		
+		if (path === 'tensileStrength' && getUnitDimension(value.unit) === 'forcePerWidth') {
+			const thickness = toSI(entry.typicalThickness.standard, 'length');
+			container[field] = toSI(value, 'forcePerWidth') / thickness;
+			return;
+		}
+		container[field] = toSI(value, dimension);
+	});
+	
+	return normalized;
+}
+
+/**
+ * Normalize a whole material table at load time
+ * @param {string} kind - 'backing', 'adhesive' or 'surface'
+ * @param {Object} table - Materials keyed by name
+ * @returns {Object} Table with SI numbers
+ */
+function normalizeMaterialTable(kind, table) {
+	return Object.fromEntries(Object.entries(table).map(([name, entry]) => [name, normalizeMaterial(kind, name, entry)]));
+}
+
+/**
+ * Normalize a rupture strength table ({ min, max, typical } or null per surface)
+ */
+function normalizeRuptureTable(table) {
+	return Object.fromEntries(Object.entries(table).map(([surface, range]) => [
+		surface,
+		range ? normalizeMaterial('surface', surface, { ruptureStrength: range }).ruptureStrength : null
+	]));
+}
+
 // ============================================================================
 // MATERIAL PROPERTIES DATABASE
 // ============================================================================
@@ -20,84 +306,86 @@
 /**
  * Backing material properties
  * Based on real product specifications and industry data
+ * Quantities are unit-tagged as quoted in the source and normalized to SI at load
  */
-export const BACKING_MATERIALS = {
+export const BACKING_MATERIALS = normalizeMaterialTable('backing', {
 	'PVC': {
 		name: 'PVC (Polyvinyl Chloride)',
-		typicalThickness: { min: 150, max: 180, standard: 165 }, // µm
-		tensileStrength: 30, // MPa
+		typicalThickness: qRange({ min: 150, max: 180, standard: 165 }, 'µm'),
+		tensileStrength: q(30, 'MPa'),
 		elongation: 25, // % at break (minimal stretch in finished form)
-		temperatureRange: { min: -10, max: 60 }, // °C
+		temperatureRange: qRange({ min: -10, max: 60 }, '°C'),
 		uvResistance: 'poor',
 		description: 'Standard electrical/insulation tape backing'
 	},
 	'PET': {
 		name: 'PET (Polyester)',
-		typicalThickness: { min: 25, max: 50, standard: 36 }, // µm
-		tensileStrength: 220, // MPa - very high
+		typicalThickness: qRange({ min: 25, max: 50, standard: 36 }, 'µm'),
+		tensileStrength: q(220, 'MPa'), // very high
 		elongation: 8, // % - very rigid
-		temperatureRange: { min: -40, max: 150 }, // °C
+		temperatureRange: qRange({ min: -40, max: 150 }, '°C'),
 		uvResistance: 'excellent',
 		description: 'High-performance polyester film, very rigid'
 	},
 	'PP': {
 		name: 'PP (Polypropylene)',
-		typicalThickness: { min: 25, max: 50, standard: 41 }, // µm (3M 373 spec)
-		tensileStrength: 525, // N/100mm (from 3M 373)
+		typicalThickness: qRange({ min: 25, max: 50, standard: 41 }, 'µm'), // 3M 373 spec
+		tensileStrength: q(525, 'N/100mm'), // per width (from 3M 373) - converted to stress over the standard thickness
 		elongation: 40, // % - moderate stretch in finished form
-		temperatureRange: { min: -20, max: 80 }, // °C
+		temperatureRange: qRange({ min: -20, max: 80 }, '°C'),
 		uvResistance: 'good',
 		description: 'Biaxially-oriented PP (BOPP) for packaging/sealing'
 	},
 	'BOPP': {
 		name: 'BOPP (Biaxially Oriented Polypropylene)',
-		typicalThickness: { min: 20, max: 30, standard: 25 }, // µm (3M 508 spec)
-		tensileStrength: 140, // MPa
+		typicalThickness: qRange({ min: 20, max: 30, standard: 25 }, 'µm'), // 3M 508 spec
+		tensileStrength: q(140, 'MPa'),
 		elongation: 15, // % - minimal stretch due to orientation
-		temperatureRange: { min: -20, max: 80 }, // °C
+		temperatureRange: qRange({ min: -20, max: 80 }, '°C'),
 		uvResistance: 'good',
 		description: 'Clear office tape backing (Scotch 508)'
 	},
 	'Paper': {
 		name: 'Paper (Kraft/Crepe)',
-		typicalThickness: { min: 80, max: 150, standard: 125 }, // µm (tesa 60408)
-		tensileStrength: 40, // MPa (kraft paper)
+		typicalThickness: qRange({ min: 80, max: 150, standard: 125 }, 'µm'), // tesa 60408
+		tensileStrength: q(40, 'MPa'), // kraft paper
 		elongation: 2, // % - virtually no stretch
-		temperatureRange: { min: 0, max: 50 }, // °C
+		temperatureRange: qRange({ min: 0, max: 50 }, '°C'),
 		uvResistance: 'fair',
 		description: 'Masking/painter\'s tape or packaging tape backing'
 	},
 	'Cloth': {
 		name: 'Cloth (Fabric/Scrim)',
-		typicalThickness: { min: 200, max: 300, standard: 250 }, // µm
-		tensileStrength: 80, // MPa
+		typicalThickness: qRange({ min: 200, max: 300, standard: 250 }, 'µm'),
+		tensileStrength: q(80, 'MPa'),
 		elongation: 12, // % - limited controlled stretch
-		temperatureRange: { min: -10, max: 70 }, // °C
+		temperatureRange: qRange({ min: -10, max: 70 }, '°C'),
 		uvResistance: 'good',
 		description: 'Duct/gaffer tape backing with fabric reinforcement'
 	},
 	'Foam': {
 		name: 'Foam (PE/PU)',
-		typicalThickness: { min: 400, max: 3000, standard: 800 }, // µm
-		tensileStrength: 2, // MPa - very compressible
+		typicalThickness: qRange({ min: 400, max: 3000, standard: 800 }, 'µm'),
+		tensileStrength: q(2, 'MPa'), // very compressible
 		elongation: 200, // % - highly elastic
-		temperatureRange: { min: -20, max: 80 }, // °C
+		temperatureRange: qRange({ min: -20, max: 80 }, '°C'),
 		uvResistance: 'fair',
 		description: 'Double-sided mounting tape with foam core'
 	}
-};
+});
 
 /**
  * Adhesive chemistry properties
  * Based on 3M and industry technical data
+ * Quantities are unit-tagged as quoted in the source and normalized to SI at load
  */
-export const ADHESIVE_TYPES = {
+export const ADHESIVE_TYPES = normalizeMaterialTable('adhesive', {
 	'Acrylic': {
 		name: 'Acrylic PSA',
-		typicalThickness: { min: 15, max: 50, standard: 25 }, // µm
-		peelAdhesion: 260, // cN/cm (3M 508 reference)
+		typicalThickness: qRange({ min: 15, max: 50, standard: 25 }, 'µm'),
+		peelAdhesion: q(260, 'cN/cm'), // 3M 508 reference
 		tackLevel: 'medium',
-		temperatureRange: { min: -40, max: 100 }, // °C
+		temperatureRange: qRange({ min: -40, max: 100 }, '°C'),
 		uvResistance: 'excellent',
 		agingStability: 'excellent',
 		shearStrength: 'high',
@@ -111,10 +399,10 @@ export const ADHESIVE_TYPES = {
 	},
 	'Rubber': {
 		name: 'Rubber-based PSA',
-		typicalThickness: { min: 50, max: 125, standard: 75 }, // µm (thicker for texture)
-		peelAdhesion: 547, // N/100mm = ~54.7 N/10cm (3M 373 reference)
+		typicalThickness: qRange({ min: 50, max: 125, standard: 75 }, 'µm'), // thicker for texture
+		peelAdhesion: q(54.7, 'N/100mm'), // 3M 373 reference (5.47 N/cm)
 		tackLevel: 'high',
-		temperatureRange: { min: -20, max: 60 }, // °C - degrades above
+		temperatureRange: qRange({ min: -20, max: 60 }, '°C'), // degrades above
 		uvResistance: 'poor',
 		agingStability: 'fair',
 		shearStrength: 'medium',
@@ -128,10 +416,10 @@ export const ADHESIVE_TYPES = {
 	},
 	'Silicone': {
 		name: 'Silicone PSA',
-		typicalThickness: { min: 25, max: 75, standard: 50 }, // µm
-		peelAdhesion: 200, // cN/cm (lower than acrylic on most surfaces)
+		typicalThickness: qRange({ min: 25, max: 75, standard: 50 }, 'µm'),
+		peelAdhesion: q(200, 'cN/cm'), // lower than acrylic on most surfaces
 		tackLevel: 'low',
-		temperatureRange: { min: -40, max: 260 }, // °C - extreme range
+		temperatureRange: qRange({ min: -40, max: 260 }, '°C'), // extreme range
 		uvResistance: 'excellent',
 		agingStability: 'excellent',
 		shearStrength: 'very high',
@@ -144,12 +432,12 @@ export const ADHESIVE_TYPES = {
 		},
 		description: 'Extreme temperature tolerance. Low adhesion but high cohesion. Specialty applications.'
 	}
-};
+});
 
 /**
  * Surface material properties affecting adhesion
  */
-export const SURFACE_MATERIALS = {
+export const SURFACE_MATERIALS = normalizeMaterialTable('surface', {
 	'Steel': {
 		name: 'Steel (Stainless/Cold Rolled)',
 		surfaceEnergy: 'high', // >40 mN/m
@@ -240,32 +528,32 @@ export const SURFACE_MATERIALS = {
 		texture: 'smooth',
 		adhesionMultiplier: 0.75,
 		description: 'Requires acid-free/archival tape. Standard tapes may damage image.',
-		ruptureStrength: { min: 50, max: 400, typical: 225 } // N/cm
+		ruptureStrength: qRange({ min: 50, max: 400, typical: 225 }, 'N/cm')
 	}
-};
+});
 
 /**
  * Surface rupture strength database
- * Force required to tear/rupture a 1 cm wide strip of material (N/cm)
+ * Force required to tear/rupture a strip of material, per unit width (quoted in N/cm, normalized to N/m)
  * Based on force_applie_toRip guide
  */
-export const SURFACE_RUPTURE_STRENGTH = {
-	'Paper Note': { min: 3.5, max: 4.5, typical: 4.0 }, // Office paper 80 gsm
-	'Manga Paper': { min: 3, max: 20, typical: 11.5 }, // Varies 80-135 gsm
-	'Sketchbook Paper': { min: 12, max: 60, typical: 36 }, // Heavy art paper 150-200 gsm
-	'Photo': { min: 50, max: 400, typical: 225 }, // RC photo paper
-	'Rough Carton': { min: 40, max: 240, typical: 140 }, // Cardboard/testliner
-	'Door Veneer': { min: 200, max: 700, typical: 450 }, // Wood veneer 0.5-0.6mm
-	'Wall Paint': { min: 5, max: 150, typical: 77.5 }, // Well-bonded paint (1cm × 1mm strip)
-	'Damaged Wall Paint': { min: 0.5, max: 10, typical: 5.25 }, // Poor adhesion paint
+export const SURFACE_RUPTURE_STRENGTH = normalizeRuptureTable({
+	'Paper Note': qRange({ min: 3.5, max: 4.5, typical: 4.0 }, 'N/cm'), // Office paper 80 gsm
+	'Manga Paper': qRange({ min: 3, max: 20, typical: 11.5 }, 'N/cm'), // Varies 80-135 gsm
+	'Sketchbook Paper': qRange({ min: 12, max: 60, typical: 36 }, 'N/cm'), // Heavy art paper 150-200 gsm
+	'Photo': qRange({ min: 50, max: 400, typical: 225 }, 'N/cm'), // RC photo paper
+	'Rough Carton': qRange({ min: 40, max: 240, typical: 140 }, 'N/cm'), // Cardboard/testliner
+	'Door Veneer': qRange({ min: 200, max: 700, typical: 450 }, 'N/cm'), // Wood veneer 0.5-0.6mm
+	'Wall Paint': qRange({ min: 5, max: 150, typical: 77.5 }, 'N/cm'), // Well-bonded paint (1cm × 1mm strip)
+	'Damaged Wall Paint': qRange({ min: 0.5, max: 10, typical: 5.25 }, 'N/cm'), // Poor adhesion paint
 	// Surfaces not in guide (too strong to damage with tape)
 	'Steel': null, // Several thousand N/cm - tape will always fail first
 	'Aluminum': null, // Several thousand N/cm
 	'Glass': null, // Several thousand N/cm
 	'Textured Glass': null, // Several thousand N/cm
 	'Plastic Bag': null, // ~50-100 N/cm but tape won't bond well enough to rip it
-	'Textured / Thick Photo': { min: 40, max: 240, typical: 140 } // Similar to carton
-};
+	'Textured / Thick Photo': qRange({ min: 40, max: 240, typical: 140 }, 'N/cm') // Similar to carton
+});
 
 /**
  * Calculate surface damage risk
@@ -281,15 +569,14 @@ export function calculateSurfaceDamageRisk(params) {
 		height = 10 // mm
 	} = params;
 	
-	// Get tape peel adhesion (N/cm) - this is the force during removal
+	// Load the peel front puts on the surface (N/m) at the chosen peel angle and rate
 	// Surface damage occurs during peeling, not static holding
-	const peelAdhesion = calculatePeelAdhesion(params);
+	const tapeForce = calculatePeelMechanics(params).surfaceLoad;
 	
-	// Peel adhesion is already in N/cm (force per unit width)
-	const tapeForce = peelAdhesion;
+	// Surface load and rupture strength are both force per unit width (N/m)
 	
 	// Get surface rupture data
-	const ruptureData = SURFACE_RUPTURE_STRENGTH[surface];
+	const ruptureData = getSurfaceRuptureStrength(surface);
 	
 	if (!ruptureData) {
 		// Surface is too strong to damage
@@ -314,13 +601,13 @@ export function calculateSurfaceDamageRisk(params) {
 		message = `Low risk of damage to ${surface}. Surface is ${safetyFactor.toFixed(1)}× stronger than tape bond.`;
 	} else if (safetyFactor > 1.5) {
 		damageRisk = 'moderate';
-		message = `Moderate risk for ${surface}. Surface strength (${surfaceStrength.toFixed(1)} N/cm) is only ${safetyFactor.toFixed(1)}× tape force (${tapeForce.toFixed(2)} N/cm). Handle carefully.`;
+		message = `Moderate risk for ${surface}. Surface strength (${formatQuantity(surfaceStrength, 'N/cm', 1)}) is only ${safetyFactor.toFixed(1)}× tape force (${formatQuantity(tapeForce, 'N/cm')}). Handle carefully.`;
 	} else if (safetyFactor > 1) {
 		damageRisk = 'high';
-		message = `High risk of ${surface} damage! Surface strength (${surfaceStrength.toFixed(1)} N/cm) barely exceeds tape force (${tapeForce.toFixed(2)} N/cm). May tear on removal.`;
+		message = `High risk of ${surface} damage! Surface strength (${formatQuantity(surfaceStrength, 'N/cm', 1)}) barely exceeds tape force (${formatQuantity(tapeForce, 'N/cm')}). May tear on removal.`;
 	} else {
 		damageRisk = 'critical';
-		message = `CRITICAL: Tape force (${tapeForce.toFixed(2)} N/cm) exceeds ${surface} strength (${surfaceStrength.toFixed(1)} N/cm)! Surface will likely tear.`;
+		message = `CRITICAL: Tape force (${formatQuantity(tapeForce, 'N/cm')}) exceeds ${surface} strength (${formatQuantity(surfaceStrength, 'N/cm', 1)})! Surface will likely tear.`;
 	}
 	
 	return {
@@ -335,168 +622,1070 @@ export function calculateSurfaceDamageRisk(params) {
 }
 
 /**
- * Environmental condition data
+ * Coefficient of variation of peel adhesion between rolls and applications
+ * (round-robin peel tests typically scatter 10-20%)
+ */
+const ADHESION_SCATTER_CV = 0.15;
+
+/**
+ * Safety-factor histogram range: 0.1× to 100× on a log scale
+ */
+const DAMAGE_HISTOGRAM_BINS = 15;
+const DAMAGE_HISTOGRAM_DECADES = { min: -1, max: 2 };
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so repeated assessments give the same answer
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Sample a triangular distribution (min / most likely / max), used for rupture strength ranges
+ */
+function sampleTriangular(random, min, mode, max) {
+	if (max <= min) return min;
+	const u = random();
+	const split = (mode - min) / (max - min);
+	return u < split ?
+		min + Math.sqrt(u * (max - min) * (mode - min)) :
+		max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+/**
+ * Sample a standard normal variate (Box-Muller)
+ */
+function sampleStandardNormal(random) {
+	return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Monte Carlo surface damage assessment
+ * Samples the surface rupture strength (triangular over min/typical/max), adhesive scatter
+ * (lognormal, ADHESION_SCATTER_CV) and the climate spread (uniform over the preset's
+ * temperature/humidity range, centered on the actual conditions).
+ * Verdicts use the same thresholds as the single-value assessment:
+ * ok above 3× safety, oops from 1× to 3×, boom at or below 1×.
+ * 
+ * @param {Object} params - Calculation parameters (same as calculateSurfaceDamageRisk)
+ * @param {Object} options - { samples = 2000, seed = 1 }
+ * @returns {Object} { canDamage, samples, probability, verdicts: { ok, oops, boom }, safetyFactor: { p5, p50, p95 }, histogram: [{ from, to, count, share }], adhesionScatter, deterministic }
+ */
+export function calculateDamageProbability(params, options = {}) {
+	const { samples = 2000, seed = 1 } = options;
+	const deterministic = calculateSurfaceDamageRisk(params);
+	const ruptureData = getSurfaceRuptureStrength(params.surface);
+	
+	if (!ruptureData) {
+		return {
+			canDamage: false,
+			samples: 0,
+			probability: 0,
+			verdicts: { ok: 1, oops: 0, boom: 0 },
+			safetyFactor: null,
+			histogram: [],
+			deterministic
+		};
+	}
+	
+	const random = createRandom(seed);
+	const climate = resolveClimate(params);
+	const preset = ENVIRONMENTAL_CONDITIONS[params.environment];
+	const temperatureSpread = preset ? (preset.temperature.max - preset.temperature.min) / 2 : 5;
+	const humiditySpread = preset ? (preset.humidity.max - preset.humidity.min) / 2 : 10;
+	const typicalStrength = ruptureData.typical ?? (ruptureData.min + ruptureData.max) / 2;
+	
+	const safetyFactors = [];
+	for (let i = 0; i < samples; i++) {
+		const temperature = climate.temperature + (random() * 2 - 1) * temperatureSpread;
+		const humidity = Math.min(100, Math.max(0, climate.humidity + (random() * 2 - 1) * humiditySpread));
+		const scatter = Math.exp(ADHESION_SCATTER_CV * sampleStandardNormal(random) - ADHESION_SCATTER_CV ** 2 / 2);
+		const load = calculatePeelMechanics({ ...params, temperature, humidity }).surfaceLoad * scatter;
+		const strength = sampleTriangular(random, ruptureData.min, typicalStrength, ruptureData.max);
+		safetyFactors.push(strength / load);
+	}
+	safetyFactors.sort((a, b) => a - b);
+	
+	const share = (predicate) => safetyFactors.filter(predicate).length / samples;
+	const percentile = (p) => safetyFactors[Math.min(samples - 1, Math.floor(p * samples))];
+	
+	// Histogram on log10(safety factor); out-of-range samples land in the edge bins
+	const { min: lowDecade, max: highDecade } = DAMAGE_HISTOGRAM_DECADES;
+	const binWidth = (highDecade - lowDecade) / DAMAGE_HISTOGRAM_BINS;
+	const histogram = Array.from({ length: DAMAGE_HISTOGRAM_BINS }, (_, i) => ({
+		from: Math.pow(10, lowDecade + i * binWidth),
+		to: Math.pow(10, lowDecade + (i + 1) * binWidth),
+		count: 0,
+		share: 0
+	}));
+	safetyFactors.forEach(sf => {
+		const index = Math.floor((Math.log10(sf) - lowDecade) / binWidth);
+		histogram[Math.min(DAMAGE_HISTOGRAM_BINS - 1, Math.max(0, index))].count++;
+	});
+	histogram.forEach(bin => { bin.share = bin.count / samples; });
+	
+	return {
+		canDamage: true,
+		samples,
+		probability: share(sf => sf <= 1),
+		verdicts: {
+			ok: share(sf => sf > 3),
+			oops: share(sf => sf > 1 && sf <= 3),
+			boom: share(sf => sf <= 1)
+		},
+		safetyFactor: {
+			p5: percentile(0.05),
+			p50: percentile(0.5),
+			p95: percentile(0.95)
+		},
+		histogram,
+		adhesionScatter: ADHESION_SCATTER_CV,
+		deterministic
+	};
+}
+
+/**
+ * Datasheet peel test conditions (PSTC-101 / ASTM D3330: 180° at 300 mm/min)
+ * ADHESIVE_TYPES.peelAdhesion is quoted at these conditions
+ */
+export const PEEL_TEST_STANDARD = {
+	angle: 180, // degrees
+	rate: q(300, 'mm/min')
+};
+
+/**
+ * Peel rate sensitivity exponent n per chemistry: F ∝ (v / v₀)ⁿ
+ * Viscoelastic losses grow with speed; natural rubber is the most rate sensitive
+ */
+const PEEL_RATE_EXPONENTS = {
+	'Acrylic': 0.12,
+	'Rubber': 0.2,
+	'Silicone': 0.08
+};
+
+/**
+ * Estimate backing tensile modulus (Pa) as the secant modulus at break: σ_break / ε_break
+ * @param {Object} backing - Normalized backing entry
+ * @returns {number} Modulus in Pa
+ */
+export function estimateBackingModulus(backing) {
+	return backing.tensileStrength / Math.max(0.01, backing.elongation / 100);
+}
+
+/**
+ * Peel mechanics at a given angle and rate (Kendall thin-film peel)
+ * 
+ * Kendall: (F/b)² / (2Eh) + (F/b)(1 - cos θ) - G = 0
+ * G is back-calculated from the datasheet force F₁₈₀ (calculatePeelAdhesion at the climate
+ * temperature, as calculateTapeProperties reports it) so that 180° at the standard rate
+ * reproduces it exactly, then scaled by (v / v₀)ⁿ for peel rate.
+ * Low angles raise the force in the tape arm (up to √(2EhG) as θ → 0) but only the lifting
+ * share F(1 - cos θ)/2 loads the surface - which is why slow, low-angle removal protects paint.
+ * 
+ * @param {Object} params - Calculation parameters (peelAngle in degrees, peelRate in mm/min)
+ * @returns {Object} { angle, rate (m/s), rateFactor, fractureEnergy (J/m²), peelForce (N/m), surfaceLoad (N/m), standardForce (N/m) }
+ */
+export function calculatePeelMechanics(params) {
+	const angle = Math.min(180, Math.max(1, Number.isFinite(params.peelAngle) ? params.peelAngle : PEEL_TEST_STANDARD.angle));
+	const standardRate = toSI(PEEL_TEST_STANDARD.rate, 'velocity');
+	const rate = Number.isFinite(params.peelRate) && params.peelRate > 0 ? paramToSI(params, 'peelRate') : standardRate;
+	
+	// Arm stiffness Eh (N/m): laminated backings add up
+	const armStiffness = getBackingLayers(params).reduce((sum, layer) => {
+		return sum + estimateBackingModulus(layer.backing) * layer.thickness;
+	}, 0) || estimateBackingModulus(BACKING_MATERIALS['PVC']) * BACKING_MATERIALS['PVC'].typicalThickness.standard;
+	
+	// Datasheet-condition force (with the same temperature effect as the displayed peel) and rate scaling
+	const standardForce = calculatePeelAdhesion(params) * calculateTemperatureEffect(resolveClimate(params).temperature, params.adhesive);
+	const rateExponent = PEEL_RATE_EXPONENTS[getAdhesiveChemistry(params.adhesive)] || 0.12;
+	const rateFactor = Math.pow(rate / standardRate, rateExponent);
+	const referenceForce = standardForce * rateFactor;
+	
+	// Fracture energy from the 180° reference (1 - cos 180° = 2)
+	const fractureEnergy = (referenceForce * referenceForce) / (2 * armStiffness) + 2 * referenceForce;
+	
+	// Solve Kendall's quadratic for F/b at the requested angle
+	const a = 1 / (2 * armStiffness);
+	const b = 1 - Math.cos(angle * Math.PI / 180);
+	const peelForce = (-b + Math.sqrt(b * b + 4 * a * fractureEnergy)) / (2 * a);
+	
+	return {
+		angle,
+		rate,
+		rateFactor,
+		fractureEnergy,
+		peelForce,
+		surfaceLoad: peelForce * b / 2,
+		standardForce
+	};
+}
+
+/**
+ * Width lost to nicks along dispenser-cut / torn edges (per edge)
+ * Cracks start at these nicks, so narrow tapes lose a larger share of their cross-section
+ */
+const EDGE_NICK_DEPTH = q(0.5, 'mm');
+
+/**
+ * Calculate backing tensile failure risk
+ * Compares the load the backing carries at the peel front (peel force × tape width) with what
+ * its cross-section can take (tensile strength × backing thickness × effective width).
+ * Laminates (layers, or tape + tape2) share the load across all backing layers.
+ * A datasheet tensile per width (params.datasheet.tensileStrength) replaces the layer estimate.
+ * 
+ * @param {Object} params - Calculation parameters (tape or layers, width in mm)
+ * @returns {Object} Tensile check with loads in N
+ */
+export function calculateBackingTensileCheck(params) {
+	const width = paramToSI(params, 'width', 10);
+	const effectiveWidth = Math.max(0, width - 2 * toSI(EDGE_NICK_DEPTH, 'length'));
+	
+	// Breaking load of each backing layer: σ × t × w (or the whole tape's datasheet tensile × w)
+	const datasheetTensile = params.datasheet?.tensileStrength;
+	const layers = getBackingLayers(params).map(layer => layer.backing.tensileStrength * layer.thickness * effectiveWidth);
+	const breakingLoad = datasheetTensile ? toSI(datasheetTensile, 'forcePerWidth') * effectiveWidth : layers.reduce((sum, load) => sum + load, 0);
+	
+	// Load needed to keep the peel front moving (carried along the tape arm)
+	const peelLoad = calculatePeelMechanics(params).peelForce * width;
+	const tensileSafetyFactor = peelLoad > 0 ? breakingLoad / peelLoad : Infinity;
+	
+	return {
+		peelLoad,
+		breakingLoad,
+		effectiveWidth,
+		tensileSafetyFactor,
+		willSnap: tensileSafetyFactor <= 1
+	};
+}
+
+/**
+ * Predict what gives way first when the tape is peeled
+ * The peel load rises until the weakest link fails:
+ * - 'clean': the adhesive bond releases (peel load below both other limits)
+ * - 'snap': the backing breaks before the bond or the surface gives
+ * - 'tear': the surface ruptures before the bond or the backing gives
+ * 
+ * @param {Object} params - Calculation parameters (surface, tape or layers, width in mm, ...)
+ * @returns {Object} { outcome, message, damage (see calculateSurfaceDamageRisk), tensile, loads in N }
+ */
+export function calculatePeelOutcome(params) {
+	const damage = calculateSurfaceDamageRisk(params);
+	const tensile = calculateBackingTensileCheck(params);
+	const mechanics = calculatePeelMechanics(params);
+	const width = paramToSI(params, 'width', 10);
+
+	// Peel load is the force along the tape arm; the surface only carries the angle-dependent
+	// lifting share of it, so the arm force that tears the surface scales up by that ratio
+	const surfaceTearLoad = damage.canDamage ? damage.surfaceStrength * width * mechanics.peelForce / mechanics.surfaceLoad : Infinity;
+	const { peelLoad, breakingLoad } = tensile;
+	
+	let outcome, message;
+	if (peelLoad < surfaceTearLoad && peelLoad < breakingLoad) {
+		outcome = 'clean';
+		message = `Clean peel: the bond releases at ${peelLoad.toFixed(1)} N before the backing (${breakingLoad.toFixed(1)} N) or the surface gives.`;
+	} else if (breakingLoad <= surfaceTearLoad) {
+		outcome = 'snap';
+		message = `Tape snaps: peeling needs ${peelLoad.toFixed(1)} N but the backing breaks at ${breakingLoad.toFixed(1)} N. Use a wider or stronger backing.`;
+	} else {
+		outcome = 'tear';
+		message = `Surface tears: the ${params.surface} ruptures at ${surfaceTearLoad.toFixed(1)} N, below the ${peelLoad.toFixed(1)} N peel load.`;
+	}
+	
+	return {
+		outcome,
+		message,
+		damage,
+		tensile,
+		peelLoad,
+		breakingLoad,
+		surfaceTearLoad
+	};
+}
+
+/**
+ * Stick-slip amplitude (share of the mean peel force) by adhesive chemistry
+ * High-tack rubber/resin adhesives peel in jerks: the front sticks while the arm loads up, then
+ * jumps ahead; acrylics only tremble and silicones peel smoothly.
+ */
+const STICK_SLIP_AMPLITUDE = {
+	'Acrylic': 0.06,
+	'Rubber': 0.35,
+	'Silicone': 0
+};
+
+/**
+ * Front travel per stick-slip jump, per metre of adhesive thickness (25 µm jumps ~1 mm)
+ */
+const STICK_SLIP_WAVELENGTH_RATIO = 40;
+
+/**
+ * Front travel over which the force builds up before steady peeling (arm stretch, lever straightening)
+ */
+const PEEL_INITIATION_LENGTH = q(2, 'mm');
+
+/**
+ * Force along the tape arm as the peel front runs down the bonded length
+ * Steady peeling sits at the peelLoad of calculatePeelOutcome, with a sawtooth on top for
+ * stick-slip adhesives. When the outcome is a tear or a snap the trace stops where the force
+ * first reaches that limit; a clean peel runs the full length (its stick-slip peaks are kept
+ * below both limits, since the outcome says neither gives way).
+ * 
+ * @param {Object} params - Calculation parameters (as for calculatePeelOutcome; height is the bonded length)
+ * @param {Object} [peelOutcome] - calculatePeelOutcome result for the same params
+ * @param {Object} [options] - { seed } for the stick-slip jitter
+ * @returns {Object} { points: [{ distance (m), force (N) }], length (m), stopDistance (m), outcome, peelLoad, stickSlip (amplitude share), surfaceTearLoad, breakingLoad }
+ */
+export function simulatePeelTrace(params, peelOutcome = calculatePeelOutcome(params), options = {}) {
+	const { seed = 1 } = options;
+	const { outcome, peelLoad, breakingLoad, surfaceTearLoad } = peelOutcome;
+	const length = paramToSI(params, 'height', 80);
+	const thickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : toSI(q(25, 'µm'), 'length');
+	const limit = Math.min(surfaceTearLoad, breakingLoad);
+	
+	let stickSlip = STICK_SLIP_AMPLITUDE[getAdhesiveChemistry(params.adhesive)] ?? 0.06;
+	if (outcome === 'clean') stickSlip = Math.max(0, Math.min(stickSlip, limit / peelLoad - 1.02));
+	const wavelength = Math.min(toSI(q(3, 'mm'), 'length'), Math.max(toSI(q(0.3, 'mm'), 'length'), thickness * STICK_SLIP_WAVELENGTH_RATIO));
+	const initiation = Math.min(length * 0.1, toSI(PEEL_INITIATION_LENGTH, 'length'));
+	
+	// Initiation ramp, then one rise (stick) and one drop (slip) per wavelength
+	const random = createRandom(seed);
+	const points = [{ distance: 0, force: 0 }, { distance: initiation, force: peelLoad * (1 + stickSlip) }];
+	for (let distance = initiation; distance < length;) {
+		const jump = wavelength * (0.85 + random() * 0.3);
+		const low = peelLoad * (1 - stickSlip * (0.9 + random() * 0.1));
+		const high = peelLoad * (1 + stickSlip * (0.9 + random() * 0.1));
+		points.push({ distance: Math.min(length, distance + jump * 0.05), force: low });
+		distance = Math.min(length, distance + jump);
+		points.push({ distance, force: high });
+	}
+	
+	// Tear or snap: cut the trace where the force first reaches the limit, then it drops to zero
+	let stopDistance = length;
+	if (outcome !== 'clean') {
+		const crossing = points.findIndex(point => point.force >= limit);
+		const before = points[Math.max(0, crossing - 1)];
+		const after = points[crossing];
+		stopDistance = crossing <= 0 ? 0 : before.distance + (after.distance - before.distance) * (limit - before.force) / (after.force - before.force);
+		points.splice(crossing);
+		points.push({ distance: stopDistance, force: limit }, { distance: stopDistance, force: 0 });
+	}
+	
+	return {
+		points,
+		length,
+		stopDistance,
+		outcome,
+		peelLoad,
+		stickSlip,
+		surfaceTearLoad,
+		breakingLoad
+	};
+}
+
+/**
+ * Climate presets
  * Based on climate classifications and adhesive performance studies
+ * Only the ranges are stored here - adhesion, aging, UV and residue factors come from the
+ * continuous climate model below, evaluated at the actual temperature/humidity.
  */
 export const ENVIRONMENTAL_CONDITIONS = {
 	'Humid': {
 		name: 'Humid (Temperate Humid)',
 		temperature: { min: 15, max: 25, typical: 20 }, // °C
 		humidity: { min: 70, max: 90, typical: 80 }, // %
-		description: 'High moisture can form micro-barrier preventing wet-out. Reduced tack.',
-		adhesionMultiplier: 0.75,
-		agingFactor: 1.2 // faster degradation
+		description: 'High moisture can form micro-barrier preventing wet-out. Reduced tack.'
 	},
 	'Tropical': {
 		name: 'Tropical (Hot & Humid)',
 		temperature: { min: 25, max: 35, typical: 30 }, // °C
 		humidity: { min: 75, max: 95, typical: 85 }, // %
-		description: 'Worst case: heat softens adhesive + moisture barrier. Bond failure risk.',
-		adhesionMultiplier: 0.65,
-		agingFactor: 1.5 // rapid degradation
+		description: 'Worst case: heat softens adhesive + moisture barrier. Bond failure risk.'
 	},
 	'Semiarid': {
 		name: 'Semiarid (Mediterranean)',
 		temperature: { min: 20, max: 30, typical: 25 }, // °C
 		humidity: { min: 30, max: 50, typical: 40 }, // %
-		description: 'Balanced conditions. Moderate heat, low moisture. Good performance.',
-		adhesionMultiplier: 0.95,
-		agingFactor: 1.0
+		description: 'Balanced conditions. Moderate heat, low moisture. Good performance.'
 	},
 	'Arid': {
 		name: 'Arid (Desert/Hot Dry)',
 		temperature: { min: 25, max: 40, typical: 32 }, // °C
 		humidity: { min: 10, max: 30, typical: 20 }, // %
-		description: 'High heat accelerates adhesive flow/creep. Dry surfaces bond well initially.',
-		adhesionMultiplier: 0.85,
-		agingFactor: 1.3 // heat aging
+		description: 'High heat accelerates adhesive flow/creep. Dry surfaces bond well initially.'
 	},
 	'Dry': {
 		name: 'Dry (Temperate Dry/Indoor)',
 		temperature: { min: 18, max: 25, typical: 21 }, // °C
 		humidity: { min: 20, max: 40, typical: 30 }, // %
-		description: 'Ideal conditions. Recommended storage: 20°C/50%RH. Best performance.',
-		adhesionMultiplier: 1.0, // reference baseline
-		agingFactor: 0.8 // slow aging
+		description: 'Ideal conditions. Recommended storage: 20°C/50%RH. Best performance.'
 	}
 };
 
 // ============================================================================
-// CALCULATION FUNCTIONS
+// CLIMATE MODEL
 // ============================================================================
 
 /**
- * Calculate total tape thickness from backing + adhesive
- * @param {string} backingMaterial - Backing material type
- * @param {string} adhesiveType - Adhesive chemistry type
- * @returns {number} Total thickness in µm
+ * Resolve the climate a calculation runs in
+ * Free temperature/humidity inputs take precedence; otherwise the preset's typical values are used
+ * @param {Object} params - Calculation parameters (environment, temperature, humidity)
+ * @returns {Object} { temperature: °C, humidity: % RH }
  */
-export function calculateTotalThickness(backingMaterial, adhesiveType) {
-	const backing = BACKING_MATERIALS[backingMaterial];
-	const adhesive = ADHESIVE_TYPES[adhesiveType];
-	
-	if (!backing || !adhesive) return 120; // default fallback
-	
-	return backing.typicalThickness.standard + adhesive.typicalThickness.standard;
+export function resolveClimate(params = {}) {
+	const preset = ENVIRONMENTAL_CONDITIONS[params.environment] || ENVIRONMENTAL_CONDITIONS['Dry'];
+	const temperature = Number.isFinite(params.temperature) ? params.temperature : preset.temperature.typical;
+	const humidity = Number.isFinite(params.humidity) ? Math.min(100, Math.max(0, params.humidity)) : preset.humidity.typical;
+	return { temperature, humidity };
 }
 
 /**
- * Calculate peel adhesion strength
- * Based on adhesive type, surface material, and environmental conditions
+ * Humidity effect on adhesion
+ * A moisture film on the substrate hinders wet-out. Logistic drop centred at 75% RH:
+ * ~1.0 below 50% RH, ~0.74 at 80% RH, 0.6 floor at saturation
  * 
- * Formula: Base Adhesion × Surface Multiplier × Environment Multiplier × Thickness Factor
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} Adhesion multiplier (0.6-1)
+ */
+export function calculateHumidityEffect(humidity) {
+	return 1.0 - 0.4 / (1 + Math.exp(-(humidity - 75) / 8));
+}
+
+/**
+ * Climate aging rate multiplier
+ * Arrhenius-style heat acceleration (Q10 ≈ 1.7) times moisture acceleration (hydrolysis/oxidation)
+ * 20°C/30% RH indoor ≈ 0.8, 30°C/85% RH tropical ≈ 2.0, 5°C warehouse ≈ 0.4
  * 
- * @param {Object} params - Calculation parameters
- * @returns {number} Peel adhesion in N/cm
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} Aging rate multiplier (1 = standard)
  */
-export function calculatePeelAdhesion(params) {
-	const {
-		tape,
-		surface,
-		adhesive,
-		environment,
-		thickness
-	} = params;
-	
-	// Get base adhesion from adhesive type (convert cN/cm to N/cm)
-	const adhesiveData = ADHESIVE_TYPES[adhesive] || ADHESIVE_TYPES['Acrylic'];
-	let baseAdhesion = adhesiveData.peelAdhesion;
-	
-	// Normalize rubber adhesion (given as N/100mm = N/10cm, convert to N/cm)
-	if (adhesive === 'Rubber') {
-		baseAdhesion = baseAdhesion / 10; // 547 N/100mm → 54.7 N/10cm → 5.47 N/cm
-	} else {
-		baseAdhesion = baseAdhesion / 100; // cN/cm to N/cm
-	}
-	
-	// Surface multiplier
-	const surfaceData = SURFACE_MATERIALS[surface] || SURFACE_MATERIALS['Steel'];
-	const surfaceMultiplier = surfaceData.adhesionMultiplier;
-	
-	// Environmental multiplier
-	const envData = ENVIRONMENTAL_CONDITIONS[environment] || ENVIRONMENTAL_CONDITIONS['Dry'];
-	const envMultiplier = envData.adhesionMultiplier;
-	
-	// Thickness factor (thicker adhesive = better contact on rough surfaces)
-	// Normalized to standard thickness for that adhesive type
-	const standardThickness = adhesiveData.typicalThickness.standard;
-	const thicknessFactor = Math.pow(thickness / standardThickness, 0.3); // diminishing returns
-	
-	// Apply surface-specific adjustments for low-energy substrates
-	let lowEnergyPenalty = 1.0;
-	if (surfaceData.surfaceEnergy === 'low' && adhesive === 'Acrylic') {
-		lowEnergyPenalty = 0.5; // acrylic poor on PE/PP without primer
-	} else if (surfaceData.surfaceEnergy === 'low' && adhesive === 'Rubber') {
-		lowEnergyPenalty = 0.8; // rubber better but still reduced
-	}
-	
-	let finalAdhesion = baseAdhesion * surfaceMultiplier * envMultiplier * thicknessFactor * lowEnergyPenalty;
-	
-	// Apply aging effects if time impact is specified
-	if (params.timeImpactDays && params.timeImpactDays > 0) {
-		const aging = calculateAgingEffects(params);
-		finalAdhesion *= aging.peelRetention;
-	}
-	
-	return Math.max(0.1, finalAdhesion); // minimum 0.1 N/cm
+export function calculateClimateAgingFactor(temperature, humidity) {
+	return 0.55 * Math.pow(1.7, (temperature - 20) / 10) * (1 + 1.4 * humidity / 100);
 }
 
 /**
- * Calculate shear/hold strength
- * Represents resistance to sliding under continuous load
+ * Climate UV yellowing multiplier
+ * Heat speeds photo-oxidation (Q10 ≈ 1.25), moisture adds a little on top
  * 
- * @param {Object} params - Calculation parameters
- * @returns {number} Hold strength in N/cm²
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} UV yellowing multiplier (1 = 21°C/30% RH)
  */
-export function calculateHoldStrength(params) {
-	const {
-		tape,
-		surface,
-		adhesive,
-		environment,
-		thickness
-	} = params;
-	
-	// Shear strength is typically 1.5-3× higher than peel strength
-	const peelStrength = calculatePeelAdhesion(params);
-	
-	// Adhesive-specific shear multipliers
-	const shearMultipliers = {
+export function calculateClimateUVFactor(temperature, humidity) {
+	return Math.pow(1.25, (temperature - 21) / 10) * (1 + 0.2 * (humidity - 30) / 70);
+}
+
+/**
+ * Climate residue migration multiplier
+ * Adhesive flow roughly doubles every 15°C; high humidity helps adhesive wick into porous surfaces
+ * 
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} Residue multiplier (1 = 20°C, ≤50% RH)
+ */
+export function calculateClimateResidueFactor(temperature, humidity) {
+	const flowFactor = Math.pow(2, (temperature - 20) / 15);
+	const moistureFactor = 1 + 0.3 * Math.max(0, humidity - 50) / 50;
+	return flowFactor * moistureFactor;
+}
+
+/**
+ * All climate factors for the current conditions (used for display)
+ * @param {Object} params - Calculation parameters (environment, temperature, humidity, adhesive)
+ * @returns {Object} Resolved climate and its adhesion, aging, UV and residue multipliers
+ */
+export function calculateClimateFactors(params = {}) {
+	const { temperature, humidity } = resolveClimate(params);
+	const humidityEffect = calculateHumidityEffect(humidity);
+	const temperatureEffect = calculateTemperatureEffect(temperature, params.adhesive || 'Acrylic');
+	
+	return {
+		temperature,
+		humidity,
+		humidityEffect,
+		temperatureEffect,
+		adhesionMultiplier: humidityEffect * temperatureEffect,
+		agingFactor: calculateClimateAgingFactor(temperature, humidity),
+		uvMultiplier: calculateClimateUVFactor(temperature, humidity),
+		residueMultiplier: calculateClimateResidueFactor(temperature, humidity)
+	};
+}
+
+// ============================================================================
+// ENVIRONMENT SCHEDULE
+// ============================================================================
+
+/**
+ * Cycle patterns a schedule segment can follow around its base climate
+ * temperature/humidity are sine amplitudes (°C / % RH) over periodDays; peakDay is when the
+ * temperature peaks (15:00 for day/night, day 182 for seasons with the tape applied on 1 January).
+ * Relative humidity swings against temperature (it drops as the air warms).
+ */
+export const SCHEDULE_CYCLES = {
+	'none': { label: 'Steady', periodDays: 1, temperature: 0, humidity: 0, peakDay: 0 },
+	'day-night': { label: 'Day/night', periodDays: 1, temperature: 6, humidity: 15, peakDay: 15 / 24 },
+	'seasonal': { label: 'Seasons', periodDays: 365, temperature: 10, humidity: 10, peakDay: 182 }
+};
+
+export const MAX_SCHEDULE_SEGMENTS = 12;
+
+/**
+ * Samples per cycle period when integrating (hourly for day/night, ~15 days for seasons)
+ */
+const CYCLE_SAMPLES = 24;
+
+/**
+ * Resolve a schedule ({ enabled, repeat, segments: [{ environment, days, cycle, temperature?, humidity? }] })
+ * into segments with start/end days and a base climate (preset typical values unless overridden)
+ * @returns {Object|null} { segments, length (days), repeat } or null when off or empty
+ */
+export function resolveSchedule(schedule) {
+	if (!schedule?.enabled || !Array.isArray(schedule.segments)) return null;
+	
+	let start = 0;
+	const segments = schedule.segments
+		.slice(0, MAX_SCHEDULE_SEGMENTS)
+		.filter(segment => segment && Number.isFinite(segment.days) && segment.days > 0)
+		.map(segment => {
+			const environment = Object.hasOwn(ENVIRONMENTAL_CONDITIONS, segment.environment) ? segment.environment : 'Dry';
+			const preset = ENVIRONMENTAL_CONDITIONS[environment];
+			const resolved = {
+				environment,
+				start,
+				end: start + segment.days,
+				temperature: Number.isFinite(segment.temperature) ? segment.temperature : preset.temperature.typical,
+				humidity: Number.isFinite(segment.humidity) ? segment.humidity : preset.humidity.typical,
+				cycle: Object.hasOwn(SCHEDULE_CYCLES, segment.cycle) ? segment.cycle : 'none'
+			};
+			start = resolved.end;
+			return resolved;
+		});
+	
+	return segments.length > 0 ? { segments, length: start, repeat: !!schedule.repeat } : null;
+}
+
+/**
+ * Segment in force on a given day and the day its current run ends
+ * Past the end the schedule loops (repeat) or stays in its last segment
+ */
+function findScheduleSegment(resolved, day) {
+	const offset = resolved.repeat ? Math.floor(day / resolved.length) * resolved.length : 0;
+	const local = day - offset;
+	const index = resolved.segments.findIndex(segment => local < segment.end);
+	if (index === -1) {
+		const last = resolved.segments.length - 1;
+		return { segment: resolved.segments[last], index: last, end: Infinity };
+	}
+	return { segment: resolved.segments[index], index, end: offset + resolved.segments[index].end };
+}
+
+function cycleClimate(segment, day) {
+	const cycle = SCHEDULE_CYCLES[segment.cycle];
+	const wave = Math.cos(2 * Math.PI * (day - cycle.peakDay) / cycle.periodDays);
+	return {
+		temperature: segment.temperature + cycle.temperature * wave,
+		humidity: Math.min(100, Math.max(0, segment.humidity - cycle.humidity * wave))
+	};
+}
+
+/**
+ * Climate a schedule gives on a given day (cycles included)
+ * @param {Object} schedule - Environment schedule
+ * @param {number} day - Days since application
+ * @returns {Object|null} { environment, segmentIndex, temperature, humidity } or null without a schedule
+ */
+export function getScheduleClimate(schedule, day) {
+	const resolved = resolveSchedule(schedule);
+	if (!resolved) return null;
+	const { segment, index } = findScheduleSegment(resolved, Math.max(0, day));
+	return { environment: segment.environment, segmentIndex: index, ...cycleClimate(segment, Math.max(0, day)) };
+}
+
+/**
+ * Params with the environment, temperature and humidity the schedule gives at timeImpactDays
+ * (instantaneous effects such as tack follow the journey; aging, UV and residue integrate it)
+ * @param {Object} params - Calculation parameters (schedule, timeImpactDays)
+ * @returns {Object} Params unchanged when no schedule is active
+ */
+export function applyScheduleClimate(params) {
+	const climate = getScheduleClimate(params.schedule, params.timeImpactDays || 0);
+	if (!climate) return params;
+	return { ...params, environment: climate.environment, temperature: climate.temperature, humidity: climate.humidity };
+}
+
+/**
+ * Integrate a climate rate over [from, to] days against a time curve: ∫ rate(T(t), RH(t)) dcurve(t)
+ * Without a schedule this is rate(current climate) × (curve(to) - curve(from)), the steady-climate result.
+ * Day/night cycles use the rate averaged over one period; slower cycles are stepped through.
+ * 
+ * @param {Object} params - Calculation parameters (schedule or environment/temperature/humidity)
+ * @param {number} from - Start day
+ * @param {number} to - End day
+ * @param {Function} rate - (temperature °C, humidity % RH) => multiplier
+ * @param {Function} curve - Cumulative time curve (days => progress), linear by default
+ * @returns {number} Climate-weighted progress
+ */
+export function integrateClimate(params, from, to, rate, curve = days => days) {
+	if (!(to > from)) return 0;
+	const resolved = resolveSchedule(params.schedule);
+	if (!resolved) {
+		const { temperature, humidity } = resolveClimate(params);
+		return rate(temperature, humidity) * (curve(to) - curve(from));
+	}
+	
+	let total = 0;
+	let day = from;
+	while (day < to) {
+		const { segment, end } = findScheduleSegment(resolved, day);
+		const pieceEnd = Math.min(to, end);
+		const cycle = SCHEDULE_CYCLES[segment.cycle];
+		
+		if (cycle.temperature === 0 && cycle.humidity === 0) {
+			total += rate(segment.temperature, segment.humidity) * (curve(pieceEnd) - curve(day));
+		} else if (cycle.periodDays <= 1) {
+			let mean = 0;
+			for (let i = 0; i < CYCLE_SAMPLES; i++) {
+				const climate = cycleClimate(segment, cycle.peakDay + (i + 0.5) * cycle.periodDays / CYCLE_SAMPLES);
+				mean += rate(climate.temperature, climate.humidity) / CYCLE_SAMPLES;
+			}
+			total += mean * (curve(pieceEnd) - curve(day));
+		} else {
+			const step = cycle.periodDays / CYCLE_SAMPLES;
+			for (let a = day; a < pieceEnd; a += step) {
+				const b = Math.min(pieceEnd, a + step);
+				const climate = cycleClimate(segment, (a + b) / 2);
+				total += rate(climate.temperature, climate.humidity) * (curve(b) - curve(a));
+			}
+		}
+		day = pieceEnd;
+	}
+	return total;
+}
+
+/**
+ * Climate at the moment of application (start of the schedule, or the steady climate)
+ */
+function resolveStartClimate(params) {
+	return getScheduleClimate(params.schedule, 0) || resolveClimate(params);
+}
+
+// ============================================================================
+// HANG TEST (STATIC SHEAR)
+// ============================================================================
+
+const STANDARD_GRAVITY = 9.80665; // m/s²
+
+/**
+ * Static shear creep by adhesive chemistry
+ * exponent: power-law stress exponent (higher = creep-resistant, stiff cohesive network)
+ * slipStrain: shear strain of the adhesive layer at which the joint lets go
+ */
+const SHEAR_CREEP = {
+	'Acrylic': { exponent: 8, slipStrain: 15 },
+	'Rubber': { exponent: 5, slipStrain: 25 },
+	'Silicone': { exponent: 9, slipStrain: 10 }
+};
+
+/**
+ * Time to failure when the shear stress equals the hold strength (s)
+ * Hold strength is a short-term figure, so a load at that level lasts about a minute.
+ */
+const SHEAR_REFERENCE_TIME = 60;
+
+/**
+ * Longest hang the prediction integrates over (s) - ~10 years counts as "holds"
+ */
+export const HANG_TEST_HORIZON = 10 * 365 * 24 * 3600;
+
+/**
+ * Hold strength of the tape at a given moment (Pa), including dwell, aging and temperature
+ * Laminates (layers or tape2) hold by the adhesive on their contact layer.
+ */
+function getHangHoldStrength(params) {
+	if (params.tape2 || params.layers?.length) {
+		return calculateLaminateProperties(params).hold;
+	}
+	return calculateTapeProperties(params).hold;
+}
+
+/**
+ * Predict a static shear hang test (hook, poster or PSTC-107 style weight on an overlap)
+ * 
+ * Time to failure at constant conditions follows a power law:
+ * t_f = t_ref × (hold / stress)^n / a_T, with a_T = 2^((T - 23)/10) for faster flow when warm
+ * (averaged over the environment schedule with integrateClimate, like aging, UV and residue)
+ * 
+ * Hold strength keeps changing while the weight hangs (dwell build-up, then aging), so the
+ * damage fraction D = ∫ dt / t_f(t) is accumulated on a logarithmic time grid (Miner's rule)
+ * and the joint fails at D = 1. Creep slip is taken as D × slip at failure.
+ * 
+ * @param {Object} params - Calculation parameters (hangMass in g, width/height overlap in mm, timeImpactDays when the load is hung)
+ * @returns {Object} { outcome: 'falls'|'slides'|'holds', message, load (N), shearStress and holdStrength (Pa), stressRatio, timeToFailure (s, Infinity when it holds), slipAtFailure (m), creep: [{ time (s), slip (m) }] }
+ */
+export function calculateHangTest(params) {
+	const mass = paramToSI(params, 'hangMass', 1);
+	const width = paramToSI(params, 'width', 25);
+	const height = paramToSI(params, 'height', 25);
+	const overlapArea = width * height;
+	const load = mass * STANDARD_GRAVITY;
+	const shearStress = load / overlapArea;
+	
+	const creepData = SHEAR_CREEP[getAdhesiveChemistry(params.adhesive)] || SHEAR_CREEP['Acrylic'];
+	const adhesiveData = getMaterialInfo('adhesive', params.adhesive) || ADHESIVE_TYPES['Acrylic'];
+	const thickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : adhesiveData.typicalThickness.standard;
+	const slipAtFailure = Math.min(height, thickness * creepData.slipStrain);
+	
+	const startDays = params.timeImpactDays || 0;
+	
+	// Mean a_T between two moments of the hang (s after loading)
+	const flowShiftBetween = (from, to) => {
+		const fromDays = startDays + from / 86400;
+		const toDays = startDays + to / 86400;
+		return integrateClimate(params, fromDays, toDays, temperature => Math.pow(2, (temperature - 23) / 10)) / (toDays - fromDays);
+	};
+	
+	const timeToFailureAt = (elapsed, flowShift) => {
+		const hold = getHangHoldStrength(applyScheduleClimate({ ...params, timeImpactDays: startDays + elapsed / 86400 }));
+		if (shearStress >= hold) return 0;
+		return SHEAR_REFERENCE_TIME * Math.pow(hold / shearStress, creepData.exponent) / flowShift;
+	};
+	
+	const holdStrength = getHangHoldStrength(applyScheduleClimate(params));
+	const creep = [{ time: 0, slip: 0 }];
+	let timeToFailure = Infinity;
+	
+	// 1 s → horizon on 120 logarithmic steps
+	const steps = 120;
+	const growth = Math.pow(HANG_TEST_HORIZON, 1 / steps);
+	let damage = 0;
+	let previous = 0;
+	for (let i = 0; i <= steps; i++) {
+		const time = Math.pow(growth, i);
+		const tf = timeToFailureAt((previous + time) / 2, flowShiftBetween(previous, time));
+		const increment = tf > 0 ? (time - previous) / tf : Infinity;
+		if (damage + increment >= 1) {
+			// Interpolate the crossing inside this step
+			timeToFailure = previous + (time - previous) * (Number.isFinite(increment) ? (1 - damage) / increment : 0);
+			creep.push({ time: timeToFailure, slip: slipAtFailure });
+			break;
+		}
+		damage += increment;
+		previous = time;
+		creep.push({ time, slip: damage * slipAtFailure });
+	}
+	
+	let outcome, message;
+	if (timeToFailure < SHEAR_REFERENCE_TIME && shearStress >= holdStrength) {
+		outcome = 'falls';
+		message = `Falls: ${(shearStress / 1000).toFixed(1)} kPa of shear is more than the ${(holdStrength / 1000).toFixed(1)} kPa the bond can hold.`;
+	} else if (timeToFailure < SHEAR_REFERENCE_TIME) {
+		// Below the hold strength, but warm enough that the adhesive flows through within a minute
+		outcome = 'falls';
+		message = `Falls: ${(shearStress / 1000).toFixed(1)} kPa of shear is below the ${(holdStrength / 1000).toFixed(1)} kPa hold strength, but the adhesive creeps through in ${formatDuration(timeToFailure)} at this temperature.`;
+	} else if (Number.isFinite(timeToFailure)) {
+		outcome = 'slides';
+		message = `Creeps and slides off after about ${formatDuration(timeToFailure)} under ${load.toFixed(1)} N.`;
+	} else {
+		outcome = 'holds';
+		message = `Holds: ${load.toFixed(1)} N creeps only ${formatQuantity(creep[creep.length - 1].slip, 'mm')} in 10 years.`;
+	}
+	
+	return {
+		outcome,
+		message,
+		mass,
+		load,
+		overlapArea,
+		shearStress,
+		holdStrength,
+		stressRatio: shearStress / holdStrength,
+		timeToFailure,
+		slipAtFailure,
+		creep
+	};
+}
+
+/**
+ * Creep slip at a given time under the hang load, interpolated from calculateHangTest's curve
+ * @param {Array<Object>} creep - [{ time (s), slip (m) }] from calculateHangTest
+ * @param {number} time - Time since the load was hung (s)
+ * @returns {number} Slip in m
+ */
+export function interpolateCreep(creep, time) {
+	const next = creep.findIndex(point => point.time >= time);
+	if (next === -1) return creep[creep.length - 1].slip;
+	if (next === 0) return creep[0].slip;
+	const a = creep[next - 1];
+	const b = creep[next];
+	return a.slip + (b.slip - a.slip) * (time - a.time) / (b.time - a.time);
+}
+
+/**
+ * Format a duration in seconds with the largest sensible unit
+ * @param {number} seconds - Duration in s
+ * @returns {string} e.g. "45 s", "12 min", "5.2 h", "3.1 days", "2.4 years"
+ */
+export function formatDuration(seconds) {
+	if (!Number.isFinite(seconds)) return 'indefinitely';
+	if (seconds < 60) return `${seconds.toFixed(0)} s`;
+	if (seconds < 3600) return `${(seconds / 60).toFixed(0)} min`;
+	if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`;
+	if (seconds < 365 * 86400) return `${(seconds / 86400).toFixed(1)} days`;
+	return `${(seconds / (365 * 86400)).toFixed(1)} years`;
+}
+
+// ============================================================================
+// CUSTOM MATERIAL LIBRARY
+// ============================================================================
+
+/**
+ * User-defined materials from the in-app Material Library
+ * Same fields as the built-in tables (normalized to SI), plus:
+ * - adhesive.baseChemistry: built-in chemistry ('Acrylic', 'Rubber', 'Silicone') used for
+ *   chemistry-specific factors (shear, elasticity, aging, residue)
+ * - surface.ruptureStrength: { min, max, typical }, or null if tape cannot damage it
+ * - surface.absorption: porosity factor 0-1 for residue migration
+ * Entries are validated by the UI (display and css/ui/security.js) before being registered here.
+ */
+export const CUSTOM_MATERIALS = {
+	backing: {},
+	adhesive: {},
+	surface: {}
+};
+
+/**
+ * Replace the registered custom materials
+ * Quantities must be unit-tagged (see MATERIAL_QUANTITY_FIELDS); entries that fail the
+ * dimension check are skipped.
+ * 
+ * @param {Object} library - { backing: {}, adhesive: {}, surface: {} } keyed by material name
+ * @returns {Array<string>} Errors for skipped entries
+ */
+export function setCustomMaterials(library = {}) {
+	const errors = [];
+	['backing', 'adhesive', 'surface'].forEach(type => {
+		CUSTOM_MATERIALS[type] = {};
+		Object.entries(library[type] || {}).forEach(([name, entry]) => {
+			try {
+				CUSTOM_MATERIALS[type][name] = normalizeMaterial(type, name, entry);
+			} catch (e) {
+				errors.push(e.message);
+			}
+		});
+	});
+	return errors;
+}
+
+/**
+ * Resolve the built-in chemistry an adhesive behaves like
+ * @param {string} adhesiveType - Built-in or custom adhesive name
+ * @returns {string} 'Acrylic', 'Rubber' or 'Silicone' (unknown adhesives fall back to Acrylic)
+ */
+export function getAdhesiveChemistry(adhesiveType) {
+	if (ADHESIVE_TYPES[adhesiveType]) return adhesiveType;
+	const custom = CUSTOM_MATERIALS.adhesive[adhesiveType];
+	return custom && ADHESIVE_TYPES[custom.baseChemistry] ? custom.baseChemistry : 'Acrylic';
+}
+
+/**
+ * Get rupture strength range for a built-in or custom surface
+ * @param {string} surface - Surface name
+ * @returns {Object|null} { min, max, typical } in N/m, or null if the surface is too strong to damage
+ */
+export function getSurfaceRuptureStrength(surface) {
+	if (surface in SURFACE_RUPTURE_STRENGTH) return SURFACE_RUPTURE_STRENGTH[surface];
+	return CUSTOM_MATERIALS.surface[surface]?.ruptureStrength || null;
+}
+
+// ============================================================================
+// CALIBRATION PROFILE
+// ============================================================================
+
+/**
+ * Hand-picked peel coefficients that a calibration profile can override
+ * surface/environment hold extra multipliers on top of the database values (1 = unchanged).
+ */
+const DEFAULT_CALIBRATION = {
+	surface: {},
+	environment: {},
+	thicknessExponent: 0.3, // diminishing returns of thicker adhesive
+	lowEnergyPenalty: {
+		Acrylic: 0.5, // acrylic poor on PE/PP without primer
+		Rubber: 0.8 // rubber better but still reduced
+	}
+};
+
+const CALIBRATION_LIMITS = {
+	multiplier: [0.05, 20],
+	thicknessExponent: [0, 1.5],
+	lowEnergyPenalty: [0.05, 1.5]
+};
+
+/**
+ * Active peel calibration (defaults until setCalibration registers a fitted profile)
+ */
+export const CALIBRATION = structuredClone(DEFAULT_CALIBRATION);
+
+function clampToLimits(value, [min, max]) {
+	return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Replace the active calibration
+ * Non-numeric entries are skipped and values are clamped to plausible ranges.
+ * 
+ * @param {Object|null} profile - { surface, environment, thicknessExponent, lowEnergyPenalty }, or null for the defaults
+ * @returns {Object} The active calibration
+ */
+export function setCalibration(profile = null) {
+	const next = structuredClone(DEFAULT_CALIBRATION);
+	if (profile && typeof profile === 'object') {
+		['surface', 'environment'].forEach(kind => {
+			Object.entries(profile[kind] || {}).forEach(([name, value]) => {
+				if (Number.isFinite(value)) next[kind][name] = clampToLimits(value, CALIBRATION_LIMITS.multiplier);
+			});
+		});
+		if (Number.isFinite(profile.thicknessExponent)) {
+			next.thicknessExponent = clampToLimits(profile.thicknessExponent, CALIBRATION_LIMITS.thicknessExponent);
+		}
+		Object.keys(next.lowEnergyPenalty).forEach(adhesive => {
+			const value = profile.lowEnergyPenalty?.[adhesive];
+			if (Number.isFinite(value)) next.lowEnergyPenalty[adhesive] = clampToLimits(value, CALIBRATION_LIMITS.lowEnergyPenalty);
+		});
+	}
+	Object.assign(CALIBRATION, next);
+	return CALIBRATION;
+}
+
+// ============================================================================
+// CALCULATION FUNCTIONS
+// ============================================================================
+
+/**
+ * Calculate total tape thickness from backing + adhesive
+ * @param {string} backingMaterial - Backing material type
+ * @param {string} adhesiveType - Adhesive chemistry type
+ * @returns {number} Total thickness in m
+ */
+export function calculateTotalThickness(backingMaterial, adhesiveType) {
+	const backing = getMaterialInfo('backing', backingMaterial);
+	const adhesive = getMaterialInfo('adhesive', adhesiveType);
+	
+	if (!backing || !adhesive) return toSI(q(120, 'µm'), 'length'); // default fallback
+	
+	return backing.typicalThickness.standard + adhesive.typicalThickness.standard;
+}
+
+/**
+ * Calculate peel adhesion strength
+ * Based on adhesive type, surface material, and environmental conditions
+ * 
+ * Formula: Base Adhesion × Surface Multiplier × Environment Multiplier × Thickness Factor
+ * 
+ * A product datasheet value (params.datasheet.peelAdhesion, a quantity such as q(2.6, 'N/cm'),
+ * measured on steel) replaces the chemistry's typical base adhesion and thickness factor -
+ * the datasheet figure already reflects that product's coat weight.
+ * 
+ * @param {Object} params - Calculation parameters (UI units, see PARAM_UNITS)
+ * @returns {number} Peel adhesion in N/m
+ */
+export function calculatePeelAdhesion(params) {
+	return calculateCalibratedPeelAdhesion(params, CALIBRATION);
+}
+
+/**
+ * Peel adhesion with an explicit calibration (used by calibration fitting)
+ */
+function calculateCalibratedPeelAdhesion(params, calibration) {
+	const {
+		tape,
+		surface,
+		adhesive,
+		environment
+	} = params;
+	
+	// Base adhesion on steel (already normalized to N/m at load), or the product's datasheet value
+	const adhesiveData = getMaterialInfo('adhesive', adhesive) || ADHESIVE_TYPES['Acrylic'];
+	const datasheetPeel = params.datasheet?.peelAdhesion;
+	const baseAdhesion = datasheetPeel ? toSI(datasheetPeel, 'forcePerWidth') : adhesiveData.peelAdhesion;
+	
+	// Surface multiplier
+	const surfaceData = getMaterialInfo('surface', surface) || SURFACE_MATERIALS['Steel'];
+	const surfaceMultiplier = surfaceData.adhesionMultiplier * (Object.hasOwn(calibration.surface, surface) ? calibration.surface[surface] : 1);
+	
+	// Humidity multiplier (temperature is applied separately via calculateTemperatureEffect)
+	const envMultiplier = calculateHumidityEffect(resolveClimate(params).humidity) * (Object.hasOwn(calibration.environment, environment) ? calibration.environment[environment] : 1);
+	
+	// Thickness factor (thicker adhesive = better contact on rough surfaces)
+	// Normalized to standard thickness for that adhesive type
+	const standardThickness = adhesiveData.typicalThickness.standard;
+	const thickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : standardThickness;
+	const thicknessFactor = datasheetPeel ? 1 : Math.pow(thickness / standardThickness, calibration.thicknessExponent);
+	
+	// Apply surface-specific adjustments for low-energy substrates
+	let lowEnergyPenalty = 1.0;
+	if (surfaceData.surfaceEnergy === 'low' && Object.hasOwn(calibration.lowEnergyPenalty, adhesive)) {
+		lowEnergyPenalty = calibration.lowEnergyPenalty[adhesive];
+	} else if (surfaceData.surfaceEnergy === 'low' && !ADHESIVE_TYPES[adhesive]) {
+		// Custom adhesives declare their own low-energy affinity (e.g. LSE acrylics)
+		const affinityPenalty = { excellent: 1.0, good: 0.8, fair: 0.65, poor: 0.5 };
+		lowEnergyPenalty = affinityPenalty[adhesiveData.surfaceAffinitiy?.lowEnergy] || 0.5;
+	}
+	
+	let finalAdhesion = baseAdhesion * surfaceMultiplier * envMultiplier * thicknessFactor * lowEnergyPenalty;
+	
+	// Dwell build-up and aging (applies from the moment of application)
+	finalAdhesion *= calculateAgingEffects(params).peelRetention;
+	
+	return Math.max(toSI(q(0.1, 'N/cm'), 'forcePerWidth'), finalAdhesion); // minimum 0.1 N/cm
+}
+
+/**
+ * Calculate shear/hold strength
+ * Represents resistance to sliding under continuous load
+ * 
+ * @param {Object} params - Calculation parameters (UI units, see PARAM_UNITS)
+ * @returns {number} Hold strength in Pa
+ */
+export function calculateHoldStrength(params) {
+	const {
+		tape,
+		surface,
+		adhesive,
+		environment
+	} = params;
+	
+	// Shear strength is typically 1.5-3× higher than peel strength
+	// (empirical rule of thumb: hold in N/cm² ≈ multiplier × peel in N/cm)
+	const peelStrength = fromSI(calculatePeelAdhesion(params), 'N/cm');
+	
+	// Adhesive-specific shear multipliers
+	const shearMultipliers = {
 		'Acrylic': 2.5, // high cohesive strength
 		'Rubber': 2.0, // medium cohesive strength
 		'Silicone': 3.5 // very high cohesive strength
 	};
 	
-	const multiplier = shearMultipliers[adhesive] || 2.5;
+	const multiplier = shearMultipliers[getAdhesiveChemistry(adhesive)] || 2.5;
 	
 	// Thickness helps with shear (more cohesive material)
-	const adhesiveData = ADHESIVE_TYPES[adhesive] || ADHESIVE_TYPES['Acrylic'];
+	const adhesiveData = getMaterialInfo('adhesive', adhesive) || ADHESIVE_TYPES['Acrylic'];
 	const standardThickness = adhesiveData.typicalThickness.standard;
+	const thickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : standardThickness;
 	const thicknessFactor = Math.pow(thickness / standardThickness, 0.4);
 	
 	const holdStrength = peelStrength * multiplier * thicknessFactor;
 	
-	return Math.max(0.5, holdStrength); // minimum 0.5 N/cm²
+	return toSI(q(Math.max(0.5, holdStrength), 'N/cm²'), 'stress'); // minimum 0.5 N/cm²
 }
 
 /**
@@ -509,12 +1698,11 @@ export function calculateHoldStrength(params) {
 export function calculateStretch(params) {
 	const {
 		tape,
-		adhesive,
-		thickness
+		adhesive
 	} = params;
 	
 	// Get base elongation from backing material
-	const backingData = BACKING_MATERIALS[tape] || BACKING_MATERIALS['PVC'];
+	const backingData = getMaterialInfo('backing', tape) || BACKING_MATERIALS['PVC'];
 	let baseStretch = backingData.elongation;
 	
 	// Adhesive layer adds slight elasticity
@@ -524,10 +1712,11 @@ export function calculateStretch(params) {
 		'Silicone': 0.95 // very cohesive, reduces stretch
 	};
 	
-	const adhesiveMultiplier = adhesiveElasticity[adhesive] || 1.0;
+	const adhesiveMultiplier = adhesiveElasticity[getAdhesiveChemistry(adhesive)] || 1.0;
 	
 	// Thicker backing = slightly less relative stretch (more rigid structure)
 	const standardThickness = backingData.typicalThickness.standard;
+	const thickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : standardThickness;
 	const thicknessFactor = Math.pow(standardThickness / thickness, 0.15);
 	
 	const finalStretch = baseStretch * adhesiveMultiplier * thicknessFactor;
@@ -535,22 +1724,81 @@ export function calculateStretch(params) {
 	return Math.max(1, finalStretch); // minimum 1%
 }
 
+/**
+ * Dwell build-up by adhesive chemistry at 23°C
+ * initial: fraction of ultimate adhesion right after rub-down
+ * wetOutHours: time constant for the adhesive to flow into the surface
+ * (acrylics reach ~90% after 24h and full strength after 72h; rubber grabs fast)
+ * Database peel values are the ultimate, fully wetted-out adhesion
+ */
+const DWELL_BUILD_UP = {
+	'Acrylic': { initial: 0.5, wetOutHours: 10 },
+	'Rubber': { initial: 0.8, wetOutHours: 2 },
+	'Silicone': { initial: 0.6, wetOutHours: 6 }
+};
+
+/**
+ * Surface texture effect on wet-out
+ * contact: share of the initial contact area reached at rub-down
+ * slowdown: multiplier on the wet-out time constant (adhesive must flow into valleys)
+ */
+const TEXTURE_WET_OUT = {
+	'very smooth': { contact: 1.0, slowdown: 0.7 },
+	'smooth': { contact: 1.0, slowdown: 1.0 },
+	'smooth to medium': { contact: 0.9, slowdown: 1.3 },
+	'medium': { contact: 0.8, slowdown: 1.7 },
+	'rough': { contact: 0.65, slowdown: 2.5 }
+};
+
+/**
+ * Calculate bond build-up during dwell (wet-out)
+ * Rises from the initial tack toward full adhesion; warmth speeds flow up,
+ * roughly doubling per 10°C (the same Arrhenius-style rule as aging)
+ * 
+ * Formula: initial + (1 - initial) × (1 - e^(-t/τ)), with t/τ integrated over the environment schedule
+ * 
+ * @param {Object} params - Calculation parameters (timeImpactDays may be fractional)
+ * @returns {Object} buildUp (0-1 of ultimate adhesion), wetOutHours (τ) and fullBondHours (~95% point)
+ */
+export function calculateDwellBuildUp(params) {
+	const { adhesive, surface, timeImpactDays = 0 } = params;
+	
+	const chemistry = DWELL_BUILD_UP[getAdhesiveChemistry(adhesive)] || DWELL_BUILD_UP['Acrylic'];
+	const surfaceData = getMaterialInfo('surface', surface) || SURFACE_MATERIALS['Steel'];
+	const texture = TEXTURE_WET_OUT[surfaceData.texture] || TEXTURE_WET_OUT['smooth'];
+	const temperatureSpeedUp = (temperature) => Math.pow(2, (temperature - 23) / 10);
+	
+	// τ at the application climate; the flow itself follows the climate over time
+	const referenceHours = chemistry.wetOutHours * texture.slowdown;
+	const wetOutHours = referenceHours / temperatureSpeedUp(resolveStartClimate(params).temperature);
+	const initial = chemistry.initial * texture.contact;
+	
+	const flowHours = integrateClimate(params, 0, Math.max(0, timeImpactDays), temperatureSpeedUp) * 24;
+	const buildUp = initial + (1 - initial) * (1 - Math.exp(-flowHours / referenceHours));
+	
+	return {
+		buildUp,
+		wetOutHours,
+		fullBondHours: wetOutHours * 3 // e^-3 ≈ 5% left to wet out
+	};
+}
+
 /**
  * Calculate aging/degradation factor over time
- * Based on time exposure, environment, and material properties
+ * Combines dwell build-up, a plateau while the bond is established and
+ * exponential degradation afterwards (based on environment and material properties)
  * 
- * @param {Object} params - Calculation parameters
- * @returns {Object} Aging factors for peel, hold, and stretch
+ * @param {Object} params - Calculation parameters (timeImpactDays may be fractional)
+ * @returns {Object} Aging factors for peel, hold, and stretch plus the current phase
  */
 export function calculateAgingEffects(params) {
 	const {
 		adhesive,
 		environment,
-		timeImpactDays
+		timeImpactDays = 0
 	} = params;
 	
-	const envData = ENVIRONMENTAL_CONDITIONS[environment] || ENVIRONMENTAL_CONDITIONS['Dry'];
-	const agingRate = envData.agingFactor;
+	const dwell = calculateDwellBuildUp(params);
 	
 	// UV/aging resistance by adhesive type
 	const uvResistance = {
@@ -559,19 +1807,29 @@ export function calculateAgingEffects(params) {
 		'Silicone': 0.997 // excellent - very stable (0.3% loss per year)
 	};
 	
-	const dailyDegradation = uvResistance[adhesive] || 0.990;
-	const environmentAdjustedRate = Math.pow(dailyDegradation, agingRate);
+	const dailyDegradation = uvResistance[getAdhesiveChemistry(adhesive)] || 0.990;
+	
+	// Degradation only starts once the bond is fully built up; each day counts at its climate's aging rate
+	const agingDays = integrateClimate(params, dwell.fullBondHours / 24, timeImpactDays, calculateClimateAgingFactor);
+	const degradation = Math.pow(dailyDegradation, agingDays);
 	
-	// Calculate retention after exposure time
-	const retentionFactor = Math.pow(environmentAdjustedRate, timeImpactDays);
+	// Shear degrades slightly faster than peel
+	const holdDegradation = Math.pow(degradation, 1.05);
 	
 	// Stretch increases slightly over time due to creep (opposite of strength loss)
-	const stretchIncrease = 1 + ((1 - retentionFactor) * 0.3);
+	const stretchIncrease = 1 + ((1 - degradation) * 0.3);
+	
+	const phase = timeImpactDays * 24 < dwell.fullBondHours ? 'build-up' :
+	              degradation > 0.98 ? 'plateau' : 'degradation';
 	
 	return {
-		peelRetention: retentionFactor,
-		holdRetention: retentionFactor * 0.95, // shear degrades slightly faster
-		stretchChange: stretchIncrease
+		peelRetention: dwell.buildUp * degradation,
+		holdRetention: dwell.buildUp * holdDegradation,
+		stretchChange: stretchIncrease,
+		buildUp: dwell.buildUp,
+		degradation,
+		fullBondHours: dwell.fullBondHours,
+		phase
 	};
 }
 
@@ -605,7 +1863,7 @@ export function calculateTemperatureEffect(temperature, adhesive) {
 		'Silicone': 260 // extreme tolerance
 	};
 	
-	const maxTemp = heatTolerance[adhesive] || 80;
+	const maxTemp = heatTolerance[adhesive] || getMaterialInfo('adhesive', adhesive)?.temperatureRange?.max || 80;
 	
 	if (temperature > optimalMax) {
 		const heatPenalty = (temperature - optimalMax) / (maxTemp - optimalMax);
@@ -620,7 +1878,7 @@ export function calculateTemperatureEffect(temperature, adhesive) {
  * Returns calculated values for display
  * 
  * @param {Object} params - All parameters from state
- * @returns {Object} Calculated properties
+ * @returns {Object} Calculated properties in SI: peel (N/m), hold (Pa), stretch (%), totalThickness (m)
  */
 export function calculateTapeProperties(params) {
 	// Calculate base properties
@@ -628,46 +1886,41 @@ export function calculateTapeProperties(params) {
 	const hold = calculateHoldStrength(params);
 	const stretch = calculateStretch(params);
 	
-	// Apply aging effects if time impact is specified
+	// Peel (and hold, which derives from it) already include dwell and aging;
+	// only the extra shear degradation and creep stretch are applied here
+	const aging = calculateAgingEffects(params);
 	let finalPeel = peel;
-	let finalHold = hold;
-	let finalStretch = stretch;
+	let finalHold = hold * (aging.holdRetention / aging.peelRetention);
+	let finalStretch = stretch * aging.stretchChange;
 	
-	if (params.timeImpactDays && params.timeImpactDays > 0) {
-		const aging = calculateAgingEffects(params);
-		finalPeel = peel * aging.peelRetention;
-		finalHold = hold * aging.holdRetention;
-		finalStretch = stretch * aging.stretchChange;
-	}
-	
-	// Get environment temperature for temperature effect
-	const envData = ENVIRONMENTAL_CONDITIONS[params.environment] || ENVIRONMENTAL_CONDITIONS['Dry'];
-	const tempEffect = calculateTemperatureEffect(envData.temperature.typical, params.adhesive);
+	// Temperature effect at the actual climate temperature
+	const tempEffect = calculateTemperatureEffect(resolveClimate(params).temperature, params.adhesive);
 	
 	finalPeel *= tempEffect;
 	finalHold *= tempEffect;
 	
 	return {
-		peel: finalPeel.toFixed(2),
-		hold: finalHold.toFixed(2),
-		stretch: finalStretch.toFixed(1),
+		peel: finalPeel,
+		hold: finalHold,
+		stretch: finalStretch,
 		totalThickness: calculateTotalThickness(params.tape, params.adhesive),
-		agingEffect: params.timeImpactDays > 0 ? calculateAgingEffects(params) : null,
+		agingEffect: aging,
 		temperatureEffect: tempEffect.toFixed(3)
 	};
 }
 
 /**
  * Get material information for display
+ * Looks up built-in tables first, then the custom material library
  */
 export function getMaterialInfo(materialType, materialName) {
 	switch (materialType) {
 		case 'backing':
-			return BACKING_MATERIALS[materialName];
+			return BACKING_MATERIALS[materialName] || CUSTOM_MATERIALS.backing[materialName];
 		case 'adhesive':
-			return ADHESIVE_TYPES[materialName];
+			return ADHESIVE_TYPES[materialName] || CUSTOM_MATERIALS.adhesive[materialName];
 		case 'surface':
-			return SURFACE_MATERIALS[materialName];
+			return SURFACE_MATERIALS[materialName] || CUSTOM_MATERIALS.surface[materialName];
 		case 'environment':
 			return ENVIRONMENTAL_CONDITIONS[materialName];
 		default:
@@ -676,70 +1929,96 @@ export function getMaterialInfo(materialType, materialName) {
 }
 
 /**
- * Calculate mixed tape properties
- * Averages properties of two different tape types to simulate a layered or composite tape
+ * Most backing layers a laminate may stack
+ */
+export const MAX_LAMINATE_LAYERS = 6;
+
+/**
+ * Backing layers of a tape, outermost first; the last layer carries the adhesive
+ * params.layers ([{ material, thickness (µm) }]) describes a laminate; otherwise tape
+ * (plus tape2 on the outside for the legacy two-backing variant) at datasheet thickness.
  * 
- * @param {Object} params - Calculation parameters including tape1 and tape2
- * @returns {Object} Mixed tape properties
+ * @param {Object} params - Calculation parameters
+ * @returns {Array<Object>} [{ material, backing (normalized entry), thickness (m) }]
  */
-export function calculateMixedTapeProperties(params) {
-	const {
-		tape1,
-		tape2,
-		surface,
-		adhesive,
-		environment,
-		thickness,
-		timeImpactDays
-	} = params;
+export function getBackingLayers(params) {
+	const entries = Array.isArray(params.layers) && params.layers.length > 0 ?
+		params.layers :
+		[params.tape2, params.tape].filter(Boolean).map(material => ({ material }));
 	
-	// Calculate properties for each tape individually
-	const props1 = calculateTapeProperties({
-		tape: tape1,
-		surface,
-		adhesive,
-		environment,
-		thickness: thickness / 2, // Each tape contributes half the thickness
-		timeImpactDays
+	return entries.slice(0, MAX_LAMINATE_LAYERS).map(({ material, thickness }) => {
+		const backing = getMaterialInfo('backing', material) || BACKING_MATERIALS['PVC'];
+		return {
+			material,
+			backing,
+			thickness: Number.isFinite(thickness) && thickness > 0 ? toSI(q(thickness, 'µm'), 'length') : backing.typicalThickness.standard
+		};
 	});
+}
+
+/**
+ * Calculate laminate (layer stack) properties
+ * - Peel and hold come from the adhesive on the contact layer (the last layer);
+ *   the rest of the stack only stiffens the peel arm (see calculatePeelMechanics)
+ * - Stretch is stiffness-weighted: layers strain together, so each layer counts
+ *   in proportion to its tensile stiffness E·t
+ * - Thickness is the sum of all layers plus the adhesive
+ * 
+ * @param {Object} params - Calculation parameters with layers (or tape/tape2)
+ * @returns {Object} Laminate properties in SI (same units as calculateTapeProperties) plus per-layer detail
+ */
+export function calculateLaminateProperties(params) {
+	const layers = getBackingLayers(params);
+	const contact = layers[layers.length - 1];
+	const contactProps = calculateTapeProperties({ ...params, tape: contact.material });
 	
-	const props2 = calculateTapeProperties({
-		tape: tape2,
-		surface,
-		adhesive,
-		environment,
-		thickness: thickness / 2,
-		timeImpactDays
+	const detail = layers.map(layer => {
+		const stiffness = estimateBackingModulus(layer.backing) * layer.thickness;
+		return {
+			material: layer.material,
+			thickness: layer.thickness,
+			modulus: estimateBackingModulus(layer.backing),
+			stiffness,
+			// Stretch scales with this layer's own gauge, not the adhesive thickness in params
+			stretch: calculateTapeProperties({ ...params, tape: layer.material, thickness: fromSI(layer.thickness, PARAM_UNITS.thickness) }).stretch
+		};
+	});
+	const totalStiffness = detail.reduce((sum, layer) => sum + layer.stiffness, 0);
+	detail.forEach(layer => {
+		layer.stiffnessShare = layer.stiffness / totalStiffness;
 	});
 	
-	// Average the properties
-	// For adhesion, use weighted average (surface contact is from one tape primarily)
-	const avgPeel = (parseFloat(props1.peel) * 0.6 + parseFloat(props2.peel) * 0.4);
-	const avgHold = (parseFloat(props1.hold) * 0.6 + parseFloat(props2.hold) * 0.4);
-	
-	// For stretch, the composite behavior is more complex - use harmonic mean
-	// (the less stretchy material limits the overall stretch)
-	const stretch1 = parseFloat(props1.stretch);
-	const stretch2 = parseFloat(props2.stretch);
-	const avgStretch = (2 * stretch1 * stretch2) / (stretch1 + stretch2);
-	
-	// Total thickness is sum of both backings plus adhesive layer
-	const backing1 = BACKING_MATERIALS[tape1];
-	const backing2 = BACKING_MATERIALS[tape2];
-	const adhesiveData = ADHESIVE_TYPES[adhesive];
-	const totalThickness = (backing1?.typicalThickness?.standard || 0) + 
-	                       (backing2?.typicalThickness?.standard || 0) + 
-	                       (adhesiveData?.typicalThickness?.standard || 0);
+	const adhesiveData = getMaterialInfo('adhesive', params.adhesive) || ADHESIVE_TYPES['Acrylic'];
+	const adhesiveThickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : adhesiveData.typicalThickness.standard;
+	const backingThickness = layers.reduce((sum, layer) => sum + layer.thickness, 0);
 	
 	return {
-		peel: avgPeel.toFixed(2),
-		hold: avgHold.toFixed(2),
-		stretch: avgStretch.toFixed(1),
-		totalThickness: Math.round(totalThickness),
-		description: `Composite of ${tape1} and ${tape2}`
+		peel: contactProps.peel,
+		hold: contactProps.hold,
+		stretch: detail.reduce((sum, layer) => sum + layer.stiffnessShare * layer.stretch, 0),
+		totalThickness: backingThickness + adhesiveThickness,
+		backingThickness,
+		stiffness: totalStiffness,
+		contactLayer: contact.material,
+		layers: detail,
+		agingEffect: contactProps.agingEffect,
+		temperatureEffect: contactProps.temperatureEffect,
+		description: `Laminate of ${layers.map(layer => layer.material).join(' / ')}`
 	};
 }
 
+/**
+ * Calculate two-backing variant properties (tape1 on the adhesive, tape2 outside)
+ * Kept for callers with tape1/tape2; a two-layer laminate at datasheet thicknesses
+ * 
+ * @param {Object} params - Calculation parameters including tape1 and tape2
+ * @returns {Object} Laminate properties (see calculateLaminateProperties)
+ */
+export function calculateMixedTapeProperties(params) {
+	const { tape1, tape2, ...rest } = params;
+	return calculateLaminateProperties({ ...rest, layers: [{ material: tape2 }, { material: tape1 }] });
+}
+
 /**
  * Calculate UV degradation yellow tint intensity
  * Returns a value from 0 (no yellowing) to 1 (maximum yellowing)
@@ -747,7 +2026,7 @@ export function calculateMixedTapeProperties(params) {
  * - Time exposure (0-366 days)
  * - Backing material UV resistance
  * - Adhesive UV resistance
- * - Environmental UV exposure
+ * - Climate (temperature/humidity accelerate yellowing)
  * 
  * @param {Object} params - Calculation parameters
  * @returns {number} Yellow tint intensity (0-1)
@@ -763,9 +2042,8 @@ export function calculateUVDegradation(params) {
 	if (timeImpactDays === 0) return 0;
 	
 	// Get material data
-	const backingData = BACKING_MATERIALS[backing];
-	const adhesiveData = ADHESIVE_TYPES[adhesive];
-	const envData = ENVIRONMENTAL_CONDITIONS[environment] || ENVIRONMENTAL_CONDITIONS['Dry'];
+	const backingData = getMaterialInfo('backing', backing);
+	const adhesiveData = getMaterialInfo('adhesive', adhesive);
 	
 	if (!backingData || !adhesiveData) return 0;
 	
@@ -781,24 +2059,17 @@ export function calculateUVDegradation(params) {
 	const backingRate = uvResistanceToRate[backingData.uvResistance] || 0.3;
 	const adhesiveRate = uvResistanceToRate[adhesiveData.uvResistance] || 0.3;
 	
-	// Environment UV exposure multiplier
-	// Tropical/Arid = high UV, Humid/Dry = moderate, Semiarid = high
-	const envUVMultiplier = {
-		'Tropical': 1.5,    // Equatorial high UV
-		'Arid': 1.4,        // Desert high UV
-		'Semiarid': 1.2,    // Mediterranean moderate-high
-		'Dry': 1.0,         // Indoor/temperate
-		'Humid': 0.9        // Often cloudy, less direct sun
-	};
-	const uvMultiplier = envUVMultiplier[environment] || 1.0;
-	
 	// Combined degradation rate (adhesive yellowing is usually more visible)
-	const combinedRate = (backingRate * 0.4 + adhesiveRate * 0.6) * uvMultiplier;
+	const combinedRate = backingRate * 0.4 + adhesiveRate * 0.6;
 	
-	// Time-based yellowing curve (logarithmic - fast at first, then slows)
-	// At 366 days with high degradation rate, reaches ~0.9
-	const timeFactorDays = timeImpactDays / 366; // Normalize to 0-1
-	const yellowIntensity = Math.min(1.0, combinedRate * (0.3 + 0.7 * Math.log10(1 + timeFactorDays * 9)));
+	// Time-based yellowing curve (logarithmic - fast at first, then slows): 0.3 on exposure, then
+	// 0.7 × log10(1 + 9t/366), each stretch weighted by its climate UV multiplier
+	// (heat and moisture accelerate photo-oxidation). At 366 days with high degradation rate, reaches ~0.9
+	const yellowingCurve = (days) => 0.7 * Math.log10(1 + days / 366 * 9);
+	const startClimate = resolveStartClimate(params);
+	const exposure = 0.3 * calculateClimateUVFactor(startClimate.temperature, startClimate.humidity) +
+		integrateClimate(params, 0, timeImpactDays, calculateClimateUVFactor, yellowingCurve);
+	const yellowIntensity = Math.min(1.0, combinedRate * exposure);
 	
 	return yellowIntensity;
 }
@@ -810,7 +2081,7 @@ export function calculateUVDegradation(params) {
  * - Time exposure allowing adhesive migration
  * - Adhesive type (rubber bleeds more than acrylic)
  * - Surface porosity
- * - Temperature (heat accelerates migration)
+ * - Temperature and humidity (heat accelerates migration)
  * 
  * @param {Object} params - Calculation parameters
  * @returns {number} Residue tint intensity (0-1)
@@ -826,9 +2097,8 @@ export function calculateAdhesiveResidue(params) {
 	if (timeImpactDays === 0) return 0;
 	
 	// Get material data
-	const adhesiveData = ADHESIVE_TYPES[adhesive];
-	const surfaceData = SURFACE_MATERIALS[surface];
-	const envData = ENVIRONMENTAL_CONDITIONS[environment] || ENVIRONMENTAL_CONDITIONS['Dry'];
+	const adhesiveData = getMaterialInfo('adhesive', adhesive);
+	const surfaceData = getMaterialInfo('surface', surface);
 	
 	if (!adhesiveData || !surfaceData) return 0;
 	
@@ -839,7 +2109,7 @@ export function calculateAdhesiveResidue(params) {
 		'Rubber': 0.8,    // Known for leaving sticky residue
 		'Silicone': 0.1   // Minimal transfer
 	};
-	const residueFactor = adhesiveResidueFactor[adhesive] || 0.4;
+	const residueFactor = adhesiveResidueFactor[getAdhesiveChemistry(adhesive)] || 0.4;
 	
 	// Surface porosity factor
 	// Porous surfaces absorb adhesive, non-porous can be cleaned
@@ -858,17 +2128,15 @@ export function calculateAdhesiveResidue(params) {
 		'Damaged Wall Paint': 0.7,
 		'Photo': 0.5
 	};
-	const absorptionFactor = surfaceAbsorptionFactor[surface] || 0.4;
-	
-	// Temperature accelerates adhesive flow/migration
-	const tempFactor = Math.max(0.5, Math.min(2.0, envData.temperature.typical / 20));
+	const absorptionFactor = surfaceAbsorptionFactor[surface] || surfaceData.absorption || 0.4;
 	
-	// Time-based residue accumulation (square root curve - slow buildup)
-	const timeFactorDays = Math.sqrt(timeImpactDays / 366); // 0-1, slower growth
+	// Time-based residue accumulation (square root curve - slow buildup), each stretch weighted by
+	// its climate: heat accelerates adhesive flow/migration, humidity helps it wick into porous surfaces
+	const migration = integrateClimate(params, 0, timeImpactDays, calculateClimateResidueFactor, days => Math.sqrt(days / 366));
 	
 	// Combined residue intensity
 	const residueIntensity = Math.min(1.0, 
-		residueFactor * absorptionFactor * tempFactor * timeFactorDays * 1.2
+		residueFactor * absorptionFactor * migration * 1.2
 	);
 	
 	return residueIntensity;
@@ -908,3 +2176,748 @@ export function calculateTapeYellowTint(params) {
 		cssFilter: `sepia(${(combinedIntensity * 0.8).toFixed(2)}) saturate(${(1 + combinedIntensity * 2).toFixed(2)}) hue-rotate(${(combinedIntensity * 15).toFixed(0)}deg) brightness(${(1 - combinedIntensity * 0.2).toFixed(2)})`
 	};
 }
+
+/**
+ * How each surface gives way when a peel overloads it
+ * fibres: paper/board splits and the torn fibres stay on the tape
+ * flakes: paint chips off down to the plaster
+ * delamination: the image layer lifts off the photo's paper base
+ */
+export const SURFACE_DAMAGE_MODES = {
+	'Paper Note': 'fibres',
+	'Manga Paper': 'fibres',
+	'Sketchbook Paper': 'fibres',
+	'Rough Carton': 'fibres',
+	'Door Veneer': 'fibres',
+	'Wall Paint': 'flakes',
+	'Damaged Wall Paint': 'flakes',
+	'Photo': 'delamination',
+	'Textured / Thick Photo': 'delamination'
+};
+
+/**
+ * Damage ratio at which marks start to show: a surface 3× stronger than the peel (low risk) stays clean
+ */
+const DAMAGE_MARK_ONSET = 1 / 3;
+
+/**
+ * Marks a peel leaves on the surface under the tape footprint
+ * The damage ratio is the load the peel front actually reaches (a snapping backing caps it)
+ * over the load that tears the surface. Between the onset and 1 the surface only lifts in
+ * small spots; past 1 it tears and the damaged share of the footprint grows with the overload.
+ * Residue covers a share of the footprint that follows calculateAdhesiveResidue.
+ * 
+ * @param {Object} params - Calculation parameters (as for calculatePeelOutcome)
+ * @param {Object} [peelOutcome] - calculatePeelOutcome result for the same params
+ * @returns {Object} { mode, damageRatio, damageShare (0-1), residue (0-1), residueShare (0-1) }
+ */
+export function calculateSurfaceDamageMarks(params, peelOutcome = calculatePeelOutcome(params)) {
+	const { peelLoad, breakingLoad, surfaceTearLoad } = peelOutcome;
+	const damageRatio = Number.isFinite(surfaceTearLoad) ? Math.min(peelLoad, breakingLoad) / surfaceTearLoad : 0;
+	
+	let damageShare = 0;
+	if (damageRatio >= 1) {
+		damageShare = 0.15 + 0.85 * (1 - 1 / damageRatio);
+	} else if (damageRatio > DAMAGE_MARK_ONSET) {
+		damageShare = 0.15 * Math.pow((damageRatio - DAMAGE_MARK_ONSET) / (1 - DAMAGE_MARK_ONSET), 2);
+	}
+	
+	const residue = calculateAdhesiveResidue(params);
+	
+	return {
+		mode: damageShare > 0 ? (SURFACE_DAMAGE_MODES[params.surface] || 'flakes') : null,
+		damageRatio,
+		damageShare,
+		residue,
+		residueShare: Math.min(0.9, residue * 1.2)
+	};
+}
+
+// ============================================================================
+// DOUBLE-SIDED & TRANSFER TAPE
+// ============================================================================
+
+/**
+ * Tape constructions
+ * - single: one adhesive face on one surface (every other calculation assumes this)
+ * - double-sided: adhesive on both faces of a carrier core (the backing layers), each face on its own surface
+ * - transfer: an unsupported adhesive film, the same adhesive on both faces
+ */
+export const TAPE_MODES = {
+	'single': { label: 'Single-sided' },
+	'double-sided': { label: 'Double-sided (carrier core)' },
+	'transfer': { label: 'Transfer tape (adhesive only)' }
+};
+
+/**
+ * Share of a carrier layer's tensile capacity (σ × t per width) that resists splitting when the
+ * substrates are pulled apart - the crack runs through a thin damage zone, so a 2 MPa foam core
+ * splits long before a film carrier does
+ */
+const CORE_CLEAVAGE_FACTOR = 0.25;
+
+/**
+ * Cohesive splitting force of an unsupported adhesive film relative to its datasheet peel adhesion
+ * (ratios below ~1.5 are why rubber transfer tapes tend to split and leave adhesive on both sides)
+ */
+const ADHESIVE_COHESION_RATIO = {
+	'Acrylic': 1.6,
+	'Rubber': 1.1,
+	'Silicone': 2.2
+};
+
+/**
+ * Parameters seen by face B: its own adhesive, adhesive thickness and surface
+ * (a transfer tape is a single film, so face B keeps face A's adhesive and thickness)
+ * 
+ * @param {Object} params - Calculation parameters with adhesiveB, thicknessB (µm) and surfaceB
+ * @returns {Object} Parameters for the face B interface
+ */
+export function getFaceBParams(params) {
+	const transfer = params.tapeMode === 'transfer';
+	return {
+		...params,
+		adhesive: transfer ? params.adhesive : (params.adhesiveB ?? params.adhesive),
+		thickness: transfer ? params.thickness : (params.thicknessB ?? params.thickness),
+		surface: params.surfaceB ?? params.surface
+	};
+}
+
+/**
+ * Line force (N/m) that splits the core: the weakest carrier layer, or the adhesive film itself
+ * for transfer tape (cohesion softens with temperature like the bond does)
+ */
+function calculateCoreSplit(params) {
+	if (params.tapeMode === 'transfer') {
+		const adhesive = getMaterialInfo('adhesive', params.adhesive) || ADHESIVE_TYPES['Acrylic'];
+		const standardThickness = adhesive.typicalThickness.standard;
+		const thickness = Number.isFinite(params.thickness) ? paramToSI(params, 'thickness') : standardThickness;
+		const ratio = ADHESIVE_COHESION_RATIO[getAdhesiveChemistry(params.adhesive)] || 1.6;
+		const temperatureEffect = calculateTemperatureEffect(resolveClimate(params).temperature, params.adhesive);
+		return {
+			material: `${params.adhesive} film`,
+			force: adhesive.peelAdhesion * ratio * Math.pow(thickness / standardThickness, 0.4) * temperatureEffect
+		};
+	}
+	
+	return getBackingLayers(params)
+		.map(layer => ({ material: layer.material, force: layer.backing.tensileStrength * layer.thickness * CORE_CLEAVAGE_FACTOR }))
+		.reduce((weakest, layer) => layer.force < weakest.force ? layer : weakest);
+}
+
+/**
+ * One adhesive/surface interface: the line force that releases the bond and the one that tears the surface
+ */
+function assessInterface(face, params) {
+	const mechanics = calculatePeelMechanics(params);
+	const damage = calculateSurfaceDamageRisk(params);
+	// The surface carries a fixed share of the peel force, so it tears once that share reaches its strength
+	const tearForce = damage.canDamage ? damage.surfaceStrength * mechanics.peelForce / mechanics.surfaceLoad : Infinity;
+	
+	return {
+		face,
+		adhesive: params.adhesive,
+		surface: params.surface,
+		bondForce: mechanics.peelForce,
+		tearForce,
+		limit: Math.min(mechanics.peelForce, tearForce),
+		failure: tearForce < mechanics.peelForce ? 'tear' : 'release',
+		damage,
+		residue: calculateAdhesiveResidue(params)
+	};
+}
+
+/**
+ * Assess a double-sided or transfer tape joint being pulled apart
+ * Both interfaces and the core carry the same line load, so the weakest of the four limits gives
+ * way first: face A or B releases (or tears its surface) or the core splits.
+ * Each face then reports what its surface suffers:
+ * - 'released': the bond let go here; the surface keeps only adhesive residue
+ * - 'torn': the surface ruptured under this face
+ * - 'keeps tape': tape (or half the split core) stays stuck and must be peeled off later - damage is
+ *   the single-sided peel risk for that face
+ * 
+ * @param {Object} params - Calculation parameters (face A = adhesive/thickness/surface,
+ *   face B = adhesiveB/thicknessB/surfaceB, core = tape or layers, width in mm)
+ * @returns {Object} { mode, faces: [A, B], core, firstFailure ('A' | 'B' | 'core'), failureLoad (N), message }
+ */
+export function calculateDoubleSidedJoint(params) {
+	const width = paramToSI(params, 'width', 10);
+	const faces = [assessInterface('A', params), assessInterface('B', getFaceBParams(params))];
+	const core = calculateCoreSplit(params);
+	
+	const limits = [
+		...faces.map(face => ({ id: face.face, force: face.limit })),
+		{ id: 'core', force: core.force }
+	];
+	const first = limits.reduce((weakest, limit) => limit.force < weakest.force ? limit : weakest);
+	const failureLoad = first.force * width;
+	
+	faces.forEach(face => {
+		if (face.face === first.id) {
+			face.status = face.failure === 'tear' ? 'torn' : 'released';
+		} else {
+			face.status = 'keeps tape';
+		}
+		face.bondLoad = face.bondForce * width;
+		face.tearLoad = face.tearForce * width;
+	});
+	
+	let message;
+	if (first.id === 'core') {
+		message = `The ${core.material} core splits at ${failureLoad.toFixed(1)} N before either bond releases - both ${faces[0].surface} and ${faces[1].surface} keep a layer of tape.`;
+	} else {
+		const failed = faces.find(face => face.face === first.id);
+		const other = faces.find(face => face.face !== first.id);
+		message = failed.status === 'torn' ?
+			`The ${failed.surface} under face ${failed.face} tears at ${failureLoad.toFixed(1)} N before its ${failed.adhesive} bond releases - the tape stays on ${other.surface}.` :
+			`Face ${failed.face} (${failed.adhesive} on ${failed.surface}) lets go first at ${failureLoad.toFixed(1)} N - the tape stays on ${other.surface}.`;
+	}
+	
+	return {
+		mode: params.tapeMode,
+		faces,
+		core: { ...core, load: core.force * width },
+		firstFailure: first.id,
+		failureLoad,
+		message
+	};
+}
+
+// ============================================================================
+// PARAMETER SWEEPS & SENSITIVITY
+// ============================================================================
+
+/**
+ * Axes a sweep or sensitivity study can vary
+ * values() lists the options (material axes include custom materials);
+ * swing is the low/high range used by the tornado chart for numeric inputs;
+ * apply() returns params with the axis set (presets also set their climate);
+ * climate axes are left out while an environment schedule is active (see getSweepAxes).
+ */
+export const SWEEP_AXES = {
+	surface: {
+		label: 'Surface',
+		values: () => [...Object.keys(SURFACE_MATERIALS), ...Object.keys(CUSTOM_MATERIALS.surface)]
+	},
+	tape: {
+		label: 'Backing',
+		values: () => [...Object.keys(BACKING_MATERIALS), ...Object.keys(CUSTOM_MATERIALS.backing)]
+	},
+	adhesive: {
+		label: 'Adhesive',
+		values: () => [...Object.keys(ADHESIVE_TYPES), ...Object.keys(CUSTOM_MATERIALS.adhesive)]
+	},
+	environment: {
+		label: 'Environment',
+		climate: true,
+		values: () => Object.keys(ENVIRONMENTAL_CONDITIONS),
+		apply: (params, value) => ({
+			...params,
+			environment: value,
+			temperature: ENVIRONMENTAL_CONDITIONS[value].temperature.typical,
+			humidity: ENVIRONMENTAL_CONDITIONS[value].humidity.typical
+		})
+	},
+	thickness: {
+		label: 'Adhesive thickness',
+		unit: 'µm',
+		values: () => [25, 50, 75, 100, 125, 150, 200],
+		swing: [25, 200]
+	},
+	timeImpactDays: {
+		label: 'Time',
+		unit: 'days',
+		values: () => [0, 10 / 1440, 1 / 24, 1, 3, 7, 30, 90, 180, 366],
+		swing: [0, 366]
+	},
+	temperature: {
+		label: 'Temperature',
+		unit: '°C',
+		climate: true,
+		values: () => [-10, 0, 10, 20, 30, 40, 50, 60],
+		swing: [-10, 50]
+	},
+	humidity: {
+		label: 'Humidity',
+		unit: '% RH',
+		climate: true,
+		values: () => [0, 20, 40, 60, 80, 100],
+		swing: [10, 90]
+	},
+	peelAngle: {
+		label: 'Peel angle',
+		unit: '°',
+		values: () => [30, 60, 90, 120, 150, 180],
+		swing: [30, 180]
+	},
+	peelRate: {
+		label: 'Peel rate',
+		unit: 'mm/min',
+		values: () => [30, 100, 300, 1200, 3000, 10000],
+		swing: [30, 10000]
+	}
+};
+
+/**
+ * Set one sweep axis on a copy of the params
+ * @param {Object} params - Base calculation parameters
+ * @param {string} axisKey - Key of SWEEP_AXES
+ * @param {*} value - Axis value
+ * @returns {Object} New params
+ */
+export function applySweepAxis(params, axisKey, value) {
+	const axis = SWEEP_AXES[axisKey];
+	return axis.apply ? axis.apply(params, value) : { ...params, [axisKey]: value };
+}
+
+/**
+ * Sweep axes that can vary for these params
+ * An active environment schedule sets the climate itself, so the climate axes are left out.
+ * @param {Object} params - Calculation parameters
+ * @returns {Array<string>} Keys of SWEEP_AXES
+ */
+export function getSweepAxes(params) {
+	const scheduled = !!resolveSchedule(params.schedule);
+	return Object.keys(SWEEP_AXES).filter(axisKey => !(scheduled && SWEEP_AXES[axisKey].climate));
+}
+
+/**
+ * Check that a sweep axis can vary for these params (see getSweepAxes)
+ */
+function checkSweepAxis(params, axisKey) {
+	if (!getSweepAxes(params).includes(axisKey)) {
+		throw new Error(`Sweep axis "${axisKey}" is not available while an environment schedule is active`);
+	}
+}
+
+/**
+ * Safety factor cap for sweeps - surfaces that cannot tear count as this value
+ */
+const SWEEP_SAFETY_CAP = 100;
+
+/**
+ * Outputs a sweep can map
+ * scale 'log' spreads colours and tornado swings over orders of magnitude;
+ * verdict() (when present) buckets a value the same way the Test Ground signs do.
+ */
+export const SWEEP_METRICS = {
+	safetyFactor: {
+		label: 'Surface safety factor',
+		unit: '×',
+		scale: 'log',
+		higherIsBetter: true,
+		evaluate: (params) => {
+			const damage = calculateSurfaceDamageRisk(params);
+			return damage.canDamage ? Math.min(SWEEP_SAFETY_CAP, damage.safetyFactor) : SWEEP_SAFETY_CAP;
+		},
+		verdict: (value) => value > 3 ? 'ok' : value > 1 ? 'oops' : 'boom'
+	},
+	peel: {
+		label: 'Peel adhesion',
+		dimension: 'forcePerWidth',
+		scale: 'linear',
+		higherIsBetter: true,
+		evaluate: (params) => calculateTapeProperties(params).peel
+	},
+	hold: {
+		label: 'Hold strength',
+		dimension: 'stress',
+		scale: 'linear',
+		higherIsBetter: true,
+		evaluate: (params) => calculateTapeProperties(params).hold
+	},
+	residue: {
+		label: 'Adhesive residue',
+		unit: '%',
+		scale: 'linear',
+		higherIsBetter: false,
+		evaluate: (params) => calculateAdhesiveResidue(params) * 100
+	}
+};
+
+/**
+ * Run a two-axis parameter sweep
+ * @param {Object} baseParams - Parameters held fixed (UI units)
+ * @param {string} rowAxis - Key of SWEEP_AXES for rows (one of getSweepAxes)
+ * @param {string} columnAxis - Key of SWEEP_AXES for columns (one of getSweepAxes)
+ * @param {string} metricKey - Key of SWEEP_METRICS
+ * @returns {Object} { rows, columns, cells: [row][column] values, min, max }
+ */
+export function runParameterSweep(baseParams, rowAxis, columnAxis, metricKey) {
+	checkSweepAxis(baseParams, rowAxis);
+	checkSweepAxis(baseParams, columnAxis);
+	const metric = SWEEP_METRICS[metricKey];
+	const rows = SWEEP_AXES[rowAxis].values();
+	const columns = SWEEP_AXES[columnAxis].values();
+	
+	// Each point takes its climate from the schedule (if any) at that point's time
+	const cells = rows.map(rowValue => {
+		const rowParams = applySweepAxis(baseParams, rowAxis, rowValue);
+		return columns.map(columnValue => metric.evaluate(applyScheduleClimate(applySweepAxis(rowParams, columnAxis, columnValue))));
+	});
+	
+	const values = cells.flat();
+	return {
+		rows,
+		columns,
+		cells,
+		min: Math.min(...values),
+		max: Math.max(...values)
+	};
+}
+
+/**
+ * One-at-a-time sensitivity (tornado chart)
+ * Each input (see getSweepAxes) is swung across its range (numeric swing or every material/preset option)
+ * while the rest stay at the base values; entries are sorted by how far the output moves.
+ * 
+ * @param {Object} baseParams - Base calculation parameters (UI units)
+ * @param {string} metricKey - Key of SWEEP_METRICS
+ * @returns {Object} { base, baseVerdict, entries: [{ axis, label, low: { input, value }, high: { input, value }, swing, verdictChanges }] }
+ */
+export function calculateSensitivity(baseParams, metricKey) {
+	const metric = SWEEP_METRICS[metricKey];
+	const toScale = (value) => metric.scale === 'log' ? Math.log10(Math.max(1e-6, value)) : value;
+	const base = metric.evaluate(applyScheduleClimate(baseParams));
+	const baseVerdict = metric.verdict ? metric.verdict(base) : null;
+	
+	const entries = getSweepAxes(baseParams).map(axisKey => {
+		const axis = SWEEP_AXES[axisKey];
+		const inputs = axis.swing || axis.values();
+		const results = inputs.map(input => ({ input, value: metric.evaluate(applyScheduleClimate(applySweepAxis(baseParams, axisKey, input))) }));
+		const low = results.reduce((a, b) => (b.value < a.value ? b : a));
+		const high = results.reduce((a, b) => (b.value > a.value ? b : a));
+		
+		return {
+			axis: axisKey,
+			label: axis.label,
+			low,
+			high,
+			swing: toScale(high.value) - toScale(low.value),
+			verdictChanges: metric.verdict ? results.some(result => metric.verdict(result.value) !== baseVerdict) : false
+		};
+	});
+	
+	entries.sort((a, b) => b.swing - a.swing);
+	return { base, baseVerdict, entries };
+}
+
+// ============================================================================
+// TAPE RECOMMENDATION (INVERSE DESIGN)
+// ============================================================================
+
+/**
+ * Adhesive thicknesses (µm) tried for every backing/adhesive pair
+ */
+export const RECOMMENDATION_THICKNESSES = [25, 50, 100, 150, 200];
+
+/**
+ * Residue level that still counts as clean removal (the "light residue" timeline mark)
+ */
+export const CLEAN_REMOVAL_RESIDUE_LIMIT = 0.2;
+
+/**
+ * Margins are capped here, like the sweep safety factor - "can't fail" ranks as very safe
+ */
+const RECOMMENDATION_MARGIN_CAP = 100;
+
+/**
+ * Check one tape against a job
+ * Margins are capacity / demand (≥ 1 passes); null when the constraint does not apply:
+ * - hold: hang time to failure / required duration (the load is hung when the tape goes on)
+ * - removal: lowest of surface tear and backing break load / peel load, after the duration
+ * - residue: CLEAN_REMOVAL_RESIDUE_LIMIT / residue left after the duration
+ *
+ * @param {Object} params - Job and tape parameters (UI units: surface, climate, width/height, tape, adhesive, thickness)
+ * @param {Object} requirements - { durationDays, hangMass (g, 0 = no load), cleanRemoval }
+ * @returns {Object} { margins: { hold, removal, residue }, worstMargin, meanMargin (geometric), pass, hang, peel, residue }
+ */
+export function evaluateTapeForJob(params, requirements) {
+	const { durationDays = 0, hangMass = 0, cleanRemoval = false } = requirements;
+	const cap = (value) => Math.min(RECOMMENDATION_MARGIN_CAP, value);
+
+	const hang = hangMass > 0 ? calculateHangTest({ ...params, hangMass, timeImpactDays: 0 }) : null;
+	const removedParams = { ...params, timeImpactDays: durationDays };
+	const peel = calculatePeelOutcome(removedParams);
+	const residue = calculateAdhesiveResidue(removedParams);
+
+	const margins = {
+		// At least a minute, so "hang it and check" jobs still need the load to stay up
+		hold: hang ? cap(hang.timeToFailure / Math.max(60, durationDays * 86400)) : null,
+		removal: cleanRemoval ? cap(Math.min(peel.surfaceTearLoad, peel.breakingLoad) / peel.peelLoad) : null,
+		residue: cleanRemoval ? cap(residue > 0 ? CLEAN_REMOVAL_RESIDUE_LIMIT / residue : Infinity) : null
+	};
+	const active = Object.values(margins).filter(margin => margin !== null);
+	const worstMargin = active.length > 0 ? Math.min(...active) : RECOMMENDATION_MARGIN_CAP;
+	const meanMargin = active.length > 0 ? Math.exp(active.reduce((sum, margin) => sum + Math.log(margin), 0) / active.length) : RECOMMENDATION_MARGIN_CAP;
+
+	return {
+		margins,
+		worstMargin,
+		meanMargin,
+		pass: worstMargin >= 1,
+		hang,
+		peel,
+		residue
+	};
+}
+
+/**
+ * Recommend tapes for a job (inverse of the Test Ground: requirements in, tapes out)
+ * Searches every backing × adhesive × RECOMMENDATION_THICKNESSES (custom materials included)
+ * plus the off-the-shelf catalog, then ranks passing tapes first, each group by its worst
+ * margin so the tape with the most headroom on its tightest constraint comes out on top
+ * (ties, e.g. residue that only depends on the adhesive, go to the larger mean margin).
+ *
+ * @param {Object} jobParams - Surface, environment/climate, width/height (mm), peel angle/rate
+ * @param {Object} requirements - See evaluateTapeForJob
+ * @param {Array<Object>} catalog - Ready-made tapes [{ name, params: { tape, adhesive, thickness (µm), width, layers?, datasheet? } }]
+ * @returns {Array<Object>} [{ source: 'design'|'catalog', name, tape, adhesive, thickness, params, ...evaluateTapeForJob }]
+ */
+export function recommendTapes(jobParams, requirements, catalog = []) {
+	const designs = SWEEP_AXES.tape.values().flatMap(tape =>
+		SWEEP_AXES.adhesive.values().flatMap(adhesive =>
+			RECOMMENDATION_THICKNESSES.map(thickness => ({
+				source: 'design',
+				name: `${tape} + ${adhesive} ${thickness} µm`,
+				tape,
+				adhesive,
+				thickness,
+				params: { tape, adhesive, thickness }
+			}))
+		)
+	);
+	const readyMade = catalog.map(entry => ({
+		source: 'catalog',
+		name: entry.name,
+		tape: entry.params.tape,
+		adhesive: entry.params.adhesive,
+		thickness: entry.params.thickness,
+		params: entry.params
+	}));
+
+	return [...designs, ...readyMade]
+		.map(candidate => ({
+			...candidate,
+			...evaluateTapeForJob({ ...jobParams, ...candidate.params }, requirements)
+		}))
+		.sort((a, b) => (b.pass - a.pass) || (b.worstMargin - a.worstMargin) || (b.meanMargin - a.meanMargin));
+}
+
+// ============================================================================
+// PROPERTY TIMELINE
+// ============================================================================
+
+/**
+ * Levels worth marking on the property-over-time charts
+ * Residue and yellowing levels match the Real-Impact panel wording.
+ */
+export const TIMELINE_THRESHOLDS = [
+	{ key: 'peelRetention', value: 0.9, rising: 'Peel reaches 90% of full bond', falling: 'Peel drops below 90%' },
+	{ key: 'holdRetention', value: 0.8, rising: 'Hold reaches 80% of full bond', falling: 'Hold drops below 80%' },
+	{ key: 'uvDegradation', value: 0.3, rising: 'Moderate yellowing visible', falling: 'Yellowing fades' },
+	{ key: 'adhesiveResidue', value: 0.2, rising: 'Light residue - cleaning may be needed', falling: 'Residue clears' },
+	{ key: 'adhesiveResidue', value: 0.5, rising: 'Moderate residue - cleaning required', falling: 'Residue below moderate' }
+];
+
+/**
+ * Tape properties across a series of ages, with the points where something changes
+ * Crossings are reported at the first sample past a threshold, a damage risk level
+ * change or an aging phase change.
+ * 
+ * @param {Object} params - Calculation parameters (UI units; backing needed for yellowing)
+ * @param {number[]} days - Ascending ages in days (fractional allowed)
+ * @returns {Object} { points: [{ day, peelRetention, holdRetention, stretchChange, uvDegradation, adhesiveResidue, damageRisk, phase }], crossings: [{ index, day, key, label, ... }] }
+ *   Threshold crossings also carry { value, rising }, damage risk changes { from, to } and phase changes { phase }.
+ */
+export function calculatePropertyTimeline(params, days) {
+	const points = days.map(day => {
+		const dayParams = applyScheduleClimate({ ...params, timeImpactDays: day });
+		const aging = calculateAgingEffects(dayParams);
+		return {
+			day,
+			peelRetention: aging.peelRetention,
+			holdRetention: aging.holdRetention,
+			stretchChange: aging.stretchChange - 1,
+			uvDegradation: calculateUVDegradation(dayParams),
+			adhesiveResidue: calculateAdhesiveResidue(dayParams),
+			damageRisk: calculateSurfaceDamageRisk(dayParams).damageRisk,
+			phase: aging.phase
+		};
+	});
+	
+	const crossings = [];
+	for (let i = 1; i < points.length; i++) {
+		const previous = points[i - 1];
+		const current = points[i];
+		
+		TIMELINE_THRESHOLDS.forEach(threshold => {
+			const wasAbove = previous[threshold.key] >= threshold.value;
+			const isAbove = current[threshold.key] >= threshold.value;
+			if (wasAbove !== isAbove) {
+				crossings.push({ index: i, day: current.day, key: threshold.key, label: isAbove ? threshold.rising : threshold.falling, value: threshold.value, rising: isAbove });
+			}
+		});
+		if (current.damageRisk !== previous.damageRisk) {
+			crossings.push({ index: i, day: current.day, key: 'damageRisk', label: `Damage risk ${previous.damageRisk} → ${current.damageRisk}`, from: previous.damageRisk, to: current.damageRisk });
+		}
+		if (current.phase !== previous.phase) {
+			crossings.push({ index: i, day: current.day, key: 'phase', label: `Bond ${current.phase === 'plateau' ? 'fully built up' : 'starts degrading'}`, phase: current.phase });
+		}
+	}
+	
+	return { points, crossings };
+}
+
+// ============================================================================
+// CALIBRATION FITTING
+// ============================================================================
+
+/**
+ * Pull towards the default coefficients (log scale), so sparse data cannot
+ * run away with surface/environment multipliers that only one sample constrains
+ */
+const CALIBRATION_RIDGE = 0.05;
+
+/**
+ * Solve a small dense linear system (Gaussian elimination with partial pivoting)
+ * @param {number[][]} matrix - Square matrix (modified)
+ * @param {number[]} vector - Right-hand side (modified)
+ * @returns {number[]} Solution
+ */
+function solveLinearSystem(matrix, vector) {
+	const n = vector.length;
+	for (let col = 0; col < n; col++) {
+		let pivot = col;
+		for (let row = col + 1; row < n; row++) {
+			if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+		}
+		[matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+		[vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+		for (let row = col + 1; row < n; row++) {
+			const factor = matrix[row][col] / matrix[col][col];
+			for (let k = col; k < n; k++) matrix[row][k] -= factor * matrix[col][k];
+			vector[row] -= factor * vector[col];
+		}
+	}
+	const solution = new Array(n).fill(0);
+	for (let row = n - 1; row >= 0; row--) {
+		let sum = vector[row];
+		for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * solution[k];
+		solution[row] = sum / matrix[row][row];
+	}
+	return solution;
+}
+
+/**
+ * Peel the simulator reports for a measured sample under a given calibration
+ */
+function predictSamplePeel(sample, calibration) {
+	const params = { ...sample, timeImpactDays: sample.dwellDays };
+	return calculateCalibratedPeelAdhesion(params, calibration) *
+		calculateTemperatureEffect(resolveClimate(params).temperature, params.adhesive);
+}
+
+/**
+ * Goodness of fit of predictions against measurements (linear scale)
+ */
+function summarizeFit(measured, predicted) {
+	const n = measured.length;
+	const mean = measured.reduce((sum, value) => sum + value, 0) / n;
+	const ssRes = measured.reduce((sum, value, i) => sum + (value - predicted[i]) ** 2, 0);
+	const ssTot = measured.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+	return {
+		r2: ssTot > 0 ? 1 - ssRes / ssTot : null,
+		rmse: Math.sqrt(ssRes / n),
+		meanAbsPercentError: measured.reduce((sum, value, i) => sum + Math.abs(predicted[i] - value) / value, 0) / n * 100
+	};
+}
+
+/**
+ * Fit peel coefficients to measured peel tests (least squares on log peel)
+ * log(measured / default prediction) is linear in the log of each surface and
+ * environment multiplier, the thickness exponent change and the log of each
+ * low-energy penalty change, so one ridge-regularized normal-equation solve
+ * gives the fit. Coefficients without data stay at their defaults.
+ * 
+ * @param {Array<Object>} samples - [{ tape, adhesive, thickness (µm), surface, environment, temperature?, humidity?, dwellDays, peel (N/m) }]
+ * @returns {Object} { profile, coefficients: [{ label, kind, name?, before, after }], before, after: { r2, rmse (N/m), meanAbsPercentError }, residuals: [{ sample, measured, before, after, residual, percentError }] }
+ */
+export function fitCalibration(samples) {
+	const valid = samples.filter(sample => Number.isFinite(sample.peel) && sample.peel > 0);
+	if (valid.length === 0) throw new Error('No samples with a positive measured peel');
+	
+	// One column per coefficient the data can inform
+	const columns = [];
+	const surfaces = [...new Set(valid.map(sample => sample.surface))];
+	const environments = [...new Set(valid.map(sample => sample.environment))];
+	surfaces.forEach(name => columns.push({ kind: 'surface', name, feature: sample => sample.surface === name ? 1 : 0 }));
+	environments.forEach(name => columns.push({ kind: 'environment', name, feature: sample => sample.environment === name ? 1 : 0 }));
+	
+	const logThicknessRatio = (sample) => {
+		// Missing thickness means the adhesive's standard coat, as calculateCalibratedPeelAdhesion assumes
+		const adhesiveData = getMaterialInfo('adhesive', sample.adhesive) || ADHESIVE_TYPES['Acrylic'];
+		const standardThickness = adhesiveData.typicalThickness.standard;
+		const thickness = Number.isFinite(sample.thickness) ? paramToSI(sample, 'thickness') : standardThickness;
+		return Math.log(thickness / standardThickness);
+	};
+	if (valid.some(sample => Math.abs(logThicknessRatio(sample)) > 1e-9)) {
+		columns.push({ kind: 'thicknessExponent', feature: logThicknessRatio });
+	}
+	Object.keys(DEFAULT_CALIBRATION.lowEnergyPenalty).forEach(adhesive => {
+		const feature = (sample) => sample.adhesive === adhesive && getMaterialInfo('surface', sample.surface)?.surfaceEnergy === 'low' ? 1 : 0;
+		if (valid.some(sample => feature(sample) === 1)) columns.push({ kind: 'lowEnergyPenalty', name: adhesive, feature });
+	});
+	
+	const predictedBefore = valid.map(sample => predictSamplePeel(sample, DEFAULT_CALIBRATION));
+	const design = valid.map(sample => columns.map(column => column.feature(sample)));
+	const target = valid.map((sample, i) => Math.log(sample.peel / predictedBefore[i]));
+	
+	// Normal equations (AᵀA + λI) θ = Aᵀy
+	const normal = columns.map((_, a) => columns.map((_, b) =>
+		design.reduce((sum, row) => sum + row[a] * row[b], 0) + (a === b ? CALIBRATION_RIDGE : 0)));
+	const rhs = columns.map((_, a) => design.reduce((sum, row, i) => sum + row[a] * target[i], 0));
+	const theta = columns.length > 0 ? solveLinearSystem(normal, rhs) : [];
+	
+	const profile = structuredClone(DEFAULT_CALIBRATION);
+	columns.forEach((column, i) => {
+		if (column.kind === 'thicknessExponent') {
+			profile.thicknessExponent = clampToLimits(DEFAULT_CALIBRATION.thicknessExponent + theta[i], CALIBRATION_LIMITS.thicknessExponent);
+		} else if (column.kind === 'lowEnergyPenalty') {
+			profile.lowEnergyPenalty[column.name] = clampToLimits(DEFAULT_CALIBRATION.lowEnergyPenalty[column.name] * Math.exp(theta[i]), CALIBRATION_LIMITS.lowEnergyPenalty);
+		} else {
+			profile[column.kind][column.name] = clampToLimits(Math.exp(theta[i]), CALIBRATION_LIMITS.multiplier);
+		}
+	});
+	
+	const measured = valid.map(sample => sample.peel);
+	const predictedAfter = valid.map(sample => predictSamplePeel(sample, profile));
+	
+	const coefficientLabels = { surface: 'Surface multiplier', environment: 'Environment multiplier', lowEnergyPenalty: 'Low-energy penalty' };
+	const coefficients = columns.map(column => {
+		if (column.kind === 'thicknessExponent') {
+			return { label: 'Thickness exponent', kind: column.kind, before: DEFAULT_CALIBRATION.thicknessExponent, after: profile.thicknessExponent };
+		}
+		if (column.kind === 'lowEnergyPenalty') {
+			return { label: `${coefficientLabels.lowEnergyPenalty}: ${column.name}`, kind: column.kind, name: column.name, before: DEFAULT_CALIBRATION.lowEnergyPenalty[column.name], after: profile.lowEnergyPenalty[column.name] };
+		}
+		return { label: `${coefficientLabels[column.kind]}: ${column.name}`, kind: column.kind, name: column.name, before: 1, after: profile[column.kind][column.name] };
+	});
+	
+	return {
+		profile,
+		coefficients,
+		sampleCount: valid.length,
+		before: summarizeFit(measured, predictedBefore),
+		after: summarizeFit(measured, predictedAfter),
+		residuals: valid.map((sample, i) => ({
+			sample,
+			measured: measured[i],
+			before: predictedBefore[i],
+			after: predictedAfter[i],
+			residual: measured[i] - predictedAfter[i],
+			percentError: (predictedAfter[i] - measured[i]) / measured[i] * 100
+		}))
+	};
+}
@@ -0,0 +1,138 @@
+import { ENVIRONMENTAL_CONDITIONS, convertUnit, setCalibration } from '../math_reasoning.js';
+import { t } from './i18n.js';
+import { getKnownMaterialNames, sanitizeHTML, validateString } from './security.js';
+import { state } from './state.js';
+
+// ==================== CALIBRATION ====================
+
+// Measured peel CSV columns; units in the header, e.g. "peel (N/25mm)", override the defaults
+const CALIBRATION_CSV_COLUMNS = {
+	tape: { kind: 'backing' },
+	adhesive: { kind: 'adhesive' },
+	surface: { kind: 'surface' },
+	environment: { kind: 'environment' },
+	thickness: { unit: 'µm', target: 'µm', min: 1, max: 1000 },
+	dwell: { unit: 'min', target: 'd', min: 0, max: 366 },
+	peel: { unit: 'N/cm', target: 'N/m', min: 0, max: Infinity },
+	temperature: { unit: '°C', target: '°C', min: -100, max: 200, optional: true },
+	humidity: { min: 0, max: 100, optional: true }
+};
+
+const CALIBRATION_MAX_SAMPLES = 2000;
+
+// Minimal RFC 4180 reader (quoted fields, doubled quotes, CRLF)
+function parseCSV(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Turn a measured peel CSV into fit samples (SI peel, µm thickness, dwell in days)
+export function parseCalibrationCSV(text) {
+	const rows = parseCSV(text);
+	const errors = [];
+	if (rows.length < 2) return { samples: [], errors: [t('calibration.errors.needsRows')] };
+
+	// Map headers like "Peel (N/25mm)" to columns and units
+	const columns = {};
+	rows[0].forEach((header, index) => {
+		const match = header.trim().match(/^([A-Za-z ]+?)\s*(?:\(([^)]*)\))?$/);
+		const key = match?.[1].toLowerCase();
+		const spec = CALIBRATION_CSV_COLUMNS[key];
+		if (!spec) return;
+		const unit = match[2]?.trim() || spec.unit;
+		if (spec.target && unit !== spec.target) {
+			try {
+				convertUnit(1, unit, spec.target);
+			} catch (e) {
+				errors.push(t('calibration.errors.column', { header: sanitizeHTML(header), message: sanitizeHTML(e.message) }));
+				return;
+			}
+		}
+		columns[key] = { index, unit };
+	});
+	const missing = Object.keys(CALIBRATION_CSV_COLUMNS).filter(key => !CALIBRATION_CSV_COLUMNS[key].optional && !columns[key]);
+	if (missing.length > 0) {
+		errors.push(t('calibration.errors.missingColumns', { columns: missing.join(', ') }));
+		return { samples: [], errors };
+	}
+
+	const knownNames = {
+		backing: getKnownMaterialNames('backing'),
+		adhesive: getKnownMaterialNames('adhesive'),
+		surface: getKnownMaterialNames('surface'),
+		environment: Object.keys(ENVIRONMENTAL_CONDITIONS)
+	};
+	const samples = [];
+	rows.slice(1, CALIBRATION_MAX_SAMPLES + 1).forEach((cells, i) => {
+		const line = i + 2;
+		const sample = { row: line };
+		const rowErrors = [];
+		Object.entries(columns).forEach(([key, { index, unit }]) => {
+			const spec = CALIBRATION_CSV_COLUMNS[key];
+			const raw = (cells[index] ?? '').trim();
+			if (spec.kind) {
+				const name = validateString(raw, knownNames[spec.kind], null);
+				if (name === null) rowErrors.push(t('calibration.errors.unknown', { column: key, value: sanitizeHTML(raw) }));
+				sample[key] = name;
+				return;
+			}
+			if (raw === '') {
+				if (!spec.optional) rowErrors.push(t('calibration.errors.missing', { column: key }));
+				return;
+			}
+			const value = Number(raw);
+			const converted = spec.target ? convertUnit(value, unit, spec.target) : value;
+			if (!isFinite(converted) || converted < spec.min || converted > spec.max || (key === 'peel' && converted <= 0)) {
+				rowErrors.push(t('calibration.errors.invalid', { column: key, value: sanitizeHTML(raw) }));
+				return;
+			}
+			sample[key === 'dwell' ? 'dwellDays' : key] = converted;
+		});
+		if (rowErrors.length > 0) {
+			errors.push(t('calibration.errors.row', { row: line, errors: rowErrors.join(', ') }));
+		} else {
+			samples.push(sample);
+		}
+	});
+	if (rows.length - 1 > CALIBRATION_MAX_SAMPLES) errors.push(t('calibration.errors.tooManyRows', { max: CALIBRATION_MAX_SAMPLES }));
+	return { samples, errors };
+}
+
+// Register the active profile with the math module (null = hand-picked defaults)
+export function applyCalibration() {
+	const { profiles, active } = state.calibration;
+	setCalibration(active ? profiles[active] : null);
+}
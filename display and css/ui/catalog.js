@@ -0,0 +1,253 @@
+import { ADHESIVE_TYPES, BACKING_MATERIALS, ENVIRONMENTAL_CONDITIONS, SURFACE_MATERIALS, UNITS, convertUnit, getMaterialInfo, q, setCustomMaterials, toSI } from '../math_reasoning.js';
+import { formatParam, formatSI } from './format.js';
+import { t, translateData } from './i18n.js';
+import { getKnownMaterialNames, getPath, setPath, validateTapeList } from './security.js';
+import { populateMaterialSelectors } from './sidebar.js';
+import { state } from './state.js';
+
+// Built-in table for a material kind (from the math module)
+export function getBuiltInMaterials(kind) {
+	return { backing: BACKING_MATERIALS, adhesive: ADHESIVE_TYPES, surface: SURFACE_MATERIALS }[kind] || {};
+}
+
+// Environment preset name and description in the UI language (the math module's English when untranslated)
+export function getEnvironmentText(env) {
+	const conditions = ENVIRONMENTAL_CONDITIONS[env] || {};
+	return {
+		name: translateData(`environment.presets.${env}.name`, conditions.name || env),
+		description: translateData(`environment.presets.${env}.description`, conditions.description || '')
+	};
+}
+
+// Extended tape options
+const builtInTapeMaterials = [
+	{ name: 'PVC', friendlyName: 'Electrical/Wire Tape', scientificName: 'PVC (Polyvinyl Chloride)', display: 'Electrical/Wire Tape', image: './images/tape_types/PVC_tape.png' },
+	{ name: 'PET', friendlyName: 'High-Temp Masking Tape', scientificName: 'PET (Polyester Film)', display: 'High-Temp Masking Tape', image: './images/tape_types/PET_tape.png' },
+	{ name: 'PP', friendlyName: 'Clear Packing Tape', scientificName: 'PP (Polypropylene)', display: 'Clear Packing Tape', image: './images/tape_types/PP_tape.png' },
+	{ name: 'BOPP', friendlyName: 'Box Sealing Tape', scientificName: 'BOPP (Biaxially Oriented Polypropylene)', display: 'Box Sealing Tape', image: './images/tape_types/BOPP_tape.png' },
+	{ name: 'Paper', friendlyName: 'Masking/Painter\'s Tape', scientificName: 'Paper-based adhesive', display: 'Masking/Painter\'s Tape', image: './images/tape_types/Paper_tape.png' },
+	{ name: 'Cloth', friendlyName: 'Duct Tape', scientificName: 'Cloth / Fabric backing', display: 'Duct Tape', image: './images/tape_types/Cloth_tape.png' },
+	{ name: 'Foam', friendlyName: 'Mounting/Cushion Tape', scientificName: 'Foam / Cushion backing', display: 'Mounting/Cushion Tape', image: './images/tape_types/Foam_tape.png' }
+];
+
+// Surface materials with texture images
+const builtInSurfaceMaterials = [
+	{ name: 'Steel', label: 'Steel', image: './images/textures/steel.jpeg' },
+	{ name: 'Aluminum', label: 'Aluminum', image: './images/textures/aluminum.jpeg' },
+	{ name: 'Glass', label: 'Glass', image: './images/textures/glass.png' },
+	{ name: 'Textured Glass', label: 'Textured Glass', image: './images/textures/textured_glass.png' },
+	{ name: 'Plastic Bag', label: 'Plastic Bag', image: './images/textures/plastic_bag.jpeg' },
+	{ name: 'Door Veneer', label: 'Door Veneer', image: './images/textures/door_veneer.jpeg' },
+	{ name: 'Paper Note', label: 'Paper Note', image: './images/textures/paper_note.png' },
+	{ name: 'Manga Paper', label: 'Manga Paper', image: './images/textures/manga_paper.jpeg' },
+	{ name: 'Sketchbook Paper', label: 'Sketchbook Paper', image: './images/textures/sketchbook_paper.jpeg' },
+	{ name: 'Rough Carton', label: 'Rough Carton', image: './images/textures/rough_carton.jpeg' },
+	{ name: 'Wall Paint', label: 'Wall Paint', image: './images/textures/wall_paint.jpeg' },
+	{ name: 'Damaged Wall Paint', label: 'Damaged Wall Paint', image: './images/textures/damaged_wall_paint.jpeg' },
+	{ name: 'Photo', label: 'Photo', image: './images/textures/photo.png' }
+];
+
+// Selector catalogs: built-in entries followed by custom library entries (see rebuildMaterialCatalogs)
+export let tapeMaterials = builtInTapeMaterials;
+
+export let surfaceMaterials = builtInSurfaceMaterials;
+
+// Field schemas for custom materials - drive both the library editor form and validateMaterialEntry
+// Custom materials are stored in these input units and tagged with them before reaching the math module
+const UV_RATINGS = ['excellent', 'good', 'fair', 'poor'];
+
+export const MATERIAL_SCHEMAS = {
+	backing: [
+		{ path: 'name', label: 'Full name', type: 'text', maxLength: 60, required: true },
+		{ path: 'typicalThickness.min', label: 'Thickness min (µm)', type: 'number', unit: 'µm', min: 1, max: 5000, default: 25 },
+		{ path: 'typicalThickness.standard', label: 'Thickness standard (µm)', type: 'number', unit: 'µm', min: 1, max: 5000, default: 50 },
+		{ path: 'typicalThickness.max', label: 'Thickness max (µm)', type: 'number', unit: 'µm', min: 1, max: 5000, default: 75 },
+		{ path: 'tensileStrength', label: 'Tensile strength (MPa)', type: 'number', unit: 'MPa', min: 0.1, max: 2000, default: 100 },
+		{ path: 'elongation', label: 'Elongation at break (%)', type: 'number', min: 0.5, max: 1000, default: 20 },
+		{ path: 'temperatureRange.min', label: 'Min service temp (°C)', type: 'number', unit: '°C', min: -100, max: 400, default: -20 },
+		{ path: 'temperatureRange.max', label: 'Max service temp (°C)', type: 'number', unit: '°C', min: -100, max: 400, default: 80 },
+		{ path: 'uvResistance', label: 'UV resistance', type: 'select', options: UV_RATINGS, default: 'good' },
+		{ path: 'appearance', label: 'Looks like', type: 'select', options: builtInTapeMaterials.map(m => m.name), default: 'PET' },
+		{ path: 'description', label: 'Description', type: 'text', maxLength: 200 }
+	],
+	adhesive: [
+		{ path: 'name', label: 'Full name', type: 'text', maxLength: 60, required: true },
+		{ path: 'baseChemistry', label: 'Base chemistry', type: 'select', options: ['Acrylic', 'Rubber', 'Silicone'], default: 'Acrylic' },
+		{ path: 'typicalThickness.min', label: 'Thickness min (µm)', type: 'number', unit: 'µm', min: 1, max: 2000, default: 15 },
+		{ path: 'typicalThickness.standard', label: 'Thickness standard (µm)', type: 'number', unit: 'µm', min: 1, max: 2000, default: 25 },
+		{ path: 'typicalThickness.max', label: 'Thickness max (µm)', type: 'number', unit: 'µm', min: 1, max: 2000, default: 50 },
+		{ path: 'peelAdhesion', label: 'Peel adhesion on steel (cN/cm)', type: 'number', unit: 'cN/cm', min: 1, max: 10000, default: 260 },
+		{ path: 'tackLevel', label: 'Tack', type: 'select', options: ['low', 'medium', 'high'], default: 'medium' },
+		{ path: 'temperatureRange.min', label: 'Min service temp (°C)', type: 'number', unit: '°C', min: -100, max: 400, default: -40 },
+		{ path: 'temperatureRange.max', label: 'Max service temp (°C)', type: 'number', unit: '°C', min: -100, max: 400, default: 100 },
+		{ path: 'uvResistance', label: 'UV resistance', type: 'select', options: UV_RATINGS, default: 'excellent' },
+		{ path: 'agingStability', label: 'Aging stability', type: 'select', options: UV_RATINGS, default: 'excellent' },
+		{ path: 'surfaceAffinitiy.lowEnergy', label: 'Low-energy (PE/PP) affinity', type: 'select', options: UV_RATINGS, default: 'poor' },
+		{ path: 'description', label: 'Description', type: 'text', maxLength: 200 }
+	],
+	surface: [
+		{ path: 'name', label: 'Full name', type: 'text', maxLength: 60, required: true },
+		{ path: 'surfaceEnergy', label: 'Surface energy', type: 'select', options: ['high', 'medium', 'low'], default: 'high' },
+		{ path: 'texture', label: 'Texture', type: 'select', options: ['very smooth', 'smooth', 'smooth to medium', 'medium', 'rough'], default: 'smooth' },
+		{ path: 'adhesionMultiplier', label: 'Adhesion multiplier (steel = 1.0)', type: 'number', min: 0.05, max: 2, default: 1 },
+		{ path: 'ruptureStrength.min', label: 'Rupture min (N/cm)', type: 'number', unit: 'N/cm', min: 0.1, max: 100000, default: 10, optional: true },
+		{ path: 'ruptureStrength.typical', label: 'Rupture typical (N/cm)', type: 'number', unit: 'N/cm', min: 0.1, max: 100000, default: 20, optional: true },
+		{ path: 'ruptureStrength.max', label: 'Rupture max (N/cm)', type: 'number', unit: 'N/cm', min: 0.1, max: 100000, default: 30, optional: true },
+		{ path: 'absorption', label: 'Absorption / porosity (0-1)', type: 'number', min: 0, max: 1, default: 0.4 },
+		{ path: 'appearance', label: 'Looks like', type: 'select', options: builtInSurfaceMaterials.map(m => m.name), default: 'Steel' },
+		{ path: 'description', label: 'Description', type: 'text', maxLength: 200 }
+	]
+};
+
+// Schema field label in the UI language (catalogs key them by schema - backing, adhesive, surface, tape - and path)
+export function getFieldLabel(schemaKey, field) {
+	return translateData(`materials.fields.${schemaKey}.${field.path}`, field.label);
+}
+
+// Select option text in the UI language (the stored value stays English)
+export function getOptionLabel(option) {
+	return translateData(`materials.options.${option}`, option);
+}
+
+// Rebuild selector catalogs after the custom material library changes
+function rebuildMaterialCatalogs() {
+	const customBackings = Object.entries(state.customMaterials.backing).map(([key, mat]) => ({
+		name: key,
+		friendlyName: mat.name,
+		scientificName: `Custom backing (${mat.tensileStrength} MPa, ${mat.elongation}% stretch)`,
+		display: `${mat.name} (custom)`,
+		image: (builtInTapeMaterials.find(m => m.name === mat.appearance) || builtInTapeMaterials[0]).image,
+		custom: true
+	}));
+	const customSurfaces = Object.entries(state.customMaterials.surface).map(([key, mat]) => ({
+		name: key,
+		label: key,
+		image: (builtInSurfaceMaterials.find(m => m.name === mat.appearance) || builtInSurfaceMaterials[0]).image,
+		custom: true
+	}));
+	tapeMaterials = [...builtInTapeMaterials, ...customBackings];
+	surfaceMaterials = [...builtInSurfaceMaterials, ...customSurfaces];
+}
+
+// Adhesive names offered in the Specifics selector (built-in + custom)
+export function getAdhesiveOptions() {
+	return [...Object.keys(ADHESIVE_TYPES), ...Object.keys(state.customMaterials.adhesive)];
+}
+
+// Tag a stored custom material's numbers with the schema input units
+function tagMaterialUnits(kind, entry) {
+	const tagged = JSON.parse(JSON.stringify(entry));
+	MATERIAL_SCHEMAS[kind].forEach(field => {
+		const value = getPath(tagged, field.path);
+		if (field.unit && typeof value === 'number') setPath(tagged, field.path, { value, unit: field.unit });
+	});
+	return tagged;
+}
+
+// Register the custom library with the math module and refresh every selector
+export function applyCustomMaterials() {
+	const tagged = {};
+	Object.keys(state.customMaterials).forEach(kind => {
+		tagged[kind] = Object.fromEntries(Object.entries(state.customMaterials[kind]).map(([key, entry]) => [key, tagMaterialUnits(kind, entry)]));
+	});
+	setCustomMaterials(tagged).forEach(err => console.warn('Custom material skipped:', err));
+	rebuildMaterialCatalogs();
+	// Imported tapes may name custom backings and adhesives
+	applyImportedTapes();
+	populateMaterialSelectors();
+}
+
+// ==================== COMMERCIAL TAPES ====================
+// Ready-made tapes for the Test Ground: the bundled catalog (data/tape_catalog.json, real products
+// with datasheet values and sources plus a few generic rolls) followed by datasheets imported by the user.
+// Entries are kept in the TAPE_SCHEMA input units and tagged when they reach the math module.
+
+const TAPE_CATALOG_URL = new URL('../data/tape_catalog.json', import.meta.url);
+
+// Units a datasheet may quote peel adhesion or tensile in (converted to the schema unit on import)
+const DATASHEET_FORCE_UNITS = ['N/cm', 'N/25mm', 'N/100mm', 'cN/cm', 'oz/in', 'lb/in'];
+
+export const TAPE_SCHEMA = [
+	{ path: 'name', label: 'Product name', type: 'text', maxLength: 60, required: true },
+	{ path: 'manufacturer', label: 'Manufacturer', type: 'text', maxLength: 40 },
+	{ path: 'backing', label: 'Backing', type: 'select', options: () => getKnownMaterialNames('backing'), default: 'PP' },
+	{ path: 'adhesive', label: 'Adhesive', type: 'select', options: () => getKnownMaterialNames('adhesive'), default: 'Acrylic' },
+	{ path: 'backingThickness', label: 'Backing thickness (µm)', type: 'number', unit: 'µm', min: 1, max: 5000, optional: true },
+	{ path: 'adhesiveThickness', label: 'Adhesive thickness (µm)', type: 'number', unit: 'µm', min: 1, max: 2000, optional: true },
+	{ path: 'totalThickness', label: 'Total thickness (µm)', type: 'number', unit: 'µm', min: 1, max: 10000, optional: true },
+	{ path: 'width', label: 'Roll width (mm)', type: 'number', unit: 'mm', min: 1, max: 1000, default: 48 },
+	{ path: 'peelAdhesion', label: 'Peel adhesion on steel', type: 'number', unit: 'N/cm', units: DATASHEET_FORCE_UNITS, min: 0.01, max: 1000, optional: true },
+	{ path: 'tensileStrength', label: 'Tensile strength', type: 'number', unit: 'N/cm', units: DATASHEET_FORCE_UNITS, min: 0.1, max: 10000, optional: true },
+	{ path: 'source.title', label: 'Source (datasheet title)', type: 'text', maxLength: 120 },
+	{ path: 'source.url', label: 'Source link', type: 'url', maxLength: 300 }
+];
+
+// Catalog entries from the data file; regularTapeOptions adds the imports (see applyImportedTapes)
+let bundledTapes = [];
+
+export let regularTapeOptions = [];
+
+// "3M · BOPP 25 µm + Acrylic 15 µm, 40 µm total, 19 mm wide · peel 2.6 N/cm (datasheet)", in the UI's language and units
+export function describeCatalogTape(tape) {
+	const thickness = (value) => formatSI(toSI(q(value, 'µm')), 'length');
+	const layers = [
+		tape.backingThickness ? `${tape.backing} ${thickness(tape.backingThickness)}` : t('catalog.backingLayer', { backing: tape.backing }),
+		tape.adhesiveThickness ? `${tape.adhesive} ${thickness(tape.adhesiveThickness)}` : t('catalog.adhesiveLayer', { adhesive: tape.adhesive })
+	].join(' + ');
+	const total = tape.totalThickness ? `, ${t('catalog.total', { thickness: thickness(tape.totalThickness) })}` : '';
+	const datasheet = tape.peelAdhesion ? ` · ${t('catalog.datasheetPeel', { peel: formatSI(toSI(q(tape.peelAdhesion, 'N/cm')), 'forcePerWidth') })}` : '';
+	const maker = tape.manufacturer && tape.manufacturer !== 'Generic' ? `${tape.manufacturer} · ` : '';
+	return `${maker}${layers}${total}, ${t('catalog.wide', { width: formatParam('width', tape.width) })}${datasheet}`;
+}
+
+// Re-read a data file value in the schema unit when the file declares another one
+function toSchemaUnits(data, units) {
+	const converted = JSON.parse(JSON.stringify(data));
+	TAPE_SCHEMA.forEach(field => {
+		const value = getPath(converted, field.path);
+		const unit = units?.[field.path];
+		if (!field.unit || typeof value !== 'number' || !unit || unit === field.unit || !UNITS[unit]) return;
+		setPath(converted, field.path, Number(convertUnit(value, unit, field.unit).toPrecision(6)));
+	});
+	return converted;
+}
+
+// Rebuild the regular tape list after the imported datasheets change
+export function applyImportedTapes() {
+	const imported = validateTapeList(state.customTapes, bundledTapes.map(tape => tape.name));
+	regularTapeOptions = [
+		...bundledTapes,
+		...imported.map(tape => ({ ...tape, imported: true }))
+	];
+}
+
+// Fetch the bundled catalog (once, at startup); the imports still load if it is unavailable
+export async function loadTapeCatalog() {
+	try {
+		const response = await fetch(TAPE_CATALOG_URL);
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+		const data = await response.json();
+		bundledTapes = validateTapeList((data?.tapes || []).map(tape => toSchemaUnits(tape, data.units)));
+	} catch (e) {
+		console.warn('Tape catalog failed to load:', e);
+	}
+	applyImportedTapes();
+}
+
+// Calculation params for a catalog tape: datasheet values (tagged quantities) replace the chemistry
+// defaults, a known backing thickness becomes a one-layer stack and a missing adhesive thickness
+// is the adhesive's standard coat
+export function getCatalogTapeParams(tape) {
+	const datasheet = {};
+	if (tape.peelAdhesion) datasheet.peelAdhesion = q(tape.peelAdhesion, 'N/cm');
+	if (tape.tensileStrength) datasheet.tensileStrength = q(tape.tensileStrength, 'N/cm');
+	const adhesive = getMaterialInfo('adhesive', tape.adhesive) || ADHESIVE_TYPES['Acrylic'];
+	return {
+		tape: tape.backing,
+		adhesive: tape.adhesive,
+		thickness: tape.adhesiveThickness || convertUnit(adhesive.typicalThickness.standard, 'm', 'µm'),
+		width: tape.width,
+		...(tape.backingThickness ? { layers: [{ material: tape.backing, thickness: tape.backingThickness }] } : {}),
+		...(Object.keys(datasheet).length > 0 ? { datasheet } : {})
+	};
+}
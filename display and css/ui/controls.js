@@ -0,0 +1,143 @@
+import { TAPE_MODES } from '../math_reasoning.js';
+import { getAdhesiveOptions, surfaceMaterials } from './catalog.js';
+import { formatForce, formatParam, fromInputValue, getInputUnit, paramInputAttrs } from './format.js';
+import { addHistory } from './history.js';
+import { formatNumber, t } from './i18n.js';
+import { getKnownMaterialNames, sanitizeNumber, validateString } from './security.js';
+import { state } from './state.js';
+
+// Peel rate shortcuts (mm/min) - 300 is the datasheet standard; labels are under controls.peelRatePresets
+export const PEEL_RATE_PRESETS = [
+	{ rate: 30, key: 'slow' },
+	{ rate: 300, key: 'standard' },
+	{ rate: 1200, key: 'fast' },
+	{ rate: 10000, key: 'rip' }
+];
+
+// Bind peel angle/rate inputs (Specifics and Test Ground share the same limits)
+export function bindPeelControls(root) {
+	root.querySelectorAll('[data-peel-param]').forEach(input => {
+		input.addEventListener('change', (e) => {
+			const name = input.getAttribute('data-peel-param');
+			// The Test Ground's rate select lists presets in mm/min; typed rates are in the unit system's unit
+			const rate = input.tagName === 'SELECT' ? e.target.value : fromInputValue('peelRate', e.target.value);
+			const sanitized = name === 'peelAngle' ?
+				sanitizeNumber(e.target.value, 5, 180, 180) :
+				sanitizeNumber(rate, 1, 10000, 300);
+			state.params[name] = sanitized;
+			addHistory(name === 'peelAngle' ? `Peel angle set to ${sanitized}°` : `Peel rate set to ${formatParam('peelRate', sanitized)}`);
+		});
+	});
+}
+
+// Tape construction inputs: single/double-sided/transfer and face B's adhesive, thickness and surface
+export function renderFaceControls() {
+	const isTransfer = state.params.tapeMode === 'transfer';
+	return `
+		<div class="form-group">
+			<label>${t('controls.tapeConstruction')}</label>
+			<select data-face-param="tapeMode">
+				${Object.entries(TAPE_MODES).map(([key, mode]) => `<option value="${key}" ${state.params.tapeMode === key ? 'selected' : ''}>${t(`controls.tapeModes.${key}`)}</option>`).join('')}
+			</select>
+		</div>
+		${state.params.tapeMode !== 'single' ? `
+		<div class="form-group">
+			<label>${t('controls.faceBSurface')}</label>
+			<select data-face-param="surfaceB">
+				${surfaceMaterials.map(mat => `<option value="${mat.name}" ${state.params.surfaceB === mat.name ? 'selected' : ''}>${mat.name}${mat.custom ? ` (${t('common.custom')})` : ''}</option>`).join('')}
+			</select>
+		</div>
+		<div class="form-group">
+			<label>${t('controls.faceBAdhesive')}</label>
+			<select data-face-param="adhesiveB" ${isTransfer ? `disabled title="${t('controls.transferHint')}"` : ''}>
+				${getAdhesiveOptions().map(name => `<option value="${name}" ${(isTransfer ? state.params.adhesive : state.params.adhesiveB) === name ? 'selected' : ''}>${name}${state.customMaterials.adhesive[name] ? ` (${t('common.custom')})` : ''}</option>`).join('')}
+			</select>
+		</div>
+		<div class="form-group">
+			<label>${t('controls.faceBThickness')} (${getInputUnit('thickness')})</label>
+			<input type="number" data-face-param="thicknessB" ${paramInputAttrs('thickness', isTransfer ? state.params.thickness : state.params.thicknessB, { min: 10, max: 500, step: 5 })} ${isTransfer ? 'disabled' : ''} />
+		</div>
+		` : ''}
+	`;
+}
+
+export function bindFaceControls(root) {
+	root.querySelectorAll('[data-face-param]').forEach(input => {
+		input.addEventListener('change', (e) => {
+			const name = input.getAttribute('data-face-param');
+			if (name === 'tapeMode') {
+				state.params.tapeMode = validateString(e.target.value, Object.keys(TAPE_MODES), 'single');
+				addHistory(`Tape construction set to ${TAPE_MODES[state.params.tapeMode].label}`);
+			} else if (name === 'surfaceB') {
+				state.params.surfaceB = validateString(e.target.value, getKnownMaterialNames('surface'), 'Wall Paint');
+				addHistory(`Face B surface set to ${state.params.surfaceB}`);
+			} else if (name === 'adhesiveB') {
+				state.params.adhesiveB = validateString(e.target.value, getAdhesiveOptions(), 'Acrylic');
+				addHistory(`Face B adhesive set to ${state.params.adhesiveB}`);
+			} else {
+				state.params.thicknessB = sanitizeNumber(fromInputValue('thickness', e.target.value), 1, 1000, 120);
+				addHistory(`Face B adhesive thickness set to ${formatParam('thickness', state.params.thicknessB)}`);
+			}
+		});
+	});
+}
+
+// Which limit of a calculateDoubleSidedJoint result gives way first, in the UI's language and units
+export function describeJoint(joint) {
+	const load = formatForce(joint.failureLoad);
+	if (joint.firstFailure === 'core') {
+		return t('controls.joint.coreSplits', { core: joint.core.material, load, surfaceA: joint.faces[0].surface, surfaceB: joint.faces[1].surface });
+	}
+	const failed = joint.faces.find(face => face.face === joint.firstFailure);
+	const other = joint.faces.find(face => face.face !== joint.firstFailure);
+	return t(failed.status === 'torn' ? 'controls.joint.surfaceTears' : 'controls.joint.faceReleases', {
+		face: failed.face, adhesive: failed.adhesive, surface: failed.surface, other: other.surface, load
+	});
+}
+
+// Joint assessment card: which limit gives way first and what each surface is left with
+export function renderDoubleSidedJoint(joint) {
+	const formatLoad = (load) => Number.isFinite(load) ? formatForce(load) : t('common.never');
+	const statusText = (face) => {
+		if (face.status === 'torn') return `💥 ${t('controls.joint.torn', { surface: face.surface })}`;
+		if (face.status === 'released') return `✅ ${face.residue > 0 ? t('controls.joint.releasedResidue', { residue: formatNumber(face.residue * 100) }) : t('controls.joint.releasedClean')}`;
+		return `📌 ${t('controls.joint.keepsTape', { risk: t(`common.risk.${face.damage.damageRisk}`) })}${face.damage.canDamage ? ` (${t('common.margin', { factor: formatNumber(face.damage.safetyFactor, 2) })})` : ''}`;
+	};
+	const rowStyle = (id) => joint.firstFailure === id ? 'background: #fef3c7; font-weight: 600;' : '';
+
+	return `
+		<div style="margin-bottom: 16px; padding: 12px; background: #fff; border: 2px solid #c4b5fd; border-radius: 8px;">
+			<div style="font-weight: 600; color: #5b21b6; margin-bottom: 6px; font-size: 0.95rem;">🧲 ${t('controls.joint.title', { mode: t(`controls.tapeModes.${joint.mode}`) })}</div>
+			<div style="font-size: 0.85rem; color: #4c1d95; margin-bottom: 10px;">${describeJoint(joint)}</div>
+			<table style="width: 100%; border-collapse: collapse; font-size: 0.75rem; color: #374151;">
+				<thead>
+					<tr style="color: #6b7280; text-align: left;">
+						<th style="padding: 4px;">${t('controls.joint.limit')}</th>
+						<th style="padding: 4px;">${t('controls.joint.bondReleases')}</th>
+						<th style="padding: 4px;">${t('controls.joint.surfaceTearsColumn')}</th>
+					</tr>
+				</thead>
+				<tbody>
+					${joint.faces.map(face => `
+					<tr style="border-top: 1px solid #f3f4f6; ${rowStyle(face.face)}">
+						<td style="padding: 4px;">${t('controls.joint.faceRow', { face: face.face, adhesive: face.adhesive, surface: face.surface })}</td>
+						<td style="padding: 4px;">${formatLoad(face.bondLoad)}</td>
+						<td style="padding: 4px;">${formatLoad(face.tearLoad)}</td>
+					</tr>
+					`).join('')}
+					<tr style="border-top: 1px solid #f3f4f6; ${rowStyle('core')}">
+						<td style="padding: 4px;">${t('controls.joint.coreRow', { core: joint.core.material })}</td>
+						<td style="padding: 4px;" colspan="2">${t('controls.joint.splitsAt', { load: formatLoad(joint.core.load) })}</td>
+					</tr>
+				</tbody>
+			</table>
+			<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-top: 10px;">
+				${joint.faces.map(face => `
+				<div style="padding: 8px; background: #f5f3ff; border-radius: 4px; font-size: 0.75rem; color: #4c1d95;">
+					<strong>${face.surface} (${t('controls.joint.faceLabel', { face: face.face })})</strong><br/>${statusText(face)}
+				</div>
+				`).join('')}
+			</div>
+		</div>
+	`;
+}
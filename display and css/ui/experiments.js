@@ -0,0 +1,287 @@
+import { calculateAdhesiveResidue, calculateLaminateProperties, calculateSurfaceDamageRisk, calculateTapeProperties, calculateUVDegradation, fromSI } from '../math_reasoning.js';
+import { applyCustomMaterials, getEnvironmentText, regularTapeOptions } from './catalog.js';
+import { formatParam, formatSI, formatTimeImpact } from './format.js';
+import { addHistory } from './history.js';
+import { formatNumber, t } from './i18n.js';
+import { describeLaminate, getExperimentLayers, getLaminateParams, getLegacyLaminateLayers, setLaminateLayers } from './laminate.js';
+import { syncScheduleClimate } from './schedule.js';
+import { getKnownMaterialNames, safeJSONParse, sanitizeNumber, validateExperimentResults, validateLaminateLayers, validateMaterialLibrary, validateStateData, validateString, validateTapeList } from './security.js';
+import { state } from './state.js';
+import { enterTestGround } from './test_ground.js';
+
+// Saved experiments kept (the oldest are dropped first)
+export const EXPERIMENT_LIMIT = 100;
+
+// Next free experiment id (ids stay unique after imports trim the list)
+export function nextExperimentId() {
+	return Math.max(0, ...state.experiments.map(exp => Number(exp.id) || 0)) + 1;
+}
+
+// Computed outputs stored with an experiment snapshot (SI, same as the math module)
+export function computeExperimentResults(exp) {
+	const calcParams = { ...exp.data, timeImpactDays: exp.timeImpactDays || 0 };
+	const layers = getExperimentLayers(exp);
+	const tapeParams = layers ? getLaminateParams(calcParams, layers) : { ...calcParams, backing: calcParams.tape };
+	const props = layers ?
+		calculateLaminateProperties(tapeParams) :
+		calculateTapeProperties(calcParams);
+	const damage = calculateSurfaceDamageRisk(tapeParams);
+
+	return {
+		peel: props.peel,
+		hold: props.hold,
+		stretch: props.stretch,
+		safetyFactor: damage.canDamage ? damage.safetyFactor : null,
+		damageRisk: damage.damageRisk,
+		uvDegradation: calculateUVDegradation(tapeParams),
+		adhesiveResidue: calculateAdhesiveResidue(tapeParams)
+	};
+}
+
+// Inputs shown in the comparison (rows whose values differ are highlighted); labels are catalog keys
+export const EXPERIMENT_INPUTS = [
+	{ label: 'history.inputs.tape', value: exp => exp.variant?.isVariant ? describeLaminate(getExperimentLayers(exp)) : exp.data.tape },
+	{ label: 'history.inputs.adhesive', value: exp => exp.data.adhesive },
+	{ label: 'history.inputs.adhesiveThickness', value: exp => formatParam('thickness', exp.data.thickness) },
+	{ label: 'history.inputs.surface', value: exp => exp.data.surface },
+	{ label: 'history.inputs.environment', value: exp => t('conditions.environmentValue', {
+		name: getEnvironmentText(exp.data.environment || 'Dry').name,
+		temperature: Number.isFinite(exp.data.temperature) ? formatParam('temperature', exp.data.temperature) : '-',
+		humidity: exp.data.humidity ?? '-'
+	}) },
+	{ label: 'history.inputs.size', value: exp => `${formatParam('width', exp.data.width)} × ${formatParam('height', exp.data.height)}` },
+	{ label: 'history.inputs.peel', value: exp => t('peel.angleAtRate', { angle: exp.data.peelAngle ?? 180, rate: formatParam('peelRate', exp.data.peelRate ?? 300) }) },
+	{ label: 'history.inputs.time', value: exp => formatTimeImpact(exp.timeImpactDays || 0) }
+];
+
+// Outputs shown in the comparison; numeric ones get deltas and bars
+export const EXPERIMENT_METRICS = [
+	{ key: 'peel', label: 'history.metrics.peel', format: v => formatSI(v, 'forcePerWidth') },
+	{ key: 'hold', label: 'history.metrics.hold', format: v => formatSI(v, 'stress') },
+	{ key: 'stretch', label: 'history.metrics.stretch', format: v => `${formatNumber(v, 1)}%` },
+	{ key: 'safetyFactor', label: 'history.metrics.safetyFactor', format: v => `${formatNumber(v, 2)}×` },
+	{ key: 'uvDegradation', label: 'history.metrics.uvDegradation', format: v => `${formatNumber(v * 100, 1)}%`, scale: 100 },
+	{ key: 'adhesiveResidue', label: 'history.metrics.adhesiveResidue', format: v => `${formatNumber(v * 100, 1)}%`, scale: 100 }
+];
+
+// ==================== EXPORT / IMPORT / SHARE ====================
+
+const EXPORT_FORMAT = 'tape-ui-experiments';
+
+const EXPORT_VERSION = 1;
+
+const SCENARIO_HASH_PREFIX = '#scenario=';
+
+const SCENARIO_VERSION = 3;
+
+// Offer text content as a file download
+export function downloadFile(filename, content, mimeType) {
+	const blob = new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function exportExperimentsJSON() {
+	const payload = {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		exportedAt: new Date().toISOString(),
+		experiments: state.experiments.map(exp => ({ ...exp, results: exp.results || computeExperimentResults(exp) })),
+		customMaterials: state.customMaterials
+	};
+	downloadFile(`tape-experiments-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(payload, null, 2), 'application/json');
+	addHistory(`Exported ${state.experiments.length} experiments as JSON`);
+}
+
+// Quote CSV fields and neutralize spreadsheet formulas in text cells
+function csvField(value) {
+	if (value === null || value === undefined) return '';
+	let text = String(value);
+	if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportExperimentsCSV() {
+	const forceUnit = state.displayUnits.forcePerWidth;
+	const stressUnit = state.displayUnits.stress;
+	const columns = [
+		{ header: 'Name', value: exp => exp.name },
+		{ header: 'Saved', value: exp => exp.timestamp },
+		{ header: 'Variant', value: exp => exp.variant?.isVariant ? 'yes' : 'no' },
+		{ header: 'Backing', value: exp => exp.variant?.isVariant ? getExperimentLayers(exp).map(layer => `${layer.material} ${layer.thickness} µm`).join(' / ') : exp.data.tape },
+		{ header: 'Adhesive', value: exp => exp.data.adhesive },
+		{ header: 'Adhesive Thickness (µm)', value: exp => exp.data.thickness },
+		{ header: 'Surface', value: exp => exp.data.surface },
+		{ header: 'Environment', value: exp => exp.data.environment },
+		{ header: 'Temperature (°C)', value: exp => exp.data.temperature },
+		{ header: 'Humidity (% RH)', value: exp => exp.data.humidity },
+		{ header: 'Width (mm)', value: exp => exp.data.width },
+		{ header: 'Height (mm)', value: exp => exp.data.height },
+		{ header: 'Tape Length (mm)', value: exp => exp.data.tapeLength },
+		{ header: 'Peel Angle (°)', value: exp => exp.data.peelAngle },
+		{ header: 'Peel Rate (mm/min)', value: exp => exp.data.peelRate },
+		{ header: 'Time (days)', value: exp => Number((exp.timeImpactDays || 0).toFixed(4)) },
+		{ header: `Peel (${forceUnit})`, value: (exp, r) => Number(fromSI(r.peel, forceUnit).toPrecision(4)) },
+		{ header: `Hold (${stressUnit})`, value: (exp, r) => Number(fromSI(r.hold, stressUnit).toPrecision(4)) },
+		{ header: 'Stretch (%)', value: (exp, r) => Number(r.stretch.toFixed(2)) },
+		{ header: 'Safety Factor', value: (exp, r) => r.safetyFactor === null ? 'infinite' : Number(r.safetyFactor.toFixed(3)) },
+		{ header: 'Damage Risk', value: (exp, r) => r.damageRisk },
+		{ header: 'UV Yellowing (%)', value: (exp, r) => Number((r.uvDegradation * 100).toFixed(2)) },
+		{ header: 'Adhesive Residue (%)', value: (exp, r) => Number((r.adhesiveResidue * 100).toFixed(2)) }
+	];
+	const lines = [columns.map(column => csvField(column.header)).join(',')];
+	state.experiments.forEach(exp => {
+		const results = exp.results || computeExperimentResults(exp);
+		lines.push(columns.map(column => csvField(column.value(exp, results))).join(','));
+	});
+	downloadFile(`tape-experiments-${new Date().toISOString().slice(0, 10)}.csv`, lines.join('\r\n'), 'text/csv');
+	addHistory(`Exported ${state.experiments.length} experiments as CSV`);
+}
+
+// Import a JSON export: validated like localStorage data, appended with fresh ids (the newest EXPERIMENT_LIMIT kept)
+export function importExperimentsJSON(text) {
+	const raw = safeJSONParse(text);
+	if (!raw || raw.format !== EXPORT_FORMAT || !Array.isArray(raw.experiments)) {
+		alert(t('history.importNotExport'));
+		return;
+	}
+	if (typeof raw.version !== 'number' || raw.version > EXPORT_VERSION) {
+		alert(t('history.importNewerVersion', { version: String(raw.version), supported: EXPORT_VERSION }));
+		return;
+	}
+
+	// Custom materials first so experiments referencing them validate
+	if (raw.customMaterials) {
+		const imported = validateMaterialLibrary(raw.customMaterials);
+		Object.keys(imported).forEach(kind => {
+			state.customMaterials[kind] = { ...imported[kind], ...state.customMaterials[kind] };
+		});
+		applyCustomMaterials();
+	}
+
+	let nextId = nextExperimentId();
+	const backings = getKnownMaterialNames('backing');
+	const experiments = raw.experiments.filter(exp => exp && typeof exp === 'object' && exp.data && typeof exp.data === 'object').map(exp => {
+		const isVariant = !!exp.variant?.isVariant;
+		const layers = isVariant ? validateLaminateLayers(exp.variant.layers) ??
+			getLegacyLaminateLayers(validateString(exp.variant.tape1, backings, 'PVC'), validateString(exp.variant.tape2, backings, 'PP')) : null;
+		return {
+			id: nextId++,
+			// Plain text, escaped where it is rendered
+			name: String(exp.name || 'Imported experiment').slice(0, 120),
+			timestamp: String(exp.timestamp || '').slice(0, 60),
+			data: { ...state.params, ...validateStateData({ params: { ...exp.data } }).params },
+			variant: { isVariant, layers },
+			timeImpactDays: sanitizeNumber(exp.timeImpactDays, 0, 366, 0),
+			results: validateExperimentResults(exp.results)
+		};
+	});
+
+	state.experiments = [...state.experiments, ...experiments].slice(-EXPERIMENT_LIMIT);
+	addHistory(`Imported ${experiments.length} experiments`);
+}
+
+// Custom materials and the imported tape the scenario names; the recipient's library may not have them
+function getScenarioLibrary() {
+	const importedTape = state.customTapes.find(tape => tape.name === state.selectedRegularTape) || null;
+	const used = {
+		backing: [state.params.tape, ...(state.laminate.layers || []).map(layer => layer.material), importedTape?.backing],
+		adhesive: [state.params.adhesive, state.params.adhesiveB, importedTape?.adhesive],
+		surface: [state.params.surface, state.params.surfaceB]
+	};
+	const customMaterials = {};
+	Object.keys(used).forEach(kind => {
+		const entries = used[kind].filter(name => name && state.customMaterials[kind]?.[name]).map(name => [name, state.customMaterials[kind][name]]);
+		if (entries.length > 0) customMaterials[kind] = Object.fromEntries(entries);
+	});
+	return { customMaterials, customTapes: importedTape ? [importedTape] : [] };
+}
+
+// Everything needed to rebuild the Test Ground, base64url-encoded into the URL fragment
+function encodeScenario() {
+	const scenario = {
+		version: SCENARIO_VERSION,
+		params: state.params,
+		laminate: state.laminate,
+		selectedRegularTape: state.selectedRegularTape,
+		timeImpactDays: state.timeImpactDays || 0,
+		...getScenarioLibrary()
+	};
+	const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+	const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeScenario(encoded) {
+	try {
+		const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+		// Validated in restoreScenarioFromHash, once the link's own materials are in the library
+		return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+	} catch (e) {
+		console.warn('Scenario link could not be decoded:', e);
+		return null;
+	}
+}
+
+export function copyScenarioLink() {
+	const url = `${location.origin}${location.pathname}${location.search}${SCENARIO_HASH_PREFIX}${encodeScenario()}`;
+	history.replaceState(null, '', url);
+	const notice = document.getElementById('saveNotice');
+	const showNotice = (text) => {
+		notice.textContent = text;
+		notice.classList.add('show');
+		setTimeout(() => notice.classList.remove('show'), 2500);
+	};
+	if (navigator.clipboard) {
+		navigator.clipboard.writeText(url).then(() => showNotice(t('linkCopiedNotice')), () => showNotice(t('linkInAddressBarNotice')));
+	} else {
+		showNotice(t('linkInAddressBarNotice'));
+	}
+	addHistory('Shared scenario link');
+}
+
+// Apply a scenario link on startup and open the Test Ground exactly as it was shared
+export function restoreScenarioFromHash() {
+	if (!location.hash.startsWith(SCENARIO_HASH_PREFIX)) return;
+	const raw = decodeScenario(location.hash.slice(SCENARIO_HASH_PREFIX.length));
+	if (!raw || typeof raw !== 'object' || typeof raw.version !== 'number' || raw.version > SCENARIO_VERSION || !raw.params) {
+		console.warn('Ignoring invalid scenario link');
+		return;
+	}
+
+	// Materials and tapes carried by the link join the library (existing entries of the same name win,
+	// and a linked tape cannot take a catalog name)
+	if (raw.customMaterials) {
+		const imported = validateMaterialLibrary(raw.customMaterials);
+		Object.keys(imported).forEach(kind => {
+			state.customMaterials[kind] = { ...imported[kind], ...state.customMaterials[kind] };
+		});
+	}
+	if (Array.isArray(raw.customTapes)) {
+		const taken = [...regularTapeOptions, ...state.customTapes].map(tape => tape.name);
+		state.customTapes = [...state.customTapes, ...validateTapeList(raw.customTapes, taken)];
+	}
+	applyCustomMaterials();
+	const scenario = validateStateData(raw);
+
+	state.params = { ...state.params, ...scenario.params };
+	if (scenario.laminate?.layers) {
+		setLaminateLayers(scenario.laminate.layers);
+	} else if (scenario.mixedTapes?.tape1 && scenario.mixedTapes?.tape2) {
+		// Version 1 links carried the two-tape variant
+		setLaminateLayers(getLegacyLaminateLayers(scenario.mixedTapes.tape1, scenario.mixedTapes.tape2));
+	}
+	state.selectedRegularTape = scenario.selectedRegularTape ?? null;
+	state.timeImpactDays = sanitizeNumber(scenario.timeImpactDays, 0, 366, 0);
+	syncScheduleClimate();
+
+	enterTestGround();
+	if (state.selectedRegularTape) state.testTape = 'regular';
+	addHistory('Restored scenario from link');
+}
@@ -0,0 +1,137 @@
+import { PARAM_UNITS, convertUnit, fromSI } from '../math_reasoning.js';
+import { formatNumber, t } from './i18n.js';
+import { saveState, state } from './state.js';
+
+// Units offered for display, per dimension (calculations always return SI)
+export const DISPLAY_UNIT_OPTIONS = {
+	forcePerWidth: ['N/cm', 'N/25mm', 'N/100mm', 'cN/cm', 'oz/in'],
+	stress: ['N/cm²', 'kPa', 'MPa', 'psi'],
+	length: ['µm', 'mm', 'mil']
+};
+
+const DISPLAY_UNIT_DIGITS = { 'N/cm': 2, 'N/25mm': 2, 'N/100mm': 1, 'cN/cm': 0, 'oz/in': 1, 'N/cm²': 2, 'kPa': 1, 'MPa': 3, 'psi': 2, 'µm': 0, 'mm': 3, 'mil': 2 };
+
+// Format an SI value from the math module in the user's chosen display unit
+export function formatSI(siValue, dimension, digits) {
+	const unit = state.displayUnits[dimension];
+	if (siValue === null || siValue === undefined || !Number.isFinite(siValue)) return 'N/A';
+	return `${formatNumber(fromSI(siValue, unit), digits ?? DISPLAY_UNIT_DIGITS[unit])} ${unit}`;
+}
+
+// ==================== UNIT SYSTEMS ====================
+// The metric/imperial toggle picks the units inputs are typed in and results are shown in.
+// state.params always stays in PARAM_UNITS; inputs convert on the way in and out.
+
+export const UNIT_SYSTEMS = {
+	metric: {
+		displayUnits: { forcePerWidth: 'N/cm', stress: 'N/cm²', length: 'µm' },
+		force: 'N',
+		params: { ...PARAM_UNITS }
+	},
+	imperial: {
+		displayUnits: { forcePerWidth: 'oz/in', stress: 'psi', length: 'mil' },
+		force: 'lbf',
+		params: { width: 'in', height: 'in', tapeLength: 'in', thickness: 'mil', peelRate: 'in/min', hangMass: 'oz', temperature: '°F' }
+	}
+};
+
+// Decimal places an input keeps in each unit (and the step its spinner moves by)
+const INPUT_DIGITS = { 'mm': 0, 'µm': 0, 'mm/min': 0, 'g': 0, '°C': 1, 'in': 2, 'mil': 2, 'in/min': 1, 'oz': 1, '°F': 0 };
+const INPUT_STEPS = { 'in': 0.01, 'mil': 0.1, 'in/min': 0.5, 'oz': 0.5, '°F': 1 };
+const FORCE_DIGITS = { 'N': 1, 'lbf': 2 };
+
+// Unit a parameter input is typed in ('thickness' -> 'mil' in imperial)
+export function getInputUnit(name) {
+	return (UNIT_SYSTEMS[state.unitSystem] || UNIT_SYSTEMS.metric).params[name];
+}
+
+// state.params value -> value shown in the parameter's input
+export function toInputValue(name, value) {
+	const unit = getInputUnit(name);
+	return Number(convertUnit(value, PARAM_UNITS[name], unit).toFixed(INPUT_DIGITS[unit]));
+}
+
+// Value typed into the parameter's input -> state.params value
+export function fromInputValue(name, value) {
+	return convertUnit(parseFloat(value), getInputUnit(name), PARAM_UNITS[name]);
+}
+
+/**
+ * Attributes for a parameter's number input in the current unit system
+ * @param {string} name - state.params key (see PARAM_UNITS)
+ * @param {number} value - Current value in PARAM_UNITS
+ * @param {{ min: number, max: number, step?: number }} range - Bounds in PARAM_UNITS
+ * @returns {string} value, min, max and step attributes
+ */
+export function paramInputAttrs(name, value, { min, max, step = 1 }) {
+	const unit = getInputUnit(name);
+	const bound = (limit) => Number(convertUnit(limit, PARAM_UNITS[name], unit).toFixed(INPUT_DIGITS[unit]));
+	return `value="${toInputValue(name, value)}" min="${bound(min)}" max="${bound(max)}" step="${unit === PARAM_UNITS[name] ? step : INPUT_STEPS[unit]}"`;
+}
+
+// A state.params value with its unit, e.g. formatParam('width', 100) -> '3.94 in'
+// (without `digits`, as precise as its input and without trailing zeros)
+export function formatParam(name, value, digits) {
+	const unit = getInputUnit(name);
+	const shownDigits = digits ?? (Number.isInteger(toInputValue(name, value)) ? 0 : INPUT_DIGITS[unit]);
+	return `${formatNumber(convertUnit(value, PARAM_UNITS[name], unit), shownDigits)} ${unit}`;
+}
+
+// Unit forces are shown in ('N' or 'lbf')
+export function getForceUnit() {
+	return (UNIT_SYSTEMS[state.unitSystem] || UNIT_SYSTEMS.metric).force;
+}
+
+// A force in newtons in the unit system's force unit
+export function formatForce(newtons, digits) {
+	const unit = getForceUnit();
+	return `${formatNumber(fromSI(newtons, unit), digits ?? FORCE_DIGITS[unit])} ${unit}`;
+}
+
+// A short length in metres (creep slip, peel travel) in the unit widths are typed in
+export function formatLength(meters, digits) {
+	const unit = getInputUnit('width');
+	return `${formatNumber(fromSI(meters, unit), digits ?? (unit === 'in' ? 3 : 2))} ${unit}`;
+}
+
+// Switch every input and result to another unit system (the per-dimension selectors start from its units)
+export function setUnitSystem(system) {
+	if (!UNIT_SYSTEMS[system] || state.unitSystem === system) return;
+	state.unitSystem = system;
+	state.displayUnits = { ...UNIT_SYSTEMS[system].displayUnits };
+	saveState();
+}
+
+// Time slider scale: 10-minute steps for the first hour, hourly steps up to
+// 3 days, then daily steps up to 366 days (state keeps fractional days)
+export const TIME_SLIDER_MAX = 440;
+
+export function sliderPositionToDays(position) {
+	if (position <= 6) return position * 10 / 1440; // 0-60 min
+	if (position <= 77) return (position - 5) / 24; // 1-72 h
+	return position - 74; // 4-366 days
+}
+
+export function daysToSliderPosition(days) {
+	const hours = days * 24;
+	if (hours <= 1) return Math.round(hours * 6);
+	if (hours <= 72) return Math.round(hours) + 5;
+	return Math.min(TIME_SLIDER_MAX, Math.round(days) + 74);
+}
+
+// Hang test durations in seconds ('2.5 days'); Infinity reads as 'indefinitely'
+export function formatElapsed(seconds) {
+	if (!Number.isFinite(seconds)) return t('time.indefinitely');
+	if (seconds < 60) return t('time.seconds', { count: formatNumber(seconds) });
+	if (seconds < 3600) return t('time.minutes', { count: formatNumber(seconds / 60) });
+	if (seconds < 86400) return t('time.hours', { count: formatNumber(seconds / 3600, 1) });
+	if (seconds < 365 * 86400) return t('time.days', { count: formatNumber(seconds / 86400, 1) });
+	return t('time.years', { count: formatNumber(seconds / (365 * 86400), 1) });
+}
+
+export function formatTimeImpact(days) {
+	const hours = days * 24;
+	if (hours < 1) return t('time.minutes', { count: formatNumber(hours * 60) });
+	if (hours < 72) return t('time.hours', { count: formatNumber(hours) });
+	return t('time.days', { count: formatNumber(days) });
+}
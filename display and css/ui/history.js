@@ -0,0 +1,120 @@
+import { applyCustomMaterials } from './catalog.js';
+import { formatTimeImpact } from './format.js';
+import { describeLaminate, setLaminateLayers } from './laminate.js';
+import { sanitizeHTML } from './security.js';
+import { saveState, state } from './state.js';
+
+// ==================== UNDO / REDO ====================
+
+export const HISTORY_LIMIT = 50;
+
+// Tracked state when the last history entry was recorded (diffed by the next one)
+let historyBaseline = null;
+
+// Start diffing from the current state (after loading it from storage)
+export function resetHistoryBaseline() {
+	historyBaseline = captureTrackedState();
+}
+
+/**
+ * Flat snapshot of everything history can restore, keyed by path:
+ * params.<name>, laminate.layers, timeImpactDays, selectedRegularTape, customMaterials.<kind>.<name>
+ */
+function captureTrackedState() {
+	const tracked = {};
+	Object.entries(state.params).forEach(([key, value]) => { tracked[`params.${key}`] = value; });
+	tracked['laminate.layers'] = state.laminate.layers;
+	tracked.timeImpactDays = state.timeImpactDays || 0;
+	tracked.selectedRegularTape = state.selectedRegularTape ?? null;
+	Object.entries(state.customMaterials).forEach(([kind, materials]) => {
+		Object.entries(materials).forEach(([key, material]) => { tracked[`customMaterials.${kind}.${key}`] = material; });
+	});
+	return JSON.parse(JSON.stringify(tracked));
+}
+
+function diffTrackedState(before, after) {
+	const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+	return [...paths]
+		.filter(path => JSON.stringify(before[path] ?? null) !== JSON.stringify(after[path] ?? null))
+		.map(path => ({ path, before: before[path] ?? null, after: after[path] ?? null }));
+}
+
+// Add history entry (with the state changes since the previous one)
+export function addHistory(entry) {
+	const time = new Date().toLocaleString();
+	const sanitizedEntry = sanitizeHTML(String(entry));
+	const current = captureTrackedState();
+	const changes = historyBaseline ? diffTrackedState(historyBaseline, current) : [];
+	historyBaseline = current;
+	// A new change drops the undone entries; plain log lines keep them
+	if (changes.length > 0) {
+		state.history = state.history.slice(state.historyCursor);
+		state.historyCursor = 0;
+	}
+	state.history.splice(state.historyCursor, 0, { time, text: sanitizedEntry, changes });
+	state.history = state.history.slice(0, HISTORY_LIMIT);
+	state.historyCursor = Math.min(state.historyCursor, state.history.length);
+	saveState();
+}
+
+/**
+ * Write one side ('before' or 'after') of a list of changes back into state
+ * Materials go first so layers and params can name them; layers before params so params.tape wins
+ */
+function applyTrackedChanges(changes, side) {
+	const order = path => path.startsWith('customMaterials.') ? 0 : path === 'laminate.layers' ? 1 : 2;
+	[...changes].sort((a, b) => order(a.path) - order(b.path)).forEach(({ path, [side]: value }) => {
+		const material = path.match(/^customMaterials\.(backing|adhesive|surface)\.(.+)$/);
+		if (material) {
+			const [, kind, key] = material;
+			if (value === null) delete state.customMaterials[kind][key];
+			else state.customMaterials[kind][key] = JSON.parse(JSON.stringify(value));
+		} else if (path === 'laminate.layers') {
+			if (value) setLaminateLayers(value);
+		} else if (path.startsWith('params.')) {
+			const key = path.slice('params.'.length);
+			if (value === null) delete state.params[key];
+			else state.params[key] = JSON.parse(JSON.stringify(value));
+		} else if (path === 'timeImpactDays') {
+			state.timeImpactDays = value ?? 0;
+		} else if (path === 'selectedRegularTape') {
+			state.selectedRegularTape = value;
+		}
+	});
+}
+
+/**
+ * Move to the point after history[target] (0 = latest); entries before target count as undone
+ */
+export function goToHistoryPoint(target) {
+	const cursor = state.historyCursor;
+	if (target === cursor || target < 0 || target > state.history.length) return false;
+	for (let i = cursor; i < target; i++) applyTrackedChanges(state.history[i].changes, 'before');
+	for (let i = cursor - 1; i >= target; i--) applyTrackedChanges(state.history[i].changes, 'after');
+	state.historyCursor = target;
+	resetHistoryBaseline();
+	applyCustomMaterials();
+	saveState();
+	return true;
+}
+
+export function undoHistory() {
+	const index = state.history.findIndex((entry, i) => i >= state.historyCursor && entry.changes.length > 0);
+	return index !== -1 && goToHistoryPoint(index + 1);
+}
+
+export function redoHistory() {
+	for (let i = state.historyCursor - 1; i >= 0; i--) {
+		if (state.history[i].changes.length > 0) return goToHistoryPoint(i);
+	}
+	return false;
+}
+
+export function formatHistoryValue(path, value) {
+	if (value === null || value === undefined) return '—';
+	if (path === 'laminate.layers') return describeLaminate(value);
+	if (path === 'timeImpactDays') return formatTimeImpact(value);
+	if (path === 'params.schedule') return `${value.enabled ? 'on' : 'off'}, ${value.segments.length} segment${value.segments.length === 1 ? '' : 's'}`;
+	if (path.startsWith('customMaterials.')) return 'defined';
+	return String(value);
+}
@@ -0,0 +1,99 @@
+import { setUnitSystem } from './format.js';
+import { DE_MESSAGES } from './locales/de.js';
+import { EN_MESSAGES } from './locales/en.js';
+import { saveState, state, store } from './state.js';
+
+// ==================== I18N ====================
+// Translation catalogs are nested objects looked up by dotted key ("dimensions.width").
+// Keys missing from a catalog fall back to English, then to the key itself, so a
+// half-translated catalog still renders. Placeholders are written {name}.
+
+export const LOCALES = {
+	en: { label: 'English', numberLocale: 'en-US', messages: EN_MESSAGES },
+	de: { label: 'Deutsch', numberLocale: 'de-DE', messages: DE_MESSAGES }
+};
+
+const numberFormats = new Map(); // "locale|digits" -> Intl.NumberFormat
+
+const currentLocale = () => LOCALES[state.locale] || LOCALES.en;
+
+function lookup(messages, key) {
+	return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+/**
+ * Translate a catalog key in the current locale
+ * @param {string} key - Dotted catalog key
+ * @param {Object} [vars] - Values for {placeholders}
+ * @returns {string}
+ */
+export function t(key, vars = {}) {
+	const template = lookup(currentLocale().messages, key) ?? lookup(EN_MESSAGES, key);
+	if (typeof template !== 'string') return key;
+	return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// Text the math module carries in English (preset names, descriptions): the locale's own wording if its catalog has one
+export function translateData(key, englishText) {
+	const translated = lookup(currentLocale().messages, key);
+	return typeof translated === 'string' ? translated : englishText;
+}
+
+/**
+ * Format a number with the current locale's separators
+ * @param {number} value
+ * @param {number} [digits] - Fixed decimal places
+ * @returns {string} 'N/A' for missing or non-finite values
+ */
+export function formatNumber(value, digits = 0) {
+	if (!Number.isFinite(value)) return 'N/A';
+	const numberLocale = currentLocale().numberLocale;
+	const cacheKey = `${numberLocale}|${digits}`;
+	if (!numberFormats.has(cacheKey)) {
+		numberFormats.set(cacheKey, new Intl.NumberFormat(numberLocale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+	}
+	return numberFormats.get(cacheKey).format(value);
+}
+
+// Date and time with the current locale's ordering (report titles and timestamps)
+export function formatDateTime(date) {
+	return date.toLocaleString(currentLocale().numberLocale);
+}
+
+// Static markup: data-i18n sets the text, data-i18n-tip the sidebar tooltip
+function applyStaticTranslations() {
+	document.documentElement.lang = state.locale;
+	document.querySelectorAll('[data-i18n]').forEach(el => {
+		el.textContent = t(el.getAttribute('data-i18n'));
+	});
+	document.querySelectorAll('[data-i18n-tip]').forEach(el => {
+		el.setAttribute('data-tip', t(el.getAttribute('data-i18n-tip')));
+	});
+}
+
+// Language picker and metric/imperial toggle in the bottom bar
+function renderDisplaySettings() {
+	const localeSelect = document.getElementById('localeSelect');
+	if (localeSelect) {
+		localeSelect.innerHTML = Object.entries(LOCALES).map(([code, locale]) => `<option value="${code}" ${state.locale === code ? 'selected' : ''}>${locale.label}</option>`).join('');
+	}
+	document.querySelectorAll('[data-unit-system]').forEach(btn => {
+		btn.classList.toggle('active', btn.getAttribute('data-unit-system') === state.unitSystem);
+	});
+}
+
+export function initI18n() {
+	document.getElementById('localeSelect')?.addEventListener('change', (e) => {
+		if (!LOCALES[e.target.value]) return;
+		state.locale = e.target.value;
+		saveState();
+	});
+	document.querySelectorAll('[data-unit-system]').forEach(btn => {
+		btn.addEventListener('click', () => setUnitSystem(btn.getAttribute('data-unit-system')));
+	});
+
+	store.subscribe(['locale'], applyStaticTranslations);
+	store.subscribe(['locale', 'unitSystem'], renderDisplaySettings);
+	applyStaticTranslations();
+	renderDisplaySettings();
+}
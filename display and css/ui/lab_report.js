@@ -0,0 +1,507 @@
+import { CALIBRATION, PEEL_TEST_STANDARD, applyScheduleClimate, calculateAdhesiveResidue, calculateClimateFactors, calculateDamageProbability, calculateDoubleSidedJoint, calculateHangTest, calculateLaminateProperties, calculatePeelMechanics, calculatePeelOutcome, calculatePropertyTimeline, calculateTapeProperties, calculateUVDegradation, fromSI, getMaterialInfo, getSurfaceRuptureStrength, resolveSchedule, simulatePeelTrace, toSI } from '../math_reasoning.js';
+import { getEnvironmentText } from './catalog.js';
+import { describeJoint } from './controls.js';
+import { downloadFile } from './experiments.js';
+import { TIME_SLIDER_MAX, daysToSliderPosition, formatElapsed, formatForce, formatLength, formatParam, formatSI, formatTimeImpact, getForceUnit, getInputUnit, sliderPositionToDays } from './format.js';
+import { addHistory } from './history.js';
+import { formatDateTime, formatNumber, t } from './i18n.js';
+import { describeLaminate, getExperimentLayers, getLaminateParams } from './laminate.js';
+import { describeDamageRisk } from './panels/specifics.js';
+import { TIMELINE_RISK_COLORS, TIMELINE_SERIES, TIMELINE_TICKS, describeTimelineCrossing, formatTimelineTick } from './panels/timeline.js';
+import { getCycleLabel } from './schedule.js';
+import { sanitizeHTML } from './security.js';
+import { state } from './state.js';
+import { buildTestGroundParams } from './test_ground.js';
+import { describeAdhesiveBehavior, describeHangResult, describePeelOutcome, describeResidue, describeUVDegradation, getPeelOutcomeDetails, getPeelVerdict } from './test_results.js';
+
+// ==================== LAB REPORT ====================
+// Printable record of one configuration (a saved experiment or the current Test Ground run):
+// inputs, every computed property, the peel verdict, charts over time, the model assumptions
+// in force and the sources behind the material data. The document is self-contained HTML
+// with print styles, so "Print → Save as PDF" from the new tab gives the paperwork.
+
+// Sources cited in "collected data on tape" and "force_applie_toRip" (tracking query strings dropped)
+const LITERATURE_REFERENCES = [
+	{
+		source: 'collected data on tape',
+		entries: [
+			{ title: '3M Scotch High Performance Box Sealing Tape 373 - Technical Data Sheet', url: 'https://multimedia.3m.com/mws/media/2365460O/3m-scotch-high-performance-box-sealing-tape-373.pdf' },
+			{ title: 'What is a Pressure Sensitive Tape? - Budnick', url: 'https://www.budnick.com/learning-center/tape101/tape-basics' },
+			{ title: 'Common Chemistries of Adhesive Tape - 3M', url: 'https://www.3m.com/3M/en_US/bonding-and-assembly-us/resources/science-of-adhesion/common-chemistry-psa-tapes/' },
+			{ title: 'Pressure Sensitive Adhesives - General Formulations', url: 'https://generalformulations.com/wp-content/uploads/GF_Pressure_Sensitive_Adhesives.pdf' },
+			{ title: '508 Tape - Datasheet (Rapid Electronics)', url: 'https://static.rapidonline.com/pdf/51-2256_v1.pdf' },
+			{ title: 'tesa® 60408 Bio-based paper packaging tape - tesa', url: 'https://www.tesa.com/en-us/industry/tesa-60408-bio-based-paper-packaging-tape.html' },
+			{ title: 'SCOTCH 2080EU Masking Tape - Product information sheet', url: 'https://objects.icecat.biz/objects/mmo_27256664_1472309994_015_26362.pdf' },
+			{ title: '3M Adhesive Transfer Tape 467MP - Technical Data Sheet', url: 'https://multimedia.3m.com/mws/media/1854916O/3m-adhesive-transfer-tape-467mp.pdf' },
+			{ title: 'How Tape Adhesion Changes with Temperature and Humidity - PPM Industries', url: 'https://www.ppmindustries.com/en/news/articoli/how-tape-adhesion-changes-with-temperature-and-humidity' },
+			{ title: 'Effect of Artificial Aging of Peel Adhesion of Self-Adhesive Tapes on Different Construction Surfaces - Applied Sciences 13(15), 8947', url: 'https://www.mdpi.com/2076-3417/13/15/8947' },
+			{ title: 'The Difference Between Rubber, Acrylic, and Silicone PSA Tapes - Engineered Materials Inc.', url: 'https://www.engineeredmaterialsinc.com/articles/2022/12/5/the-difference-between-rubber-acrylic-and-silicone-psa-tapes' },
+			{ title: 'The dos and don\'ts of industrial adhesive storage - Forgeway Ltd', url: 'https://www.forgeway.com/learning/blog/the-dos-and-donts-of-industrial-adhesive-storage' },
+			{ title: 'The Proper Handling and Storage of Adhesives - ChemPoint', url: 'https://www.chempoint.com/insights/the-proper-handling-and-storage-of-adhesives' }
+		]
+	},
+	{
+		source: 'force_applie_toRip',
+		entries: [
+			{ title: 'Tensile strength in newtons per meter and tensile index in newtons meter per gram', url: 'https://www.researchgate.net/figure/Tensile-strength-in-newtons-per-meter-and-tensile-index-in-newtons-meter-per-gram_fig3_328465537' },
+			{ title: 'Artist Print non woven wallpaper matt 180 gsm - TDS', url: 'https://eccoplus.pl/wp-content/uploads/2024/10/e-ArtistPrint-non-woven-wallpaper-180gsm-TDS.pdf' },
+			{ title: 'Manga: Selecting your paper - Canson', url: 'https://en.canson.com/expert-advice/manga-selecting-your-paper' },
+			{ title: 'Fujifilm Instax Mini Film 20 Pack - Officeworks', url: 'https://www.officeworks.com.au/shop/officeworks/p/fujifilm-instax-mini-film-20-pack-fufilm20pk' },
+			{ title: 'Basic Testing and Strength Design of Corrugated Board and Containers - Lund University', url: 'https://www.lth.se/fileadmin/byggnadsmekanik/publications/tvsm1000/web1015.pdf' },
+			{ title: 'Veneer in Interior Work - Roser', url: 'https://www.roser-swiss.com/fileadmin/user_upload/roser-swiss/Corporate-Navigation/Furnier/Downloads/en-IFN-Broschuere-Furnier-im-Innenausbau.pdf' },
+			{ title: 'Mechanical Properties of Wood - USDA Forest Products Laboratory, Wood Handbook ch. 5', url: 'https://www.fpl.fs.usda.gov/documnts/fplgtr/fplgtr190/chapter_05.pdf' },
+			{ title: 'Quality control tests for adhesion of paint on the panels of ... - NIST IR 4958', url: 'https://nvlpubs.nist.gov/nistpubs/Legacy/IR/nistir4958.pdf' },
+			{ title: 'Guide to Paper GSM: how to choose it? - Oppaca', url: 'https://www.oppaca.com/en/blog/grammatura-carta-breve-guida-alla-scelta' }
+		]
+	}
+];
+
+const REPORT_CHART = { width: 640, height: 180, left: 44, right: 12, top: 10, bottom: 22 };
+
+const REPORT_VERDICTS = {
+	ok: { color: '#047857', background: '#d1fae5' },
+	oops: { color: '#92400e', background: '#fef3c7' },
+	boom: { color: '#991b1b', background: '#fee2e2' },
+	snap: { color: '#6b21a8', background: '#f3e8ff' }
+};
+
+const REPORT_STYLES = `
+	body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 820px; margin: 24px auto; padding: 0 24px; font-size: 13px; line-height: 1.5; }
+	header { border-bottom: 3px solid #111827; padding-bottom: 8px; margin-bottom: 16px; }
+	h1 { font-size: 22px; margin: 0 0 4px 0; }
+	h2 { font-size: 15px; margin: 20px 0 8px 0; padding-bottom: 4px; border-bottom: 1px solid #d1d5db; }
+	h3 { font-size: 13px; margin: 12px 0 4px 0; color: #374151; }
+	.meta { color: #6b7280; font-size: 12px; }
+	table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+	th, td { text-align: left; padding: 3px 8px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+	th { width: 40%; font-weight: 600; color: #374151; }
+	thead th { width: auto; background: #f9fafb; border-bottom: 1px solid #e5e7eb; }
+	.verdict { display: inline-block; padding: 4px 12px; border-radius: 4px; font-weight: 700; letter-spacing: 0.05em; }
+	.note { color: #6b7280; font-size: 12px; }
+	.legend { display: flex; flex-wrap: wrap; gap: 12px; font-size: 11px; margin: 4px 0; }
+	.legend span span { display: inline-block; width: 12px; height: 3px; vertical-align: middle; }
+	svg { width: 100%; height: auto; display: block; border: 1px solid #e5e7eb; }
+	ol { padding-left: 20px; }
+	li { margin-bottom: 2px; word-break: break-word; }
+	a { color: #1d4ed8; }
+	.toolbar { position: sticky; top: 0; background: #fff; padding: 8px 0; text-align: right; }
+	.toolbar button { padding: 6px 14px; border: 1px solid #2563eb; background: #eff6ff; color: #1e40af; border-radius: 4px; font-weight: 600; cursor: pointer; }
+	@page { size: A4; margin: 16mm; }
+	@media print {
+		body { margin: 0; padding: 0; max-width: none; font-size: 11px; }
+		.toolbar { display: none; }
+		section { break-inside: avoid; }
+		h2 { break-after: avoid; }
+		a { color: inherit; text-decoration: none; }
+		a::after { content: " <" attr(href) ">"; font-size: 9px; color: #6b7280; }
+	}
+`;
+
+function tableRows(rows) {
+	return `<table>${rows.filter(Boolean).map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>`;
+}
+
+function formatPercent(value, digits = 1) {
+	return `${formatNumber(value * 100, digits)}%`;
+}
+
+function formatFactor(value, digits = 2) {
+	return Number.isFinite(value) ? `${formatNumber(value, digits)}×` : '∞';
+}
+
+// Evenly spaced axis ticks from 0 to a rounded-up maximum
+function niceTicks(max, count = 4) {
+	const rough = max / count;
+	const magnitude = Math.pow(10, Math.floor(Math.log10(rough || 1)));
+	const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough) || rough;
+	return Array.from({ length: Math.ceil(max / step) + 1 }, (_, i) => Number((i * step).toPrecision(6)));
+}
+
+// Tick value with as many decimals as it needs (0.25 -> "0.25", 2 -> "2")
+function formatTick(value) {
+	return formatNumber(value, Math.min(3, (String(value).split('.')[1] || '').length));
+}
+
+/**
+ * Static SVG line chart
+ * @param {Array<Object>} series - [{ color, points: [[x, y]], dashed? }]
+ * @param {Object} axes - { xMax, yMax, xTicks: [{ value, label }], yTicks: [{ value, label }], guides?: [{ x?, y?, label, color }] }
+ */
+function renderLineChart(series, axes) {
+	const { width, height, left, right, top, bottom } = REPORT_CHART;
+	const x = value => left + Math.min(1, Math.max(0, value / axes.xMax)) * (width - left - right);
+	const y = value => top + (1 - Math.min(1, Math.max(0, value / axes.yMax))) * (height - top - bottom);
+
+	return `
+		<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+			${axes.yTicks.map(tick => `
+				<line x1="${left}" x2="${width - right}" y1="${y(tick.value)}" y2="${y(tick.value)}" stroke="#f3f4f6" />
+				<text x="${left - 4}" y="${y(tick.value) + 3}" font-size="9" fill="#6b7280" text-anchor="end">${tick.label}</text>
+			`).join('')}
+			${axes.xTicks.map((tick, i) => `
+				<line x1="${x(tick.value)}" x2="${x(tick.value)}" y1="${top}" y2="${height - bottom}" stroke="#f3f4f6" />
+				<text x="${x(tick.value)}" y="${height - 6}" font-size="9" fill="#6b7280" text-anchor="${i === axes.xTicks.length - 1 ? 'end' : 'middle'}">${tick.label}</text>
+			`).join('')}
+			${(axes.guides || []).map(guide => Number.isFinite(guide.x) ? `
+				<line x1="${x(guide.x)}" x2="${x(guide.x)}" y1="${top}" y2="${height - bottom}" stroke="${guide.color}" stroke-dasharray="4 3" />
+				<text x="${x(guide.x) + 3}" y="${top + 9}" font-size="9" fill="${guide.color}">${guide.label}</text>
+			` : Number.isFinite(guide.y) ? `
+				<line x1="${left}" x2="${width - right}" y1="${y(guide.y)}" y2="${y(guide.y)}" stroke="${guide.color}" stroke-dasharray="4 3" />
+				<text x="${width - right - 3}" y="${y(guide.y) - 3}" font-size="9" fill="${guide.color}" text-anchor="end">${guide.label}</text>
+			` : '').join('')}
+			${series.map(entry => `
+				<polyline fill="none" stroke="${entry.color}" stroke-width="1.5" ${entry.dashed ? 'stroke-dasharray="5 3"' : ''} points="${entry.points.map(([px, py]) => `${x(px).toFixed(1)},${y(py).toFixed(1)}`).join(' ')}" />
+			`).join('')}
+		</svg>
+	`;
+}
+
+function renderLegend(series) {
+	return `<div class="legend">${series.map(entry => `<span><span style="background: ${entry.color};"></span> ${t(entry.label)}</span>`).join('')}</div>`;
+}
+
+// Bond and wear charts over the time slider's year, with the report's age marked
+function renderTimelineSection(params) {
+	const days = Array.from({ length: TIME_SLIDER_MAX + 1 }, (_, position) => sliderPositionToDays(position));
+	const { points, crossings } = calculatePropertyTimeline(params, days);
+	const axes = {
+		xMax: TIME_SLIDER_MAX,
+		yMax: 1,
+		xTicks: TIMELINE_TICKS.map(days => ({ value: daysToSliderPosition(days), label: formatTimelineTick(days) })),
+		yTicks: [0, 0.25, 0.5, 0.75, 1].map(value => ({ value, label: `${formatNumber(value * 100)}%` })),
+		guides: [{ x: daysToSliderPosition(params.timeImpactDays || 0), label: t('report.reportAge'), color: '#111827' }]
+	};
+	const chart = (chartKey) => {
+		const series = TIMELINE_SERIES.filter(entry => entry.chart === chartKey).map(entry => ({
+			...entry,
+			points: points.map((point, position) => [position, point[entry.key]])
+		}));
+		return `${renderLegend(series)}${renderLineChart(series, axes)}`;
+	};
+
+	const reportRisk = points[daysToSliderPosition(params.timeImpactDays || 0)]?.damageRisk || 'none';
+
+	return `
+		<section>
+			<h2>${t('report.overTime')}</h2>
+			<h3>${t('timeline.bondChart')}</h3>
+			${chart('bond')}
+			<h3>${t('timeline.wearChart')}</h3>
+			${chart('wear')}
+			<h3>${t('report.crossingsTitle')}</h3>
+			${crossings.length === 0 ? `<p class="note">${t('timeline.noCrossings')}</p>` : `
+			<table>
+				<thead><tr><th>${t('report.age')}</th><th>${t('report.event')}</th></tr></thead>
+				${crossings.map(crossing => `<tr><td>${formatTimeImpact(crossing.day)}</td><td>${sanitizeHTML(describeTimelineCrossing(crossing))}</td></tr>`).join('')}
+			</table>
+			`}
+			<p class="note">${t('report.riskAtAge', { risk: `<strong style="color: ${TIMELINE_RISK_COLORS[reportRisk] || '#111827'};">${t(`common.risk.${reportRisk}`)}</strong>` })}</p>
+		</section>
+	`;
+}
+
+// Force against peeled length, with the limits that end the peel (axes in the display unit system)
+function renderPeelTraceChart(params, peelOutcome) {
+	const trace = simulatePeelTrace(params, peelOutcome);
+	const forceUnit = getForceUnit();
+	const lengthUnit = getInputUnit('width');
+	const force = (newtons) => fromSI(newtons, forceUnit);
+	const length = (meters) => fromSI(meters, lengthUnit);
+	const limits = [
+		{ y: force(trace.breakingLoad), label: t('report.backingBreaks', { load: formatForce(trace.breakingLoad) }), color: '#7c3aed' },
+		{ y: force(trace.surfaceTearLoad), label: t('report.surfaceTears', { load: formatForce(trace.surfaceTearLoad) }), color: '#dc2626' }
+	].filter(limit => Number.isFinite(limit.y));
+	const peakForce = Math.max(...trace.points.map(point => force(point.force)));
+	const yTicks = niceTicks(Math.max(peakForce, ...limits.map(limit => limit.y)) * 1.1);
+	const xTicks = niceTicks(length(trace.length));
+	const series = [{ label: 'report.peelForce', color: '#2563eb', points: trace.points.map(point => [length(point.distance), force(point.force)]) }];
+
+	return `
+		<h3>${t('report.peelTrace')}</h3>
+		${renderLegend(series)}
+		${renderLineChart(series, {
+			xMax: xTicks[xTicks.length - 1],
+			yMax: yTicks[yTicks.length - 1],
+			xTicks: xTicks.map(value => ({ value, label: `${formatTick(value)} ${lengthUnit}` })),
+			yTicks: yTicks.map((value, i) => ({ value, label: `${formatTick(value)}${i === yTicks.length - 1 ? ` ${forceUnit}` : ''}` })),
+			guides: limits
+		})}
+		<p class="note">${t('report.traceNote', {
+			load: formatForce(trace.peelLoad),
+			stickSlip: formatPercent(trace.stickSlip, 0),
+			length: formatLength(trace.length, lengthUnit === 'in' ? 1 : 0)
+		})}${trace.stopDistance < trace.length ? t('report.traceStops', { distance: formatLength(trace.stopDistance, 1) }) : ''}.</p>
+	`;
+}
+
+function renderConfigurationSection(params, tapeDescription) {
+	const schedule = resolveSchedule(params.schedule);
+	return `
+		<section>
+			<h2>${t('report.configuration')}</h2>
+			${tableRows([
+				[t('report.tape'), sanitizeHTML(tapeDescription)],
+				params.layers && [t('report.laminate'), sanitizeHTML(describeLaminate(params.layers))],
+				!params.layers && [t('report.backing'), sanitizeHTML(params.tape)],
+				[t('report.adhesive'), `${sanitizeHTML(params.adhesive)}, ${formatParam('thickness', params.thickness)}`],
+				[t('report.construction'), t(`controls.tapeModes.${params.tapeMode || 'single'}`)],
+				[t('report.surface'), sanitizeHTML(params.surface)],
+				params.tapeMode && params.tapeMode !== 'single' && [t('report.surfaceB'), sanitizeHTML(params.surfaceB)],
+				[t('report.environment'), t('conditions.environmentValue', {
+					name: sanitizeHTML(getEnvironmentText(params.environment || 'Dry').name),
+					temperature: Number.isFinite(params.temperature) ? formatParam('temperature', params.temperature) : '-',
+					humidity: Number.isFinite(params.humidity) ? formatNumber(params.humidity) : '-'
+				})],
+				schedule && [t('report.schedule'), schedule.segments.map(segment => t('report.scheduleSegment', {
+					environment: sanitizeHTML(getEnvironmentText(segment.environment).name),
+					temperature: formatParam('temperature', segment.temperature, 1),
+					humidity: formatNumber(segment.humidity),
+					time: formatTimeImpact(segment.end - segment.start),
+					cycle: getCycleLabel(segment.cycle)
+				})).join('<br>') + (schedule.repeat ? `<br>${t('report.scheduleRepeats')}` : '')],
+				[t('report.size'), `${formatParam('width', params.width)} × ${formatParam('height', params.height)}`],
+				[t('report.peel'), t('peel.angleAtRate', { angle: formatNumber(params.peelAngle ?? PEEL_TEST_STANDARD.angle), rate: formatParam('peelRate', params.peelRate ?? 300) })],
+				params.hangMass > 0 && [t('report.hangingMass'), formatParam('hangMass', params.hangMass)],
+				[t('report.ageAtTest'), formatTimeImpact(params.timeImpactDays || 0)]
+			])}
+		</section>
+	`;
+}
+
+function renderPropertiesSection(params) {
+	const timeImpactDays = params.timeImpactDays || 0;
+	const tapeProps = params.layers ? calculateLaminateProperties(params) : calculateTapeProperties(params);
+	const aging = tapeProps.agingEffect;
+	const uvDegradation = timeImpactDays > 0 ? calculateUVDegradation(params) : 0;
+	const adhesiveResidue = timeImpactDays > 0 ? calculateAdhesiveResidue(params) : 0;
+
+	return `
+		<section>
+			<h2>${t('report.properties')}</h2>
+			${tableRows([
+				[t('report.peelAdhesion'), formatSI(tapeProps.peel, 'forcePerWidth')],
+				[t('report.holdStrength'), formatSI(tapeProps.hold, 'stress')],
+				[t('laminate.stretch'), `${formatNumber(tapeProps.stretch, 1)}%`],
+				[t('laminate.totalThickness'), formatSI(tapeProps.totalThickness, 'length')],
+				tapeProps.stiffness && [t('report.stiffness'), formatSI(tapeProps.stiffness, 'forcePerWidth')],
+				[t('report.temperatureEffect'), formatFactor(Number(tapeProps.temperatureEffect), 3)]
+			])}
+			${tapeProps.layers ? `
+			<h3>${t('report.layers')}</h3>
+			<table>
+				<thead><tr><th>${t('report.material')}</th><th>${t('variant.thickness')}</th><th>${t('report.modulus')}</th><th>${t('variant.stiffnessShare')}</th><th>${t('laminate.stretch')}</th></tr></thead>
+				${tapeProps.layers.map(layer => `<tr><td>${sanitizeHTML(layer.material)}</td><td>${formatSI(layer.thickness, 'length')}</td><td>${formatSI(layer.modulus, 'stress')}</td><td>${formatPercent(layer.stiffnessShare, 0)}</td><td>${formatNumber(layer.stretch, 1)}%</td></tr>`).join('')}
+			</table>
+			` : ''}
+			<h3>${t('report.realImpactAt', { time: formatTimeImpact(timeImpactDays) })}</h3>
+			${tableRows([
+				[t('results.adhesiveBehavior'), describeAdhesiveBehavior(timeImpactDays, aging, adhesiveResidue)],
+				[t('results.bondBuildUp'), `${t('results.ofUltimate', { percent: formatNumber(aging.buildUp * 100) })} (${t('results.fullBondAfter', { time: formatTimeImpact(aging.fullBondHours / 24) })})`],
+				[t('report.agingPhase'), t(`report.phases.${aging.phase}`)],
+				[t('results.peelRetention'), formatPercent(aging.peelRetention)],
+				[t('results.holdRetention'), formatPercent(aging.holdRetention)],
+				[t('report.stretchChange'), `+${formatPercent(aging.stretchChange - 1)}`],
+				[t('timeline.series.uvDegradation'), `${formatPercent(uvDegradation)} - ${describeUVDegradation(uvDegradation)}`],
+				[t('timeline.series.adhesiveResidue'), `${formatPercent(adhesiveResidue)} - ${describeResidue(adhesiveResidue)}`]
+			])}
+		</section>
+	`;
+}
+
+// Peel verdict (single-sided) or joint failure (double-sided / transfer), plus the hang test when a mass is set
+function renderVerdictSection(params) {
+	let body;
+	if (params.tapeMode && params.tapeMode !== 'single') {
+		const joint = calculateDoubleSidedJoint(params);
+		body = `
+			<p>${sanitizeHTML(describeJoint(joint))}</p>
+			<table>
+				<thead><tr><th>${t('report.face')}</th><th>${t('report.adhesiveOnSurface')}</th><th>${t('report.bondReleases')}</th><th>${t('results.surfaceTearsAt')}</th><th>${t('report.result')}</th></tr></thead>
+				${joint.faces.map(face => `<tr><td>${face.face}</td><td>${t('report.adhesiveOn', { adhesive: sanitizeHTML(face.adhesive), surface: sanitizeHTML(face.surface) })}</td><td>${formatForce(face.bondLoad)}</td><td>${Number.isFinite(face.tearLoad) ? formatForce(face.tearLoad) : t('results.cannotBeDamaged')}</td><td>${t(`report.faceStatus.${face.status === 'keeps tape' ? 'keepsTape' : face.status}`)}</td></tr>`).join('')}
+			</table>
+			${tableRows([[t('report.coreSplitsAt'), `${formatForce(joint.core.load)} (${sanitizeHTML(joint.core.material)})`], [t('report.jointFailsAt'), formatForce(joint.failureLoad)]])}
+		`;
+	} else {
+		const peelOutcome = calculatePeelOutcome(params);
+		const damage = peelOutcome.damage;
+		const probability = calculateDamageProbability(params);
+		const verdictClass = getPeelVerdict(params, peelOutcome, probability).signClass;
+		const verdict = REPORT_VERDICTS[verdictClass];
+		const outcomeInfo = getPeelOutcomeDetails(peelOutcome.outcome);
+
+		body = `
+			<p><span class="verdict" style="color: ${verdict.color}; background: ${verdict.background};">${t(`report.verdicts.${verdictClass}`)}</span> <strong>${outcomeInfo.title}</strong> - ${outcomeInfo.text}</p>
+			<p>${sanitizeHTML(describePeelOutcome(peelOutcome, params.surface))} ${sanitizeHTML(describeDamageRisk(damage, params.surface))}</p>
+			${tableRows([
+				[t('results.peelLoad'), formatForce(peelOutcome.peelLoad)],
+				[t('results.backingBreaksAt'), `${formatForce(peelOutcome.breakingLoad)} (${t('common.margin', { factor: formatNumber(peelOutcome.tensile.tensileSafetyFactor, 2) })})`],
+				[t('results.surfaceTearsAt'), Number.isFinite(peelOutcome.surfaceTearLoad) ? formatForce(peelOutcome.surfaceTearLoad) : t('results.cannotBeDamaged')],
+				[t('report.surfaceSafetyFactor'), damage.canDamage ? formatFactor(damage.safetyFactor) : '∞'],
+				[t('report.surfaceDamageRisk'), t(`common.risk.${damage.damageRisk}`)],
+				probability.canDamage && [t('results.damageChance'), formatPercent(probability.probability)],
+				probability.canDamage && [t('report.safetyFactorSpread'), `${formatFactor(probability.safetyFactor.p5)} / ${formatFactor(probability.safetyFactor.p50)} / ${formatFactor(probability.safetyFactor.p95)}`],
+				probability.canDamage && [t('report.verdictSpread'), ['ok', 'oops', 'boom'].map(key => `${t(`report.verdicts.${key}`)} ${formatPercent(probability.verdicts[key], 0)}`).join(' · ')]
+			])}
+			${renderPeelTraceChart(params, peelOutcome)}
+		`;
+	}
+
+	const hang = params.hangMass > 0 ? calculateHangTest(params) : null;
+	return `
+		<section>
+			<h2>${t('report.damageVerdict')}</h2>
+			${body}
+		</section>
+		${hang ? `
+		<section>
+			<h2>${t('report.hangTest', { mass: formatParam('hangMass', params.hangMass) })}</h2>
+			<p>${sanitizeHTML(describeHangResult(hang))}</p>
+			${tableRows([
+				[t('results.hang.load'), formatForce(hang.load, 2)],
+				[t('results.hang.shearStress'), formatSI(hang.shearStress, 'stress')],
+				[t('results.hang.holdStrength'), `${formatSI(hang.holdStrength, 'stress')} (${t('results.hang.used', { percent: formatNumber(hang.stressRatio * 100) })})`],
+				[t('results.hang.predictedFailure'), Number.isFinite(hang.timeToFailure) ? t('results.hang.failsAfter', { time: formatElapsed(hang.timeToFailure) }) : t('results.hang.noFailure')]
+			])}
+		</section>
+		` : ''}
+	`;
+}
+
+// Climate multipliers, peel mechanics and the calibration the numbers above were computed with
+function renderAssumptionsSection(params) {
+	const climate = calculateClimateFactors(applyScheduleClimate(params));
+	const mechanics = calculatePeelMechanics(params);
+	const rupture = getSurfaceRuptureStrength(params.surface);
+	const adhesive = getMaterialInfo('adhesive', params.adhesive);
+	const profile = state.calibration.active;
+	const surfaceMultiplier = CALIBRATION.surface[params.surface];
+	const environmentMultiplier = CALIBRATION.environment[params.environment];
+
+	return `
+		<section>
+			<h2>${t('report.assumptions')}</h2>
+			<h3>${t('report.peelMechanics')}</h3>
+			${tableRows([
+				[t('report.datasheetCondition'), `${t('peel.angleAtRate', { angle: formatNumber(PEEL_TEST_STANDARD.angle), rate: formatParam('peelRate', fromSI(toSI(PEEL_TEST_STANDARD.rate, 'velocity'), 'mm/min')) })} (PSTC-101 / ASTM D3330)`],
+				params.datasheet?.peelAdhesion ?
+					[t('report.datasheetPeel'), t('report.fromTapeDatasheet', { peel: formatSI(toSI(params.datasheet.peelAdhesion, 'forcePerWidth'), 'forcePerWidth') })] :
+					adhesive && [t('report.datasheetPeel'), t('report.adhesiveTypical', { peel: formatSI(adhesive.peelAdhesion, 'forcePerWidth'), adhesive: sanitizeHTML(params.adhesive) })],
+				[t('report.standardForce'), formatSI(mechanics.standardForce, 'forcePerWidth')],
+				[t('report.angleRateUsed'), t('peel.angleAtRate', { angle: formatNumber(mechanics.angle), rate: formatParam('peelRate', fromSI(mechanics.rate, 'mm/min')) })],
+				[t('report.rateFactor'), formatFactor(mechanics.rateFactor, 3)],
+				[t('report.fractureEnergy'), `${formatNumber(mechanics.fractureEnergy, 1)} J/m²`],
+				[t('report.peelForceAtAngle'), formatSI(mechanics.peelForce, 'forcePerWidth')],
+				[t('report.surfaceLoad'), formatSI(mechanics.surfaceLoad, 'forcePerWidth')],
+				[t('report.ruptureStrength'), rupture ? t('report.ruptureValue', {
+					typical: formatSI(rupture.typical, 'forcePerWidth'),
+					range: t('common.range', { min: formatSI(rupture.min, 'forcePerWidth'), max: formatSI(rupture.max, 'forcePerWidth') })
+				}) : t('report.notTearable')]
+			])}
+			<h3>${t('report.climateAt', { time: formatTimeImpact(params.timeImpactDays || 0) })}</h3>
+			${tableRows([
+				[t('report.temperatureHumidity'), `${formatParam('temperature', climate.temperature, 1)} / ${t('sweep.humidityValue', { humidity: formatNumber(climate.humidity) })}`],
+				[t('report.humidityEffect'), formatFactor(climate.humidityEffect, 3)],
+				[t('report.temperatureEffectAdhesion'), formatFactor(climate.temperatureEffect, 3)],
+				[t('report.adhesionMultiplier'), formatFactor(climate.adhesionMultiplier, 3)],
+				[t('report.agingMultiplier'), formatFactor(climate.agingFactor, 3)],
+				[t('report.uvMultiplier'), formatFactor(climate.uvMultiplier, 3)],
+				[t('report.residueMultiplier'), formatFactor(climate.residueMultiplier, 3)]
+			])}
+			<h3>${t('calibration.title')}</h3>
+			${tableRows([
+				[t('report.profile'), profile ? sanitizeHTML(profile) : t('report.defaultProfile')],
+				[t('calibration.coefficients.thicknessExponent'), formatNumber(CALIBRATION.thicknessExponent, 3)],
+				[t('calibration.coefficients.lowEnergyPenalty'), Object.entries(CALIBRATION.lowEnergyPenalty).map(([name, value]) => `${name} ${formatFactor(value)}`).join(', ')],
+				[t('calibration.coefficients.surface'), `${formatFactor(surfaceMultiplier ?? 1, 3)} (${sanitizeHTML(params.surface)})`],
+				[t('calibration.coefficients.environment'), `${formatFactor(environmentMultiplier ?? 1, 3)} (${sanitizeHTML(getEnvironmentText(params.environment || 'Dry').name)})`]
+			])}
+			<p class="note">${t('report.modelNote')}</p>
+		</section>
+	`;
+}
+
+function renderReferencesSection() {
+	return `
+		<section>
+			<h2>${t('report.references')}</h2>
+			${LITERATURE_REFERENCES.map(group => `
+			<h3>${t('report.referencesFrom', { source: group.source })}</h3>
+			<ol>
+				${group.entries.map(entry => `<li>${entry.title}. <a href="${entry.url}">${entry.url}</a></li>`).join('')}
+			</ol>
+			`).join('')}
+		</section>
+	`;
+}
+
+/**
+ * Build the report document
+ * @param {Object} report - { title, tapeDescription, params (calculation params with timeImpactDays), savedAt? }
+ * @returns {string} Complete HTML document
+ */
+function buildLabReport({ title, tapeDescription, params, savedAt }) {
+	const generated = formatDateTime(new Date());
+	return `<!DOCTYPE html>
+<html lang="${state.locale}">
+<head>
+	<meta charset="UTF-8">
+	<title>${t('report.documentTitle', { title: sanitizeHTML(title) })}</title>
+	<style>${REPORT_STYLES}</style>
+</head>
+<body>
+	<div class="toolbar"><button onclick="window.print()">${t('report.print')}</button></div>
+	<header>
+		<h1>${t('report.heading')}</h1>
+		<div><strong>${sanitizeHTML(title)}</strong></div>
+		<div class="meta">${savedAt ? `${t('report.saved', { date: sanitizeHTML(savedAt) })} · ` : ''}${t('report.generated', { date: generated })}</div>
+	</header>
+	${renderConfigurationSection(params, tapeDescription)}
+	${renderVerdictSection(params)}
+	${renderPropertiesSection(params)}
+	${renderTimelineSection(params)}
+	${renderAssumptionsSection(params)}
+	${renderReferencesSection()}
+</body>
+</html>`;
+}
+
+// Open the report in a new tab; if pop-ups are blocked, download it instead.
+// The report uses the UI's language and unit system.
+function openLabReport(report) {
+	const html = buildLabReport(report);
+	const blob = new Blob([html], { type: 'text/html' });
+	const url = URL.createObjectURL(blob);
+	const opened = window.open(url, '_blank');
+	if (opened) {
+		setTimeout(() => URL.revokeObjectURL(url), 60000);
+	} else {
+		URL.revokeObjectURL(url);
+		const slug = report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+		downloadFile(`tape-report-${slug || 'run'}.html`, html, 'text/html');
+	}
+	addHistory(`Generated lab report: ${report.title}`);
+}
+
+// Report on a saved experiment, as it was saved
+export function generateExperimentReport(exp) {
+	const calcParams = { ...exp.data, timeImpactDays: exp.timeImpactDays || 0 };
+	const layers = getExperimentLayers(exp);
+	openLabReport({
+		title: exp.name,
+		tapeDescription: layers ? t('testGround.variantTapeOf', { laminate: describeLaminate(layers) }) : exp.data.tape,
+		params: layers ? getLaminateParams(calcParams, layers) : { ...calcParams, backing: calcParams.tape },
+		savedAt: exp.timestamp
+	});
+}
+
+// Report on the tape selected on the Test Ground (or the configured tape if none is picked yet)
+export function generateTestGroundReport() {
+	const testGround = buildTestGroundParams();
+	const layers = state.laminate.layers;
+	const fallbackParams = { ...state.params, timeImpactDays: state.timeImpactDays || 0 };
+	openLabReport({
+		title: t('report.testGroundTitle', { date: formatDateTime(new Date()) }),
+		tapeDescription: testGround ? testGround.tapeDescription : layers.length > 1 ? t('testGround.variantTapeOf', { laminate: describeLaminate(layers) }) : state.params.tape,
+		params: testGround ? testGround.params : layers.length > 1 ? getLaminateParams(fallbackParams, layers) : { ...fallbackParams, backing: state.params.tape }
+	});
+}
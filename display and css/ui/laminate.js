@@ -0,0 +1,149 @@
+import { MAX_LAMINATE_LAYERS, calculateLaminateProperties, getMaterialInfo } from '../math_reasoning.js';
+import { tapeMaterials } from './catalog.js';
+import { formatParam, formatSI, fromInputValue, getInputUnit, paramInputAttrs } from './format.js';
+import { addHistory } from './history.js';
+import { formatNumber, t } from './i18n.js';
+import { sanitizeNumber, validateLaminateLayers } from './security.js';
+import { state } from './state.js';
+
+// ==================== LAMINATE ====================
+
+// Datasheet backing thickness in µm (starting value for new layers)
+export function getStandardLayerThickness(material) {
+	const standard = getMaterialInfo('backing', material)?.typicalThickness?.standard;
+	return standard ? Math.round(standard * 1e6) : 50;
+}
+
+// Two-tape variants (older experiments and scenario links): tape1 carried the adhesive, tape2 faced out
+export function getLegacyLaminateLayers(tape1, tape2) {
+	return [tape2, tape1].map(material => ({ material, thickness: getStandardLayerThickness(material) }));
+}
+
+// "PP 41 µm / PVC 165 µm" (outer face first, layer gauges in the display unit system)
+export function describeLaminate(layers) {
+	return layers.map(layer => `${layer.material} ${formatParam('thickness', layer.thickness)}`).join(' / ');
+}
+
+// Layers of a saved experiment's variant tape, or null for a plain tape
+export function getExperimentLayers(exp) {
+	if (!exp.variant?.isVariant) return null;
+	return Array.isArray(exp.variant.layers) ? exp.variant.layers : getLegacyLaminateLayers(exp.variant.tape1, exp.variant.tape2);
+}
+
+// Calculation params for a laminate: the contact layer carries the adhesive, the outer layer sees the UV
+export function getLaminateParams(params, layers) {
+	return {
+		...params,
+		layers,
+		tape: layers[layers.length - 1].material,
+		backing: layers[0].material
+	};
+}
+
+// Replace the stack (validated) and keep the single-tape selection on the contact layer
+export function setLaminateLayers(layers) {
+	const valid = validateLaminateLayers(layers);
+	if (!valid) return false;
+	state.laminate.layers = valid;
+	state.params.tape = valid[valid.length - 1].material;
+	return true;
+}
+
+function updateLaminate(layers, message) {
+	if (!setLaminateLayers(layers)) return;
+	addHistory(message);
+}
+
+// Laminate totals under the editor (patched in place when only the time or units change)
+export function updateLaminateSummary(container) {
+	const summary = container.querySelector('[data-laminate-summary]');
+	if (!summary) return;
+	const props = calculateLaminateProperties(getLaminateParams({ ...state.params, timeImpactDays: state.timeImpactDays || 0 }, state.laminate.layers));
+	summary.innerHTML = `
+		<div>${t('laminate.totalThickness')}<br/><strong>${formatSI(props.totalThickness, 'length')}</strong></div>
+		<div>${t('laminate.stretch')}<br/><strong>${formatNumber(props.stretch, 1)}%</strong></div>
+		<div>${t('laminate.peel')}<br/><strong>${formatSI(props.peel, 'forcePerWidth')}</strong></div>
+		<div>${t('laminate.hold')}<br/><strong>${formatSI(props.hold, 'stress')}</strong></div>
+	`;
+}
+
+/**
+ * Layer-stack editor: material, thickness and order per layer (outer face first)
+ * Rendered into the Tape Selection panel and the tape popup
+ */
+export function renderLaminateEditor(container) {
+	if (!container) return;
+	const layers = state.laminate.layers;
+	const maxLayers = MAX_LAMINATE_LAYERS;
+	const buttonStyle = 'padding: 4px 8px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;';
+
+	container.innerHTML = `
+		<div style="display: flex; flex-direction: column; gap: 6px;">
+			<div style="font-size: 0.75rem; color: #6b7280;">▲ ${t('laminate.outerFace')}</div>
+			${layers.map((layer, index) => {
+				const material = tapeMaterials.find(mat => mat.name === layer.material);
+				const isContact = index === layers.length - 1;
+				return `
+				<div style="display: grid; grid-template-columns: 44px 1fr 90px auto; gap: 8px; align-items: center; padding: 8px; background: ${isContact ? '#fffbeb' : '#fff'}; border: 1px solid ${isContact ? '#fbbf24' : '#e5e7eb'}; border-radius: 6px;">
+					<img src="${material?.image || ''}" alt="${layer.material}" style="width: 44px; height: 32px; object-fit: cover; border-radius: 4px;" />
+					<select data-layer-material="${index}" style="padding: 4px; border: 1px solid #d1d5db; border-radius: 4px;">
+						${tapeMaterials.map(mat => `<option value="${mat.name}" ${mat.name === layer.material ? 'selected' : ''}>${mat.friendlyName || mat.display}</option>`).join('')}
+					</select>
+					<label style="display: flex; align-items: center; gap: 4px; font-size: 0.75rem; color: #6b7280;">
+						<input type="number" data-layer-thickness="${index}" ${paramInputAttrs('thickness', layer.thickness, { min: 1, max: 5000 })} style="width: 60px; padding: 4px; border: 1px solid #d1d5db; border-radius: 4px;" />
+						${getInputUnit('thickness')}
+					</label>
+					<div style="display: flex; gap: 2px;">
+						<button data-layer-move="${index}" data-direction="-1" title="${t('laminate.moveOutward')}" ${index === 0 ? 'disabled' : ''} style="${buttonStyle}">↑</button>
+						<button data-layer-move="${index}" data-direction="1" title="${t('laminate.moveInward')}" ${isContact ? 'disabled' : ''} style="${buttonStyle}">↓</button>
+						<button data-layer-remove="${index}" title="${t('laminate.removeLayer')}" ${layers.length === 1 ? 'disabled' : ''} style="${buttonStyle}">✕</button>
+					</div>
+				</div>
+				`;
+			}).join('')}
+			<div style="font-size: 0.75rem; color: #92400e;">▼ ${t('laminate.adhesiveLine', { adhesive: state.params.adhesive, thickness: formatParam('thickness', state.params.thickness) })}</div>
+			<button data-layer-add ${layers.length >= maxLayers ? 'disabled' : ''} style="${buttonStyle} align-self: flex-start;">+ ${t('laminate.addLayer', { count: layers.length, max: maxLayers })}</button>
+			<div data-laminate-summary style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 8px; margin-top: 8px; padding: 10px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 0.8rem; color: #4b5563;"></div>
+		</div>
+	`;
+	updateLaminateSummary(container);
+
+	container.querySelectorAll('[data-layer-material]').forEach(select => {
+		select.addEventListener('change', () => {
+			const index = Number(select.dataset.layerMaterial);
+			const material = select.value;
+			updateLaminate(layers.map((layer, i) => i === index ? { material, thickness: getStandardLayerThickness(material) } : layer), `Layer ${index + 1} set to ${material}`);
+		});
+	});
+	container.querySelectorAll('[data-layer-thickness]').forEach(input => {
+		input.addEventListener('change', () => {
+			const index = Number(input.dataset.layerThickness);
+			const thickness = Math.round(sanitizeNumber(fromInputValue('thickness', input.value), 1, 5000, layers[index].thickness));
+			updateLaminate(layers.map((layer, i) => i === index ? { ...layer, thickness } : layer), `Layer ${index + 1} thickness set to ${thickness} µm`);
+		});
+	});
+	container.querySelectorAll('[data-layer-move]').forEach(button => {
+		button.addEventListener('click', () => {
+			const index = Number(button.dataset.layerMove);
+			const target = index + Number(button.dataset.direction);
+			const reordered = [...layers];
+			[reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+			updateLaminate(reordered, `Moved ${layers[index].material} layer to position ${target + 1}`);
+		});
+	});
+	container.querySelectorAll('[data-layer-remove]').forEach(button => {
+		button.addEventListener('click', () => {
+			const index = Number(button.dataset.layerRemove);
+			updateLaminate(layers.filter((layer, i) => i !== index), `Removed ${layers[index].material} layer`);
+		});
+	});
+	container.querySelector('[data-layer-add]')?.addEventListener('click', () => {
+		if (layers.length >= maxLayers) return;
+		updateLaminate([{ material: 'PET', thickness: getStandardLayerThickness('PET') }, ...layers], 'Added PET layer on the outer face');
+	});
+}
+
+export function renderTapePopupLaminate() {
+	const container = document.getElementById('tapePopupLaminate');
+	if (container) renderLaminateEditor(container);
+}
@@ -0,0 +1,817 @@
+// ==================== DEUTSCH ====================
+// Keys missing here fall back to the English catalog.
+
+export const DE_MESSAGES = {
+	common: {
+		custom: 'eigenes',
+		never: 'nie',
+		range: '{min} bis {max}',
+		margin: '{factor}× Reserve',
+		risk: { none: 'kein', low: 'geringes', moderate: 'mittleres', high: 'hohes', critical: 'kritisches' }
+	},
+	time: {
+		seconds: '{count} s',
+		minutes: '{count} min',
+		hours: '{count} h',
+		daysShort: '{count} T',
+		days: '{count} Tage',
+		years: '{count} Jahre',
+		indefinitely: 'unbegrenzt'
+	},
+	units: {
+		metric: 'Metrisch',
+		imperial: 'Imperial'
+	},
+	sidebar: {
+		info: 'Klick mich für Infos',
+		tapeMaterial: 'Klebebandauswahl',
+		surfaceMaterial: 'Testoberfläche',
+		environment: 'Wetter',
+		specifics: 'Details',
+		save: 'SPEICHERN',
+		history: 'Verlauf',
+		materials: 'Materialbibliothek',
+		sweep: 'Parameterstudie',
+		optimizer: 'Klebeband empfehlen',
+		timeline: 'Eigenschaftsverlauf',
+		calibration: 'Kalibrierung',
+		testNotice: 'Lass dem Test-Knopf ein bis zwei Sekunden Zeit, bevor du erneut klickst.',
+		tips: {
+			tapeMaterial: 'Klebebandmaterial wählen',
+			surfaceMaterial: 'Oberflächenmaterial wählen',
+			environment: 'Wetterbedingungen',
+			specifics: 'Dicke, Klebstoff, Toleranzen',
+			save: 'Aktuelle Parameter speichern',
+			history: 'Letzte Änderungen ansehen',
+			materials: 'Eigene Träger, Klebstoffe und Oberflächen anlegen',
+			sweep: 'Kombinationen als Heatmap vergleichen',
+			optimizer: 'Das beste Klebeband für eine Aufgabe finden',
+			timeline: 'Wie sich das Klebeband über ein Jahr verändert',
+			calibration: 'Modell an gemessene Schälwerte anpassen'
+		},
+		allAdhesives: 'Alle Klebstoffe',
+		importedSuffix: '(importiert)',
+		noTapesMatch: 'Keine Klebebänder passen zur Suche.'
+	},
+	slider: {
+		title: 'Zeiteinfluss-Simulator',
+		description: 'Simuliert Verweilzeit und UV-Belastung: Der Klebstoff baut in den ersten Stunden seine Haftung auf, danach vergilbt, altert und schwächelt das Band auf der Oberfläche'
+	},
+	disclaimer: 'Die Daten stammen aus dem Internet. Ich habe keinen Zugang zu Herstellerarchiven. Alle Berechnungen sind Schätzungen.',
+	saveNotice: 'IM VERLAUF GESPEICHERT',
+	linkCopiedNotice: 'SZENARIO-LINK KOPIERT',
+	linkInAddressBarNotice: 'SZENARIO-LINK IN DER ADRESSLEISTE',
+	popups: {
+		tapeMaterials: 'Klebebandmaterialien',
+		buildStack: 'Schichtaufbau zusammenstellen',
+		surfaceMaterials: 'Oberflächenmaterialien'
+	},
+	testGround: {
+		variantTape: 'Variantenband',
+		regularTape: 'Standardband',
+		surfaceSelection: 'Oberfläche wählen',
+		exit: 'Test beenden',
+		selectRegularTape: 'Standardband wählen',
+		selectSurface: 'Oberflächenmaterial wählen',
+		selectTapeFirst: 'Bitte zuerst ein Klebeband wählen!\n\nIm Testmodus auf „Variantenband“ oder „Standardband“ klicken, ein Band wählen und dann TEST erneut drücken.',
+		variantTapeOf: 'Variantenband ({laminate})',
+		regularTapeOf: 'Standardband ({name})'
+	},
+	dimensions: {
+		title: 'Abmessungen',
+		subtitle: 'Probenmaße und Angaben zum Trägermaterial',
+		variantActive: 'Variantenmodus aktiv',
+		laminate: 'Laminat',
+		layer: 'Schicht',
+		contactLayer: 'Kontaktschicht (Klebstoff)',
+		commonRoll: 'Übliche Rolle: {width} × {length}',
+		currentTape: 'Aktuelles Band',
+		backingThickness: 'Trägerdicke',
+		commercialSize: 'Übliche Handelsmaße: {width} (Breite) × {length} (Länge)',
+		width: 'Breite',
+		height: 'Höhe',
+		tapeLength: 'Bandlänge'
+	},
+	specifics: {
+		title: 'Details',
+		subtitle: 'Klebstoffeigenschaften und berechnete Kennwerte',
+		variantActive: 'Variantenband aktiv',
+		variantBasis: 'Berechnet für das Laminat {laminate} (Klebstoff auf {contact})',
+		damageTitle: 'Schadensbewertung für {surface}',
+		damage: {
+			none: 'Das Band ist nicht stark genug, um diese Oberfläche zu beschädigen. Die Klebung löst sich, bevor die Oberfläche reißt.',
+			low: 'Geringes Schadensrisiko für {surface}. Die Oberfläche ist {factor}× stärker als die Klebung.',
+			moderate: 'Mittleres Risiko für {surface}. Die Oberflächenfestigkeit ({surfaceStrength}) beträgt nur das {factor}-Fache der Bandkraft ({tapeForce}). Vorsichtig abziehen.',
+			high: 'Hohes Schadensrisiko für {surface}! Die Oberflächenfestigkeit ({surfaceStrength}) liegt kaum über der Bandkraft ({tapeForce}). Kann beim Abziehen reißen.',
+			critical: 'KRITISCH: Die Bandkraft ({tapeForce}) übersteigt die Festigkeit von {surface} ({surfaceStrength})! Die Oberfläche reißt wahrscheinlich.'
+		},
+		adhesiveThickness: 'Klebstoffdicke',
+		affectsContact: 'beeinflusst die Kontaktfläche',
+		thicknessComparison: {
+			hair: 'dünner als ein Haar',
+			humanHair: 'etwa so dick wie ein Haar',
+			paper: '2-3 Blatt Papier',
+			cardstock: 'dicker Karton'
+		},
+		adhesiveType: 'Klebstoffart',
+		peelAngle: 'Schälwinkel',
+		peelRate: 'Schälgeschwindigkeit',
+		adhesive: 'Klebstoff',
+		tack: 'Tack',
+		uv: 'UV',
+		aging: 'Alterung',
+		temp: 'Temp.',
+		performance: 'Berechnete Kennwerte',
+		displayUnits: 'Anzeigeeinheiten',
+		peelAdhesion: 'Schälhaftung',
+		peelAdhesionHint: 'Datenblattkraft bei 180° und {rate}. Höher = stärkere Haftung auf der Oberfläche.',
+		atAngleRate: 'Bei {angle}° / {rate}',
+		peelForces: '{peelForce} im Band, {surfaceLoad} heben die Oberfläche an',
+		surfaceImpact: 'Wirkung auf die Oberfläche',
+		impact: {
+			safe: 'Unbedenklich für diese Oberfläche',
+			caution: 'Mit Vorsicht verwenden',
+			high: 'Hohes Schadensrisiko'
+		},
+		holdStrength: 'Scher-/Haltefestigkeit',
+		holdHint: 'Widerstand gegen Abrutschen unter Last. Entscheidend für senkrechte Flächen und tragende Anwendungen.',
+		forceVsStrength: 'Bandkraft {tapeForce} gegenüber Oberflächenfestigkeit {surfaceStrength}',
+		tooStrong: 'Oberfläche ist zu stark, um Schaden zu nehmen ({tapeForce} Bandkraft)',
+		elongation: 'Bruchdehnung',
+		elongationHint: 'Wie weit sich das Band vor dem Reißen dehnt. Niedriger = steifer, höher = flexibler.',
+		surfaceTearsAt: 'Oberfläche reißt bei',
+		totalThickness: 'Gesamtdicke',
+		totalThicknessHint: 'Dicke von Träger + Klebstoff zusammen. Beeinflusst Anschmiegsamkeit und Spaltfüllung.',
+		totalThicknessLaminate: 'Dicke von Träger + Klebstoff zusammen (alle {count} Laminatschichten). Beeinflusst Anschmiegsamkeit und Spaltfüllung.',
+		thicknessTipTitle: 'Einfluss der Klebstoffdicke',
+		thicknessTip: 'Dickere Klebstoffschicht → stärkere Haftung → höhere Schälkraft → größeres Risiko für empfindliche Oberflächen wie Furnier oder Lack.'
+	},
+	controls: {
+		peelRatePresets: { slow: 'Langsam', standard: 'Standard', fast: 'Schnell', rip: 'Ruck' },
+		tapeConstruction: 'Bandaufbau',
+		tapeModes: {
+			'single': 'Einseitig',
+			'double-sided': 'Doppelseitig (Trägerkern)',
+			'transfer': 'Transferband (nur Klebstoff)'
+		},
+		faceBSurface: 'Oberfläche Seite B',
+		faceBAdhesive: 'Klebstoff Seite B',
+		faceBThickness: 'Klebstoffdicke Seite B',
+		transferHint: 'Ein Transferband ist ein einziger Klebefilm - beide Seiten nutzen den Klebstoff von Seite A',
+		joint: {
+			title: 'Verbindung: {mode}',
+			coreSplits: 'Der {core}-Kern spaltet bei {load}, bevor eine der Klebungen nachgibt - {surfaceA} und {surfaceB} behalten beide eine Bandschicht.',
+			surfaceTears: '{surface} unter Seite {face} reißt bei {load}, bevor die {adhesive}-Klebung nachgibt - das Band bleibt auf {other}.',
+			faceReleases: 'Seite {face} ({adhesive} auf {surface}) löst sich zuerst bei {load} - das Band bleibt auf {other}.',
+			torn: 'Gerissen - {surface} bricht unter der Klebung',
+			releasedResidue: 'Gelöst - {residue}% Rückstände',
+			releasedClean: 'Gelöst - saubere Oberfläche',
+			keepsTape: 'Behält das Band - späteres Abziehen: {risk} Risiko',
+			limit: 'Grenze',
+			bondReleases: 'Klebung löst sich',
+			surfaceTearsColumn: 'Oberfläche reißt',
+			faceRow: 'Seite {face}: {adhesive} auf {surface}',
+			coreRow: 'Kern: {core}',
+			splitsAt: 'spaltet bei {load}',
+			faceLabel: 'Seite {face}'
+		}
+	},
+	environment: {
+		title: 'Umgebung',
+		subtitle: 'Das Klima beeinflusst die Klebeleistung stark. Wähle eine Vorgabe oder stelle Temperatur und Luftfeuchte direkt ein.',
+		followsSchedule: 'Der Umgebungsverlauf unten bestimmt das Klima an der Position des Zeitreglers. Schalte ihn aus, um ein einzelnes Klima zu wählen.',
+		temperature: 'Temperatur',
+		humidity: 'Relative Luftfeuchte',
+		performance: { excellent: 'sehr gut', good: 'gut', fair: 'mäßig', poor: 'schlecht' },
+		preset: 'Vorgabe {value}',
+		current: 'Aktuell: {temperature} / {humidity}% r. F.',
+		fromTimeline: 'Verlauf, {name}',
+		customBasedOn: 'eigene Werte, basierend auf {name}',
+		adhesionFactor: 'Haftungsfaktor',
+		adhesionFactorValue: '{percent}% des Ausgangswerts ({adhesive})',
+		agingRate: 'Alterungsrate',
+		agingRateValue: '{percent}% des Normalwerts',
+		agingToday: 'heute; der Verlauf rechnet den ganzen Weg ein',
+		uvYellowing: 'UV-Vergilbung',
+		uvYellowingValue: '{percent}% der Innenraumrate',
+		residueMigration: 'Rückstandsbildung',
+		residueMigrationValue: '{percent}% der Rate bei {reference}',
+		defaultDescription: 'Umgebungsbedingungen beeinflussen Tack, Benetzung und Langzeitstabilität des Klebstoffs.',
+		presets: {
+			Humid: { name: 'Feucht (gemäßigt feucht)', description: 'Hohe Feuchte kann eine Mikrobarriere bilden und die Benetzung verhindern. Geringerer Tack.' },
+			Tropical: { name: 'Tropisch (heiß und feucht)', description: 'Ungünstigster Fall: Wärme macht den Klebstoff weich, Feuchte wirkt als Barriere. Risiko des Klebeversagens.' },
+			Semiarid: { name: 'Halbtrocken (mediterran)', description: 'Ausgewogene Bedingungen. Mäßige Wärme, wenig Feuchte. Gute Leistung.' },
+			Arid: { name: 'Trocken-heiß (Wüste)', description: 'Hohe Wärme beschleunigt Fließen und Kriechen des Klebstoffs. Trockene Oberflächen haften anfangs gut.' },
+			Dry: { name: 'Trocken (gemäßigt/Innenraum)', description: 'Ideale Bedingungen. Empfohlene Lagerung: 20 °C / 50% r. F. Beste Leistung.' }
+		}
+	},
+	conditions: {
+		title: 'Aktuelle Testbedingungen',
+		tape: 'Band',
+		variant: 'Variante',
+		surface: 'Oberfläche',
+		environment: 'Umgebung',
+		environmentValue: '{name} ({temperature}, {humidity}% r. F.)',
+		adhesive: 'Klebstoff',
+		adhesiveLayer: '{adhesive} ({thickness} Schicht)',
+		test: 'Test',
+		peelTest: 'Schältest',
+		hangTest: 'Hängetest (statische Scherung)',
+		hangingMass: 'Hängende Masse',
+		overlap: 'Überlappung {width} × {height} (unter Abmessungen einstellbar)',
+		peel: 'Schälen',
+		construction: 'Aufbau',
+		faceBOn: 'Seite B auf {surface}',
+		faceBAdhesive: 'Seite B {adhesive} ({thickness})',
+		copyLink: 'Szenario-Link kopieren',
+		generateReport: 'Bericht erstellen',
+		summaryJoint: 'Seite A ({adhesiveA}) klebt auf {surfaceA}, Seite B ({adhesiveB}) auf {surfaceB}; der Test zieht sie auseinander.',
+		summaryVariant: 'Das Variantenband hat {count} Schichten ({layers}); der {adhesive}-Klebstoff auf der {contact}-Schicht haftet auf der Oberfläche {surface}.',
+		layerSeparator: ' über ',
+		summary: 'Dieses {tape}-Band mit {adhesive}-Klebstoff wird auf {surface} unter {environment}-Bedingungen getestet.'
+	},
+	peel: {
+		title: 'Schälkraft',
+		angleAtRate: '{angle}° bei {rate}',
+		stickSlip: 'Stick-Slip ±{percent}%',
+		playPause: 'Schälen abspielen / anhalten',
+		frontPosition: 'Position der Schälfront',
+		chartSurfaceTears: 'Oberfläche reißt',
+		chartBackingBreaks: 'Träger reißt',
+		peeling: 'Wird abgezogen…',
+		dragHint: 'Band oder Regler ziehen, um abzuschälen',
+		peeledClean: 'Sauber abgezogen',
+		stopped: {
+			tear: 'Oberfläche reißt bei {distance}',
+			snap: 'Band reißt bei {distance}'
+		}
+	},
+	results: {
+		title: 'Praxis-Analyse',
+		peelOutcomes: {
+			clean: { title: 'Sauberes Abziehen', text: 'Die Klebung löst sich zuerst. Träger und Oberfläche bleiben beide unversehrt.', message: 'Sauberes Abziehen: Die Klebung löst sich bei {peel}, bevor der Träger ({breaking}) oder die Oberfläche nachgibt.' },
+			snap: { title: 'Band reißt', text: 'Der Trägerquerschnitt kann die Schällast nicht tragen. Das Band reißt mittendrin und ein Streifen bleibt auf der Oberfläche kleben.', message: 'Band reißt: Das Abziehen braucht {peel}, der Träger reißt aber schon bei {breaking}. Einen breiteren oder festeren Träger verwenden.' },
+			tear: { title: 'Oberfläche reißt', text: 'Die Oberfläche ist schwächer als die Klebung. Fasern, Farbe oder Beschichtung lösen sich mit dem Band.', message: 'Oberfläche reißt: {surface} reißt bei {tear}, unter der Schällast von {peel}.' }
+		},
+		peelLoad: 'Schällast',
+		backingBreaksAt: 'Träger reißt bei',
+		surfaceTearsAt: 'Oberfläche reißt bei',
+		cannotBeDamaged: 'Kann nicht beschädigt werden',
+		damageProbability: 'Schadenswahrscheinlichkeit',
+		damageChance: 'Wahrscheinlichkeit eines Oberflächenschadens',
+		safetyFactorRange: 'Sicherheitsfaktor (5-95%)',
+		median: 'Median {value}',
+		samplesNote: '{samples} Stichproben über den Festigkeitsbereich von {surface}, ±{scatter}% Klebstoffstreuung und die Klimaspanne von {environment}',
+		timeImpact: 'Zeiteinfluss: {time}',
+		adhesiveBehavior: 'Klebstoffverhalten',
+		bondBuildUp: 'Haftungsaufbau',
+		ofUltimate: '{percent}% des Endwerts',
+		fullBondAfter: 'volle Haftung nach ~{time}',
+		adhesiveStatus: 'Klebstoffzustand',
+		type: 'Art',
+		peelRetention: 'Erhalt der Schälfestigkeit',
+		holdRetention: 'Erhalt der Haltefestigkeit',
+		freshTape: 'Frisches Band - keine Alterung',
+		uvDegradation: 'UV-Abbau',
+		yellowing: 'Vergilbungsgrad',
+		residueRisk: 'Rückstandsrisiko',
+		migration: 'Klebstoffmigration',
+		behavior: {
+			justApplied: 'Gerade aufgebracht - der Klebstoff hat nur seinen Anfangstack, die Haftung baut sich noch auf',
+			wetOut: 'Benetzungsphase - der Klebstoff fließt in die Oberfläche, die Haftung baut sich noch auf',
+			established: 'Haftung aufgebaut - Klebstoff in vollem Kontakt mit der Oberfläche',
+			migrating: 'Klebstoff wandert in die Oberfläche - Rückstandsrisiko steigt',
+			fullyBonded: 'Klebstoff voll verbunden - stabiler Kontakt',
+			heavyMigration: 'Starke Klebstoffmigration - sauberes Entfernen wird schwierig',
+			dryingOut: 'Klebstoff trocknet aus - Haftung lässt mit der Zeit nach',
+			longTerm: 'Langzeitalterung - Klebstoffeigenschaften lassen nach'
+		},
+		residue: {
+			none: 'Keine Rückstände zu erwarten (frisches Band)',
+			minimal: 'Minimale Rückstände - sauberes Entfernen wahrscheinlich',
+			light: 'Leichte Rückstände möglich - eventuell Reinigung nötig',
+			moderate: 'Mäßige Rückstände zu erwarten - Reinigung nötig',
+			heavy: 'Starke Rückstände - Klebstoff in die Oberfläche eingezogen, schwer zu entfernen'
+		},
+		uv: {
+			none: 'Noch kein UV-Abbau',
+			slight: 'Leichte Vergilbung sichtbar',
+			moderate: 'Mäßige Vergilbung - Band sichtbar gealtert',
+			severe: 'Starke Vergilbung - deutlicher Abbau'
+		},
+		hang: {
+			title: 'Hängetest',
+			outcomes: {
+				falls: { title: 'Fällt sofort ab', label: 'VERSAGT' },
+				slides: { title: 'Kriecht und rutscht dann ab', label: 'BEGRENZT' },
+				holds: { title: 'Hält', label: 'HÄLT' }
+			},
+			fallsMessage: 'Fällt ab: {stress} Scherspannung ist mehr als die {hold}, die die Klebung halten kann.',
+			creepFallsMessage: 'Fällt ab: {stress} Scherspannung liegt unter der Haltefestigkeit von {hold}, aber der Klebstoff kriecht bei dieser Temperatur in {time} durch.',
+			slidesMessage: 'Kriecht und rutscht nach etwa {time} unter {load} ab.',
+			holdsMessage: 'Hält: {load} kriecht in 10 Jahren nur {slip}.',
+			predictedFailure: 'Voraussichtliches Versagen',
+			failsAfter: 'nach {time}',
+			noFailure: 'keines innerhalb von 10 Jahren',
+			load: 'Last',
+			weight: 'Gewicht',
+			overlap: 'Überlappung',
+			shearStress: 'Scherspannung',
+			holdStrength: 'Haltefestigkeit',
+			used: '{percent}% ausgelastet',
+			creep: 'Kriechen',
+			after: 'Nach {time}',
+			slip: '{slip} Verschiebung',
+			letsGoAt: 'Löst sich bei',
+			loadedAfter: 'Belastet nach {time}',
+			climate: 'Klima',
+			climateValue: '{temperature} / {humidity}% r. F. - Wärme beschleunigt das Kriechen'
+		}
+	},
+	history: {
+		title: 'Gespeicherte Experimente',
+		subtitle: 'Vollständige Aufzeichnung aller gespeicherten Klebebandtests und Konfigurationen',
+		exportJson: 'JSON exportieren',
+		exportCsv: 'CSV exportieren',
+		importJson: 'JSON importieren',
+		changeHistory: 'Änderungsverlauf ({count})',
+		compareHint: '2-4 Experimente ankreuzen, um sie nebeneinander zu vergleichen',
+		compareButton: 'Vergleichen ({count})',
+		empty: 'Noch keine Experimente gespeichert. Mit „SPEICHERN“ die aktuelle Konfiguration festhalten.',
+		variant: 'VARIANTE',
+		laminateComposition: 'Laminataufbau',
+		adhesive: 'Klebstoff',
+		thickness: 'Dicke',
+		backing: 'Träger',
+		testSurface: 'Prüfoberfläche',
+		environment: 'Umgebung',
+		resultsLine: 'Schälkraft {peel}, Scherfestigkeit {hold}, Sicherheit {safety}, Rückstände {residue}%',
+		saved: 'Gespeichert',
+		importTooLarge: 'Import fehlgeschlagen: Die Datei ist größer als 5 MB.',
+		importNotExport: 'Import fehlgeschlagen: Dies ist kein Export von Klebeband-Experimenten.',
+		importNewerVersion: 'Import fehlgeschlagen: Exportversion {version} ist neuer als diese App unterstützt ({supported}).',
+		inputs: {
+			tape: 'Klebeband',
+			adhesive: 'Klebstoff',
+			adhesiveThickness: 'Klebstoffdicke',
+			surface: 'Oberfläche',
+			environment: 'Umgebung',
+			size: 'Größe',
+			peel: 'Abzug',
+			time: 'Zeit'
+		},
+		metrics: {
+			peel: 'Schälhaftung',
+			hold: 'Scherfestigkeit',
+			stretch: 'Dehnung',
+			safetyFactor: 'Sicherheitsfaktor Oberfläche',
+			uvDegradation: 'UV-Vergilbung',
+			adhesiveResidue: 'Klebstoffrückstände'
+		},
+		compare: {
+			title: 'Experimente vergleichen',
+			back: 'Zurück zur Liste',
+			select: 'Vergleichen',
+			needTwo: 'Mindestens zwei Experimente zum Vergleichen auswählen.',
+			baseline: 'Referenz',
+			inputs: 'Eingaben',
+			results: 'Ergebnisse',
+			cannotDamage: 'nicht beschädigbar',
+			damageRisk: 'Schadensrisiko',
+			charts: 'Diagramme',
+			points: '{value} Pkt.'
+		},
+		changes: {
+			title: 'Änderungsverlauf',
+			back: 'Zurück zu den Experimenten',
+			undo: 'Rückgängig',
+			redo: 'Wiederholen',
+			shortcuts: 'Strg/⌘+Z macht rückgängig, Strg/⌘+Umschalt+Z oder Strg+Y wiederholt',
+			empty: 'Noch keine Änderungen aufgezeichnet.',
+			current: 'aktuell',
+			undone: 'rückgängig gemacht',
+			restore: 'Diesen Stand wiederherstellen',
+			restoreTip: 'Zum Zustand direkt nach diesem Eintrag zurückkehren',
+			more: '+{count} weitere'
+		}
+	},
+	signs: {
+		damageChance: '{percent}% Wahrscheinlichkeit für einen Oberflächenschaden.',
+		snap: 'Riss! {message}',
+		tear: 'Gefahr! {message}',
+		surfaceTooStrong: 'Sicher! {surface} ist zu fest, um von Klebeband beschädigt zu werden.',
+		safe: 'Sicher! Sicherheitsfaktor: {factor}×. Die Oberfläche hält der Schälkraft stand.',
+		warning: 'Achtung! Sicherheit Oberfläche {surface}×, Sicherheit Träger {backing}×. Vorsichtig abziehen!',
+		holds: 'Hält! {message}',
+		drop: 'Fällt! {message}'
+	},
+	catalog: {
+		backingLayer: 'Träger {backing}',
+		adhesiveLayer: 'Klebstoff {adhesive}',
+		total: '{thickness} gesamt',
+		wide: '{width} breit',
+		datasheetPeel: 'Schälhaftung {peel} (Datenblatt)'
+	},
+	laminate: {
+		totalThickness: 'Gesamtdicke',
+		stretch: 'Dehnung',
+		peel: 'Schälhaftung',
+		hold: 'Scherfestigkeit',
+		outerFace: 'Außenseite',
+		moveOutward: 'Nach außen verschieben',
+		moveInward: 'Zum Klebstoff hin verschieben',
+		removeLayer: 'Schicht entfernen',
+		adhesiveLine: 'Klebstoff {adhesive}, {thickness} (auf der Kontaktschicht)',
+		addLayer: 'Schicht hinzufügen ({count}/{max})'
+	},
+	variant: {
+		emptyTitle: 'Bandvariante',
+		emptyText: 'Staple im Bereich „Bandmaterial“ mindestens zwei Schichten, um die Laminateigenschaften zu sehen.',
+		title: 'Analyse des Variantenbands',
+		configuration: 'Aktuelle Konfiguration',
+		dimensions: 'Abmessungen',
+		dimensionsValue: '{width} × {height}, {length} Länge',
+		adhesive: 'Klebstoff',
+		adhesiveValue: '{adhesive}, {thickness} dick',
+		environment: 'Umgebung',
+		metrics: 'Leistungskennwerte',
+		notAvailable: 'k. A.',
+		thickness: 'Dicke',
+		layerStack: 'Schichtaufbau (Außenseite zuerst)',
+		layer: 'Schicht',
+		stiffnessShare: 'Steifigkeitsanteil',
+		contact: '(Kontakt)',
+		stackNote: 'Die Dehnung ist nach der Steifigkeit jeder Schicht gewichtet (Modul × Dicke); Schälhaftung und Scherfestigkeit folgen der Kontaktschicht.',
+		surfaceRisk: 'Analyse des Oberflächenschadensrisikos',
+		riskGroups: {
+			critical: 'KRITISCH',
+			high: 'HOHES RISIKO',
+			moderate: 'MITTEL',
+			low: 'GERINGES RISIKO',
+			safe: 'SICHER'
+		},
+		safeSurfaces: '{surfaces} - das Band versagt vor der Oberfläche'
+	},
+	materials: {
+		title: 'Materialbibliothek',
+		subtitle: 'Eigene Materialien anlegen, bearbeiten, klonen und löschen. Sie erscheinen in der Band- und Oberflächenauswahl, unter Details, im Variantenbaukasten und auf dem Testgelände.',
+		kinds: { backing: 'Träger', adhesive: 'Klebstoffe', surface: 'Oberflächen' },
+		newTitle: { backing: 'Neuer eigener Träger', adhesive: 'Neuer eigener Klebstoff', surface: 'Neue eigene Oberfläche' },
+		editTitle: '{key} bearbeiten',
+		shortName: 'Kurzname (in Auswahllisten)',
+		blankCannotDamage: 'leer = nicht beschädigbar',
+		save: 'Material speichern',
+		cancel: 'Abbrechen',
+		edit: 'Bearbeiten',
+		clone: 'Klonen',
+		delete: 'Löschen',
+		customHeading: 'Eigene {kind} ({count})',
+		builtInHeading: 'Mitgelieferte {kind}',
+		empty: 'Noch keine eigenen Materialien. Lege eines an oder klone unten ein mitgeliefertes Material.',
+		copyName: '{name} (Kopie)',
+		confirmDelete: {
+			backing: 'Eigenen Träger „{key}“ löschen?',
+			adhesive: 'Eigenen Klebstoff „{key}“ löschen?',
+			surface: 'Eigene Oberfläche „{key}“ löschen?'
+		},
+		summary: {
+			backing: '{min} - {max}, {tensile}, {elongation}% Dehnung, UV {uv}',
+			adhesive: '{thickness}, {peel}, Tack {tack}',
+			chemistry: 'Basis {chemistry}',
+			surface: 'Oberflächenenergie {energy}, {texture}, Haftung ×{multiplier}'
+		},
+		tensile: 'Zugfestigkeit {force}',
+		source: 'Quelle',
+		notOnDatasheet: 'nicht im Datenblatt',
+		peelNote: 'Die Schälhaftung ist der Datenblattwert auf Stahl (180°). Wenn angegeben, ersetzt sie die typische Haftung des Klebstoffs für dieses Band.',
+		importTape: 'Band importieren',
+		importDatasheet: 'Band-Datenblatt importieren',
+		commercialTitle: 'Handelsübliche Klebebänder ({count})',
+		commercialSubtitle: 'Fertige Bänder, die auf dem Testgelände unter „Standardband“ und in der Empfehlung angeboten werden.',
+		confirmDeleteTape: 'Importiertes Band „{name}“ löschen?',
+		fields: {
+			backing: {
+				name: 'Vollständiger Name',
+				typicalThickness: { min: 'Dicke min (µm)', standard: 'Dicke Standard (µm)', max: 'Dicke max (µm)' },
+				tensileStrength: 'Zugfestigkeit (MPa)',
+				elongation: 'Bruchdehnung (%)',
+				temperatureRange: { min: 'Min. Einsatztemperatur (°C)', max: 'Max. Einsatztemperatur (°C)' },
+				uvResistance: 'UV-Beständigkeit',
+				appearance: 'Sieht aus wie',
+				description: 'Beschreibung'
+			},
+			adhesive: {
+				name: 'Vollständiger Name',
+				baseChemistry: 'Chemische Basis',
+				typicalThickness: { min: 'Dicke min (µm)', standard: 'Dicke Standard (µm)', max: 'Dicke max (µm)' },
+				peelAdhesion: 'Schälhaftung auf Stahl (cN/cm)',
+				tackLevel: 'Tack',
+				temperatureRange: { min: 'Min. Einsatztemperatur (°C)', max: 'Max. Einsatztemperatur (°C)' },
+				uvResistance: 'UV-Beständigkeit',
+				agingStability: 'Alterungsbeständigkeit',
+				surfaceAffinitiy: { lowEnergy: 'Haftung auf niederenergetischen Oberflächen (PE/PP)' },
+				description: 'Beschreibung'
+			},
+			surface: {
+				name: 'Vollständiger Name',
+				surfaceEnergy: 'Oberflächenenergie',
+				texture: 'Textur',
+				adhesionMultiplier: 'Haftungsfaktor (Stahl = 1,0)',
+				ruptureStrength: { min: 'Reißfestigkeit min (N/cm)', typical: 'Reißfestigkeit typisch (N/cm)', max: 'Reißfestigkeit max (N/cm)' },
+				absorption: 'Saugfähigkeit / Porosität (0-1)',
+				appearance: 'Sieht aus wie',
+				description: 'Beschreibung'
+			},
+			tape: {
+				name: 'Produktname',
+				manufacturer: 'Hersteller',
+				backing: 'Träger',
+				adhesive: 'Klebstoff',
+				backingThickness: 'Trägerdicke (µm)',
+				adhesiveThickness: 'Klebstoffdicke (µm)',
+				totalThickness: 'Gesamtdicke (µm)',
+				width: 'Rollenbreite (mm)',
+				peelAdhesion: 'Schälhaftung auf Stahl',
+				tensileStrength: 'Zugfestigkeit',
+				source: { title: 'Quelle (Titel des Datenblatts)', url: 'Link zur Quelle' }
+			}
+		},
+		options: {
+			'Acrylic': 'Acrylat',
+			'Rubber': 'Kautschuk',
+			'Silicone': 'Silikon',
+			'low': 'niedrig',
+			'medium': 'mittel',
+			'high': 'hoch',
+			'very smooth': 'sehr glatt',
+			'smooth': 'glatt',
+			'smooth to medium': 'glatt bis mittel',
+			'rough': 'rau',
+			'excellent': 'ausgezeichnet',
+			'good': 'gut',
+			'fair': 'mäßig',
+			'poor': 'schlecht'
+		},
+		errors: {
+			shortName: 'Der Kurzname muss aus 1-30 Buchstaben, Ziffern, Leerzeichen oder . _ + - ( ) bestehen',
+			builtIn: '„{key}“ ist bereits ein mitgeliefertes Material',
+			exists: '„{key}“ existiert bereits',
+			number: '{label} muss eine Zahl sein',
+			range: '{label} muss zwischen {min} und {max} liegen',
+			option: '{label} muss einer dieser Werte sein: {options}',
+			url: '{label} muss mit http:// oder https:// beginnen',
+			required: '{label} ist erforderlich',
+			invalidMaterial: 'Ungültige Materialdaten',
+			thicknessOrder: 'Für die Dicke muss min ≤ Standard ≤ max gelten',
+			temperatureOrder: 'Das Minimum des Temperaturbereichs muss unter dem Maximum liegen',
+			ruptureIncomplete: 'Die Reißfestigkeit braucht min, typisch und max (alle leer lassen, wenn Klebeband diese Oberfläche nicht beschädigen kann)',
+			ruptureOrder: 'Für die Reißfestigkeit muss min ≤ typisch ≤ max gelten',
+			invalidTape: 'Ungültige Banddaten',
+			tapeThickness: 'Klebstoffdicke, Gesamtdicke oder beides angeben',
+			tapeLayers: 'Träger- plus Klebstoffdicke darf die Gesamtdicke nicht überschreiten',
+			inCatalog: '„{name}“ ist bereits im Katalog'
+		}
+	},
+	optimizer: {
+		title: 'Klebeband empfehlen',
+		subtitle: 'Beschreibe die Aufgabe, und jeder Träger, Klebstoff und jede Dicke (plus die fertigen Bänder) wird dagegen geprüft. Entwürfe sind {width} × {height}, fertige Bänder nutzen ihre Rollenbreite; alle werden unter {angle}° abgezogen.',
+		surface: 'Oberfläche',
+		environment: 'Umgebung',
+		setByTimeline: 'Vom Umgebungsverlauf bestimmt',
+		duration: 'Dauer (Tage)',
+		mustHold: 'Muss halten ({unit}, 0 = keine Last)',
+		cleanRemoval: 'Muss sich nach {time} sauber entfernen lassen (kein Einreißen, Reißen oder starke Rückstände)',
+		passing: '{passing} von {count} Bändern erfüllen alle Anforderungen. Reserven sind Belastbarkeit ÷ Anforderung: 1× besteht gerade noch.',
+		noRequirements: 'Eine Last angeben oder saubere Entfernung ankreuzen, um die Bänder zu bewerten.',
+		readyMade: 'Fertigband',
+		load: 'Ins Testgelände laden',
+		margins: { hold: 'Halten', removal: 'Entfernen', residue: 'Rückstände' },
+		residueMargin: '{residue}% Rückstände (sauber bis {limit}%)'
+	},
+	sweep: {
+		title: 'Parameterstudie',
+		subtitle: 'Zwei Eingaben gleichzeitig rund um den aktuellen Aufbau variieren ({tape} / {adhesive} auf {surface}). Eine Zelle anklicken, um diese Kombination zu laden.',
+		rows: 'Zeilen',
+		columns: 'Spalten',
+		show: 'Anzeigen',
+		sensitivity: 'Empfindlichkeit',
+		sensitivityText: 'Jede Eingabe wird über ihren Bereich variiert, während der Rest bleibt, wie er ist. Aktuell ({metric}): {value}. Rote Balken können das Urteil ändern.',
+		scheduleNote: 'Umgebung, Temperatur und Luftfeuchte folgen dem aktiven Umgebungsplan und werden daher nicht variiert.',
+		humidityValue: '{humidity}% r. F.',
+		verdicts: { ok: 'OK', oops: 'UPS', boom: 'BUMM' },
+		axes: {
+			surface: 'Oberfläche',
+			tape: 'Träger',
+			adhesive: 'Klebstoff',
+			environment: 'Umgebung',
+			thickness: 'Klebstoffdicke',
+			timeImpactDays: 'Zeit',
+			temperature: 'Temperatur',
+			humidity: 'Luftfeuchte',
+			peelAngle: 'Schälwinkel',
+			peelRate: 'Schälgeschwindigkeit'
+		},
+		metrics: {
+			safetyFactor: 'Sicherheitsfaktor Oberfläche',
+			peel: 'Schälhaftung',
+			hold: 'Scherfestigkeit',
+			residue: 'Klebstoffrückstände'
+		}
+	},
+	timeline: {
+		title: 'Eigenschaftsverlauf',
+		subtitle: 'Wie sich {tape} / {adhesive} auf {surface} ({temperature}, {humidity}% r. F.) über ein Jahr verändert. Der schwarze Cursor folgt dem Zeitregler; ein Klick ins Diagramm verschiebt ihn.',
+		series: {
+			peelRetention: 'Erhalt Schälhaftung',
+			holdRetention: 'Erhalt Scherfestigkeit',
+			stretchChange: 'Zunahme der Dehnung',
+			uvDegradation: 'UV-Vergilbung',
+			adhesiveResidue: 'Klebstoffrückstände'
+		},
+		damageRisk: 'Schadensrisiko',
+		bondChart: 'Klebkraft (Anteil der vollen Klebung)',
+		wearChart: 'Verschleiß und Entfernung',
+		riskOverTime: 'Oberflächenschadensrisiko im Zeitverlauf',
+		surfaceRisk: 'Oberflächenschadensrisiko',
+		crossingsTitle: 'Schwellenübergänge',
+		noCrossings: 'Innerhalb von 366 Tagen wird keine Schwelle überschritten.',
+		crossings: {
+			damageRisk: 'Schadensrisiko: {from} → {to}',
+			phase: { plateau: 'Klebung voll aufgebaut', degradation: 'Klebung beginnt nachzulassen' },
+			peelRetention: { 90: { rising: 'Schälhaftung erreicht 90% der vollen Klebung', falling: 'Schälhaftung fällt unter 90%' } },
+			holdRetention: { 80: { rising: 'Scherfestigkeit erreicht 80% der vollen Klebung', falling: 'Scherfestigkeit fällt unter 80%' } },
+			uvDegradation: { 30: { rising: 'Mäßige Vergilbung sichtbar', falling: 'Vergilbung verblasst' } },
+			adhesiveResidue: {
+				20: { rising: 'Leichte Rückstände - Reinigung evtl. nötig', falling: 'Rückstände verschwinden' },
+				50: { rising: 'Mäßige Rückstände - Reinigung erforderlich', falling: 'Rückstände unter mäßig' }
+			}
+		}
+	},
+	calibration: {
+		title: 'Kalibrierung',
+		subtitle: 'Oberflächen- und Umgebungsfaktoren, den Dickenexponenten und die Abschläge für niederenergetische Oberflächen an eigene Messwerte vom Schälprüfgerät anpassen und den Simulator dann auf dieses Profil umstellen.',
+		activeProfile: 'Aktives Profil',
+		defaultProfile: 'Standard (von Hand gewählte Koeffizienten)',
+		profileSamples: '{count} Messungen',
+		profileSamplesR2: '{count} Messungen, R² {r2}',
+		deleteProfile: '„{name}“ löschen',
+		importTitle: 'Messwerte importieren',
+		csvHelp: 'CSV-Spalten: tape, adhesive, thickness (µm), surface, environment, dwell (min), peel (N/cm); optional temperature (°C) und humidity. Eine andere Einheit im Spaltenkopf überschreibt die Vorgabe, z. B. <code>peel (N/25mm)</code> oder <code>dwell (h)</code>.',
+		samplesReady: '{count} Messungen bereit',
+		moreErrors: '{count} weitere',
+		fitTitle: 'Anpassen',
+		fitButton: 'Koeffizienten anpassen',
+		fitSummary: 'R² {r2} · RMSE {rmse} · mittlerer Fehler {error}%',
+		notAvailable: 'k. A.',
+		before: 'Vorher',
+		after: 'Nachher',
+		coefficient: 'Koeffizient',
+		default: 'Standard',
+		fitted: 'Angepasst',
+		coefficients: {
+			surface: 'Oberfläche',
+			environment: 'Umgebung',
+			thicknessExponent: 'Dickenexponent',
+			lowEnergyPenalty: 'Abschlag niederenergetisch'
+		},
+		residuals: 'Residuen ({unit})',
+		row: 'Zeile',
+		sample: 'Messung',
+		measured: 'Gemessen',
+		error: 'Fehler',
+		sampleValue: '{tape} / {adhesive} auf {surface}, {environment}',
+		saveTitle: 'Als Profil speichern',
+		namePlaceholder: 'z. B. Labor 2024-Q3',
+		saveButton: 'Speichern & verwenden',
+		confirmDelete: 'Kalibrierprofil „{name}“ löschen?',
+		confirmReplace: 'Kalibrierprofil „{name}“ ersetzen?',
+		errors: {
+			tooLarge: 'Die Datei ist größer als 2 MB',
+			name: 'Der Name muss aus 1-30 Buchstaben, Ziffern, Leerzeichen oder . _ + - ( ) bestehen',
+			tooManyProfiles: 'Es lassen sich bis zu 20 Profile speichern - zuerst eines löschen',
+			needsRows: 'Die Datei braucht eine Kopfzeile und mindestens eine Messung',
+			column: 'Spalte „{header}“: {message}',
+			missingColumns: 'Fehlende Spalte(n): {columns}',
+			unknown: '{column} „{value}“ unbekannt',
+			missing: '{column} fehlt',
+			invalid: '{column} „{value}“ ungültig',
+			row: 'Zeile {row}: {errors}',
+			tooManyRows: 'Nur die ersten {max} Zeilen wurden gelesen'
+		}
+	},
+	schedule: {
+		title: 'Umgebungsverlauf',
+		subtitle: 'Klebeband bleibt selten in einem Klima. Abschnitte verketten (Lager → Container → Ziel) und Tag/Nacht- oder Jahreszeitenschwankungen hinzufügen; Alterung, UV und Rückstände werden über den Weg bis zum Zeitregler aufsummiert.',
+		follow: 'Diesem Verlauf folgen',
+		repeat: 'Nach {days} Tagen wiederholen',
+		templates: { journey: 'Versandweg', indoor: 'Innenraum Tag/Nacht', seasons: 'Vier Jahreszeiten' },
+		cycles: { 'none': 'Gleichbleibend', 'day-night': 'Tag/Nacht', 'seasonal': 'Jahreszeiten' },
+		now: 'Bei {time}: {environment}, {temperature} / {humidity}% r. F.',
+		sliderPosition: 'Position des Zeitreglers',
+		barTitle: '{environment}, Tag {start}–{end}',
+		day: 'Tag {day}',
+		days: 'Tage',
+		climate: 'Klima',
+		cycle: 'Zyklus',
+		meanTemperature: 'Mittel {unit}',
+		meanHumidity: 'Mittel r. F.',
+		temperatureTitle: 'Mittlere Temperatur ({unit}), leer = Vorgabe',
+		humidityTitle: 'Mittlere Luftfeuchte (% r. F.), leer = Vorgabe',
+		moveEarlier: 'Nach vorne verschieben',
+		moveLater: 'Nach hinten verschieben',
+		removeSegment: 'Abschnitt entfernen',
+		addSegment: 'Abschnitt hinzufügen ({count}/{max})',
+		shortTimeline: 'Der Verlauf umfasst {days} Tage; danach gilt der letzte Abschnitt weiter.'
+	},
+	report: {
+		heading: 'Klebeband-Laborbericht',
+		documentTitle: '{title} - Laborbericht',
+		print: 'Drucken / als PDF speichern',
+		saved: 'Gespeichert {date}',
+		generated: 'Erstellt {date} mit TapeTesting',
+		testGroundTitle: 'Testgelände-Lauf - {date}',
+		configuration: 'Konfiguration',
+		tape: 'Klebeband',
+		laminate: 'Laminat (Außenseite zuerst)',
+		backing: 'Träger',
+		adhesive: 'Klebstoff',
+		construction: 'Aufbau',
+		surface: 'Oberfläche',
+		surfaceB: 'Oberfläche Seite B',
+		environment: 'Umgebung',
+		schedule: 'Umgebungsverlauf',
+		scheduleSegment: '{environment} {temperature} / {humidity}% r. F. für {time} ({cycle})',
+		scheduleRepeats: 'danach Wiederholung',
+		size: 'Größe',
+		peel: 'Abzug',
+		hangingMass: 'Hängende Masse',
+		ageAtTest: 'Alter beim Test',
+		damageVerdict: 'Schadensurteil',
+		verdicts: { ok: 'OK', oops: 'UPS', boom: 'BUMM', snap: 'RISS' },
+		face: 'Seite',
+		adhesiveOnSurface: 'Klebstoff auf Oberfläche',
+		adhesiveOn: '{adhesive} auf {surface}',
+		bondReleases: 'Klebung löst sich',
+		result: 'Ergebnis',
+		faceStatus: { torn: 'gerissen', released: 'gelöst', keepsTape: 'behält Band' },
+		coreSplitsAt: 'Kern spaltet bei',
+		jointFailsAt: 'Verbindung versagt bei',
+		surfaceSafetyFactor: 'Sicherheitsfaktor Oberfläche',
+		surfaceDamageRisk: 'Oberflächenschadensrisiko',
+		safetyFactorSpread: 'Sicherheitsfaktor (5-50-95%)',
+		verdictSpread: 'Verteilung der Urteile',
+		peelTrace: 'Schälkraftverlauf',
+		peelForce: 'Schälkraft',
+		backingBreaks: 'Träger reißt {load}',
+		surfaceTears: 'Oberfläche reißt {load}',
+		traceNote: 'Mittlere Schällast {load} mit ±{stickSlip} Stick-Slip über {length}',
+		traceStops: '; das Abziehen endet bei {distance}',
+		hangTest: 'Hängetest ({mass})',
+		properties: 'Berechnete Eigenschaften',
+		peelAdhesion: 'Schälhaftung',
+		holdStrength: 'Scherfestigkeit',
+		stiffness: 'Laminatsteifigkeit (E·t)',
+		temperatureEffect: 'Temperatureinfluss',
+		layers: 'Schichten',
+		material: 'Material',
+		modulus: 'Modul',
+		realImpactAt: 'Praxisanalyse nach {time}',
+		agingPhase: 'Alterungsphase',
+		phases: { 'build-up': 'Aufbau', plateau: 'Plateau', degradation: 'Abbau' },
+		stretchChange: 'Dehnungsänderung',
+		overTime: 'Eigenschaften im Zeitverlauf',
+		reportAge: 'Berichtsalter',
+		crossingsTitle: 'Schwellenübergänge innerhalb von 366 Tagen',
+		age: 'Alter',
+		event: 'Ereignis',
+		riskAtAge: 'Im Berichtsalter besteht {risk} Oberflächenschadensrisiko.',
+		assumptions: 'Annahmen und Faktoren',
+		peelMechanics: 'Schälmechanik',
+		datasheetCondition: 'Prüfbedingung des Datenblatts',
+		datasheetPeel: 'Schälhaftung laut Datenblatt',
+		fromTapeDatasheet: '{peel} (Datenblatt des Bands)',
+		adhesiveTypical: '{peel} (typisch für {adhesive})',
+		standardForce: 'Schälkraft unter Datenblattbedingung',
+		angleRateUsed: 'Verwendeter Schälwinkel / Geschwindigkeit',
+		rateFactor: 'Faktor Schälgeschwindigkeit',
+		fractureEnergy: 'Bruchenergie (Kendall)',
+		peelForceAtAngle: 'Schälkraft im Prüfwinkel',
+		surfaceLoad: 'Last auf der Oberfläche',
+		ruptureStrength: 'Reißfestigkeit der Oberfläche',
+		ruptureValue: '{typical} typisch ({range})',
+		notTearable: 'Durch Klebeband nicht zerreißbar',
+		climateAt: 'Klima nach {time}',
+		temperatureHumidity: 'Temperatur / Luftfeuchte',
+		humidityEffect: 'Einfluss der Luftfeuchte auf die Haftung',
+		temperatureEffectAdhesion: 'Einfluss der Temperatur auf die Haftung',
+		adhesionMultiplier: 'Gesamtfaktor Haftung',
+		agingMultiplier: 'Faktor Alterungsgeschwindigkeit',
+		uvMultiplier: 'Faktor UV-Vergilbung',
+		residueMultiplier: 'Faktor Rückstände',
+		profile: 'Profil',
+		defaultProfile: 'Standardwerte (kein angepasstes Profil)',
+		modelNote: 'Die Schälhaftung stammt aus dem Datenblattwert des Klebstoffs, skaliert nach Oberfläche, Dicke, Anhaftzeit, Alterung und Klima, und wird dann mit Kendalls Schälgleichung auf den Prüfwinkel umgerechnet. Die Schadenswahrscheinlichkeit tastet den Festigkeitsbereich der Oberfläche, ±15% Klebstoffstreuung und die Klimaspanne der Umgebung ab. Die Werte sind Modellvorhersagen, keine Messungen.',
+		references: 'Quellen',
+		referencesFrom: 'Aus „{source}“'
+	}
+};
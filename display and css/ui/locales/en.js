@@ -0,0 +1,721 @@
+// ==================== ENGLISH ====================
+// Reference catalog: every key the UI looks up exists here, other catalogs may leave keys out.
+// {name} placeholders are filled in by t(); numbers arrive already formatted with their units.
+
+export const EN_MESSAGES = {
+	common: {
+		custom: 'custom',
+		never: 'never',
+		range: '{min} to {max}',
+		margin: '{factor}× margin',
+		risk: { none: 'no', low: 'low', moderate: 'moderate', high: 'high', critical: 'critical' }
+	},
+	time: {
+		seconds: '{count} s',
+		minutes: '{count} min',
+		hours: '{count} h',
+		daysShort: '{count} d',
+		days: '{count} days',
+		years: '{count} years',
+		indefinitely: 'indefinitely'
+	},
+	units: {
+		metric: 'Metric',
+		imperial: 'Imperial'
+	},
+	sidebar: {
+		info: 'Click me for info',
+		tapeMaterial: 'Tape Selection',
+		surfaceMaterial: 'Testing Surface',
+		environment: 'Weather',
+		specifics: 'Specifics',
+		save: 'SAVE',
+		history: 'History Log',
+		materials: 'Material Library',
+		sweep: 'Parameter Sweep',
+		optimizer: 'Recommend a Tape',
+		timeline: 'Property Timeline',
+		calibration: 'Calibration',
+		testNotice: 'Allow for the test button to reset for a second or two before clicking again.',
+		tips: {
+			tapeMaterial: 'Select tape material',
+			surfaceMaterial: 'Select surface material',
+			environment: 'Weather conditions',
+			specifics: 'Thickness, adhesive, tolerances',
+			save: 'Save current parameters',
+			history: 'View recent changes',
+			materials: 'Create custom backings, adhesives and surfaces',
+			sweep: 'Compare combinations as heat maps',
+			optimizer: 'Find the best tape for a job',
+			timeline: 'How the tape changes over a year',
+			calibration: 'Fit the model to measured peel data'
+		},
+		allAdhesives: 'All adhesives',
+		importedSuffix: '(imported)',
+		noTapesMatch: 'No tapes match the search.'
+	},
+	slider: {
+		title: 'Time Impact Simulator',
+		description: 'Simulates dwell and UV exposure: adhesive builds up its bond over the first hours, then the tape yellows, ages and weakens on the surface'
+	},
+	disclaimer: 'The collected data is web collected. I do not have access to manufacturing archives of companies. All calculations are estimates.',
+	saveNotice: 'SAVED TO HISTORY LOG',
+	linkCopiedNotice: 'SCENARIO LINK COPIED',
+	linkInAddressBarNotice: 'SCENARIO LINK IN ADDRESS BAR',
+	popups: {
+		tapeMaterials: 'Tape Materials',
+		buildStack: 'Build the layer stack',
+		surfaceMaterials: 'Surface Materials'
+	},
+	testGround: {
+		variantTape: 'Variant Tape',
+		regularTape: 'Regular Tape',
+		surfaceSelection: 'Surface Selection',
+		exit: 'Exit Test',
+		selectRegularTape: 'Select Regular Tape',
+		selectSurface: 'Select Surface Material',
+		selectTapeFirst: 'Please select a tape first!\n\nClick "Variant Tape" or "Regular Tape" button in preview mode to choose a tape, then try TEST again.',
+		variantTapeOf: 'Variant tape ({laminate})',
+		regularTapeOf: 'Regular tape ({name})'
+	},
+	dimensions: {
+		title: 'Dimensions',
+		subtitle: 'Sample dimensions and backing material specifications',
+		variantActive: 'Variant Mode Active',
+		laminate: 'Laminate',
+		layer: 'Layer',
+		contactLayer: 'Contact layer (adhesive)',
+		commonRoll: 'Common roll: {width} × {length}',
+		currentTape: 'Current Tape',
+		backingThickness: 'Backing thickness',
+		commercialSize: 'Typical commercial dimensions: {width} (width) × {length} (length)',
+		width: 'Width',
+		height: 'Height',
+		tapeLength: 'Tape Length'
+	},
+	specifics: {
+		title: 'Specifics',
+		subtitle: 'Adhesive properties and calculated performance metrics',
+		variantActive: 'Variant Tape Active',
+		variantBasis: 'Calculations based on the laminate {laminate} (adhesive on {contact})',
+		damageTitle: '{surface} Surface Damage Assessment',
+		damage: {
+			none: 'Tape is not strong enough to damage this surface. The tape bond will fail before the surface tears.',
+			low: 'Low risk of damage to {surface}. Surface is {factor}× stronger than tape bond.',
+			moderate: 'Moderate risk for {surface}. Surface strength ({surfaceStrength}) is only {factor}× tape force ({tapeForce}). Handle carefully.',
+			high: 'High risk of {surface} damage! Surface strength ({surfaceStrength}) barely exceeds tape force ({tapeForce}). May tear on removal.',
+			critical: 'CRITICAL: Tape force ({tapeForce}) exceeds {surface} strength ({surfaceStrength})! Surface will likely tear.'
+		},
+		adhesiveThickness: 'Adhesive Thickness',
+		affectsContact: 'affects contact area',
+		thicknessComparison: {
+			hair: 'thinner than human hair',
+			humanHair: 'about a human hair thickness',
+			paper: '2-3 sheets of paper',
+			cardstock: 'thick cardstock'
+		},
+		adhesiveType: 'Adhesive Type',
+		peelAngle: 'Peel Angle',
+		peelRate: 'Peel Rate',
+		adhesive: 'Adhesive',
+		tack: 'Tack',
+		uv: 'UV',
+		aging: 'Aging',
+		temp: 'Temp',
+		performance: 'Calculated Performance',
+		displayUnits: 'Display units',
+		peelAdhesion: 'Peel Adhesion',
+		peelAdhesionHint: 'Datasheet force at 180° and {rate}. Higher = stronger bond to surface.',
+		atAngleRate: 'At {angle}° / {rate}',
+		peelForces: '{peelForce} in the tape, {surfaceLoad} lifting the surface',
+		surfaceImpact: 'Surface impact',
+		impact: {
+			safe: 'Safe for this surface',
+			caution: 'Use with caution',
+			high: 'High risk of damage'
+		},
+		holdStrength: 'Shear/Hold Strength',
+		holdHint: 'Resistance to sliding under load. Critical for vertical applications and weight bearing.',
+		forceVsStrength: 'Tape force {tapeForce} vs surface strength {surfaceStrength}',
+		tooStrong: 'Surface is too strong to damage ({tapeForce} tape force)',
+		elongation: 'Elongation at Break',
+		elongationHint: 'How much the tape can stretch before breaking. Lower = more rigid, higher = more flexible.',
+		surfaceTearsAt: 'Surface tears at',
+		totalThickness: 'Total Thickness',
+		totalThicknessHint: 'Combined thickness of backing + adhesive. Affects conformability and gap filling.',
+		totalThicknessLaminate: 'Combined thickness of backing + adhesive (all {count} laminate layers). Affects conformability and gap filling.',
+		thicknessTipTitle: 'Adhesive thickness impact',
+		thicknessTip: 'Thicker adhesive layer → stronger adhesion → higher peel force → greater risk to delicate surfaces like veneer or paint.'
+	},
+	controls: {
+		peelRatePresets: { slow: 'Slow', standard: 'Standard', fast: 'Fast', rip: 'Rip' },
+		tapeConstruction: 'Tape Construction',
+		tapeModes: {
+			'single': 'Single-sided',
+			'double-sided': 'Double-sided (carrier core)',
+			'transfer': 'Transfer tape (adhesive only)'
+		},
+		faceBSurface: 'Face B Surface',
+		faceBAdhesive: 'Face B Adhesive',
+		faceBThickness: 'Face B Adhesive Thickness',
+		transferHint: 'A transfer tape is one adhesive film - both faces use face A\'s adhesive',
+		joint: {
+			title: '{mode} Joint',
+			coreSplits: 'The {core} core splits at {load} before either bond releases - both {surfaceA} and {surfaceB} keep a layer of tape.',
+			surfaceTears: 'The {surface} under face {face} tears at {load} before its {adhesive} bond releases - the tape stays on {other}.',
+			faceReleases: 'Face {face} ({adhesive} on {surface}) lets go first at {load} - the tape stays on {other}.',
+			torn: 'Torn - the {surface} ruptures under the bond',
+			releasedResidue: 'Released - {residue}% residue left',
+			releasedClean: 'Released - clean surface',
+			keepsTape: 'Keeps tape - peeling it off later: {risk} risk',
+			limit: 'Limit',
+			bondReleases: 'Bond releases',
+			surfaceTearsColumn: 'Surface tears',
+			faceRow: 'Face {face}: {adhesive} on {surface}',
+			coreRow: 'Core: {core}',
+			splitsAt: 'splits at {load}',
+			faceLabel: 'face {face}'
+		}
+	},
+	environment: {
+		title: 'Environment',
+		subtitle: 'Climate conditions affect adhesive performance significantly. Pick a preset or set temperature and humidity directly.',
+		followsSchedule: 'The environment timeline below sets the climate for the time slider position. Turn it off to pick a single climate.',
+		temperature: 'Temperature',
+		humidity: 'Relative Humidity',
+		performance: { excellent: 'excellent', good: 'good', fair: 'fair', poor: 'poor' },
+		preset: 'preset {value}',
+		current: 'Current: {temperature} / {humidity}% RH',
+		fromTimeline: 'timeline, {name}',
+		customBasedOn: 'custom, based on {name}',
+		adhesionFactor: 'Adhesion Factor',
+		adhesionFactorValue: '{percent}% of baseline ({adhesive})',
+		agingRate: 'Aging Rate',
+		agingRateValue: '{percent}% of normal',
+		agingToday: 'today; the timeline integrates the journey',
+		uvYellowing: 'UV Yellowing',
+		uvYellowingValue: '{percent}% of indoor rate',
+		residueMigration: 'Residue Migration',
+		residueMigrationValue: '{percent}% of {reference} rate',
+		defaultDescription: 'Environmental conditions impact adhesive tack, wet-out, and long-term stability.'
+	},
+	conditions: {
+		title: 'Current Test Conditions',
+		tape: 'Tape',
+		variant: 'Variant',
+		surface: 'Surface',
+		environment: 'Environment',
+		environmentValue: '{name} ({temperature}, {humidity}% RH)',
+		adhesive: 'Adhesive',
+		adhesiveLayer: '{adhesive} ({thickness} layer)',
+		test: 'Test',
+		peelTest: 'Peel test',
+		hangTest: 'Hang test (static shear)',
+		hangingMass: 'Hanging Mass',
+		overlap: 'Overlap {width} × {height} (set in Dimension)',
+		peel: 'Peel',
+		construction: 'Construction',
+		faceBOn: 'Face B on {surface}',
+		faceBAdhesive: 'Face B {adhesive} ({thickness})',
+		copyLink: 'Copy scenario link',
+		generateReport: 'Generate report',
+		summaryJoint: 'Face A ({adhesiveA}) bonds to {surfaceA}, face B ({adhesiveB}) to {surfaceB}; the test pulls them apart.',
+		summaryVariant: 'The variant tape stacks {count} layers ({layers}), with the {adhesive} adhesive on the {contact} layer bonding to the {surface} surface.',
+		layerSeparator: ' over ',
+		summary: 'This {tape} tape with {adhesive} adhesive is tested on {surface} surface under {environment} conditions.'
+	},
+	peel: {
+		title: 'Peel Force',
+		angleAtRate: '{angle}° at {rate}',
+		stickSlip: 'stick-slip ±{percent}%',
+		playPause: 'Play / pause the peel',
+		frontPosition: 'Peel front position',
+		chartSurfaceTears: 'surface tears',
+		chartBackingBreaks: 'backing breaks',
+		peeling: 'Peeling…',
+		dragHint: 'Drag the tape or the slider to peel',
+		peeledClean: 'Peeled off cleanly',
+		stopped: {
+			tear: 'Surface tears at {distance}',
+			snap: 'Tape snaps at {distance}'
+		}
+	},
+	results: {
+		title: 'Real-Impact Analysis',
+		peelOutcomes: {
+			clean: { title: 'Clean Peel', text: 'The adhesive bond releases first. The backing and the surface both stay intact.', message: 'Clean peel: the bond releases at {peel} before the backing ({breaking}) or the surface gives.' },
+			snap: { title: 'Tape Snaps', text: 'The backing cross-section cannot carry the peel load. The tape tears mid-peel and leaves a strip stuck to the surface.', message: 'Tape snaps: peeling needs {peel} but the backing breaks at {breaking}. Use a wider or stronger backing.' },
+			tear: { title: 'Surface Tears', text: 'The surface is weaker than the bond. Fibres, paint or coating come away with the tape.', message: 'Surface tears: the {surface} ruptures at {tear}, below the {peel} peel load.' }
+		},
+		peelLoad: 'Peel Load',
+		backingBreaksAt: 'Backing Breaks At',
+		surfaceTearsAt: 'Surface Tears At',
+		cannotBeDamaged: 'Cannot be damaged',
+		damageProbability: 'Damage Probability',
+		damageChance: 'Chance of Surface Damage',
+		safetyFactorRange: 'Safety Factor (5-95%)',
+		median: 'median {value}',
+		samplesNote: '{samples} samples over the {surface} strength range, ±{scatter}% adhesive scatter and the {environment} climate spread',
+		timeImpact: 'Time Impact: {time}',
+		adhesiveBehavior: 'Adhesive Behavior',
+		bondBuildUp: 'Bond Build-Up',
+		ofUltimate: '{percent}% of ultimate',
+		fullBondAfter: 'full bond after ~{time}',
+		adhesiveStatus: 'Adhesive Status',
+		type: 'Type',
+		peelRetention: 'Peel Strength Retention',
+		holdRetention: 'Hold Strength Retention',
+		freshTape: 'Fresh tape - no aging effects',
+		uvDegradation: 'UV Degradation',
+		yellowing: 'Yellowing Intensity',
+		residueRisk: 'Residue Risk',
+		migration: 'Adhesive Migration',
+		behavior: {
+			justApplied: 'Just applied - adhesive has only its initial tack, bond still building',
+			wetOut: 'Wet-out phase - adhesive flowing into the surface, bond still building',
+			established: 'Bond established - adhesive at full contact with surface',
+			migrating: 'Adhesive migrating into surface - residue risk increasing',
+			fullyBonded: 'Adhesive fully bonded - stable contact established',
+			heavyMigration: 'Significant adhesive migration - difficult clean removal expected',
+			dryingOut: 'Adhesive drying out - bond weakening over time',
+			longTerm: 'Long-term aging - adhesive properties degrading'
+		},
+		residue: {
+			none: 'No residue expected (fresh tape)',
+			minimal: 'Minimal residue - clean removal likely',
+			light: 'Light residue possible - may require cleaning',
+			moderate: 'Moderate residue expected - cleaning required',
+			heavy: 'Heavy residue - adhesive absorbed into surface, difficult removal'
+		},
+		uv: {
+			none: 'No UV degradation yet',
+			slight: 'Slight yellowing visible',
+			moderate: 'Moderate yellowing - tape visibly aged',
+			severe: 'Severe yellowing - significant degradation'
+		},
+		hang: {
+			title: 'Hang Test',
+			outcomes: {
+				falls: { title: 'Falls Immediately', label: 'FAILS' },
+				slides: { title: 'Creeps, Then Slides Off', label: 'TIME-LIMITED' },
+				holds: { title: 'Holds', label: 'HOLDS' }
+			},
+			fallsMessage: 'Falls: {stress} of shear is more than the {hold} the bond can hold.',
+			creepFallsMessage: 'Falls: {stress} of shear is below the {hold} hold strength, but the adhesive creeps through in {time} at this temperature.',
+			slidesMessage: 'Creeps and slides off after about {time} under {load}.',
+			holdsMessage: 'Holds: {load} creeps only {slip} in 10 years.',
+			predictedFailure: 'Predicted Failure',
+			failsAfter: 'after {time}',
+			noFailure: 'none within 10 years',
+			load: 'Load',
+			weight: 'Weight',
+			overlap: 'Overlap',
+			shearStress: 'Shear Stress',
+			holdStrength: 'Hold Strength',
+			used: '{percent}% used',
+			creep: 'Creep',
+			after: 'After {time}',
+			slip: '{slip} slip',
+			letsGoAt: 'Lets Go At',
+			loadedAfter: 'Loaded After {time}',
+			climate: 'Climate',
+			climateValue: '{temperature} / {humidity}% RH - warmth speeds up creep'
+		}
+	},
+	history: {
+		title: 'Saved Experiments',
+		subtitle: 'Complete record of all saved tape tests and configurations',
+		exportJson: 'Export JSON',
+		exportCsv: 'Export CSV',
+		importJson: 'Import JSON',
+		changeHistory: 'Change history ({count})',
+		compareHint: 'Tick 2-4 experiments to compare them side by side',
+		compareButton: 'Compare ({count})',
+		empty: 'No experiments saved yet. Click the "Save Experiment" button to record your current configuration.',
+		variant: 'VARIANT',
+		laminateComposition: 'Laminate Composition',
+		adhesive: 'Adhesive',
+		thickness: 'Thickness',
+		backing: 'Backing',
+		testSurface: 'Test Surface',
+		environment: 'Environment',
+		resultsLine: 'peel {peel}, hold {hold}, safety {safety}, residue {residue}%',
+		saved: 'Saved',
+		importTooLarge: 'Import failed: file is larger than 5 MB.',
+		importNotExport: 'Import failed: this is not a tape experiments export.',
+		importNewerVersion: 'Import failed: export version {version} is newer than this app supports ({supported}).',
+		inputs: {
+			tape: 'Tape',
+			adhesive: 'Adhesive',
+			adhesiveThickness: 'Adhesive Thickness',
+			surface: 'Surface',
+			environment: 'Environment',
+			size: 'Size',
+			peel: 'Peel',
+			time: 'Time'
+		},
+		metrics: {
+			peel: 'Peel Adhesion',
+			hold: 'Hold Strength',
+			stretch: 'Stretch',
+			safetyFactor: 'Surface Safety Factor',
+			uvDegradation: 'UV Yellowing',
+			adhesiveResidue: 'Adhesive Residue'
+		},
+		compare: {
+			title: 'Compare Experiments',
+			back: 'Back to list',
+			select: 'Compare',
+			needTwo: 'Select at least two experiments to compare.',
+			baseline: 'baseline',
+			inputs: 'Inputs',
+			results: 'Results',
+			cannotDamage: 'cannot damage',
+			damageRisk: 'Damage Risk',
+			charts: 'Charts',
+			points: '{value} pts'
+		},
+		changes: {
+			title: 'Change History',
+			back: 'Back to experiments',
+			undo: 'Undo',
+			redo: 'Redo',
+			shortcuts: 'Ctrl/⌘+Z to undo, Ctrl/⌘+Shift+Z or Ctrl+Y to redo',
+			empty: 'No changes recorded yet.',
+			current: 'current',
+			undone: 'undone',
+			restore: 'Restore this point',
+			restoreTip: 'Return to the state right after this entry',
+			more: '+{count} more'
+		}
+	},
+	signs: {
+		damageChance: '{percent}% chance of surface damage.',
+		snap: 'Snap! {message}',
+		tear: 'Danger! {message}',
+		surfaceTooStrong: 'Safe! {surface} is too strong to be damaged by tape.',
+		safe: 'Safe! Safety factor: {factor}×. Surface can withstand the peel force.',
+		warning: 'Warning! Surface safety {surface}×, backing safety {backing}×. Peel carefully!',
+		holds: 'Holds! {message}',
+		drop: 'Drop! {message}'
+	},
+	catalog: {
+		backingLayer: '{backing} backing',
+		adhesiveLayer: '{adhesive} adhesive',
+		total: '{thickness} total',
+		wide: '{width} wide',
+		datasheetPeel: 'peel {peel} (datasheet)'
+	},
+	laminate: {
+		totalThickness: 'Total thickness',
+		stretch: 'Stretch',
+		peel: 'Peel',
+		hold: 'Hold',
+		outerFace: 'Outer face',
+		moveOutward: 'Move outward',
+		moveInward: 'Move toward the adhesive',
+		removeLayer: 'Remove layer',
+		adhesiveLine: '{adhesive} adhesive, {thickness} (on the contact layer)',
+		addLayer: 'Add layer ({count}/{max})'
+	},
+	variant: {
+		emptyTitle: 'Tape Variant',
+		emptyText: 'Stack at least two layers in the "Tape Material" panel to see laminate properties.',
+		title: 'Variant Tape Analysis',
+		configuration: 'Current Configuration',
+		dimensions: 'Dimensions',
+		dimensionsValue: '{width} × {height}, {length} length',
+		adhesive: 'Adhesive',
+		adhesiveValue: '{adhesive}, {thickness} thick',
+		environment: 'Environment',
+		metrics: 'Performance Metrics',
+		notAvailable: 'N/A',
+		thickness: 'Thickness',
+		layerStack: 'Layer Stack (outer face first)',
+		layer: 'Layer',
+		stiffnessShare: 'Stiffness share',
+		contact: '(contact)',
+		stackNote: 'Stretch is weighted by each layer\'s stiffness (modulus × thickness); peel and hold follow the contact layer.',
+		surfaceRisk: 'Surface Damage Risk Analysis',
+		riskGroups: {
+			critical: 'CRITICAL',
+			high: 'HIGH RISK',
+			moderate: 'MODERATE',
+			low: 'LOW RISK',
+			safe: 'SAFE'
+		},
+		safeSurfaces: '{surfaces} - Tape fails before surface'
+	},
+	materials: {
+		title: 'Material Library',
+		subtitle: 'Create, edit, clone and delete custom materials. They appear in the tape and surface selectors, Specifics, the variant builder and the Test Ground.',
+		kinds: { backing: 'Backings', adhesive: 'Adhesives', surface: 'Surfaces' },
+		newTitle: { backing: 'New custom backing', adhesive: 'New custom adhesive', surface: 'New custom surface' },
+		editTitle: 'Edit {key}',
+		shortName: 'Short name (used in selectors)',
+		blankCannotDamage: 'blank = cannot be damaged',
+		save: 'Save material',
+		cancel: 'Cancel',
+		edit: 'Edit',
+		clone: 'Clone',
+		delete: 'Delete',
+		customHeading: 'Custom {kind} ({count})',
+		builtInHeading: 'Built-in {kind}',
+		empty: 'No custom materials yet. Create one or clone a built-in material below.',
+		copyName: '{name} (copy)',
+		confirmDelete: {
+			backing: 'Delete custom backing "{key}"?',
+			adhesive: 'Delete custom adhesive "{key}"?',
+			surface: 'Delete custom surface "{key}"?'
+		},
+		summary: {
+			backing: '{min} - {max}, {tensile}, {elongation}% stretch, UV {uv}',
+			adhesive: '{thickness}, {peel}, {tack} tack',
+			chemistry: '{chemistry} chemistry',
+			surface: '{energy} energy, {texture}, ×{multiplier} adhesion'
+		},
+		tensile: 'tensile {force}',
+		source: 'Source',
+		notOnDatasheet: 'not on datasheet',
+		peelNote: 'Peel adhesion is the datasheet value on steel (180°). When given, it replaces the adhesive\'s typical adhesion for this tape.',
+		importTape: 'Import tape',
+		importDatasheet: 'Import a tape datasheet',
+		commercialTitle: 'Commercial Tapes ({count})',
+		commercialSubtitle: 'Ready-made tapes offered under "Regular Tape" on the Test Ground and by the recommender.',
+		confirmDeleteTape: 'Delete imported tape "{name}"?',
+		errors: {
+			shortName: 'Short name must be 1-30 letters, digits, spaces or . _ + - ( )',
+			builtIn: '"{key}" is already a built-in material',
+			exists: '"{key}" already exists',
+			number: '{label} must be a number',
+			range: '{label} must be between {min} and {max}',
+			option: '{label} must be one of: {options}',
+			url: '{label} must start with http:// or https://',
+			required: '{label} is required',
+			invalidMaterial: 'Invalid material data',
+			thicknessOrder: 'Thickness must satisfy min ≤ standard ≤ max',
+			temperatureOrder: 'Temperature range min must be below max',
+			ruptureIncomplete: 'Rupture strength needs min, typical and max (leave all blank if tape cannot damage this surface)',
+			ruptureOrder: 'Rupture strength must satisfy min ≤ typical ≤ max',
+			invalidTape: 'Invalid tape data',
+			tapeThickness: 'Give the adhesive thickness, the total thickness or both',
+			tapeLayers: 'Backing plus adhesive thickness cannot exceed the total thickness',
+			inCatalog: '"{name}" is already in the catalog'
+		}
+	},
+	optimizer: {
+		title: 'Recommend a Tape',
+		subtitle: 'Describe the job and every backing, adhesive and thickness (plus the ready-made tapes) is checked against it. Designs are {width} × {height}, ready-made tapes use their roll width; all peeled at {angle}°.',
+		surface: 'Surface',
+		environment: 'Environment',
+		setByTimeline: 'Set by the environment timeline',
+		duration: 'Duration (days)',
+		mustHold: 'Must hold ({unit}, 0 = no load)',
+		cleanRemoval: 'Must remove cleanly after {time} (no tearing, snapping or heavy residue)',
+		passing: '{passing} of {count} tapes meet every requirement. Margins are capacity ÷ demand: 1× just passes.',
+		noRequirements: 'Add a load or tick clean removal to rank the tapes.',
+		readyMade: 'Ready-made',
+		load: 'Load into Test Ground',
+		margins: { hold: 'Hold', removal: 'Removal', residue: 'Residue' },
+		residueMargin: '{residue}% residue (clean up to {limit}%)'
+	},
+	sweep: {
+		title: 'Parameter Sweep',
+		subtitle: 'Vary two inputs at once around the current setup ({tape} / {adhesive} on {surface}). Click a cell to load that combination.',
+		rows: 'Rows',
+		columns: 'Columns',
+		show: 'Show',
+		sensitivity: 'Sensitivity',
+		sensitivityText: 'Each input swung across its range while the rest stay as they are. Current {metric}: {value}. Red bars can change the verdict.',
+		scheduleNote: 'Environment, temperature and humidity follow the active environment schedule, so they are not swept.',
+		humidityValue: '{humidity}% RH',
+		verdicts: { ok: 'OK', oops: 'OOPS', boom: 'BOOM' }
+	},
+	timeline: {
+		title: 'Property Timeline',
+		subtitle: 'How {tape} / {adhesive} on {surface} ({temperature}, {humidity}% RH) changes over a year. The black cursor follows the time slider; click a chart to move it.',
+		series: {
+			peelRetention: 'Peel retention',
+			holdRetention: 'Hold retention',
+			stretchChange: 'Stretch increase',
+			uvDegradation: 'UV yellowing',
+			adhesiveResidue: 'Adhesive residue'
+		},
+		damageRisk: 'Damage risk',
+		bondChart: 'Bond strength (share of full bond)',
+		wearChart: 'Wear and removal',
+		riskOverTime: 'Surface damage risk over time',
+		surfaceRisk: 'Surface damage risk',
+		crossingsTitle: 'Threshold crossings',
+		noCrossings: 'Nothing crosses a threshold within 366 days.',
+		crossings: {
+			damageRisk: 'Damage risk {from} → {to}',
+			phase: { plateau: 'Bond fully built up', degradation: 'Bond starts degrading' }
+		}
+	},
+	calibration: {
+		title: 'Calibration',
+		subtitle: 'Fit the surface and environment multipliers, the thickness exponent and the low-energy penalties to your own peel-tester results, then switch the simulator to that profile.',
+		activeProfile: 'Active profile',
+		defaultProfile: 'Default (hand-picked coefficients)',
+		profileSamples: '{count} samples',
+		profileSamplesR2: '{count} samples, R² {r2}',
+		deleteProfile: 'Delete "{name}"',
+		importTitle: 'Import measurements',
+		csvHelp: 'CSV columns: tape, adhesive, thickness (µm), surface, environment, dwell (min), peel (N/cm); optional temperature (°C) and humidity. Put another unit in the header to override, e.g. <code>peel (N/25mm)</code> or <code>dwell (h)</code>.',
+		samplesReady: '{count} measurements ready',
+		moreErrors: '{count} more',
+		fitTitle: 'Fit',
+		fitButton: 'Fit coefficients',
+		fitSummary: 'R² {r2} · RMSE {rmse} · mean error {error}%',
+		notAvailable: 'n/a',
+		before: 'Before',
+		after: 'After',
+		coefficient: 'Coefficient',
+		default: 'Default',
+		fitted: 'Fitted',
+		coefficients: {
+			surface: 'Surface',
+			environment: 'Environment',
+			thicknessExponent: 'Thickness exponent',
+			lowEnergyPenalty: 'Low-energy penalty'
+		},
+		residuals: 'Residuals ({unit})',
+		row: 'Row',
+		sample: 'Sample',
+		measured: 'Measured',
+		error: 'Error',
+		sampleValue: '{tape} / {adhesive} on {surface}, {environment}',
+		saveTitle: 'Save as profile',
+		namePlaceholder: 'e.g. Lab 2024-Q3',
+		saveButton: 'Save & use',
+		confirmDelete: 'Delete calibration profile "{name}"?',
+		confirmReplace: 'Replace calibration profile "{name}"?',
+		errors: {
+			tooLarge: 'File is larger than 2 MB',
+			name: 'Name must be 1-30 letters, digits, spaces or . _ + - ( )',
+			tooManyProfiles: 'Up to 20 profiles can be saved - delete one first',
+			needsRows: 'The file needs a header row and at least one measurement',
+			column: 'Column "{header}": {message}',
+			missingColumns: 'Missing column(s): {columns}',
+			unknown: 'unknown {column} "{value}"',
+			missing: 'missing {column}',
+			invalid: 'invalid {column} "{value}"',
+			row: 'Row {row}: {errors}',
+			tooManyRows: 'Only the first {max} rows were read'
+		}
+	},
+	schedule: {
+		title: 'Environment Timeline',
+		subtitle: 'Tape rarely sits in one climate. Chain segments (warehouse → container → destination) and add day/night or seasonal swings; aging, UV and residue are integrated over the journey up to the time slider.',
+		follow: 'Follow this timeline',
+		repeat: 'Repeat after {days} days',
+		now: 'At {time}: {environment}, {temperature} / {humidity}% RH',
+		sliderPosition: 'Slider position',
+		barTitle: '{environment}, day {start}–{end}',
+		day: 'Day {day}',
+		days: 'Days',
+		climate: 'Climate',
+		cycle: 'Cycle',
+		meanTemperature: 'Mean {unit}',
+		meanHumidity: 'Mean RH',
+		temperatureTitle: 'Mean temperature ({unit}), blank = preset',
+		humidityTitle: 'Mean humidity (% RH), blank = preset',
+		moveEarlier: 'Move earlier',
+		moveLater: 'Move later',
+		removeSegment: 'Remove segment',
+		addSegment: 'Add segment ({count}/{max})',
+		shortTimeline: 'The timeline covers {days} days; after that the last segment continues.'
+	},
+	report: {
+		heading: 'Tape Lab Report',
+		documentTitle: '{title} - Lab Report',
+		print: 'Print / Save as PDF',
+		saved: 'Saved {date}',
+		generated: 'Generated {date} by TapeTesting',
+		testGroundTitle: 'Test Ground run - {date}',
+		configuration: 'Configuration',
+		tape: 'Tape',
+		laminate: 'Laminate (outer face first)',
+		backing: 'Backing',
+		adhesive: 'Adhesive',
+		construction: 'Construction',
+		surface: 'Surface',
+		surfaceB: 'Face B surface',
+		environment: 'Environment',
+		schedule: 'Environment timeline',
+		scheduleSegment: '{environment} {temperature} / {humidity}% RH for {time} ({cycle})',
+		scheduleRepeats: 'then repeats',
+		size: 'Size',
+		peel: 'Peel',
+		hangingMass: 'Hanging mass',
+		ageAtTest: 'Age at test',
+		damageVerdict: 'Damage verdict',
+		verdicts: { ok: 'OK', oops: 'OOPS', boom: 'BOOM', snap: 'SNAP' },
+		face: 'Face',
+		adhesiveOnSurface: 'Adhesive on surface',
+		adhesiveOn: '{adhesive} on {surface}',
+		bondReleases: 'Bond releases',
+		result: 'Result',
+		faceStatus: { torn: 'torn', released: 'released', keepsTape: 'keeps tape' },
+		coreSplitsAt: 'Core splits at',
+		jointFailsAt: 'Joint fails at',
+		surfaceSafetyFactor: 'Surface safety factor',
+		surfaceDamageRisk: 'Surface damage risk',
+		safetyFactorSpread: 'Safety factor (5-50-95%)',
+		verdictSpread: 'Verdict spread',
+		peelTrace: 'Peel force trace',
+		peelForce: 'Peel force',
+		backingBreaks: 'Backing breaks {load}',
+		surfaceTears: 'Surface tears {load}',
+		traceNote: 'Mean peel load {load} with ±{stickSlip} stick-slip over {length}',
+		traceStops: '; the peel stops at {distance}',
+		hangTest: 'Hang test ({mass})',
+		properties: 'Computed properties',
+		peelAdhesion: 'Peel adhesion',
+		holdStrength: 'Hold strength',
+		stiffness: 'Laminate stiffness (E·t)',
+		temperatureEffect: 'Temperature effect',
+		layers: 'Layers',
+		material: 'Material',
+		modulus: 'Modulus',
+		realImpactAt: 'Real-impact analysis at {time}',
+		agingPhase: 'Aging phase',
+		phases: { 'build-up': 'build-up', plateau: 'plateau', degradation: 'degradation' },
+		stretchChange: 'Stretch change',
+		overTime: 'Properties over time',
+		reportAge: 'Report age',
+		crossingsTitle: 'Threshold crossings within 366 days',
+		age: 'Age',
+		event: 'Event',
+		riskAtAge: 'Surface damage risk at the report age: {risk}.',
+		assumptions: 'Assumptions and multipliers',
+		peelMechanics: 'Peel mechanics',
+		datasheetCondition: 'Datasheet test condition',
+		datasheetPeel: 'Datasheet peel adhesion',
+		fromTapeDatasheet: '{peel} (tape datasheet)',
+		adhesiveTypical: '{peel} ({adhesive} typical)',
+		standardForce: 'Peel force at datasheet condition',
+		angleRateUsed: 'Peel angle / rate used',
+		rateFactor: 'Peel rate factor',
+		fractureEnergy: 'Fracture energy (Kendall)',
+		peelForceAtAngle: 'Peel force at test angle',
+		surfaceLoad: 'Load on the surface',
+		ruptureStrength: 'Surface rupture strength',
+		ruptureValue: '{typical} typical ({range})',
+		notTearable: 'Not tearable by tape',
+		climateAt: 'Climate at {time}',
+		temperatureHumidity: 'Temperature / humidity',
+		humidityEffect: 'Humidity effect on adhesion',
+		temperatureEffectAdhesion: 'Temperature effect on adhesion',
+		adhesionMultiplier: 'Combined adhesion multiplier',
+		agingMultiplier: 'Aging rate multiplier',
+		uvMultiplier: 'UV yellowing multiplier',
+		residueMultiplier: 'Residue multiplier',
+		profile: 'Profile',
+		defaultProfile: 'Defaults (no fitted profile)',
+		modelNote: 'Peel adhesion comes from the adhesive datasheet value scaled by surface, thickness, dwell build-up, aging and climate, then converted to the test angle with Kendall\'s peel equation. Damage probability samples the surface strength range, ±15% adhesive scatter and the environment\'s climate spread. Figures are model predictions, not measurements.',
+		references: 'References',
+		referencesFrom: 'From "{source}"'
+	}
+};
@@ -0,0 +1,82 @@
+import { applyCalibration } from './calibration.js';
+import { applyCustomMaterials, loadTapeCatalog } from './catalog.js';
+import { restoreScenarioFromHash } from './experiments.js';
+import { TIME_SLIDER_MAX, daysToSliderPosition, formatTimeImpact, sliderPositionToDays } from './format.js';
+import { addHistory, resetHistoryBaseline } from './history.js';
+import { initI18n } from './i18n.js';
+import { initPanelHost } from './panel_host.js';
+import { initPeelSimulation } from './peel_simulation.js';
+import { initPreview } from './preview.js';
+import { syncScheduleClimate } from './schedule.js';
+import { sanitizeNumber } from './security.js';
+import { initSidebar } from './sidebar.js';
+import { loadState, state, store } from './state.js';
+import { initSurfaceDamage } from './surface_damage.js';
+import { initTestGround, runTestGroundTest } from './test_ground.js';
+
+// ==================== STARTUP ====================
+
+// Time Impact Slider: writes the time to the state; everything that shows it subscribes
+function initTimeSlider() {
+	const slider = document.getElementById('timeSlider');
+	const valueDisplay = document.getElementById('sliderValue');
+
+	if (!slider || !valueDisplay) {
+		console.error('Slider elements not found:', { slider, valueDisplay });
+		return;
+	}
+
+	const showTime = () => {
+		slider.value = daysToSliderPosition(state.timeImpactDays || 0);
+		valueDisplay.textContent = formatTimeImpact(state.timeImpactDays || 0);
+	};
+	store.subscribe(['timeImpactDays', 'locale'], showTime);
+
+	slider.addEventListener('input', (e) => {
+		state.timeImpactDays = sliderPositionToDays(Math.round(sanitizeNumber(e.target.value, 0, TIME_SLIDER_MAX, 0)));
+		syncScheduleClimate();
+	});
+
+	// Add history entry when user releases slider
+	slider.addEventListener('change', (e) => {
+		const value = sliderPositionToDays(Math.round(sanitizeNumber(e.target.value, 0, TIME_SLIDER_MAX, 0)));
+		addHistory(`Time impact set to ${formatTimeImpact(value)}`);
+
+		// Update real-impact results if in preview mode and TEST has been run
+		if (state.previewMode) {
+			const resultsPanel = document.getElementById('realImpactResults');
+			// Only update if the panel has content (TEST has been pressed)
+			if (resultsPanel && resultsPanel.innerHTML.trim() !== '') {
+				runTestGroundTest();
+			}
+		}
+	});
+
+	// Set initial value
+	slider.max = TIME_SLIDER_MAX;
+	showTime();
+}
+
+// Initialize: restore the saved session, then wire the views to the store
+async function initializeApp() {
+	// Saved selections, history and scenario links name catalog tapes, so the catalog comes first
+	await loadTapeCatalog();
+	loadState();
+	applyCustomMaterials();
+	applyCalibration();
+	syncScheduleClimate();
+	resetHistoryBaseline();
+
+	initI18n();
+	initPreview();
+	initSurfaceDamage();
+	initPeelSimulation();
+	initSidebar();
+	initTestGround();
+	initPanelHost();
+	initTimeSlider();
+	restoreScenarioFromHash();
+}
+
+// Module scripts run after the document is parsed
+initializeApp();
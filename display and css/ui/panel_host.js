@@ -0,0 +1,103 @@
+import { calibrationPanel } from './panels/calibration.js';
+import { dimensionsPanel } from './panels/dimensions.js';
+import { environmentPanel } from './panels/environment.js';
+import { historyPanel } from './panels/history.js';
+import { materialsPanel } from './panels/materials.js';
+import { optimizerPanel } from './panels/optimizer.js';
+import { specificsPanel } from './panels/specifics.js';
+import { surfaceMaterialPanel } from './panels/surface_material.js';
+import { sweepPanel } from './panels/sweep.js';
+import { tapeMaterialPanel } from './panels/tape_material.js';
+import { timelinePanel } from './panels/timeline.js';
+import { variantPanel } from './panels/variant.js';
+import { state, store } from './state.js';
+import { pathsOverlap } from './store.js';
+
+// ==================== PANEL HOST ====================
+// Each content panel is a list of sections: { watch, render(el, signal), live?: { watch, update(el) } }.
+// A section re-renders only when one of its watched state paths changes, and only while its
+// panel is open; hidden panels keep their DOM and catch up when shown again. `live` paths
+// (e.g. the time slider) patch the existing DOM instead of rebuilding it.
+
+const PANELS = {
+	dimensions: dimensionsPanel,
+	specifics: specificsPanel,
+	environment: environmentPanel,
+	history: historyPanel,
+	variant: variantPanel,
+	'tape-material': tapeMaterialPanel,
+	'surface-material': surfaceMaterialPanel,
+	materials: materialsPanel,
+	sweep: sweepPanel,
+	optimizer: optimizerPanel,
+	timeline: timelinePanel,
+	calibration: calibrationPanel
+};
+
+const views = new Map(); // panel name -> { root, sections: [{ spec, el, controller, dirty }] }
+
+// Language and unit system show up in every section's text, so they re-render everything
+const GLOBAL_PATHS = ['locale', 'unitSystem'];
+
+const touches = (watch, changed) => changed.some(path => GLOBAL_PATHS.includes(path) || watch.some(watched => pathsOverlap(watched, path)));
+
+function renderSection(section) {
+	// Listeners a section adds outside its own element (and its store subscriptions) go with its signal
+	section.controller?.abort();
+	section.controller = new AbortController();
+	section.dirty = false;
+	section.spec.render(section.el, section.controller.signal);
+}
+
+function getView(name) {
+	if (views.has(name)) return views.get(name);
+	const root = document.createElement('div');
+	root.className = 'panel-view';
+	root.dataset.panelView = name;
+	const sections = PANELS[name].sections.map(spec => {
+		const el = document.createElement('div');
+		root.appendChild(el);
+		return { spec, el, controller: null, dirty: true };
+	});
+	document.getElementById('contentPanel').appendChild(root);
+	const view = { root, sections };
+	views.set(name, view);
+	return view;
+}
+
+// Show the active panel (rendering whatever went stale while it was hidden) and hide the rest
+function showActivePanel() {
+	const active = PANELS[state.activePanel] ? state.activePanel : null;
+	views.forEach((view, name) => {
+		view.root.style.display = name === active ? '' : 'none';
+	});
+	if (active) getView(active).sections.filter(section => section.dirty).forEach(renderSection);
+
+	document.querySelectorAll('.sidebar-btn[data-panel]').forEach(btn => {
+		btn.classList.toggle('active', btn.getAttribute('data-panel') === state.activePanel);
+	});
+	// On the Test Ground the panel floats over the playground, so it goes away with its content
+	const contentPanel = document.querySelector('.content-panel');
+	if (contentPanel) contentPanel.style.display = state.previewMode && !state.activePanel ? 'none' : 'block';
+}
+
+function onStateChange(changed) {
+	views.forEach((view, name) => {
+		const isActive = name === state.activePanel;
+		view.sections.forEach(section => {
+			if (touches(section.spec.watch, changed)) {
+				if (isActive) renderSection(section);
+				else section.dirty = true;
+			} else if (section.spec.live && touches(section.spec.live.watch, changed)) {
+				if (isActive && !section.dirty) section.spec.live.update(section.el);
+				else section.dirty = true;
+			}
+		});
+	});
+	if (changed.some(path => path === 'activePanel' || path === 'previewMode')) showActivePanel();
+}
+
+export function initPanelHost() {
+	store.subscribe(null, onStateChange);
+	showActivePanel();
+}
@@ -0,0 +1,159 @@
+import { fitCalibration, fromSI } from '../../math_reasoning.js';
+import { applyCalibration, parseCalibrationCSV } from '../calibration.js';
+import { formatSI } from '../format.js';
+import { addHistory } from '../history.js';
+import { formatNumber, t } from '../i18n.js';
+import { sanitizeHTML, validateCalibrationProfiles, validateString } from '../security.js';
+import { state } from '../state.js';
+
+// Fitted coefficient name in the UI's language ('Surface multiplier: Glass')
+function describeCoefficient(coefficient) {
+	const label = t(`calibration.coefficients.${coefficient.kind}`);
+	return coefficient.name ? `${label}: ${coefficient.name}` : label;
+}
+
+// Calibration panel: import measurements, fit, inspect residuals and manage profiles
+function renderCalibrationPanel(panel) {
+	const { profiles, active, samples, importErrors, fit } = state.calibration;
+	const forceUnit = state.displayUnits.forcePerWidth;
+	const formatFit = (summary) => t('calibration.fitSummary', {
+		r2: summary.r2 === null ? t('calibration.notAvailable') : formatNumber(summary.r2, 3),
+		rmse: formatSI(summary.rmse, 'forcePerWidth'),
+		error: formatNumber(summary.meanAbsPercentError, 1)
+	});
+
+	panel.innerHTML = `
+		<h2>${t('calibration.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('calibration.subtitle')}</p>
+
+		<div class="form-group">
+			<label>${t('calibration.activeProfile')}</label>
+			<select id="calibrationProfileSelect">
+				<option value="" ${active ? '' : 'selected'}>${t('calibration.defaultProfile')}</option>
+				${Object.entries(profiles).map(([name, profile]) => `<option value="${name}" ${name === active ? 'selected' : ''}>${name} (${profile.r2 !== null ? t('calibration.profileSamplesR2', { count: profile.sampleCount, r2: formatNumber(profile.r2, 2) }) : t('calibration.profileSamples', { count: profile.sampleCount })})</option>`).join('')}
+			</select>
+		</div>
+		${active ? `<button id="deleteCalibrationBtn" style="padding: 4px 10px; border: 1px solid #fca5a5; background: #fff; color: #b91c1c; border-radius: 4px; font-size: 0.75rem; cursor: pointer;">${t('calibration.deleteProfile', { name: active })}</button>` : ''}
+
+		<h3 style="font-size: 0.9rem; margin: 20px 0 8px 0;">1. ${t('calibration.importTitle')}</h3>
+		<p style="font-size: 0.75rem; color: #6b7280; margin: 0 0 8px 0;">${t('calibration.csvHelp')}</p>
+		<input type="file" id="calibrationCsvInput" accept=".csv,text/csv" />
+		${samples.length > 0 ? `<div style="font-size: 0.8rem; color: #065f46; margin-top: 6px;">${t('calibration.samplesReady', { count: samples.length })}</div>` : ''}
+		${importErrors.length > 0 ? `
+		<div style="margin-top: 8px; padding: 8px; background: #fef2f2; border: 1px solid #fecaca; border-radius: 4px; font-size: 0.75rem; color: #991b1b; max-height: 120px; overflow-y: auto;">
+			${importErrors.slice(0, 50).map(error => `<div>${error}</div>`).join('')}
+			${importErrors.length > 50 ? `<div>… ${t('calibration.moreErrors', { count: importErrors.length - 50 })}</div>` : ''}
+		</div>` : ''}
+
+		<h3 style="font-size: 0.9rem; margin: 20px 0 8px 0;">2. ${t('calibration.fitTitle')}</h3>
+		<button id="runCalibrationFitBtn" ${samples.length === 0 ? 'disabled' : ''} style="padding: 6px 14px; border: 1px solid #2563eb; background: #2563eb; color: #fff; border-radius: 4px; cursor: pointer;">${t('calibration.fitButton')}</button>
+
+		${fit ? `
+		<div style="margin-top: 12px; padding: 10px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 4px; font-size: 0.8rem; line-height: 1.7;">
+			<div><strong>${t('calibration.before')}:</strong> ${formatFit(fit.before)}</div>
+			<div><strong>${t('calibration.after')}:</strong> ${formatFit(fit.after)}</div>
+		</div>
+
+		<table style="width: 100%; border-collapse: collapse; font-size: 0.75rem; margin-top: 12px;">
+			<thead><tr style="text-align: left; border-bottom: 1px solid #d1d5db;"><th>${t('calibration.coefficient')}</th><th>${t('calibration.default')}</th><th>${t('calibration.fitted')}</th></tr></thead>
+			<tbody>
+				${fit.coefficients.map(coefficient => `
+					<tr style="border-bottom: 1px solid #f3f4f6;">
+						<td style="padding: 3px 4px;">${sanitizeHTML(describeCoefficient(coefficient))}</td>
+						<td style="padding: 3px 4px;">${formatNumber(coefficient.before, 3)}</td>
+						<td style="padding: 3px 4px; font-weight: 600; color: ${Math.abs(coefficient.after / coefficient.before - 1) > 0.2 ? '#b45309' : '#1f2937'};">${formatNumber(coefficient.after, 3)}</td>
+					</tr>
+				`).join('')}
+			</tbody>
+		</table>
+
+		<h3 style="font-size: 0.9rem; margin: 16px 0 8px 0;">${t('calibration.residuals', { unit: forceUnit })}</h3>
+		<div style="max-height: 240px; overflow-y: auto;">
+			<table style="width: 100%; border-collapse: collapse; font-size: 0.7rem;">
+				<thead><tr style="text-align: left; border-bottom: 1px solid #d1d5db;"><th>${t('calibration.row')}</th><th>${t('calibration.sample')}</th><th>${t('calibration.measured')}</th><th>${t('calibration.default')}</th><th>${t('calibration.fitted')}</th><th>${t('calibration.error')}</th></tr></thead>
+				<tbody>
+					${fit.residuals.map(entry => `
+						<tr style="border-bottom: 1px solid #f3f4f6;">
+							<td style="padding: 2px 4px;">${entry.sample.row}</td>
+							<td style="padding: 2px 4px;">${t('calibration.sampleValue', { tape: sanitizeHTML(entry.sample.tape), adhesive: sanitizeHTML(entry.sample.adhesive), surface: sanitizeHTML(entry.sample.surface), environment: sanitizeHTML(entry.sample.environment) })}</td>
+							<td style="padding: 2px 4px;">${formatNumber(fromSI(entry.measured, forceUnit), 2)}</td>
+							<td style="padding: 2px 4px; color: #6b7280;">${formatNumber(fromSI(entry.before, forceUnit), 2)}</td>
+							<td style="padding: 2px 4px;">${formatNumber(fromSI(entry.after, forceUnit), 2)}</td>
+							<td style="padding: 2px 4px; color: ${Math.abs(entry.percentError) > 20 ? '#b91c1c' : '#065f46'};">${entry.percentError > 0 ? '+' : ''}${formatNumber(entry.percentError, 1)}%</td>
+						</tr>
+					`).join('')}
+				</tbody>
+			</table>
+		</div>
+
+		<h3 style="font-size: 0.9rem; margin: 20px 0 8px 0;">3. ${t('calibration.saveTitle')}</h3>
+		<div style="display: flex; gap: 8px;">
+			<input type="text" id="calibrationNameInput" placeholder="${t('calibration.namePlaceholder')}" maxlength="30" style="flex: 1;" />
+			<button id="saveCalibrationBtn" style="padding: 6px 14px; border: 1px solid #059669; background: #059669; color: #fff; border-radius: 4px; cursor: pointer;">${t('calibration.saveButton')}</button>
+		</div>
+		<div id="calibrationNameError" style="font-size: 0.75rem; color: #b91c1c; margin-top: 4px;"></div>
+		` : ''}
+	`;
+
+	panel.querySelector('#calibrationProfileSelect').addEventListener('change', (e) => {
+		state.calibration.active = validateString(e.target.value, Object.keys(profiles), null);
+		applyCalibration();
+		addHistory(`Calibration: ${state.calibration.active || 'default coefficients'}`);
+	});
+	panel.querySelector('#deleteCalibrationBtn')?.addEventListener('click', () => {
+		if (!confirm(t('calibration.confirmDelete', { name: active }))) return;
+		delete state.calibration.profiles[active];
+		state.calibration.active = null;
+		applyCalibration();
+		addHistory(`Deleted calibration profile ${active}`);
+	});
+	panel.querySelector('#calibrationCsvInput').addEventListener('change', (e) => {
+		const file = e.target.files[0];
+		if (!file) return;
+		if (file.size > 2 * 1024 * 1024) {
+			state.calibration.importErrors = [t('calibration.errors.tooLarge')];
+			return;
+		}
+		file.text().then(text => {
+			const { samples: parsed, errors } = parseCalibrationCSV(text);
+			state.calibration.samples = parsed;
+			state.calibration.importErrors = errors;
+			state.calibration.fit = null;
+			addHistory(`Calibration: imported ${parsed.length} measurements${errors.length ? ` (${errors.length} problems)` : ''}`);
+			});
+	});
+	panel.querySelector('#runCalibrationFitBtn').addEventListener('click', () => {
+		try {
+			state.calibration.fit = fitCalibration(state.calibration.samples);
+			addHistory(`Calibration fit: R² ${state.calibration.fit.after.r2?.toFixed(3) ?? 'n/a'} on ${state.calibration.fit.sampleCount} samples`);
+		} catch (err) {
+			state.calibration.importErrors = [sanitizeHTML(err.message)];
+		}
+	});
+	panel.querySelector('#saveCalibrationBtn')?.addEventListener('click', () => {
+		const name = panel.querySelector('#calibrationNameInput').value.trim();
+		if (!/^[A-Za-z0-9][A-Za-z0-9 ._+()-]{0,29}$/.test(name)) {
+			panel.querySelector('#calibrationNameError').textContent = t('calibration.errors.name');
+			return;
+		}
+		if (!profiles[name] && Object.keys(profiles).length >= 20) {
+			panel.querySelector('#calibrationNameError').textContent = t('calibration.errors.tooManyProfiles');
+			return;
+		}
+		if (profiles[name] && !confirm(t('calibration.confirmReplace', { name }))) return;
+		state.calibration.profiles[name] = {
+			...fit.profile,
+			createdAt: new Date().toLocaleString(),
+			sampleCount: fit.sampleCount,
+			r2: fit.after.r2
+		};
+		state.calibration.profiles = validateCalibrationProfiles(state.calibration.profiles);
+		state.calibration.active = name;
+		applyCalibration();
+		addHistory(`Saved calibration profile ${name}`);
+	});
+}
+
+export const calibrationPanel = {
+	sections: [{ watch: ['calibration', 'displayUnits'], render: renderCalibrationPanel }]
+};
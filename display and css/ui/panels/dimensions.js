@@ -0,0 +1,93 @@
+import { getMaterialInfo } from '../../math_reasoning.js';
+import { formatParam, formatSI, fromInputValue, getInputUnit, paramInputAttrs, toInputValue } from '../format.js';
+import { addHistory } from '../history.js';
+import { t } from '../i18n.js';
+import { describeLaminate } from '../laminate.js';
+import { sanitizeNumber } from '../security.js';
+import { state } from '../state.js';
+
+function renderDimensionsPanel(panel) {
+	const { width, height } = state.params;
+	// Get backing material info
+	const backingInfo = getMaterialInfo('backing', state.params.tape) || {};
+
+	// Check if variant is being used
+	const laminateLayers = state.laminate.layers;
+	const isVariant = laminateLayers.length > 1;
+
+	// Get tape length from state (default to 1000mm if not set)
+	const tapeLength = state.params.tapeLength || 1000;
+
+	panel.innerHTML = `
+		<h2>${t('dimensions.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('dimensions.subtitle')}</p>
+
+		${isVariant ? `
+		<div style="margin-bottom: 20px; padding: 12px; background: #fef3c7; border: 2px solid #fbbf24; border-radius: 8px;">
+			<div style="font-weight: 600; color: #92400e; margin-bottom: 8px; font-size: 1rem;">🔀 ${t('dimensions.variantActive')}</div>
+			<div style="font-size: 0.9rem; color: #78350f; line-height: 1.6;">
+				<div style="margin-bottom: 4px;"><strong>${t('dimensions.laminate')}:</strong> ${describeLaminate(laminateLayers)}</div>
+				<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 12px; margin-top: 10px; padding-top: 10px; border-top: 1px solid #fcd34d;">
+					${laminateLayers.map((layer, index) => `
+					<div>
+						<div style="font-size: 0.85rem; color: #a16207; font-weight: 600; margin-bottom: 4px;">${index + 1}. ${layer.material}</div>
+						<div style="font-size: 0.8rem; line-height: 1.4;">
+							${t('dimensions.layer')}: ${formatSI(layer.thickness * 1e-6, 'length')}<br/>
+							${index === laminateLayers.length - 1 ? t('dimensions.contactLayer') : t('dimensions.commonRoll', { width: formatParam('width', 19), length: formatParam('tapeLength', 33000, 0) })}
+						</div>
+					</div>
+					`).join('')}
+				</div>
+			</div>
+		</div>
+		` : `
+		<div style="margin-bottom: 16px; padding: 10px; background: #f0f9ff; border: 1px solid #bfdbfe; border-radius: 6px;">
+			<div style="font-size: 0.85rem; color: #1e40af; font-weight: 600; margin-bottom: 4px;">${t('dimensions.currentTape')}: ${state.params.tape}</div>
+			<div style="font-size: 0.7rem; color: #6b7280; line-height: 1.4;">
+				${t('dimensions.backingThickness')}: ${formatSI(backingInfo.typicalThickness?.standard, 'length')}<br/>
+				${t('dimensions.commercialSize', { width: formatParam('width', 19), length: formatParam('tapeLength', 33000, 0) })}
+			</div>
+		</div>
+		`}
+
+		<div class="form-grid" style="grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));">
+			<div class="form-group">
+				<label>${t('dimensions.width')} (${getInputUnit('width')})</label>
+				<input type="number" id="widthInput" ${paramInputAttrs('width', width, { min: 1, max: 10000, step: 0.5 })} />
+			</div>
+			<div class="form-group">
+				<label>${t('dimensions.height')} (${getInputUnit('height')})</label>
+				<input type="number" id="heightInput" ${paramInputAttrs('height', height, { min: 1, max: 10000, step: 0.5 })} />
+			</div>
+			<div class="form-group">
+				<label>${t('dimensions.tapeLength')} (${getInputUnit('tapeLength')})</label>
+				<input type="number" id="tapeLengthInput" ${paramInputAttrs('tapeLength', tapeLength, { min: 10, max: 100000, step: 10 })} />
+			</div>
+		</div>
+	`;
+	panel.querySelector('#widthInput').addEventListener('change', (e) => {
+		const sanitized = sanitizeNumber(fromInputValue('width', e.target.value), 1, 10000, 100);
+		state.params.width = sanitized;
+		e.target.value = toInputValue('width', sanitized);
+		addHistory(`Width set to ${formatParam('width', sanitized)}`);
+	});
+	panel.querySelector('#heightInput').addEventListener('change', (e) => {
+		const sanitized = sanitizeNumber(fromInputValue('height', e.target.value), 1, 10000, 80);
+		state.params.height = sanitized;
+		e.target.value = toInputValue('height', sanitized);
+		addHistory(`Height set to ${formatParam('height', sanitized)}`);
+	});
+	panel.querySelector('#tapeLengthInput').addEventListener('change', (e) => {
+		const sanitized = sanitizeNumber(fromInputValue('tapeLength', e.target.value), 10, 100000, 1000);
+		state.params.tapeLength = sanitized;
+		e.target.value = toInputValue('tapeLength', sanitized);
+		addHistory(`Tape length set to ${formatParam('tapeLength', sanitized)}`);
+	});
+}
+
+export const dimensionsPanel = {
+	sections: [{
+		watch: ['params.tape', 'params.width', 'params.height', 'params.tapeLength', 'laminate.layers', 'customMaterials', 'displayUnits'],
+		render: renderDimensionsPanel
+	}]
+};
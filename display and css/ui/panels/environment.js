@@ -0,0 +1,136 @@
+import { ENVIRONMENTAL_CONDITIONS, calculateClimateFactors } from '../../math_reasoning.js';
+import { getEnvironmentText } from '../catalog.js';
+import { formatParam, fromInputValue, getInputUnit, paramInputAttrs, toInputValue } from '../format.js';
+import { addHistory } from '../history.js';
+import { formatNumber, t } from '../i18n.js';
+import { renderScheduleEditor, updateScheduleCursor } from '../schedule.js';
+import { sanitizeNumber } from '../security.js';
+import { state } from '../state.js';
+
+function renderEnvironmentPanel(panel) {
+	// Get environment data from imported module
+	const envConditions = ENVIRONMENTAL_CONDITIONS;
+
+	const currentEnv = envConditions[state.params.environment] || envConditions['Dry'];
+	const followsSchedule = state.params.schedule?.enabled === true;
+	const getClimateFactors = (env, temperature, humidity) =>
+		calculateClimateFactors({ environment: env, temperature, humidity, adhesive: state.params.adhesive });
+	const currentClimate = getClimateFactors(state.params.environment, state.params.temperature, state.params.humidity);
+	const matchesPreset = currentEnv.temperature.typical === state.params.temperature && currentEnv.humidity.typical === state.params.humidity;
+	const envName = (env) => getEnvironmentText(env).name;
+	const envDescription = (env) => getEnvironmentText(env).description;
+	const currentEnvKey = envConditions[state.params.environment] ? state.params.environment : 'Dry';
+
+	panel.innerHTML = `
+		<h2>${t('environment.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('environment.subtitle')}</p>
+		${followsSchedule ? `<div style="margin-bottom: 12px; padding: 10px 12px; background: #eff6ff; border: 1px solid #93c5fd; border-radius: 6px; font-size: 0.8rem; color: #1e40af;">🗓️ ${t('environment.followsSchedule')}</div>` : ''}
+		<div class="form-grid" style="grid-template-columns: 1fr 1fr;">
+			<div class="form-group">
+				<label>${t('environment.temperature')} (${getInputUnit('temperature')})</label>
+				<input type="number" id="temperatureInput" ${paramInputAttrs('temperature', state.params.temperature, { min: -40, max: 90 })} ${followsSchedule ? 'disabled' : ''} />
+			</div>
+			<div class="form-group">
+				<label>${t('environment.humidity')} (%)</label>
+				<input type="number" id="humidityInput" value="${state.params.humidity}" min="0" max="100" step="1" ${followsSchedule ? 'disabled' : ''} />
+			</div>
+		</div>
+		<div style="display: flex; flex-direction: column; gap: 10px; margin-top: 16px;">
+			${['Humid', 'Tropical', 'Semiarid', 'Arid', 'Dry'].map(env => {
+				const envInfo = envConditions[env];
+				const isSelected = state.params.environment === env;
+				const presetClimate = getClimateFactors(env, envInfo.temperature.typical, envInfo.humidity.typical);
+				const performanceClass = presetClimate.adhesionMultiplier >= 0.95 ? 'excellent' :
+										 presetClimate.adhesionMultiplier >= 0.80 ? 'good' :
+										 presetClimate.adhesionMultiplier >= 0.70 ? 'fair' : 'poor';
+				const performanceColor = performanceClass === 'excellent' ? '#10b981' :
+										 performanceClass === 'good' ? '#3b82f6' :
+										 performanceClass === 'fair' ? '#f59e0b' : '#ef4444';
+				return `
+				<div class="environment-choice ${isSelected ? 'selected' : ''}"
+					 data-env="${env}"
+					 style="border: 2px solid ${isSelected ? '#2563eb' : '#d1d5db'};
+							border-radius: 6px;
+							padding: 12px 16px;
+							background: ${isSelected ? '#eff6ff' : '#fff'};
+							cursor: ${followsSchedule ? 'default' : 'pointer'};
+							opacity: ${followsSchedule && !isSelected ? 0.6 : 1};
+							transition: all 0.2s ease;">
+					<div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 6px;">
+						<span style="font-weight: ${isSelected ? '600' : '500'}; color: #1f2937;">• ${envName(env)}</span>
+						<span style="font-size: 0.7rem; padding: 2px 8px; background: ${performanceColor}; color: #fff; border-radius: 12px; text-transform: uppercase; font-weight: 600;">${t(`environment.performance.${performanceClass}`)}</span>
+					</div>
+					<div style="display: flex; gap: 16px; font-size: 0.8rem; color: #6b7280; margin-bottom: 4px;">
+						<span>🌡️ ${t('common.range', { min: formatParam('temperature', envInfo.temperature.min, 0), max: formatParam('temperature', envInfo.temperature.max, 0) })} (${t('environment.preset', { value: formatParam('temperature', envInfo.temperature.typical, 0) })})</span>
+						<span>💧 ${t('common.range', { min: `${envInfo.humidity.min}%`, max: `${envInfo.humidity.max}%` })} (${t('environment.preset', { value: `${envInfo.humidity.typical}%` })})</span>
+					</div>
+					<div style="font-size: 0.75rem; color: #9ca3af; font-style: italic;">${envDescription(env)}</div>
+				</div>
+			`}).join('')}
+		</div>
+
+		<div style="margin-top: 20px; padding: 14px; background: #fef3c7; border: 2px solid #fbbf24; border-radius: 8px;">
+			<h3 style="margin: 0 0 8px 0; font-size: 0.9rem; color: #92400e; font-weight: 600;">${t('environment.current', { temperature: formatParam('temperature', currentClimate.temperature), humidity: formatNumber(currentClimate.humidity) })} ${followsSchedule ? `(${t('environment.fromTimeline', { name: envName(currentEnvKey) })})` : matchesPreset ? `(${envName(currentEnvKey)})` : `(${t('environment.customBasedOn', { name: envName(currentEnvKey) })})`}</h3>
+			<div style="font-size: 0.8rem; line-height: 1.7; color: #78350f;">
+				<div style="margin-bottom: 6px;"><strong>${t('environment.adhesionFactor')}:</strong> ${t('environment.adhesionFactorValue', { percent: formatNumber(currentClimate.adhesionMultiplier * 100), adhesive: state.params.adhesive })}</div>
+				<div style="margin-bottom: 6px;"><strong>${t('environment.agingRate')}:</strong> ${t('environment.agingRateValue', { percent: formatNumber(currentClimate.agingFactor * 100) })}${followsSchedule ? ` (${t('environment.agingToday')})` : ''}</div>
+				<div style="margin-bottom: 6px;"><strong>${t('environment.uvYellowing')}:</strong> ${t('environment.uvYellowingValue', { percent: formatNumber(currentClimate.uvMultiplier * 100) })}</div>
+				<div style="margin-bottom: 6px;"><strong>${t('environment.residueMigration')}:</strong> ${t('environment.residueMigrationValue', { percent: formatNumber(currentClimate.residueMultiplier * 100), reference: formatParam('temperature', 20, 0) })}</div>
+				<p style="margin: 8px 0 0 0; font-size: 0.75rem; font-style: italic; border-top: 1px solid #fcd34d; padding-top: 8px;">${envDescription(currentEnvKey) || t('environment.defaultDescription')}</p>
+			</div>
+		</div>
+	`;
+
+	// Free temperature/humidity inputs (keep the preset label for the background image)
+	panel.querySelector('#temperatureInput').addEventListener('change', (e) => {
+		const sanitized = sanitizeNumber(fromInputValue('temperature', e.target.value), -40, 90, 23);
+		state.params.temperature = sanitized;
+		e.target.value = toInputValue('temperature', sanitized);
+		addHistory(`Temperature set to ${formatParam('temperature', sanitized)}`);
+	});
+	panel.querySelector('#humidityInput').addEventListener('change', (e) => {
+		const sanitized = sanitizeNumber(e.target.value, 0, 100, 50);
+		state.params.humidity = sanitized;
+		e.target.value = sanitized;
+		addHistory(`Humidity set to ${sanitized}% RH`);
+	});
+
+	// Add click handlers for environment choices (presets set temperature and humidity)
+	panel.querySelectorAll('.environment-choice').forEach(choice => {
+		choice.addEventListener('click', () => {
+			if (followsSchedule) return;
+			const env = choice.getAttribute('data-env');
+			state.params.environment = env;
+			state.params.temperature = envConditions[env].temperature.typical;
+			state.params.humidity = envConditions[env].humidity.typical;
+			addHistory(`Environment set to ${env}`);
+		});
+		choice.addEventListener('mouseenter', function() {
+			if (state.params.environment !== this.getAttribute('data-env')) {
+				this.style.background = '#f3f4f6';
+				this.style.borderColor = '#9ca3af';
+			}
+		});
+
+		choice.addEventListener('mouseleave', function() {
+			if (state.params.environment !== this.getAttribute('data-env')) {
+				this.style.background = '#fff';
+				this.style.borderColor = '#d1d5db';
+			}
+		});
+	});
+}
+
+export const environmentPanel = {
+	sections: [
+		{
+			watch: ['params.environment', 'params.temperature', 'params.humidity', 'params.adhesive', 'params.schedule.enabled', 'customMaterials'],
+			render: renderEnvironmentPanel
+		},
+		{
+			watch: ['params.schedule'],
+			render: renderScheduleEditor,
+			live: { watch: ['timeImpactDays'], update: updateScheduleCursor }
+		}
+	]
+};
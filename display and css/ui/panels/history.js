@@ -0,0 +1,303 @@
+import { getEnvironmentText } from '../catalog.js';
+import { EXPERIMENT_INPUTS, EXPERIMENT_METRICS, computeExperimentResults, copyScenarioLink, exportExperimentsCSV, exportExperimentsJSON, importExperimentsJSON } from '../experiments.js';
+import { formatParam, formatSI } from '../format.js';
+import { addHistory, formatHistoryValue, goToHistoryPoint, redoHistory, undoHistory } from '../history.js';
+import { formatNumber, t } from '../i18n.js';
+import { generateExperimentReport } from '../lab_report.js';
+import { describeLaminate, getExperimentLayers } from '../laminate.js';
+import { sanitizeHTML } from '../security.js';
+import { state } from '../state.js';
+
+/**
+ * Change history: every recorded entry with its state changes, undo/redo and restore
+ */
+function renderChangeHistory(panel) {
+	const cursor = state.historyCursor;
+	const canUndo = state.history.some((entry, i) => i >= cursor && entry.changes.length > 0);
+	const canRedo = state.history.some((entry, i) => i < cursor && entry.changes.length > 0);
+	const buttonStyle = 'padding: 6px 12px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;';
+
+	panel.innerHTML = `
+		<h2>${t('history.changes.title')}</h2>
+		<button id="changeHistoryBackBtn" style="padding: 6px 14px; margin-bottom: 12px; background: #fff; color: #374151; border: 2px solid #d1d5db; border-radius: 4px; font-weight: 600; cursor: pointer;">← ${t('history.changes.back')}</button>
+		<div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 16px;">
+			<button data-history-move="undo" ${canUndo ? '' : 'disabled'} style="${buttonStyle}">↶ ${t('history.changes.undo')}</button>
+			<button data-history-move="redo" ${canRedo ? '' : 'disabled'} style="${buttonStyle}">↷ ${t('history.changes.redo')}</button>
+			<span style="font-size: 0.75rem; color: #9ca3af;">${t('history.changes.shortcuts')}</span>
+		</div>
+		${state.history.length === 0 ? `<div style="color: #6b7280; padding: 20px; text-align: center; border: 2px dashed #e5e7eb; border-radius: 8px;">${t('history.changes.empty')}</div>` : `
+		<div style="display: flex; flex-direction: column; gap: 8px;">
+			${state.history.map((entry, index) => {
+				const undone = index < cursor;
+				const isCurrent = index === cursor;
+				return `
+				<div style="padding: 10px 12px; border: 1px solid ${isCurrent ? '#2563eb' : '#e5e7eb'}; background: ${isCurrent ? '#eff6ff' : '#fff'}; border-radius: 6px; opacity: ${undone ? 0.5 : 1};">
+					<div style="display: flex; justify-content: space-between; align-items: start; gap: 8px;">
+						<div>
+							<div style="font-size: 0.85rem; color: #1f2937; ${undone ? 'text-decoration: line-through;' : ''}">${entry.text}</div>
+							<div style="font-size: 0.7rem; color: #9ca3af;">${entry.time}${isCurrent ? ` · ${t('history.changes.current')}` : undone ? ` · ${t('history.changes.undone')}` : ''}</div>
+						</div>
+						${isCurrent ? '' : `<button data-history-restore="${index}" title="${t('history.changes.restoreTip')}" style="${buttonStyle} font-size: 0.75rem; white-space: nowrap;">${t('history.changes.restore')}</button>`}
+					</div>
+					${entry.changes.length > 0 ? `
+					<div style="margin-top: 6px; font-size: 0.75rem; color: #4b5563; display: flex; flex-direction: column; gap: 2px;">
+						${entry.changes.slice(0, 6).map(change => `<div><code>${sanitizeHTML(change.path)}</code>: ${sanitizeHTML(formatHistoryValue(change.path, change.before))} → ${sanitizeHTML(formatHistoryValue(change.path, change.after))}</div>`).join('')}
+						${entry.changes.length > 6 ? `<div style="color: #9ca3af;">${t('history.changes.more', { count: entry.changes.length - 6 })}</div>` : ''}
+					</div>
+					` : ''}
+				</div>
+				`;
+			}).join('')}
+		</div>
+		`}
+	`;
+
+	panel.querySelector('#changeHistoryBackBtn').addEventListener('click', () => {
+		state.historyView = 'list';
+	});
+	panel.querySelectorAll('[data-history-move]').forEach(button => {
+		button.addEventListener('click', () => {
+			if (button.dataset.historyMove === 'undo') undoHistory();
+			else redoHistory();
+		});
+	});
+	panel.querySelectorAll('[data-history-restore]').forEach(button => {
+		button.addEventListener('click', () => goToHistoryPoint(Number(button.dataset.historyRestore)));
+	});
+}
+
+const COMPARE_COLORS = ['#2563eb', '#f59e0b', '#10b981', '#ef4444'];
+
+// Signed difference to the first (baseline) experiment
+function formatExperimentDelta(metric, value, baseline) {
+	if (value === null || baseline === null || value === baseline) return '';
+	const difference = value - baseline;
+	const sign = difference > 0 ? '+' : '';
+	const absolute = metric.scale ? t('history.compare.points', { value: `${sign}${formatNumber(difference * metric.scale, 1)}` }) : `${sign}${metric.format(difference)}`;
+	const relative = baseline !== 0 ? ` (${sign}${formatNumber(difference / baseline * 100)}%)` : '';
+	return `<div style="font-size: 0.7rem; color: ${difference > 0 ? '#047857' : '#b91c1c'};">${absolute}${relative}</div>`;
+}
+
+// Side-by-side comparison of 2-4 saved experiments
+function renderExperimentComparison(panel) {
+	const experiments = state.compareSelection
+		.map(id => state.experiments.find(exp => exp.id === id))
+		.filter(Boolean);
+	const results = experiments.map(exp => exp.results || computeExperimentResults(exp));
+	const columns = `160px repeat(${experiments.length}, 1fr)`;
+	const cellStyle = 'padding: 6px 8px; border-bottom: 1px solid #e5e7eb;';
+
+	panel.innerHTML = `
+		<h2>${t('history.compare.title')}</h2>
+		<button id="compareBackBtn" style="padding: 6px 14px; margin-bottom: 16px; background: #fff; color: #374151; border: 2px solid #d1d5db; border-radius: 4px; font-weight: 600; cursor: pointer;">← ${t('history.compare.back')}</button>
+		${experiments.length < 2 ? `<div style="color: #6b7280;">${t('history.compare.needTwo')}</div>` : `
+		<div style="font-size: 0.8rem; overflow-x: auto;">
+			<div style="display: grid; grid-template-columns: ${columns};">
+				<div style="${cellStyle}"></div>
+				${experiments.map((exp, idx) => `<div style="${cellStyle} font-weight: 600; color: ${COMPARE_COLORS[idx]};">${sanitizeHTML(exp.name)}${idx === 0 ? ` <span style="font-weight: 400; color: #9ca3af;">(${t('history.compare.baseline')})</span>` : ''}</div>`).join('')}
+
+				<div style="${cellStyle} grid-column: 1 / -1; font-weight: 600; color: #1f2937; background: #f9fafb;">${t('history.compare.inputs')}</div>
+				${EXPERIMENT_INPUTS.map(input => {
+					const values = experiments.map(exp => sanitizeHTML(String(input.value(exp))));
+					const differs = new Set(values).size > 1;
+					const background = differs ? 'background: #fef3c7;' : '';
+					return `<div style="${cellStyle} ${background} color: #6b7280;">${t(input.label)}</div>${values.map(value => `<div style="${cellStyle} ${background}">${value}</div>`).join('')}`;
+				}).join('')}
+
+				<div style="${cellStyle} grid-column: 1 / -1; font-weight: 600; color: #1f2937; background: #f9fafb;">${t('history.compare.results')}</div>
+				${EXPERIMENT_METRICS.map(metric => `
+					<div style="${cellStyle} color: #6b7280;">${t(metric.label)}</div>
+					${results.map(result => `
+						<div style="${cellStyle}">
+							${result[metric.key] === null ? `∞ (${t('history.compare.cannotDamage')})` : metric.format(result[metric.key])}
+							${formatExperimentDelta(metric, result[metric.key], results[0][metric.key])}
+						</div>
+					`).join('')}
+				`).join('')}
+				<div style="${cellStyle} color: #6b7280;">${t('history.compare.damageRisk')}</div>
+				${results.map(result => `<div style="${cellStyle} text-transform: uppercase; font-weight: 600;">${t(`common.risk.${result.damageRisk}`)}</div>`).join('')}
+			</div>
+		</div>
+
+		<h3 style="margin: 24px 0 12px 0; font-size: 1rem;">${t('history.compare.charts')}</h3>
+		<div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px; font-size: 0.75rem;">
+			${experiments.map((exp, idx) => `<span style="display: flex; align-items: center; gap: 4px;"><span style="width: 12px; height: 12px; background: ${COMPARE_COLORS[idx]}; border-radius: 2px;"></span>${sanitizeHTML(exp.name)}</span>`).join('')}
+		</div>
+		<div style="display: flex; flex-direction: column; gap: 14px;">
+			${EXPERIMENT_METRICS.map(metric => {
+				const values = results.map(result => result[metric.key]);
+				const max = Math.max(...values.filter(value => value !== null), 0);
+				return `
+				<div>
+					<div style="font-size: 0.75rem; font-weight: 600; color: #374151; margin-bottom: 4px;">${t(metric.label)}</div>
+					${values.map((value, idx) => `
+					<div style="display: flex; align-items: center; gap: 8px; margin-bottom: 2px;">
+						<div style="flex: 1; height: 10px; background: #f3f4f6; border-radius: 3px;">
+							<div style="width: ${value === null ? 100 : max > 0 ? (value / max * 100).toFixed(1) : 0}%; height: 100%; background: ${COMPARE_COLORS[idx]}; opacity: ${value === null ? 0.3 : 1}; border-radius: 3px;"></div>
+						</div>
+						<span style="width: 90px; font-size: 0.7rem; color: #6b7280;">${value === null ? '∞' : metric.format(value)}</span>
+					</div>
+					`).join('')}
+				</div>
+				`;
+			}).join('')}
+		</div>
+		`}
+	`;
+
+	panel.querySelector('#compareBackBtn').addEventListener('click', () => {
+		state.historyView = 'list';
+	});
+}
+
+function renderHistoryPanel(panel) {
+	if (state.historyView === 'compare') {
+		renderExperimentComparison(panel);
+		return;
+	}
+	if (state.historyView === 'changes') {
+		renderChangeHistory(panel);
+		return;
+	}
+	panel.innerHTML = `
+		<h2>${t('history.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('history.subtitle')}</p>
+		<div style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px;">
+			<button data-history-action="export-json" ${state.experiments.length === 0 ? 'disabled' : ''} style="padding: 6px 12px; border: 1px solid #93c5fd; background: #eff6ff; border-radius: 4px; cursor: pointer;">${t('history.exportJson')}</button>
+			<button data-history-action="export-csv" ${state.experiments.length === 0 ? 'disabled' : ''} style="padding: 6px 12px; border: 1px solid #93c5fd; background: #eff6ff; border-radius: 4px; cursor: pointer;">${t('history.exportCsv')}</button>
+			<button data-history-action="import-json" style="padding: 6px 12px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;">${t('history.importJson')}</button>
+			<button data-history-action="share" style="padding: 6px 12px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;">🔗 ${t('conditions.copyLink')}</button>
+			<button data-history-action="changes" style="padding: 6px 12px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;">🕘 ${t('history.changeHistory', { count: state.history.length })}</button>
+			<input type="file" id="importExperimentsInput" accept=".json,application/json" style="display: none;" />
+		</div>
+		${state.experiments.length >= 2 ? `
+		<div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; margin-bottom: 16px; padding: 10px 12px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px;">
+			<span style="font-size: 0.8rem; color: #6b7280;">${t('history.compareHint')}</span>
+			<button id="compareExperimentsBtn" ${state.compareSelection.length < 2 ? 'disabled' : ''} style="padding: 8px 16px; background: var(--primary-color); color: #fff; border: none; border-radius: 4px; font-weight: 600; cursor: pointer; opacity: ${state.compareSelection.length < 2 ? '0.5' : '1'};">${t('history.compareButton', { count: state.compareSelection.length })}</button>
+		</div>
+		` : ''}
+		${state.experiments.length === 0 ? `<div style="color: #6b7280; padding: 20px; text-align: center; border: 2px dashed #e5e7eb; border-radius: 8px;">${t('history.empty')}</div>` : `
+			<div style="display: flex; flex-direction: column; gap: 16px;">
+				${state.experiments.map((exp, idx) => {
+					const isVariant = exp.variant?.isVariant || false;
+					const tapeLength = exp.data.tapeLength || 1000;
+					return `
+					<div style="border: 2px solid ${isVariant ? '#fbbf24' : '#bfdbfe'}; border-radius: 8px; padding: 16px; background: ${isVariant ? '#fefce8' : '#f0f9ff'};">
+						<div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
+							<div style="font-weight: 600; font-size: 1rem; color: ${isVariant ? '#92400e' : '#1e40af'};">${sanitizeHTML(exp.name)}</div>
+							<div style="display: flex; align-items: center; gap: 8px;">
+								${isVariant ? `<div style="background: #fbbf24; color: #fff; padding: 4px 10px; border-radius: 12px; font-size: 0.75rem; font-weight: 600;">${t('history.variant')}</div>` : ''}
+								${state.experiments.length >= 2 ? `
+								<label style="display: flex; align-items: center; gap: 4px; font-size: 0.75rem; color: #4b5563; cursor: pointer;">
+									<input type="checkbox" class="compare-checkbox" data-experiment-id="${exp.id}" ${state.compareSelection.includes(exp.id) ? 'checked' : ''} ${!state.compareSelection.includes(exp.id) && state.compareSelection.length >= 4 ? 'disabled' : ''} />
+									${t('history.compare.select')}
+								</label>
+								` : ''}
+							</div>
+						</div>
+
+						${isVariant ? `
+						<div style="margin-bottom: 12px; padding: 10px; background: rgba(251, 191, 36, 0.1); border-left: 3px solid #fbbf24; border-radius: 4px;">
+							<div style="font-size: 0.85rem; color: #92400e; font-weight: 600; margin-bottom: 4px;">🔀 ${t('history.laminateComposition')}</div>
+							<div style="font-size: 0.8rem; color: #78350f;">
+								<strong>${sanitizeHTML(describeLaminate(getExperimentLayers(exp)))}</strong>
+							</div>
+						</div>
+						` : ''}
+
+						<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; font-size: 0.85rem; color: #4b5563; line-height: 1.7;">
+							<div>
+								<div style="font-weight: 600; color: #1f2937; margin-bottom: 6px; font-size: 0.9rem;">📏 ${t('dimensions.title')}</div>
+								<div><strong>${t('dimensions.width')}:</strong> ${formatParam('width', exp.data.width)}</div>
+								<div><strong>${t('dimensions.height')}:</strong> ${formatParam('height', exp.data.height)}</div>
+								<div><strong>${t('dimensions.tapeLength')}:</strong> ${formatParam('tapeLength', tapeLength)}</div>
+							</div>
+
+							<div>
+								<div style="font-weight: 600; color: #1f2937; margin-bottom: 6px; font-size: 0.9rem;">🔬 ${t('specifics.title')}</div>
+								<div><strong>${t('history.adhesive')}:</strong> ${sanitizeHTML(exp.data.adhesive)}</div>
+								<div><strong>${t('history.thickness')}:</strong> ${formatParam('thickness', exp.data.thickness)}</div>
+								${!isVariant ? `<div><strong>${t('history.backing')}:</strong> ${sanitizeHTML(exp.data.tape)}</div>` : ''}
+							</div>
+
+							<div>
+								<div style="font-weight: 600; color: #1f2937; margin-bottom: 6px; font-size: 0.9rem;">🎯 ${t('history.testSurface')}</div>
+								<div style="color: #6b7280;">${sanitizeHTML(exp.data.surface)}</div>
+							</div>
+
+							<div>
+								<div style="font-weight: 600; color: #1f2937; margin-bottom: 6px; font-size: 0.9rem;">🌡️ ${t('history.environment')}</div>
+								<div style="color: #6b7280;">${sanitizeHTML(getEnvironmentText(exp.data.environment || 'Dry').name)}</div>
+							</div>
+						</div>
+
+						${exp.results ? `
+						<div style="margin-top: 12px; font-size: 0.8rem; color: #4b5563;">
+							<strong>📈 ${t('history.compare.results')}:</strong>
+							${t('history.resultsLine', {
+								peel: formatSI(exp.results.peel, 'forcePerWidth'),
+								hold: formatSI(exp.results.hold, 'stress'),
+								safety: exp.results.safetyFactor === null ? '∞' : `${formatNumber(exp.results.safetyFactor, 2)}×`,
+								residue: formatNumber((exp.results.adhesiveResidue || 0) * 100)
+							})}
+						</div>
+						` : ''}
+
+						<div style="display: flex; justify-content: space-between; align-items: center; margin-top: 12px; padding-top: 12px; border-top: 1px solid ${isVariant ? '#fde68a' : '#bfdbfe'}; font-size: 0.75rem; color: #9ca3af;">
+							<span><strong>${t('history.saved')}:</strong> ${sanitizeHTML(exp.timestamp)}</span>
+							<button class="experiment-report-btn" data-experiment-index="${idx}" style="padding: 4px 10px; border: 1px solid #93c5fd; background: #fff; color: #1e40af; border-radius: 4px; font-size: 0.75rem; cursor: pointer;">📄 ${t('conditions.generateReport')}</button>
+						</div>
+					</div>
+				`}).join('')}
+			</div>
+		`}
+	`;
+
+	panel.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+		checkbox.addEventListener('change', () => {
+			const id = Number(checkbox.getAttribute('data-experiment-id'));
+			state.compareSelection = checkbox.checked ?
+				[...state.compareSelection, id].slice(0, 4) :
+				state.compareSelection.filter(selected => selected !== id);
+			});
+	});
+	panel.querySelectorAll('.experiment-report-btn').forEach(btn => {
+		btn.addEventListener('click', () => {
+			const exp = state.experiments[Number(btn.getAttribute('data-experiment-index'))];
+			if (exp) generateExperimentReport(exp);
+		});
+	});
+	panel.querySelectorAll('[data-history-action]').forEach(btn => {
+		btn.addEventListener('click', () => {
+			const action = btn.getAttribute('data-history-action');
+			if (action === 'export-json') exportExperimentsJSON();
+			if (action === 'export-csv') exportExperimentsCSV();
+			if (action === 'import-json') panel.querySelector('#importExperimentsInput').click();
+			if (action === 'share') copyScenarioLink();
+			if (action === 'changes') {
+				state.historyView = 'changes';
+			}
+		});
+	});
+	panel.querySelector('#importExperimentsInput').addEventListener('change', (e) => {
+		const file = e.target.files[0];
+		if (!file) return;
+		if (file.size > 5 * 1024 * 1024) {
+			alert(t('history.importTooLarge'));
+			return;
+		}
+		file.text().then(importExperimentsJSON);
+	});
+	panel.querySelector('#compareExperimentsBtn')?.addEventListener('click', () => {
+		if (state.compareSelection.length < 2) return;
+		state.historyView = 'compare';
+		addHistory(`Compared ${state.compareSelection.length} experiments`);
+	});
+}
+
+export const historyPanel = {
+	sections: [{
+		watch: ['history', 'historyCursor', 'historyView', 'experiments', 'compareSelection', 'displayUnits'],
+		render: renderHistoryPanel
+	}]
+};
@@ -0,0 +1,336 @@
+import { SURFACE_RUPTURE_STRENGTH, convertUnit, fromSI, getMaterialInfo, q, toSI } from '../../math_reasoning.js';
+import { MATERIAL_SCHEMAS, TAPE_SCHEMA, applyCustomMaterials, applyImportedTapes, describeCatalogTape, getBuiltInMaterials, getFieldLabel, getOptionLabel, regularTapeOptions } from '../catalog.js';
+import { formatSI } from '../format.js';
+import { addHistory } from '../history.js';
+import { t } from '../i18n.js';
+import { getFieldOptions, getPath, sanitizeHTML, setPath, validateMaterialEntry, validateMaterialKey, validateTapeEntry } from '../security.js';
+import { saveState, state } from '../state.js';
+
+// Build an editable draft from a built-in or custom material (or schema defaults)
+function createMaterialDraft(kind, sourceKey) {
+	const custom = state.customMaterials[kind][sourceKey];
+	if (custom) return JSON.parse(JSON.stringify(custom));
+
+	const draft = {};
+	MATERIAL_SCHEMAS[kind].forEach(field => {
+		if (!field.optional) setPath(draft, field.path, field.default);
+	});
+	const builtIn = getBuiltInMaterials(kind)[sourceKey];
+	if (!builtIn) return draft;
+
+	// Copy the fields the schema knows about from the built-in entry (SI) into the form's input units
+	const source = kind === 'surface' ?
+		{ ...builtIn, ruptureStrength: SURFACE_RUPTURE_STRENGTH[sourceKey] || null } : builtIn;
+	MATERIAL_SCHEMAS[kind].forEach(field => {
+		const value = getPath(source, field.path);
+		if (value === undefined || value === null) return;
+		setPath(draft, field.path, field.unit ? Number(fromSI(value, field.unit).toPrecision(6)) : value);
+	});
+	draft.appearance = sourceKey;
+	if (kind === 'adhesive') draft.baseChemistry = sourceKey;
+	if (kind === 'surface' && !source.ruptureStrength) draft.ruptureStrength = null;
+	return draft;
+}
+
+// One-line spec summary shown in the library list (mat is the normalized SI entry)
+function summarizeMaterial(kind, mat) {
+	if (kind === 'backing') {
+		return t('materials.summary.backing', {
+			min: formatSI(mat.typicalThickness?.min, 'length'),
+			max: formatSI(mat.typicalThickness?.max, 'length'),
+			tensile: formatSI(mat.tensileStrength, 'stress'),
+			elongation: mat.elongation,
+			uv: getOptionLabel(mat.uvResistance)
+		});
+	}
+	if (kind === 'adhesive') {
+		const summary = t('materials.summary.adhesive', { thickness: formatSI(mat.typicalThickness?.standard, 'length'), peel: formatSI(mat.peelAdhesion, 'forcePerWidth'), tack: getOptionLabel(mat.tackLevel) });
+		return mat.baseChemistry ? `${summary}, ${t('materials.summary.chemistry', { chemistry: mat.baseChemistry })}` : summary;
+	}
+	return t('materials.summary.surface', { energy: getOptionLabel(mat.surfaceEnergy), texture: getOptionLabel(mat.texture), multiplier: mat.adhesionMultiplier });
+}
+
+// Material Library panel: list, create, edit, clone and delete custom materials
+function renderMaterialLibraryPanel(panel) {
+	const editor = state.materialEditor;
+	const kind = editor.kind;
+	const kindLabels = { backing: t('materials.kinds.backing'), adhesive: t('materials.kinds.adhesive'), surface: t('materials.kinds.surface') };
+	const builtIn = getBuiltInMaterials(kind);
+	const custom = state.customMaterials[kind];
+
+	const tabsHtml = Object.entries(kindLabels).map(([key, label]) => `
+		<button data-material-kind="${key}" style="flex: 1; padding: 8px; border: 2px solid var(--primary-color); border-radius: 4px; background: ${key === kind ? 'var(--primary-color)' : '#fff'}; color: ${key === kind ? '#fff' : 'var(--primary-color)'}; font-weight: 600; cursor: pointer;">${label}</button>
+	`).join('');
+
+	let bodyHtml;
+	if (editor.draft) {
+		const fieldsHtml = MATERIAL_SCHEMAS[kind].map(field => {
+			const value = getPath(editor.draft, field.path);
+			const input = field.type === 'select' ?
+				`<select data-path="${field.path}">${field.options.map(opt => `<option value="${opt}" ${opt === value ? 'selected' : ''}>${getOptionLabel(opt)}</option>`).join('')}</select>` :
+				`<input type="${field.type === 'number' ? 'number' : 'text'}" data-path="${field.path}" value="${value === undefined || value === null ? '' : sanitizeHTML(String(value))}" ${field.type === 'number' ? `min="${field.min}" max="${field.max}" step="any"` : `maxlength="${field.maxLength}"`} ${field.optional ? `placeholder="${t('materials.blankCannotDamage')}"` : ''} />`;
+			return `
+				<div class="form-group">
+					<label>${getFieldLabel(kind, field)}</label>
+					${input}
+				</div>
+			`;
+		}).join('');
+
+		bodyHtml = `
+			<h3 style="margin: 0 0 12px 0; font-size: 1rem; color: #1e40af;">${editor.originalKey ? t('materials.editTitle', { key: sanitizeHTML(editor.originalKey) }) : t(`materials.newTitle.${kind}`)}</h3>
+			${editor.errors.length > 0 ? `
+			<div style="margin-bottom: 12px; padding: 10px; background: #fef2f2; border: 2px solid #fecaca; border-radius: 6px; font-size: 0.8rem; color: #991b1b; line-height: 1.5;">
+				${editor.errors.map(err => `<div>• ${sanitizeHTML(err)}</div>`).join('')}
+			</div>` : ''}
+			<div class="form-grid" style="max-width: 520px; grid-template-columns: 1fr 1fr;">
+				<div class="form-group">
+					<label>${t('materials.shortName')}</label>
+					<input type="text" id="materialKeyInput" value="${sanitizeHTML(editor.draftKey || '')}" maxlength="30" ${editor.originalKey ? 'disabled' : ''} />
+				</div>
+				${fieldsHtml}
+			</div>
+			<div style="display: flex; gap: 10px; margin-top: 16px;">
+				<button data-material-action="save" style="padding: 10px 20px; background: var(--primary-color); color: #fff; border: none; border-radius: 4px; font-weight: 600; cursor: pointer;">${t('materials.save')}</button>
+				<button data-material-action="cancel" style="padding: 10px 20px; background: #fff; color: #374151; border: 2px solid #d1d5db; border-radius: 4px; font-weight: 600; cursor: pointer;">${t('materials.cancel')}</button>
+			</div>
+		`;
+	} else {
+		const rowHtml = (key, mat, isCustom) => `
+			<div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 10px 12px; background: ${isCustom ? '#f0fdf4' : '#fff'}; border: 1px solid ${isCustom ? '#86efac' : '#e5e7eb'}; border-radius: 6px;">
+				<div style="min-width: 0;">
+					<div style="font-weight: 600; font-size: 0.9rem; color: #1f2937;">${sanitizeHTML(key)} <span style="font-weight: 400; color: #6b7280; font-size: 0.8rem;">${sanitizeHTML(mat.name || '')}</span></div>
+					<div style="font-size: 0.75rem; color: #6b7280;">${sanitizeHTML(summarizeMaterial(kind, getMaterialInfo(kind, key) || mat))}</div>
+				</div>
+				<div style="display: flex; gap: 6px; flex-shrink: 0;">
+					${isCustom ? `<button data-material-action="edit" data-material-key="${key}" style="padding: 4px 10px; border: 1px solid #93c5fd; background: #eff6ff; border-radius: 4px; cursor: pointer;">${t('materials.edit')}</button>` : ''}
+					<button data-material-action="clone" data-material-key="${key}" style="padding: 4px 10px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;">${t('materials.clone')}</button>
+					${isCustom ? `<button data-material-action="delete" data-material-key="${key}" style="padding: 4px 10px; border: 1px solid #fecaca; background: #fef2f2; color: #991b1b; border-radius: 4px; cursor: pointer;">${t('materials.delete')}</button>` : ''}
+				</div>
+			</div>
+		`;
+
+		bodyHtml = `
+			<button data-material-action="new" style="width: 100%; padding: 10px; margin-bottom: 16px; border: 2px dashed var(--primary-color); background: #eff6ff; color: var(--primary-color); border-radius: 6px; font-weight: 600; cursor: pointer;">+ ${t(`materials.newTitle.${kind}`)}</button>
+			<h3 style="margin: 0 0 8px 0; font-size: 0.9rem; color: #166534;">${t('materials.customHeading', { kind: kindLabels[kind], count: Object.keys(custom).length })}</h3>
+			<div style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 20px;">
+				${Object.keys(custom).length === 0 ?
+					`<div style="color: #6b7280; padding: 14px; text-align: center; border: 2px dashed #e5e7eb; border-radius: 8px; font-size: 0.85rem;">${t('materials.empty')}</div>` :
+					Object.entries(custom).map(([key, mat]) => rowHtml(key, mat, true)).join('')}
+			</div>
+			<h3 style="margin: 0 0 8px 0; font-size: 0.9rem; color: #1e40af;">${t('materials.builtInHeading', { kind: kindLabels[kind] })}</h3>
+			<div style="display: flex; flex-direction: column; gap: 8px;">
+				${Object.entries(builtIn).map(([key, mat]) => rowHtml(key, mat, false)).join('')}
+			</div>
+		`;
+	}
+
+	panel.innerHTML = `
+		<h2>${t('materials.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('materials.subtitle')}</p>
+		<div style="display: flex; gap: 8px; margin-bottom: 16px;">${tabsHtml}</div>
+		${bodyHtml}
+	`;
+
+	panel.querySelectorAll('[data-material-kind]').forEach(btn => {
+		btn.addEventListener('click', () => {
+			state.materialEditor = { kind: btn.getAttribute('data-material-kind'), originalKey: null, draft: null, errors: [] };
+		});
+	});
+
+	panel.querySelectorAll('[data-material-action]').forEach(btn => {
+		btn.addEventListener('click', () => {
+			const action = btn.getAttribute('data-material-action');
+			const key = btn.getAttribute('data-material-key');
+			if (action === 'new') {
+				state.materialEditor = { kind, originalKey: null, draftKey: '', draft: createMaterialDraft(kind, null), errors: [] };
+			} else if (action === 'clone') {
+				const draft = createMaterialDraft(kind, key);
+				draft.name = t('materials.copyName', { name: draft.name || key }).slice(0, 60);
+				state.materialEditor = { kind, originalKey: null, draftKey: `${key} copy`.slice(0, 30), draft, errors: [] };
+			} else if (action === 'edit') {
+				state.materialEditor = { kind, originalKey: key, draftKey: key, draft: createMaterialDraft(kind, key), errors: [] };
+			} else if (action === 'delete') {
+				if (!confirm(t(`materials.confirmDelete.${kind}`, { key }))) return;
+				deleteCustomMaterial(kind, key);
+			} else if (action === 'cancel') {
+				state.materialEditor = { kind, originalKey: null, draft: null, errors: [] };
+			} else if (action === 'save') {
+				saveMaterialDraft(panel);
+			}
+		});
+	});
+}
+
+// Validate the editor form and store the material in the custom library
+function saveMaterialDraft(panel) {
+	const editor = state.materialEditor;
+	const raw = {};
+	panel.querySelectorAll('[data-path]').forEach(input => setPath(raw, input.getAttribute('data-path'), input.value));
+	const key = editor.originalKey || (panel.querySelector('#materialKeyInput')?.value || '').trim();
+
+	const keyError = validateMaterialKey(editor.kind, key, state.customMaterials, editor.originalKey);
+	const { entry, errors } = validateMaterialEntry(editor.kind, raw);
+	if (keyError) errors.unshift(keyError);
+
+	if (errors.length > 0) {
+		state.materialEditor = { ...editor, draftKey: key, draft: raw, errors };
+		return;
+	}
+
+	state.customMaterials[editor.kind][key] = entry;
+	addHistory(`${editor.originalKey ? 'Updated' : 'Created'} custom ${editor.kind}: ${key}`);
+	state.materialEditor = { kind: editor.kind, originalKey: null, draft: null, errors: [] };
+	saveState();
+	applyCustomMaterials();
+}
+
+// Remove a custom material and move any selection using it back to a built-in default
+function deleteCustomMaterial(kind, key) {
+	delete state.customMaterials[kind][key];
+	if (kind === 'backing') {
+		if (state.params.tape === key) state.params.tape = 'PVC';
+		state.laminate.layers = state.laminate.layers.map(layer => layer.material === key ? { ...layer, material: 'PVC' } : layer);
+	} else if (kind === 'adhesive') {
+		if (state.params.adhesive === key) state.params.adhesive = 'Acrylic';
+		if (state.params.adhesiveB === key) state.params.adhesiveB = 'Acrylic';
+	} else if (kind === 'surface') {
+		if (state.params.surfaceB === key) state.params.surfaceB = 'Wall Paint';
+		if (state.params.surface === key) state.params.surface = 'Steel';
+	}
+	addHistory(`Deleted custom ${kind}: ${key}`);
+	saveState();
+	applyCustomMaterials();
+}
+
+// Commercial tapes: the catalog with its sources, plus a form to import a product datasheet
+function renderTapeCatalogSection(section) {
+	const { draft, units, errors } = state.tapeImport;
+
+	const tapeRow = (tape) => `
+		<div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 10px 12px; background: ${tape.imported ? '#f0fdf4' : '#fff'}; border: 1px solid ${tape.imported ? '#86efac' : '#e5e7eb'}; border-radius: 6px;">
+			<div style="min-width: 0;">
+				<div style="font-weight: 600; font-size: 0.9rem; color: #1f2937;">${sanitizeHTML(tape.name)}</div>
+				<div style="font-size: 0.75rem; color: #6b7280;">${sanitizeHTML(describeCatalogTape(tape))}${tape.tensileStrength ? ` · ${t('materials.tensile', { force: formatSI(toSI(q(tape.tensileStrength, 'N/cm')), 'forcePerWidth') })}` : ''}</div>
+				${tape.source?.title ? `<div style="font-size: 0.7rem; color: #6b7280; margin-top: 2px;">${t('materials.source')}: ${tape.source.url ? `<a href="${sanitizeHTML(tape.source.url)}" target="_blank" rel="noopener noreferrer" style="color: #2563eb;">${sanitizeHTML(tape.source.title)}</a>` : sanitizeHTML(tape.source.title)}</div>` : ''}
+			</div>
+			${tape.imported ? `<button data-tape-action="delete" data-tape-name="${sanitizeHTML(tape.name)}" style="padding: 4px 10px; border: 1px solid #fecaca; background: #fef2f2; color: #991b1b; border-radius: 4px; cursor: pointer; flex-shrink: 0;">${t('materials.delete')}</button>` : ''}
+		</div>
+	`;
+
+	let bodyHtml;
+	if (draft) {
+		const fieldsHtml = TAPE_SCHEMA.map(field => {
+			const value = getPath(draft, field.path);
+			const shown = value === undefined || value === null ? '' : sanitizeHTML(String(value));
+			let input;
+			if (field.type === 'select') {
+				input = `<select data-tape-path="${field.path}">${getFieldOptions(field).map(opt => `<option ${opt === value ? 'selected' : ''}>${sanitizeHTML(opt)}</option>`).join('')}</select>`;
+			} else if (field.type === 'number') {
+				input = `<input type="number" data-tape-path="${field.path}" value="${shown}" min="0" step="any" ${field.optional ? `placeholder="${t('materials.notOnDatasheet')}"` : ''} />`;
+				if (field.units) {
+					input = `<div style="display: flex; gap: 6px;">${input}<select data-tape-unit="${field.path}" style="width: auto;">${field.units.map(unit => `<option ${unit === (units[field.path] || field.unit) ? 'selected' : ''}>${unit}</option>`).join('')}</select></div>`;
+				}
+			} else {
+				input = `<input type="${field.type === 'url' ? 'url' : 'text'}" data-tape-path="${field.path}" value="${shown}" maxlength="${field.maxLength}" />`;
+			}
+			return `
+				<div class="form-group">
+					<label>${getFieldLabel('tape', field)}</label>
+					${input}
+				</div>
+			`;
+		}).join('');
+
+		bodyHtml = `
+			${errors.length > 0 ? `
+			<div style="margin-bottom: 12px; padding: 10px; background: #fef2f2; border: 2px solid #fecaca; border-radius: 6px; font-size: 0.8rem; color: #991b1b; line-height: 1.5;">
+				${errors.map(err => `<div>• ${sanitizeHTML(err)}</div>`).join('')}
+			</div>` : ''}
+			<div class="form-grid" style="max-width: 520px; grid-template-columns: 1fr 1fr;">${fieldsHtml}</div>
+			<p style="font-size: 0.75rem; color: #6b7280; margin: 8px 0 0 0;">${t('materials.peelNote')}</p>
+			<div style="display: flex; gap: 10px; margin-top: 16px;">
+				<button data-tape-action="save" style="padding: 10px 20px; background: var(--primary-color); color: #fff; border: none; border-radius: 4px; font-weight: 600; cursor: pointer;">${t('materials.importTape')}</button>
+				<button data-tape-action="cancel" style="padding: 10px 20px; background: #fff; color: #374151; border: 2px solid #d1d5db; border-radius: 4px; font-weight: 600; cursor: pointer;">${t('materials.cancel')}</button>
+			</div>
+		`;
+	} else {
+		bodyHtml = `
+			<button data-tape-action="new" style="width: 100%; padding: 10px; margin-bottom: 16px; border: 2px dashed var(--primary-color); background: #eff6ff; color: var(--primary-color); border-radius: 6px; font-weight: 600; cursor: pointer;">+ ${t('materials.importDatasheet')}</button>
+			<div style="display: flex; flex-direction: column; gap: 8px;">
+				${regularTapeOptions.map(tapeRow).join('')}
+			</div>
+		`;
+	}
+
+	section.innerHTML = `
+		<h3 style="margin: 28px 0 8px 0; font-size: 1rem; color: #1e40af;">${t('materials.commercialTitle', { count: regularTapeOptions.length })}</h3>
+		<p style="font-size: 0.85rem; color: #6b7280; margin-bottom: 12px;">${t('materials.commercialSubtitle')}</p>
+		${bodyHtml}
+	`;
+
+	section.querySelectorAll('[data-tape-action]').forEach(btn => {
+		btn.addEventListener('click', () => {
+			const action = btn.getAttribute('data-tape-action');
+			if (action === 'new') {
+				const blank = {};
+				TAPE_SCHEMA.forEach(field => {
+					if (field.default !== undefined) setPath(blank, field.path, field.default);
+				});
+				state.tapeImport = { draft: blank, units: {}, errors: [] };
+			} else if (action === 'cancel') {
+				state.tapeImport = { draft: null, units: {}, errors: [] };
+			} else if (action === 'save') {
+				importTapeDraft(section);
+			} else if (action === 'delete') {
+				const name = btn.getAttribute('data-tape-name');
+				if (!confirm(t('materials.confirmDeleteTape', { name }))) return;
+				deleteImportedTape(name);
+			}
+		});
+	});
+}
+
+// Validate the import form (numbers converted from the datasheet's units) and add the tape
+function importTapeDraft(section) {
+	const raw = {};
+	const units = {};
+	section.querySelectorAll('[data-tape-path]').forEach(input => setPath(raw, input.getAttribute('data-tape-path'), input.value));
+	section.querySelectorAll('[data-tape-unit]').forEach(select => { units[select.getAttribute('data-tape-unit')] = select.value; });
+
+	const converted = JSON.parse(JSON.stringify(raw));
+	TAPE_SCHEMA.forEach(field => {
+		const value = getPath(raw, field.path);
+		const unit = units[field.path];
+		if (!unit || unit === field.unit || value === '' || !isFinite(Number(value))) return;
+		setPath(converted, field.path, Number(convertUnit(Number(value), unit, field.unit).toPrecision(4)));
+	});
+
+	const { entry, errors } = validateTapeEntry(converted);
+	if (regularTapeOptions.some(tape => tape.name === entry.name)) errors.unshift(t('materials.errors.inCatalog', { name: entry.name }));
+	if (errors.length > 0) {
+		state.tapeImport = { draft: raw, units, errors };
+		return;
+	}
+
+	state.customTapes.push(entry);
+	applyImportedTapes();
+	addHistory(`Imported tape datasheet: ${entry.name}`);
+	state.tapeImport = { draft: null, units: {}, errors: [] };
+	saveState();
+}
+
+function deleteImportedTape(name) {
+	state.customTapes = state.customTapes.filter(tape => tape.name !== name);
+	applyImportedTapes();
+	if (state.selectedRegularTape === name) state.selectedRegularTape = null;
+	addHistory(`Deleted imported tape: ${name}`);
+	saveState();
+}
+
+export const materialsPanel = {
+	sections: [
+		{ watch: ['materialEditor', 'customMaterials', 'displayUnits'], render: renderMaterialLibraryPanel },
+		{ watch: ['tapeImport', 'customTapes', 'customMaterials', 'displayUnits'], render: renderTapeCatalogSection }
+	]
+};
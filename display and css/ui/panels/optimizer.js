@@ -0,0 +1,157 @@
+import { CLEAN_REMOVAL_RESIDUE_LIMIT, ENVIRONMENTAL_CONDITIONS, recommendTapes } from '../../math_reasoning.js';
+import { describeCatalogTape, getCatalogTapeParams, getEnvironmentText, regularTapeOptions, surfaceMaterials } from '../catalog.js';
+import { formatParam, formatTimeImpact, fromInputValue, getInputUnit, paramInputAttrs } from '../format.js';
+import { addHistory } from '../history.js';
+import { formatNumber, t } from '../i18n.js';
+import { getStandardLayerThickness, setLaminateLayers } from '../laminate.js';
+import { syncScheduleClimate } from '../schedule.js';
+import { sanitizeHTML, sanitizeNumber, validateString } from '../security.js';
+import { state } from '../state.js';
+import { enterTestGround, runTestGroundTest } from '../test_ground.js';
+import { describeHangResult, describePeelOutcome } from '../test_results.js';
+
+// ==================== TAPE RECOMMENDATION ====================
+
+const OPTIMIZER_SHOWN = 10;
+
+const OPTIMIZER_MARGINS = [
+	{ key: 'hold', label: 'optimizer.margins.hold' },
+	{ key: 'removal', label: 'optimizer.margins.removal' },
+	{ key: 'residue', label: 'optimizer.margins.residue' }
+];
+
+function formatMargin(value) {
+	return value >= 100 ? `≥${formatNumber(100)}×` : `${formatNumber(value, value < 10 ? 2 : 1)}×`;
+}
+
+// Red below 1× (fails), amber up to 2× (thin), green above
+function marginColor(value) {
+	if (value < 1) return '#fecaca';
+	if (value < 2) return '#fde68a';
+	return '#bbf7d0';
+}
+
+// Why a margin is what it is, for the chip tooltip
+function describeMargin(key, candidate) {
+	if (key === 'hold') return describeHangResult(candidate.hang);
+	if (key === 'removal') return describePeelOutcome(candidate.peel, state.params.surface);
+	return t('optimizer.residueMargin', { residue: formatNumber(candidate.residue * 100), limit: formatNumber(CLEAN_REMOVAL_RESIDUE_LIMIT * 100) });
+}
+
+// Put a candidate on the Test Ground: ready-made tapes go in the regular slot, designs become a one-layer variant
+function loadCandidate(candidate) {
+	const { durationDays, hangMass } = state.optimizer;
+	if (!state.previewMode) enterTestGround();
+
+	if (candidate.source === 'catalog') {
+		state.selectedRegularTape = candidate.name;
+		state.testTape = 'regular';
+	} else {
+		setLaminateLayers([{ material: candidate.tape, thickness: getStandardLayerThickness(candidate.tape) }]);
+		state.params.adhesive = candidate.adhesive;
+		state.params.thickness = candidate.thickness;
+		state.params.tapeMode = 'single';
+		state.testTape = 'variant';
+	}
+	if (hangMass > 0) state.params.hangMass = hangMass;
+	// Show the tape as it is when the job ends
+	state.timeImpactDays = durationDays;
+	syncScheduleClimate();
+	state.activePanel = null;
+
+	addHistory(`Recommendation loaded: ${candidate.name}`);
+	runTestGroundTest();
+}
+
+// Inverse design: describe the job, get tapes ranked by their margin on each requirement
+function renderOptimizerPanel(panel) {
+	const { durationDays, hangMass, cleanRemoval } = state.optimizer;
+	const followsSchedule = state.params.schedule?.enabled;
+	const candidates = recommendTapes({ ...state.params, tapeMode: 'single' }, { durationDays, hangMass, cleanRemoval }, regularTapeOptions.map(tape => ({ name: tape.name, params: getCatalogTapeParams(tape) })));
+	const passing = candidates.filter(candidate => candidate.pass).length;
+	const shown = candidates.slice(0, OPTIMIZER_SHOWN);
+	const activeMargins = OPTIMIZER_MARGINS.filter(margin => shown[0]?.margins[margin.key] !== null);
+
+	panel.innerHTML = `
+		<h2>${t('optimizer.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('optimizer.subtitle', { width: formatParam('width', state.params.width), height: formatParam('height', state.params.height), angle: formatNumber(state.params.peelAngle) })}</p>
+		<div class="form-grid">
+			<div class="form-group">
+				<label>${t('optimizer.surface')}</label>
+				<select id="optimizerSurfaceSelect">
+					${surfaceMaterials.map(mat => `<option value="${sanitizeHTML(mat.name)}" ${mat.name === state.params.surface ? 'selected' : ''}>${sanitizeHTML(mat.label || mat.name)}</option>`).join('')}
+				</select>
+			</div>
+			<div class="form-group">
+				<label>${t('optimizer.environment')}</label>
+				<select id="optimizerEnvironmentSelect" ${followsSchedule ? `disabled title="${t('optimizer.setByTimeline')}"` : ''}>
+					${Object.keys(ENVIRONMENTAL_CONDITIONS).map(env => `<option value="${env}" ${env === state.params.environment ? 'selected' : ''}>${getEnvironmentText(env).name}</option>`).join('')}
+				</select>
+			</div>
+			<div class="form-group">
+				<label>${t('optimizer.duration')}</label>
+				<input type="number" id="optimizerDurationInput" value="${durationDays}" min="0" max="366" step="1">
+			</div>
+			<div class="form-group">
+				<label>${t('optimizer.mustHold', { unit: getInputUnit('hangMass') })}</label>
+				<input type="number" id="optimizerHangMassInput" ${paramInputAttrs('hangMass', hangMass, { min: 0, max: 50000, step: 50 })}>
+			</div>
+		</div>
+		<label style="display: flex; align-items: center; gap: 8px; margin-top: 8px; font-size: 0.85rem; color: #374151;">
+			<input type="checkbox" id="optimizerCleanInput" ${cleanRemoval ? 'checked' : ''}>
+			${t('optimizer.cleanRemoval', { time: formatTimeImpact(durationDays) })}
+		</label>
+
+		<p style="font-size: 0.8rem; color: #6b7280; margin: 16px 0 8px 0;">${t('optimizer.passing', { passing: `<strong>${passing}</strong>`, count: candidates.length })}</p>
+		${activeMargins.length === 0 ? `<p style="font-size: 0.85rem; color: #92400e;">${t('optimizer.noRequirements')}</p>` : `
+		<div style="display: flex; flex-direction: column; gap: 6px;">
+			${shown.map((candidate, index) => `
+			<div style="display: grid; grid-template-columns: 24px 1fr auto auto; gap: 8px; align-items: center; padding: 8px; border: 1px solid ${candidate.pass ? '#d1d5db' : '#fca5a5'}; border-radius: 6px; background: #fff; font-size: 0.8rem;">
+				<span style="color: #6b7280; font-weight: 600;">${index + 1}</span>
+				<div>
+					<div style="color: #111827; font-weight: 600;">${sanitizeHTML(candidate.source === 'catalog' ? candidate.name : `${candidate.tape} + ${candidate.adhesive} ${formatParam('thickness', candidate.thickness)}`)}</div>
+					<div style="color: #6b7280; font-size: 0.7rem;">${candidate.source === 'catalog' ? `${t('optimizer.readyMade')} · ${sanitizeHTML(describeCatalogTape(regularTapeOptions.find(tape => tape.name === candidate.name)))}` : `${sanitizeHTML(candidate.tape)} / ${sanitizeHTML(candidate.adhesive)} ${formatParam('thickness', candidate.thickness)}`}</div>
+				</div>
+				<div style="display: flex; gap: 4px;">
+					${activeMargins.map(margin => `<span title="${sanitizeHTML(describeMargin(margin.key, candidate))}" style="padding: 2px 6px; border-radius: 4px; background: ${marginColor(candidate.margins[margin.key])}; white-space: nowrap;">${t(margin.label)} ${formatMargin(candidate.margins[margin.key])}</span>`).join('')}
+				</div>
+				<button class="optimizer-load" data-index="${index}" style="padding: 4px 10px; border: 1px solid #2563eb; background: #eff6ff; color: #1e40af; border-radius: 4px; font-size: 0.75rem; cursor: pointer; white-space: nowrap;">${t('optimizer.load')}</button>
+			</div>
+			`).join('')}
+		</div>
+		`}
+	`;
+
+	panel.querySelector('#optimizerSurfaceSelect').addEventListener('change', (e) => {
+		const surface = validateString(e.target.value, surfaceMaterials.map(mat => mat.name), state.params.surface);
+		state.params.surface = surface;
+		addHistory(`Recommendation surface set to ${surface}`);
+	});
+	panel.querySelector('#optimizerEnvironmentSelect').addEventListener('change', (e) => {
+		const env = validateString(e.target.value, Object.keys(ENVIRONMENTAL_CONDITIONS), state.params.environment);
+		state.params.environment = env;
+		state.params.temperature = ENVIRONMENTAL_CONDITIONS[env].temperature.typical;
+		state.params.humidity = ENVIRONMENTAL_CONDITIONS[env].humidity.typical;
+		addHistory(`Recommendation environment set to ${env}`);
+	});
+	panel.querySelector('#optimizerDurationInput').addEventListener('change', (e) => {
+		state.optimizer.durationDays = sanitizeNumber(e.target.value, 0, 366, 30);
+	});
+	panel.querySelector('#optimizerHangMassInput').addEventListener('change', (e) => {
+		state.optimizer.hangMass = sanitizeNumber(fromInputValue('hangMass', e.target.value), 0, 50000, 0);
+	});
+	panel.querySelector('#optimizerCleanInput').addEventListener('change', (e) => {
+		state.optimizer.cleanRemoval = e.target.checked;
+	});
+
+	panel.querySelectorAll('.optimizer-load').forEach(btn => {
+		btn.addEventListener('click', () => loadCandidate(shown[Number(btn.getAttribute('data-index'))]));
+	});
+}
+
+export const optimizerPanel = {
+	sections: [{
+		watch: ['optimizer', 'params.surface', 'params.environment', 'params.temperature', 'params.humidity', 'params.schedule', 'params.width', 'params.height', 'params.peelAngle', 'params.peelRate', 'customMaterials', 'customTapes', 'calibration.active'],
+		render: renderOptimizerPanel
+	}]
+};
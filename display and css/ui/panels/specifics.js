@@ -0,0 +1,249 @@
+import { calculateDoubleSidedJoint, calculateLaminateProperties, calculatePeelMechanics, calculateSurfaceDamageRisk, calculateTapeProperties, getMaterialInfo } from '../../math_reasoning.js';
+import { getAdhesiveOptions, getOptionLabel } from '../catalog.js';
+import { PEEL_RATE_PRESETS, bindFaceControls, bindPeelControls, renderDoubleSidedJoint, renderFaceControls } from '../controls.js';
+import { DISPLAY_UNIT_OPTIONS, formatParam, formatSI, fromInputValue, getInputUnit, paramInputAttrs, toInputValue } from '../format.js';
+import { addHistory } from '../history.js';
+import { formatNumber, t } from '../i18n.js';
+import { describeLaminate, getLaminateParams } from '../laminate.js';
+import { sanitizeNumber, validateString } from '../security.js';
+import { saveState, state } from '../state.js';
+
+// Everything the Specifics sections display, computed from the current parameters
+function getSpecificsData() {
+	// Check if variant is being used
+	const specLayers = state.laminate.layers;
+	const isSpecVariant = specLayers.length > 1;
+
+	// Calculate tape properties using imported function
+	const baseCalculationParams = {
+		...state.params,
+		timeImpactDays: state.timeImpactDays || 0
+	};
+	const calculationParams = isSpecVariant ? getLaminateParams(baseCalculationParams, specLayers) : baseCalculationParams;
+
+	// Use laminate calculation for variants, otherwise regular
+	const props = isSpecVariant ?
+		calculateLaminateProperties(calculationParams) :
+		calculateTapeProperties(calculationParams);
+
+	// Get adhesive info
+	const adhesiveInfo = getMaterialInfo('adhesive', state.params.adhesive);
+
+	// Peel force at the chosen angle and rate
+	const peelMechanics = calculatePeelMechanics(calculationParams);
+
+	// Calculate surface damage risk
+	const damageRisk = calculateSurfaceDamageRisk({
+		...calculationParams,
+		width: state.params.width,
+		height: state.params.height
+	});
+
+	// Both interfaces and the core for double-sided / transfer tape
+	const jointAssessment = state.params.tapeMode !== 'single' ?
+		calculateDoubleSidedJoint({ ...calculationParams, width: state.params.width, height: state.params.height }) : null;
+
+	// Determine damage risk color scheme
+	const damageColors = {
+		'none': { bg: '#f0fdf4', border: '#86efac', text: '#166534' },
+		'low': { bg: '#f0fdf4', border: '#86efac', text: '#166534' },
+		'moderate': { bg: '#fffbeb', border: '#fde68a', text: '#92400e' },
+		'high': { bg: '#fef2f2', border: '#fecaca', text: '#991b1b' },
+		'critical': { bg: '#fef2f2', border: '#f87171', text: '#7f1d1d' }
+	};
+	const damageColor = damageColors[damageRisk?.damageRisk || 'none'];
+
+	return { specLayers, isSpecVariant, props, adhesiveInfo, peelMechanics, damageRisk, jointAssessment, damageColor };
+}
+
+// Translated version of calculateSurfaceDamageRisk's message, in the chosen units
+export function describeDamageRisk(damageRisk, surface) {
+	if (!damageRisk.canDamage) return t('specifics.damage.none');
+	return t(`specifics.damage.${damageRisk.damageRisk}`, {
+		surface,
+		factor: formatNumber(damageRisk.safetyFactor, 1),
+		surfaceStrength: formatSI(damageRisk.surfaceStrength, 'forcePerWidth', 1),
+		tapeForce: formatSI(damageRisk.tapeForce, 'forcePerWidth')
+	});
+}
+
+// Variant banner and surface damage assessment
+function renderSpecificsSummary(panel) {
+	const { specLayers, isSpecVariant, damageRisk, damageColor } = getSpecificsData();
+
+	panel.innerHTML = `
+		<h2>${t('specifics.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('specifics.subtitle')}</p>
+
+		${isSpecVariant ? `
+		<div style="margin-bottom: 16px; padding: 12px; background: #fef3c7; border: 2px solid #fbbf24; border-radius: 8px;">
+			<div style="font-weight: 600; color: #92400e; margin-bottom: 6px; font-size: 0.95rem;">🔀 ${t('specifics.variantActive')}</div>
+			<div style="font-size: 0.85rem; color: #78350f;">
+				${t('specifics.variantBasis', { laminate: `<strong>${describeLaminate(specLayers)}</strong>`, contact: specLayers[specLayers.length - 1].material })}
+			</div>
+		</div>
+		` : ''}
+
+		${damageRisk ? `
+		<div style="margin-bottom: 16px; padding: 12px; background: ${damageColor.bg}; border: 2px solid ${damageColor.border}; border-radius: 8px;">
+			<div style="font-weight: 600; color: ${damageColor.text}; margin-bottom: 6px; font-size: 0.9rem;">
+				⚠️ ${t('specifics.damageTitle', { surface: state.params.surface })}
+			</div>
+			<div style="font-size: 0.85rem; color: ${damageColor.text}; line-height: 1.5;">
+				${describeDamageRisk(damageRisk, state.params.surface)}
+			</div>
+		</div>
+		` : ''}
+	`;
+}
+
+// Adhesive, peel and tape construction inputs (kept out of the time slider's way so edits survive drags)
+function renderSpecificsInputs(panel) {
+	panel.innerHTML = `
+		<div class="form-grid">
+			<div class="form-group">
+				<label style="display: flex; align-items: center; gap: 8px;">
+					${t('specifics.adhesiveThickness')} (${getInputUnit('thickness')})
+					<span style="font-size: 0.75rem; color: #6b7280; font-weight: 400;">(${t('specifics.affectsContact')})</span>
+				</label>
+				<input type="number" id="thicknessInput" ${paramInputAttrs('thickness', state.params.thickness, { min: 10, max: 500, step: 5 })} />
+				<div style="font-size: 0.75rem; color: #6b7280; margin-top: 4px;">
+					${formatParam('thickness', state.params.thickness)} = ${state.unitSystem === 'imperial' ? formatParam('width', state.params.thickness / 1000, 4) : formatParam('width', state.params.thickness / 1000, 3)} (${t(`specifics.thicknessComparison.${state.params.thickness <= 50 ? 'hair' : state.params.thickness <= 100 ? 'humanHair' : state.params.thickness <= 200 ? 'paper' : 'cardstock'}`)})
+				</div>
+			</div>
+			<div class="form-group">
+				<label>${t('specifics.adhesiveType')}</label>
+				<select id="adhesiveSelect">
+					${getAdhesiveOptions().map(name => `<option value="${name}" ${state.params.adhesive === name ? 'selected' : ''}>${name}${state.customMaterials.adhesive[name] ? ` (${t('common.custom')})` : ''}</option>`).join('')}
+				</select>
+			</div>
+			<div class="form-group">
+				<label>${t('specifics.peelAngle')} (°)</label>
+				<input type="number" data-peel-param="peelAngle" value="${state.params.peelAngle}" min="5" max="180" step="5" />
+			</div>
+			<div class="form-group">
+				<label>${t('specifics.peelRate')} (${getInputUnit('peelRate')})</label>
+				<input type="number" data-peel-param="peelRate" ${paramInputAttrs('peelRate', state.params.peelRate, { min: 1, max: 10000, step: 10 })} list="peelRatePresets" />
+				<datalist id="peelRatePresets">
+					${PEEL_RATE_PRESETS.map(preset => `<option value="${toInputValue('peelRate', preset.rate)}">${t(`controls.peelRatePresets.${preset.key}`)}</option>`).join('')}
+				</datalist>
+			</div>
+		</div>
+
+		<div class="form-grid">
+			${renderFaceControls()}
+		</div>
+	`;
+
+	panel.querySelector('#thicknessInput').addEventListener('change', (e) => {
+		const sanitized = sanitizeNumber(fromInputValue('thickness', e.target.value), 1, 1000, 120);
+		state.params.thickness = sanitized;
+		e.target.value = toInputValue('thickness', sanitized);
+		addHistory(`Adhesive thickness set to ${formatParam('thickness', sanitized)}`);
+	});
+
+	panel.querySelector('#adhesiveSelect').addEventListener('change', (e) => {
+		state.params.adhesive = validateString(e.target.value, getAdhesiveOptions(), 'Acrylic');
+		addHistory(`Adhesive set to ${state.params.adhesive}`);
+	});
+
+	bindPeelControls(panel);
+	bindFaceControls(panel);
+}
+
+// Joint assessment, adhesive datasheet and calculated performance
+function renderSpecificsResults(panel) {
+	const { specLayers, isSpecVariant, props, adhesiveInfo, peelMechanics, damageRisk, jointAssessment } = getSpecificsData();
+
+	panel.innerHTML = `
+		${jointAssessment ? renderDoubleSidedJoint(jointAssessment) : ''}
+
+		${adhesiveInfo ? `
+		<div style="margin-top: 16px; padding: 14px; background: #fffbeb; border: 2px solid #fde68a; border-radius: 8px;">
+			<h3 style="margin: 0 0 8px 0; font-size: 0.9rem; color: #92400e; font-weight: 600;">${t('specifics.adhesive')}: ${adhesiveInfo.name}</h3>
+			<div style="font-size: 0.8rem; line-height: 1.6; color: #78350f;">
+				<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 8px;">
+					<div style="padding: 4px 0;"><strong>${t('specifics.tack')}:</strong> ${adhesiveInfo.tackLevel ? getOptionLabel(adhesiveInfo.tackLevel) : 'N/A'}</div>
+					<div style="padding: 4px 0;"><strong>${t('specifics.uv')}:</strong> ${adhesiveInfo.uvResistance ? getOptionLabel(adhesiveInfo.uvResistance) : 'N/A'}</div>
+					<div style="padding: 4px 0;"><strong>${t('specifics.aging')}:</strong> ${adhesiveInfo.agingStability ? getOptionLabel(adhesiveInfo.agingStability) : 'N/A'}</div>
+					<div style="padding: 4px 0;"><strong>${t('specifics.temp')}:</strong> ${t('common.range', { min: formatParam('temperature', adhesiveInfo.temperatureRange?.min || 0, 0), max: formatParam('temperature', adhesiveInfo.temperatureRange?.max || 0, 0) })}</div>
+				</div>
+				<p style="margin: 4px 0 0 0; font-size: 0.75rem; font-style: italic;">${adhesiveInfo.description || ''}</p>
+			</div>
+		</div>
+		` : ''}
+
+		<div style="margin-top: 20px; padding: 16px; background: #f0fdf4; border: 2px solid #86efac; border-radius: 8px;">
+			<h3 style="margin: 0 0 12px 0; font-size: 1rem; color: #166534; font-weight: 600;">${t('specifics.performance')}</h3>
+			<div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 12px; font-size: 0.75rem; color: #166534;">
+				<span>${t('specifics.displayUnits')}:</span>
+				${Object.entries(DISPLAY_UNIT_OPTIONS).map(([dimension, units]) => `
+					<select class="display-unit-select" data-dimension="${dimension}" style="padding: 2px 6px; font-size: 0.75rem;">
+						${units.map(unit => `<option value="${unit}" ${state.displayUnits[dimension] === unit ? 'selected' : ''}>${unit}</option>`).join('')}
+					</select>
+				`).join('')}
+			</div>
+			<div style="display: flex; flex-direction: column; gap: 10px;">
+				<div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; background: #fff; border-radius: 4px;">
+					<span style="font-weight: 500; color: #166534;">${t('specifics.peelAdhesion')}:</span>
+					<span style="font-weight: 700; color: #15803d; font-size: 1.15rem;">${formatSI(props.peel, 'forcePerWidth')}</span>
+				</div>
+				<div style="font-size: 0.75rem; color: #166534; margin: -6px 0; padding: 0 12px;">
+					${t('specifics.peelAdhesionHint', { rate: formatParam('peelRate', 300) })}
+					${peelMechanics ? `<br><strong>${t('specifics.atAngleRate', { angle: peelMechanics.angle, rate: formatParam('peelRate', state.params.peelRate) })}:</strong> ${t('specifics.peelForces', { peelForce: formatSI(peelMechanics.peelForce, 'forcePerWidth'), surfaceLoad: formatSI(peelMechanics.surfaceLoad, 'forcePerWidth') })}` : ''}
+					${damageRisk && damageRisk.canDamage ? `<br><strong>${t('specifics.surfaceImpact')}:</strong> ${damageRisk.damageRisk === 'low' ? `✓ ${t('specifics.impact.safe')}` : damageRisk.damageRisk === 'moderate' ? `⚠ ${t('specifics.impact.caution')}` : `⚠ ${t('specifics.impact.high')}`}` : ''}
+				</div>
+
+				<div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; background: #fff; border-radius: 4px;">
+					<span style="font-weight: 500; color: #166534;">${t('specifics.holdStrength')}:</span>
+					<span style="font-weight: 700; color: #15803d; font-size: 1.15rem;">${formatSI(props.hold, 'stress')}</span>
+				</div>
+				<div style="font-size: 0.75rem; color: #166534; margin: -6px 0; padding: 0 12px;">
+					${t('specifics.holdHint')}
+					${damageRisk && damageRisk.canDamage ? `<br><strong>${t('specifics.surfaceImpact')}:</strong> ${t('specifics.forceVsStrength', { tapeForce: formatSI(damageRisk.tapeForce, 'forcePerWidth'), surfaceStrength: formatSI(damageRisk.surfaceStrength, 'forcePerWidth') })}` : damageRisk && !damageRisk.canDamage ? `<br><strong>${t('specifics.surfaceImpact')}:</strong> ${t('specifics.tooStrong', { tapeForce: formatSI(damageRisk.tapeForce, 'forcePerWidth') })}` : ''}
+				</div>
+
+				<div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; background: #fff; border-radius: 4px;">
+					<span style="font-weight: 500; color: #166534;">${t('specifics.elongation')}:</span>
+					<span style="font-weight: 700; color: #15803d; font-size: 1.15rem;">${props.stretch === null ? 'N/A' : formatNumber(props.stretch, 1)}%</span>
+				</div>
+				<div style="font-size: 0.75rem; color: #166534; margin: -6px 0; padding: 0 12px;">
+					${t('specifics.elongationHint')}
+					${damageRisk && damageRisk.canDamage && damageRisk.surfaceRange ? `<br><strong>${t('specifics.surfaceImpact')}:</strong> ${t('specifics.surfaceTearsAt')} ${formatSI(damageRisk.surfaceRange.min, 'forcePerWidth')} - ${formatSI(damageRisk.surfaceRange.max, 'forcePerWidth')}` : ''}
+				</div>
+
+				<div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; background: #dcfce7; border-radius: 4px;">
+					<span style="font-weight: 500; color: #166534;">${t('specifics.totalThickness')}:</span>
+					<span style="font-weight: 700; color: #15803d; font-size: 1.15rem;">${formatSI(props.totalThickness, 'length')}</span>
+				</div>
+				<div style="font-size: 0.75rem; color: #166534; margin: -6px 0; padding: 0 12px;">
+					${isSpecVariant ? t('specifics.totalThicknessLaminate', { count: specLayers.length }) : t('specifics.totalThicknessHint')}
+				</div>
+				<div style="font-size: 0.7rem; color: #059669; margin: 8px 0 0 0; padding: 6px 12px; background: #d1fae5; border-left: 3px solid #10b981; border-radius: 4px; line-height: 1.4;">
+					💡 <strong>${t('specifics.thicknessTipTitle')}:</strong> ${t('specifics.thicknessTip')}
+				</div>
+			</div>
+		</div>
+	`;
+
+	panel.querySelectorAll('.display-unit-select').forEach(select => {
+		select.addEventListener('change', (e) => {
+			const dimension = select.getAttribute('data-dimension');
+			state.displayUnits[dimension] = validateString(e.target.value, DISPLAY_UNIT_OPTIONS[dimension], state.displayUnits[dimension]);
+			saveState();
+		});
+	});
+}
+
+const CALCULATION_INPUTS = ['params', 'laminate.layers', 'timeImpactDays', 'customMaterials', 'calibration.active'];
+
+export const specificsPanel = {
+	sections: [
+		{ watch: CALCULATION_INPUTS, render: renderSpecificsSummary },
+		{
+			watch: ['params.thickness', 'params.adhesive', 'params.peelAngle', 'params.peelRate', 'params.tapeMode', 'params.surfaceB', 'params.adhesiveB', 'params.thicknessB', 'customMaterials'],
+			render: renderSpecificsInputs
+		},
+		{ watch: [...CALCULATION_INPUTS, 'displayUnits'], render: renderSpecificsResults }
+	]
+};
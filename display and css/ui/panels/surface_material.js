@@ -0,0 +1,30 @@
+import { surfaceMaterials } from '../catalog.js';
+import { selectSurface } from '../sidebar.js';
+import { state } from '../state.js';
+
+function renderSurfaceMaterialPanel(panel) {
+	panel.innerHTML = `
+		<h2>Surface Material Selection</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">Select the surface material for testing</p>
+
+		<div class="material-grid" style="margin-top: 20px;">
+			${surfaceMaterials.map(mat => `
+				<div class="material-tile-wrap" data-surface="${mat.name}" style="cursor: pointer;">
+					<div class="material-tile ${mat.name === state.params.surface ? 'selected' : ''}">
+						<img src="${mat.image}" alt="${mat.label}" />
+					</div>
+					<div class="material-tile-label">${mat.label}</div>
+				</div>
+			`).join('')}
+		</div>
+	`;
+
+	panel.querySelectorAll('[data-surface]').forEach(tile => {
+		const mat = surfaceMaterials.find(entry => entry.name === tile.dataset.surface);
+		tile.addEventListener('click', () => selectSurface(mat.name, mat.label));
+	});
+}
+
+export const surfaceMaterialPanel = {
+	sections: [{ watch: ['params.surface', 'customMaterials'], render: renderSurfaceMaterialPanel }]
+};
@@ -0,0 +1,191 @@
+import { PARAM_UNITS, SWEEP_AXES, SWEEP_METRICS, applySweepAxis, calculateSensitivity, getSweepAxes, runParameterSweep } from '../../math_reasoning.js';
+import { getEnvironmentText } from '../catalog.js';
+import { formatParam, formatSI, formatTimeImpact } from '../format.js';
+import { addHistory } from '../history.js';
+import { formatNumber, t, translateData } from '../i18n.js';
+import { syncScheduleClimate } from '../schedule.js';
+import { sanitizeHTML, validateString } from '../security.js';
+import { state } from '../state.js';
+
+// Safety factor colours are anchored to the verdicts (red at 1×, green from 10×);
+// other metrics are coloured over the sweep's own min-max
+const SWEEP_COLOR_RANGES = { safetyFactor: [1, 10] };
+
+// Axis and metric names from the math tables, in the UI's language
+function getSweepAxisLabel(axisKey) {
+	return translateData(`sweep.axes.${axisKey}`, SWEEP_AXES[axisKey].label);
+}
+
+function getSweepMetricLabel(metricKey) {
+	return translateData(`sweep.metrics.${metricKey}`, SWEEP_METRICS[metricKey].label);
+}
+
+function formatSweepAxisValue(axisKey, value) {
+	if (axisKey === 'timeImpactDays') return formatTimeImpact(value);
+	if (PARAM_UNITS[axisKey]) return formatParam(axisKey, value);
+	if (axisKey === 'peelAngle') return `${formatNumber(value)}°`;
+	if (axisKey === 'humidity') return t('sweep.humidityValue', { humidity: formatNumber(value) });
+	if (axisKey === 'environment') return sanitizeHTML(getEnvironmentText(value).name);
+	return sanitizeHTML(String(value));
+}
+
+function formatSweepMetric(metricKey, value) {
+	const metric = SWEEP_METRICS[metricKey];
+	if (metric.dimension) return formatSI(value, metric.dimension);
+	if (metricKey === 'safetyFactor') return value >= 100 ? `≥${formatNumber(100)}×` : `${formatNumber(value, 1)}×`;
+	return `${formatNumber(value)}${metric.unit}`;
+}
+
+// Position of a value on the metric's colour/bar scale (log metrics use log10)
+function sweepScale(metricKey, value) {
+	return SWEEP_METRICS[metricKey].scale === 'log' ? Math.log10(Math.max(1e-6, value)) : value;
+}
+
+function sweepCellColor(metricKey, value, min, max) {
+	const metric = SWEEP_METRICS[metricKey];
+	const [low, high] = SWEEP_COLOR_RANGES[metricKey] || [min, max];
+	const span = sweepScale(metricKey, high) - sweepScale(metricKey, low);
+	let position = span > 0 ? (sweepScale(metricKey, value) - sweepScale(metricKey, low)) / span : 1;
+	position = Math.max(0, Math.min(1, position));
+	if (!metric.higherIsBetter) position = 1 - position;
+	return `hsl(${Math.round(position * 120)}, 70%, 82%)`;
+}
+
+// Current value of a sweep axis (time lives outside state.params)
+function getSweepAxisCurrent(axisKey) {
+	return axisKey === 'timeImpactDays' ? (state.timeImpactDays || 0) : state.params[axisKey];
+}
+
+// Load one axis value from the sweep into the current parameters
+function applySweepSelection(axisKey, value) {
+	if (axisKey === 'timeImpactDays') {
+		state.timeImpactDays = value;
+		syncScheduleClimate();
+		return;
+	}
+	state.params = applySweepAxis(state.params, axisKey, value);
+}
+
+// Parameter sweep panel: two-axis heat map plus a tornado chart of the current setup
+function renderSweepPanel(panel) {
+	const { metric: metricKey } = state.sweep;
+	const sweepParams = { ...state.params, timeImpactDays: state.timeImpactDays || 0 };
+
+	// A schedule sets the climate, so a climate axis picked earlier falls back to the next free axis
+	const axes = getSweepAxes(sweepParams);
+	const pickAxis = (key, other) => axes.includes(key) ? key : axes.find(axis => axis !== other);
+	const columnAxis = pickAxis(state.sweep.columns, state.sweep.rows);
+	const rowAxis = pickAxis(state.sweep.rows, columnAxis);
+	const sweep = runParameterSweep(sweepParams, rowAxis, columnAxis, metricKey);
+	const sensitivity = calculateSensitivity(sweepParams, metricKey);
+
+	const axisOptions = (selected, exclude) => axes
+		.filter(key => key !== exclude)
+		.map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${getSweepAxisLabel(key)}</option>`).join('');
+
+	// Tornado bars share one scale from the lowest to the highest outcome
+	const scaled = sensitivity.entries.flatMap(entry => [sweepScale(metricKey, entry.low.value), sweepScale(metricKey, entry.high.value)]);
+	const domainMin = Math.min(...scaled, sweepScale(metricKey, sensitivity.base));
+	const domainMax = Math.max(...scaled, sweepScale(metricKey, sensitivity.base));
+	const toPercent = (value) => domainMax > domainMin ? (sweepScale(metricKey, value) - domainMin) / (domainMax - domainMin) * 100 : 50;
+
+	panel.innerHTML = `
+		<h2>${t('sweep.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('sweep.subtitle', { tape: sanitizeHTML(state.params.tape), adhesive: sanitizeHTML(state.params.adhesive), surface: sanitizeHTML(state.params.surface) })}</p>
+		${axes.length < Object.keys(SWEEP_AXES).length ? `<p style="font-size: 0.8rem; color: #92400e; margin-bottom: 12px;">${t('sweep.scheduleNote')}</p>` : ''}
+		<div class="form-grid" style="grid-template-columns: 1fr 1fr 1fr;">
+			<div class="form-group">
+				<label>${t('sweep.rows')}</label>
+				<select id="sweepRowsSelect">${axisOptions(rowAxis, columnAxis)}</select>
+			</div>
+			<div class="form-group">
+				<label>${t('sweep.columns')}</label>
+				<select id="sweepColumnsSelect">${axisOptions(columnAxis, rowAxis)}</select>
+			</div>
+			<div class="form-group">
+				<label>${t('sweep.show')}</label>
+				<select id="sweepMetricSelect">
+					${Object.keys(SWEEP_METRICS).map(key => `<option value="${key}" ${key === metricKey ? 'selected' : ''}>${getSweepMetricLabel(key)}</option>`).join('')}
+				</select>
+			</div>
+		</div>
+
+		<div style="overflow-x: auto; margin-top: 16px;">
+			<table style="border-collapse: collapse; font-size: 0.7rem; width: 100%;">
+				<thead>
+					<tr>
+						<th style="padding: 4px; text-align: left; color: #6b7280;">${getSweepAxisLabel(rowAxis)} / ${getSweepAxisLabel(columnAxis)}</th>
+						${sweep.columns.map(column => `<th style="padding: 4px; color: #374151; font-weight: 600;">${formatSweepAxisValue(columnAxis, column)}</th>`).join('')}
+					</tr>
+				</thead>
+				<tbody>
+					${sweep.rows.map((row, rowIndex) => `
+					<tr>
+						<th style="padding: 4px; text-align: left; color: #374151; font-weight: 600; white-space: nowrap;">${formatSweepAxisValue(rowAxis, row)}</th>
+						${sweep.columns.map((column, columnIndex) => {
+							const value = sweep.cells[rowIndex][columnIndex];
+							const isCurrent = getSweepAxisCurrent(rowAxis) === row && getSweepAxisCurrent(columnAxis) === column;
+							return `<td class="sweep-cell" data-row="${rowIndex}" data-column="${columnIndex}" title="${formatSweepAxisValue(rowAxis, row)} × ${formatSweepAxisValue(columnAxis, column)}" style="padding: 6px 4px; text-align: center; cursor: pointer; background: ${sweepCellColor(metricKey, value, sweep.min, sweep.max)}; border: ${isCurrent ? '2px solid #1e40af' : '1px solid #fff'};">${formatSweepMetric(metricKey, value)}</td>`;
+						}).join('')}
+					</tr>
+					`).join('')}
+				</tbody>
+			</table>
+		</div>
+
+		<h3 style="margin: 24px 0 4px 0; font-size: 1rem;">${t('sweep.sensitivity')}</h3>
+		<p style="font-size: 0.8rem; color: #6b7280; margin-bottom: 12px;">${t('sweep.sensitivityText', {
+			metric: getSweepMetricLabel(metricKey),
+			value: `<strong>${formatSweepMetric(metricKey, sensitivity.base)}</strong>${sensitivity.baseVerdict ? ` (${t(`sweep.verdicts.${sensitivity.baseVerdict}`)})` : ''}`
+		})}</p>
+		<div style="display: flex; flex-direction: column; gap: 8px;">
+			${sensitivity.entries.map(entry => {
+				const left = toPercent(entry.low.value);
+				const right = toPercent(entry.high.value);
+				return `
+				<div style="display: grid; grid-template-columns: 120px 1fr; gap: 8px; align-items: center; font-size: 0.75rem;">
+					<span style="color: #374151; font-weight: 600;">${getSweepAxisLabel(entry.axis)}</span>
+					<div>
+						<div style="position: relative; height: 14px; background: #f3f4f6; border-radius: 3px;">
+							<div style="position: absolute; left: ${left}%; width: ${Math.max(0.5, right - left)}%; top: 0; bottom: 0; background: ${entry.verdictChanges ? '#ef4444' : '#3b82f6'}; border-radius: 3px;"></div>
+							<div style="position: absolute; left: ${toPercent(sensitivity.base)}%; top: -2px; bottom: -2px; width: 2px; background: #111827;"></div>
+						</div>
+						<div style="display: flex; justify-content: space-between; color: #6b7280; font-size: 0.65rem; margin-top: 2px;">
+							<span>${formatSweepAxisValue(entry.axis, entry.low.input)}: ${formatSweepMetric(metricKey, entry.low.value)}</span>
+							<span>${formatSweepAxisValue(entry.axis, entry.high.input)}: ${formatSweepMetric(metricKey, entry.high.value)}</span>
+						</div>
+					</div>
+				</div>
+				`;
+			}).join('')}
+		</div>
+	`;
+
+	const bindAxisSelect = (id, key) => {
+		panel.querySelector(`#${id}`).addEventListener('change', (e) => {
+			state.sweep[key] = validateString(e.target.value, axes, state.sweep[key]);
+		});
+	};
+	bindAxisSelect('sweepRowsSelect', 'rows');
+	bindAxisSelect('sweepColumnsSelect', 'columns');
+	panel.querySelector('#sweepMetricSelect').addEventListener('change', (e) => {
+		state.sweep.metric = validateString(e.target.value, Object.keys(SWEEP_METRICS), 'safetyFactor');
+	});
+
+	panel.querySelectorAll('.sweep-cell').forEach(cell => {
+		cell.addEventListener('click', () => {
+			const row = sweep.rows[Number(cell.getAttribute('data-row'))];
+			const column = sweep.columns[Number(cell.getAttribute('data-column'))];
+			applySweepSelection(rowAxis, row);
+			applySweepSelection(columnAxis, column);
+			addHistory(`Sweep: loaded ${formatSweepAxisValue(rowAxis, row)} × ${formatSweepAxisValue(columnAxis, column)}`);
+		});
+	});
+}
+
+export const sweepPanel = {
+	sections: [{
+		watch: ['sweep', 'params', 'laminate.layers', 'timeImpactDays', 'customMaterials', 'displayUnits', 'calibration.active'],
+		render: renderSweepPanel
+	}]
+};
@@ -0,0 +1,18 @@
+import { renderLaminateEditor, updateLaminateSummary } from '../laminate.js';
+
+function renderTapeMaterialPanel(panel) {
+	panel.innerHTML = `
+		<h2>Tape Selection</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">Stack backing layers into a laminate: set each layer's material, thickness and order. The adhesive sits on the last (contact) layer.</p>
+		<div data-laminate-editor></div>
+	`;
+	renderLaminateEditor(panel.querySelector('[data-laminate-editor]'));
+}
+
+export const tapeMaterialPanel = {
+	sections: [{
+		watch: ['laminate.layers', 'params.adhesive', 'params.thickness', 'customMaterials'],
+		render: renderTapeMaterialPanel,
+		live: { watch: ['params', 'timeImpactDays', 'displayUnits', 'calibration.active'], update: updateLaminateSummary }
+	}]
+};
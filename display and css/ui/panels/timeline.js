@@ -0,0 +1,191 @@
+import { calculatePropertyTimeline } from '../../math_reasoning.js';
+import { TIME_SLIDER_MAX, daysToSliderPosition, formatParam, formatTimeImpact, sliderPositionToDays } from '../format.js';
+import { formatNumber, t, translateData } from '../i18n.js';
+import { sanitizeHTML, sanitizeNumber } from '../security.js';
+import { state } from '../state.js';
+
+// ==================== PROPERTY TIMELINE ====================
+
+// Plotted as percentages; bond strength and wear share the time axis on two charts
+export const TIMELINE_SERIES = [
+	{ key: 'peelRetention', label: 'timeline.series.peelRetention', color: '#2563eb', chart: 'bond' },
+	{ key: 'holdRetention', label: 'timeline.series.holdRetention', color: '#7c3aed', chart: 'bond' },
+	{ key: 'stretchChange', label: 'timeline.series.stretchChange', color: '#059669', chart: 'wear' },
+	{ key: 'uvDegradation', label: 'timeline.series.uvDegradation', color: '#d97706', chart: 'wear' },
+	{ key: 'adhesiveResidue', label: 'timeline.series.adhesiveResidue', color: '#dc2626', chart: 'wear' }
+];
+
+export const TIMELINE_RISK_COLORS = { none: '#d1d5db', low: '#10b981', moderate: '#f59e0b', high: '#f97316', critical: '#ef4444' };
+
+export const TIMELINE_TICKS = [0, 1 / 24, 1, 3, 30, 90, 180, 366];
+
+// Short axis label for a tick ('1 h', '30 d')
+export function formatTimelineTick(days) {
+	if (days === 0) return formatNumber(0);
+	if (days < 1) return t('time.hours', { count: formatNumber(days * 24) });
+	return t('time.daysShort', { count: formatNumber(days) });
+}
+
+// calculatePropertyTimeline's crossing label in the UI's language
+export function describeTimelineCrossing(crossing) {
+	if (crossing.key === 'damageRisk') {
+		return t('timeline.crossings.damageRisk', { from: t(`common.risk.${crossing.from}`), to: t(`common.risk.${crossing.to}`) });
+	}
+	if (crossing.key === 'phase') return t(`timeline.crossings.phase.${crossing.phase === 'plateau' ? 'plateau' : 'degradation'}`);
+	return translateData(`timeline.crossings.${crossing.key}.${Math.round(crossing.value * 100)}.${crossing.rising ? 'rising' : 'falling'}`, crossing.label);
+}
+
+const TIMELINE_CHART = { width: 600, height: 150, left: 36, right: 8, top: 8, bottom: 20 };
+
+// Last rendered timeline, so the cursor can follow the slider without recalculating
+let timelineData = null;
+
+function timelineX(position) {
+	const { width, left, right } = TIMELINE_CHART;
+	return left + position / TIME_SLIDER_MAX * (width - left - right);
+}
+
+function timelineY(fraction) {
+	const { height, top, bottom } = TIMELINE_CHART;
+	return top + (1 - Math.min(1, Math.max(0, fraction))) * (height - top - bottom);
+}
+
+// One SVG line chart (x = slider position, y = 0-100%) with crossing markers and a cursor
+function renderTimelineChart(chartKey, points, crossings) {
+	const { width, height, left, right, top, bottom } = TIMELINE_CHART;
+	const series = TIMELINE_SERIES.filter(entry => entry.chart === chartKey);
+	const keys = series.map(entry => entry.key);
+
+	return `
+		<svg class="timeline-chart" viewBox="0 0 ${width} ${height}" style="width: 100%; height: auto; display: block; cursor: crosshair; background: #fff; border: 1px solid #e5e7eb; border-radius: 4px;">
+			${[0, 0.25, 0.5, 0.75, 1].map(fraction => `
+				<line x1="${left}" x2="${width - right}" y1="${timelineY(fraction)}" y2="${timelineY(fraction)}" stroke="#f3f4f6" />
+				<text x="${left - 4}" y="${timelineY(fraction) + 3}" font-size="9" fill="#9ca3af" text-anchor="end">${formatNumber(fraction * 100)}%</text>
+			`).join('')}
+			${TIMELINE_TICKS.map(days => `
+				<line x1="${timelineX(daysToSliderPosition(days))}" x2="${timelineX(daysToSliderPosition(days))}" y1="${top}" y2="${height - bottom}" stroke="#f3f4f6" />
+				<text x="${timelineX(daysToSliderPosition(days))}" y="${height - 6}" font-size="9" fill="#9ca3af" text-anchor="middle">${formatTimelineTick(days)}</text>
+			`).join('')}
+			${crossings.filter(crossing => keys.includes(crossing.key) || !TIMELINE_SERIES.some(entry => entry.key === crossing.key)).map(crossing => `
+				<line x1="${timelineX(crossing.index)}" x2="${timelineX(crossing.index)}" y1="${top}" y2="${height - bottom}" stroke="#9ca3af" stroke-dasharray="3 3" />
+				<circle cx="${timelineX(crossing.index)}" cy="${top + 5}" r="6" fill="#fff" stroke="#6b7280" />
+				<text x="${timelineX(crossing.index)}" y="${top + 8}" font-size="8" fill="#374151" text-anchor="middle">${crossings.indexOf(crossing) + 1}</text>
+			`).join('')}
+			${series.map(entry => `
+				<polyline fill="none" stroke="${entry.color}" stroke-width="1.5" points="${points.map((point, position) => `${timelineX(position).toFixed(1)},${timelineY(point[entry.key]).toFixed(1)}`).join(' ')}" />
+			`).join('')}
+			<line class="timeline-cursor" x1="0" x2="0" y1="${top}" y2="${height - bottom}" stroke="#111827" stroke-width="1.5" />
+		</svg>
+	`;
+}
+
+// Move the cursor lines and the readout to the slider position
+function updateTimelineCursor(panel) {
+	if (!timelineData) return;
+	const position = daysToSliderPosition(state.timeImpactDays || 0);
+	const x = timelineX(position);
+	panel.querySelectorAll('.timeline-cursor').forEach(line => {
+		line.setAttribute('x1', x);
+		line.setAttribute('x2', x);
+	});
+
+	const readout = panel.querySelector('#timelineReadout');
+	const point = timelineData.points[position];
+	if (!readout || !point) return;
+	readout.innerHTML = `
+		<strong>${formatTimeImpact(point.day)}</strong>
+		${TIMELINE_SERIES.map(entry => `<span style="color: ${entry.color};">${t(entry.label)} ${formatNumber(point[entry.key] * 100)}%</span>`).join(' · ')}
+		· <span>${t('timeline.damageRisk')} <strong style="color: ${TIMELINE_RISK_COLORS[point.damageRisk]};">${t(`common.risk.${point.damageRisk}`)}</strong></span>
+	`;
+}
+
+// Drive the real time slider so everything else (tint, Test Ground results) follows
+function seekTimeSlider(position) {
+	const slider = document.getElementById('timeSlider');
+	if (!slider) return;
+	slider.value = Math.round(sanitizeNumber(position, 0, TIME_SLIDER_MAX, 0));
+	slider.dispatchEvent(new Event('input'));
+	slider.dispatchEvent(new Event('change'));
+}
+
+// Property timeline panel: the current setup sampled at every slider position
+function renderTimelinePanel(panel) {
+	const timelineParams = { ...state.params, backing: state.params.tape };
+	const days = Array.from({ length: TIME_SLIDER_MAX + 1 }, (_, position) => sliderPositionToDays(position));
+	timelineData = calculatePropertyTimeline(timelineParams, days);
+	const { points, crossings } = timelineData;
+
+	// Merge consecutive samples with the same damage risk into bands
+	const riskBands = [];
+	points.forEach((point, position) => {
+		const last = riskBands[riskBands.length - 1];
+		if (last && last.risk === point.damageRisk) {
+			last.to = position;
+		} else {
+			riskBands.push({ risk: point.damageRisk, from: position, to: position });
+		}
+	});
+
+	panel.innerHTML = `
+		<h2>${t('timeline.title')}</h2>
+		<p style="font-size: 0.9rem; color: #6b7280; margin-bottom: 16px;">${t('timeline.subtitle', {
+			tape: sanitizeHTML(state.params.tape),
+			adhesive: sanitizeHTML(state.params.adhesive),
+			surface: sanitizeHTML(state.params.surface),
+			temperature: formatParam('temperature', state.params.temperature),
+			humidity: formatNumber(state.params.humidity)
+		})}</p>
+
+		<div style="display: flex; flex-wrap: wrap; gap: 12px; font-size: 0.75rem; margin-bottom: 8px;">
+			${TIMELINE_SERIES.map(entry => `<span><span style="display: inline-block; width: 12px; height: 3px; background: ${entry.color}; vertical-align: middle;"></span> ${t(entry.label)}</span>`).join('')}
+		</div>
+
+		<h3 style="font-size: 0.85rem; margin: 8px 0 4px 0; color: #374151;">${t('timeline.bondChart')}</h3>
+		${renderTimelineChart('bond', points, crossings)}
+
+		<h3 style="font-size: 0.85rem; margin: 12px 0 4px 0; color: #374151;">${t('timeline.wearChart')}</h3>
+		${renderTimelineChart('wear', points, crossings)}
+
+		<div style="position: relative; height: 12px; margin: 6px ${TIMELINE_CHART.right / TIMELINE_CHART.width * 100}% 0 ${TIMELINE_CHART.left / TIMELINE_CHART.width * 100}%; border-radius: 2px; overflow: hidden;" title="${t('timeline.riskOverTime')}">
+			${riskBands.map(band => `<div style="position: absolute; top: 0; bottom: 0; left: ${band.from / TIME_SLIDER_MAX * 100}%; width: ${Math.max(0.3, (band.to - band.from + 1) / TIME_SLIDER_MAX * 100)}%; background: ${TIMELINE_RISK_COLORS[band.risk]};"></div>`).join('')}
+		</div>
+		<div style="font-size: 0.7rem; color: #6b7280; text-align: center; margin-top: 2px;">${t('timeline.surfaceRisk')}</div>
+
+		<div id="timelineReadout" style="margin-top: 12px; padding: 8px 10px; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 4px; font-size: 0.75rem; line-height: 1.6;"></div>
+
+		<h3 style="font-size: 0.9rem; margin: 16px 0 8px 0;">${t('timeline.crossingsTitle')}</h3>
+		${crossings.length === 0 ? `<p style="font-size: 0.8rem; color: #6b7280;">${t('timeline.noCrossings')}</p>` : `
+		<div style="display: flex; flex-direction: column; gap: 4px;">
+			${crossings.map((crossing, i) => `
+				<button class="timeline-crossing" data-position="${crossing.index}" style="display: flex; gap: 8px; align-items: center; text-align: left; padding: 6px 8px; border: 1px solid #e5e7eb; background: #fff; border-radius: 4px; font-size: 0.75rem; cursor: pointer;">
+					<span style="display: inline-block; min-width: 18px; height: 18px; line-height: 18px; border-radius: 50%; border: 1px solid #6b7280; text-align: center; font-size: 0.65rem;">${i + 1}</span>
+					<span style="min-width: 56px; font-weight: 600;">${formatTimeImpact(crossing.day)}</span>
+					<span>${sanitizeHTML(describeTimelineCrossing(crossing))}</span>
+				</button>
+			`).join('')}
+		</div>
+		`}
+	`;
+
+	panel.querySelectorAll('.timeline-chart').forEach(chart => {
+		chart.addEventListener('click', (e) => {
+			const rect = chart.getBoundingClientRect();
+			const x = (e.clientX - rect.left) / rect.width * TIMELINE_CHART.width;
+			const plotWidth = TIMELINE_CHART.width - TIMELINE_CHART.left - TIMELINE_CHART.right;
+			seekTimeSlider((x - TIMELINE_CHART.left) / plotWidth * TIME_SLIDER_MAX);
+		});
+	});
+	panel.querySelectorAll('.timeline-crossing').forEach(btn => {
+		btn.addEventListener('click', () => seekTimeSlider(Number(btn.getAttribute('data-position'))));
+	});
+
+	updateTimelineCursor(panel);
+}
+
+export const timelinePanel = {
+	sections: [{
+		watch: ['params', 'customMaterials', 'calibration.active'],
+		render: renderTimelinePanel,
+		live: { watch: ['timeImpactDays'], update: updateTimelineCursor }
+	}]
+};
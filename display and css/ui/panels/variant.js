@@ -0,0 +1,149 @@
+import { calculateLaminateProperties, calculateSurfaceDamageRisk } from '../../math_reasoning.js';
+import { getEnvironmentText, surfaceMaterials } from '../catalog.js';
+import { formatParam, formatSI } from '../format.js';
+import { formatNumber, t } from '../i18n.js';
+import { describeLaminate, getLaminateParams } from '../laminate.js';
+import { state } from '../state.js';
+
+function renderVariantPanel(panel) {
+	const varLayers = state.laminate.layers;
+
+	if (varLayers.length < 2) {
+		panel.innerHTML = `
+			<h2>${t('variant.emptyTitle')}</h2>
+			<p style="color: #6b7280; font-size: 0.95rem;">${t('variant.emptyText')}</p>
+		`;
+	} else {
+		// Calculate laminate properties
+		const varParams = getLaminateParams({ ...state.params, timeImpactDays: state.timeImpactDays }, varLayers);
+		const mixedProps = calculateLaminateProperties(varParams);
+
+		// Calculate surface risks for all surfaces
+		const surfaces = surfaceMaterials.map(mat => mat.name);
+		const surfaceRisks = surfaces.map(surf => {
+			const risk = calculateSurfaceDamageRisk({
+				...varParams,
+				surface: surf,
+				width: state.params.width,
+				height: state.params.height
+			});
+			return { surface: surf, risk };
+		}).filter(item => item.risk);
+
+		// Group by risk level
+		const criticalSurfaces = surfaceRisks.filter(s => s.risk.damageRisk === 'critical');
+		const highSurfaces = surfaceRisks.filter(s => s.risk.damageRisk === 'high');
+		const moderateSurfaces = surfaceRisks.filter(s => s.risk.damageRisk === 'moderate');
+		const lowSurfaces = surfaceRisks.filter(s => s.risk.damageRisk === 'low');
+		const safeSurfaces = surfaceRisks.filter(s => !s.risk.canDamage);
+
+		panel.innerHTML = `
+			<h2>${t('variant.title')}</h2>
+			<p style="font-size: 0.85rem; color: #6b7280; margin-bottom: 16px;">${t('dimensions.laminate')}: ${describeLaminate(varLayers)}</p>
+
+			<div style="background: #eff6ff; border: 2px solid #bfdbfe; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
+				<h3 style="margin: 0 0 12px 0; font-size: 0.95rem; color: #1e40af;">📊 ${t('variant.configuration')}</h3>
+				<div style="font-size: 0.8rem; line-height: 1.7; color: #1e3a8a;">
+					<div><strong>${t('variant.dimensions')}:</strong> ${t('variant.dimensionsValue', { width: formatParam('width', state.params.width), height: formatParam('height', state.params.height), length: formatParam('tapeLength', state.params.tapeLength || 1000) })}</div>
+					<div><strong>${t('variant.adhesive')}:</strong> ${t('variant.adhesiveValue', { adhesive: state.params.adhesive, thickness: formatParam('thickness', state.params.thickness) })}</div>
+					<div><strong>${t('variant.environment')}:</strong> ${t('conditions.environmentValue', { name: getEnvironmentText(state.params.environment).name, temperature: formatParam('temperature', state.params.temperature), humidity: formatNumber(state.params.humidity) })}</div>
+				</div>
+			</div>
+
+			<div style="background: #fef3c7; border: 2px solid #fbbf24; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
+				<h3 style="margin: 0 0 12px 0; font-size: 0.95rem; color: #92400e;">⚡ ${t('variant.metrics')}</h3>
+				<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; font-size: 0.8rem;">
+					<div style="padding: 6px 8px; background: rgba(255,255,255,0.5); border-radius: 4px;">
+						<div style="color: #78350f;">${t('laminate.peel')}</div>
+						<strong>${formatSI(mixedProps.peel, 'forcePerWidth')}</strong>
+					</div>
+					<div style="padding: 6px 8px; background: rgba(255,255,255,0.5); border-radius: 4px;">
+						<div style="color: #78350f;">${t('laminate.hold')}</div>
+						<strong>${formatSI(mixedProps.hold, 'stress')}</strong>
+					</div>
+					<div style="padding: 6px 8px; background: rgba(255,255,255,0.5); border-radius: 4px;">
+						<div style="color: #78350f;">${t('laminate.stretch')}</div>
+						<strong>${mixedProps.stretch === null ? t('variant.notAvailable') : `${formatNumber(mixedProps.stretch, 1)}%`}</strong>
+					</div>
+					<div style="padding: 6px 8px; background: rgba(255,255,255,0.5); border-radius: 4px;">
+						<div style="color: #78350f;">${t('variant.thickness')}</div>
+						<strong>${formatSI(mixedProps.totalThickness, 'length')}</strong>
+					</div>
+				</div>
+			</div>
+
+			${mixedProps.layers.length > 0 ? `
+			<div style="background: #fff; border: 2px solid #e5e7eb; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
+				<h3 style="margin: 0 0 12px 0; font-size: 0.95rem; color: #1f2937;">🧱 ${t('variant.layerStack')}</h3>
+				<table style="width: 100%; border-collapse: collapse; font-size: 0.75rem;">
+					<thead>
+						<tr style="color: #6b7280; text-align: left;">
+							<th style="padding: 4px;">${t('variant.layer')}</th>
+							<th style="padding: 4px;">${t('variant.thickness')}</th>
+							<th style="padding: 4px;">${t('laminate.stretch')}</th>
+							<th style="padding: 4px;">${t('variant.stiffnessShare')}</th>
+						</tr>
+					</thead>
+					<tbody>
+						${mixedProps.layers.map((layer, index) => `
+						<tr style="border-top: 1px solid #f3f4f6;">
+							<td style="padding: 4px;"><strong>${layer.material}</strong>${index === mixedProps.layers.length - 1 ? ` ${t('variant.contact')}` : ''}</td>
+							<td style="padding: 4px;">${formatSI(layer.thickness, 'length')}</td>
+							<td style="padding: 4px;">${formatNumber(layer.stretch, 1)}%</td>
+							<td style="padding: 4px;">
+								<div style="display: flex; align-items: center; gap: 6px;">
+									<div style="flex: 1; height: 6px; background: #f3f4f6; border-radius: 3px;"><div style="width: ${(layer.stiffnessShare * 100).toFixed(0)}%; height: 100%; background: #f59e0b; border-radius: 3px;"></div></div>
+									${(layer.stiffnessShare * 100).toFixed(0)}%
+								</div>
+							</td>
+						</tr>
+						`).join('')}
+					</tbody>
+				</table>
+				<div style="font-size: 0.7rem; color: #6b7280; margin-top: 8px;">${t('variant.stackNote')}</div>
+			</div>
+			` : ''}
+
+			<div style="background: #f9fafb; border: 2px solid #e5e7eb; border-radius: 8px; padding: 16px;">
+				<h3 style="margin: 0 0 12px 0; font-size: 0.95rem; color: #1f2937;">⚠️ ${t('variant.surfaceRisk')}</h3>
+
+				${criticalSurfaces.length > 0 ? `
+				<div style="margin-bottom: 10px; padding: 8px; background: #fef2f2; border-left: 3px solid #f87171; border-radius: 4px;">
+					<div style="font-size: 0.75rem; font-weight: 600; color: #991b1b; margin-bottom: 4px;">🔴 ${t('variant.riskGroups.critical')}</div>
+					<div style="font-size: 0.7rem; color: #7f1d1d;">${criticalSurfaces.map(s => s.surface).join(', ')}</div>
+				</div>` : ''}
+
+				${highSurfaces.length > 0 ? `
+				<div style="margin-bottom: 10px; padding: 8px; background: #fef2f2; border-left: 3px solid #fca5a5; border-radius: 4px;">
+					<div style="font-size: 0.75rem; font-weight: 600; color: #991b1b; margin-bottom: 4px;">🟠 ${t('variant.riskGroups.high')}</div>
+					<div style="font-size: 0.7rem; color: #7f1d1d;">${highSurfaces.map(s => s.surface).join(', ')}</div>
+				</div>` : ''}
+
+				${moderateSurfaces.length > 0 ? `
+				<div style="margin-bottom: 10px; padding: 8px; background: #fffbeb; border-left: 3px solid #fbbf24; border-radius: 4px;">
+					<div style="font-size: 0.75rem; font-weight: 600; color: #92400e; margin-bottom: 4px;">🟡 ${t('variant.riskGroups.moderate')}</div>
+					<div style="font-size: 0.7rem; color: #78350f;">${moderateSurfaces.map(s => s.surface).join(', ')}</div>
+				</div>` : ''}
+
+				${lowSurfaces.length > 0 ? `
+				<div style="margin-bottom: 10px; padding: 8px; background: #f0fdf4; border-left: 3px solid #86efac; border-radius: 4px;">
+					<div style="font-size: 0.75rem; font-weight: 600; color: #166534; margin-bottom: 4px;">🟢 ${t('variant.riskGroups.low')}</div>
+					<div style="font-size: 0.7rem; color: #15803d;">${lowSurfaces.map(s => s.surface).join(', ')}</div>
+				</div>` : ''}
+
+				${safeSurfaces.length > 0 ? `
+				<div style="padding: 8px; background: #f0fdf4; border-left: 3px solid #22c55e; border-radius: 4px;">
+					<div style="font-size: 0.75rem; font-weight: 600; color: #166534; margin-bottom: 4px;">✅ ${t('variant.riskGroups.safe')}</div>
+					<div style="font-size: 0.7rem; color: #15803d;">${t('variant.safeSurfaces', { surfaces: safeSurfaces.map(s => s.surface).join(', ') })}</div>
+				</div>` : ''}
+			</div>
+		`;
+	}
+}
+
+export const variantPanel = {
+	sections: [{
+		watch: ['params', 'laminate.layers', 'timeImpactDays', 'customMaterials', 'displayUnits', 'calibration.active'],
+		render: renderVariantPanel
+	}]
+};
@@ -0,0 +1,301 @@
+import { fromSI, simulatePeelTrace } from '../math_reasoning.js';
+import { formatForce, formatLength, formatParam, getForceUnit, getInputUnit } from './format.js';
+import { formatNumber, t } from './i18n.js';
+import { state, store } from './state.js';
+import { getTapeFootprint } from './surface_damage.js';
+
+// ==================== PEEL SIMULATION ====================
+// A peel test plays the peel itself: the tape lifts off the surface image as the front runs down
+// the bonded length, and the force along the arm is traced live (stick-slip sawtooth included).
+// Play auto-runs it; the scrubber or dragging on the tape moves the front by hand. The front
+// stops where the surface tears or the backing snaps, and the sign shows once it gets there.
+
+const PEEL_PLAY_DURATION = 3000; // ms to run the full bonded length
+
+const PEEL_CHART = { width: 320, height: 130, left: 34, right: 8, top: 8, bottom: 20 };
+
+
+const PEEL_TAPE_COLORS = { face: 'rgba(236, 226, 196, 0.93)', back: 'rgba(212, 198, 158, 0.96)', edge: 'rgba(120, 100, 60, 0.6)' };
+
+// Running peel: { params, trace, yMax, distance (m), playing, frame, lastTime, completed, onComplete }
+let simulation = null;
+
+let dragging = false;
+
+function peelChartX(distance) {
+	const { width, left, right } = PEEL_CHART;
+	return left + distance / simulation.trace.length * (width - left - right);
+}
+
+function peelChartY(force) {
+	const { height, top, bottom } = PEEL_CHART;
+	return top + (1 - Math.min(1, Math.max(0, force / simulation.yMax))) * (height - top - bottom);
+}
+
+// Trace points up to `distance`, ending on the interpolated force at the front
+function traceUpTo(distance) {
+	const { points } = simulation.trace;
+	const shown = [];
+	for (let i = 0; i < points.length; i++) {
+		const point = points[i];
+		if (point.distance <= distance) {
+			shown.push(point);
+			continue;
+		}
+		const previous = points[i - 1];
+		const share = (distance - previous.distance) / (point.distance - previous.distance);
+		shown.push({ distance, force: previous.force + (point.force - previous.force) * share });
+		break;
+	}
+	return shown;
+}
+
+const toPolyline = (points) => points.map(point => `${peelChartX(point.distance).toFixed(1)},${peelChartY(point.force).toFixed(1)}`).join(' ');
+
+// Force-distance chart: the predicted trace in grey, the live trace in blue, the limits dashed
+function renderPeelChart() {
+	const { width, height, left, right } = PEEL_CHART;
+	const { trace, yMax } = simulation;
+	const forceUnit = getForceUnit();
+	const lengthUnit = getInputUnit('width');
+	const limits = [
+		{ load: trace.surfaceTearLoad, label: t('peel.chartSurfaceTears'), color: '#dc2626' },
+		{ load: trace.breakingLoad, label: t('peel.chartBackingBreaks'), color: '#ea580c' }
+	].filter(limit => Number.isFinite(limit.load) && limit.load <= yMax);
+
+	return `
+		<svg viewBox="0 0 ${width} ${height}" style="width: 100%; height: auto; display: block; background: #fff; border: 1px solid #e5e7eb; border-radius: 4px;">
+			${[0, 0.25, 0.5, 0.75, 1].map(fraction => `
+				<line x1="${left}" x2="${width - right}" y1="${peelChartY(fraction * yMax)}" y2="${peelChartY(fraction * yMax)}" stroke="#f3f4f6" />
+				<text x="${left - 4}" y="${peelChartY(fraction * yMax) + 3}" font-size="9" fill="#9ca3af" text-anchor="end">${formatNumber(fromSI(fraction * yMax, forceUnit), fromSI(yMax, forceUnit) < 10 ? 1 : 0)}${fraction === 1 ? ` ${forceUnit}` : ''}</text>
+			`).join('')}
+			${[0, 0.25, 0.5, 0.75, 1].map(fraction => `
+				<text x="${peelChartX(fraction * trace.length)}" y="${height - 6}" font-size="9" fill="#9ca3af" text-anchor="${fraction === 1 ? 'end' : 'middle'}">${formatNumber(fromSI(fraction * trace.length, lengthUnit), lengthUnit === 'in' ? 1 : 0)}${fraction === 1 ? ` ${lengthUnit}` : ''}</text>
+			`).join('')}
+			${limits.map(limit => `
+				<line x1="${left}" x2="${width - right}" y1="${peelChartY(limit.load)}" y2="${peelChartY(limit.load)}" stroke="${limit.color}" stroke-dasharray="4 3" />
+				<text x="${width - right - 2}" y="${peelChartY(limit.load) - 3}" font-size="8" fill="${limit.color}" text-anchor="end">${limit.label}</text>
+			`).join('')}
+			<polyline fill="none" stroke="#d1d5db" stroke-width="1" points="${toPolyline(trace.points)}" />
+			<polyline class="peel-live" fill="none" stroke="#2563eb" stroke-width="1.5" points="" />
+			<circle class="peel-cursor" r="3" fill="#2563eb" cx="${left}" cy="${peelChartY(0)}" />
+		</svg>
+	`;
+}
+
+// The tape on the surface: the bonded part below the front, the peeled arm as seen from above
+// (foreshortened by the peel angle: at 180° it lies back over the bonded part, at 90° it stands up)
+function drawPeelTape() {
+	const canvas = document.getElementById('previewPeelCanvas');
+	const surfaceImage = document.getElementById('previewSurfaceImage');
+	if (!canvas || !surfaceImage) return;
+
+	const width = surfaceImage.clientWidth;
+	const height = surfaceImage.clientHeight;
+	const scale = window.devicePixelRatio || 1;
+	if (canvas.width !== Math.round(width * scale) || canvas.height !== Math.round(height * scale)) {
+		canvas.width = Math.round(width * scale);
+		canvas.height = Math.round(height * scale);
+	}
+	const ctx = canvas.getContext('2d');
+	ctx.setTransform(scale, 0, 0, scale, 0, 0);
+	ctx.clearRect(0, 0, width, height);
+
+	const { trace, distance, params } = simulation;
+	// Peeled all the way: the tape is off and only the marks are left
+	if (distance >= trace.length) return;
+
+	const footprint = getTapeFootprint(width, height, params);
+	const peeled = footprint.h * distance / trace.length;
+	const frontY = footprint.y + peeled;
+
+	ctx.fillStyle = PEEL_TAPE_COLORS.face;
+	ctx.fillRect(footprint.x, frontY, footprint.w, footprint.y + footprint.h - frontY);
+	ctx.strokeStyle = PEEL_TAPE_COLORS.edge;
+	ctx.lineWidth = 1;
+	ctx.strokeRect(footprint.x + 0.5, frontY + 0.5, footprint.w - 1, footprint.y + footprint.h - frontY - 1);
+
+	if (peeled > 0) {
+		const reach = -peeled * Math.cos((params.peelAngle ?? 180) * Math.PI / 180);
+		const armTop = Math.min(frontY, frontY + reach);
+		const armHeight = Math.max(2, Math.abs(reach));
+		ctx.fillStyle = 'rgba(0, 0, 0, 0.18)';
+		ctx.fillRect(footprint.x + 3, armTop + 3, footprint.w, armHeight);
+		ctx.fillStyle = PEEL_TAPE_COLORS.back;
+		ctx.fillRect(footprint.x, armTop, footprint.w, armHeight);
+		ctx.strokeStyle = PEEL_TAPE_COLORS.edge;
+		ctx.strokeRect(footprint.x + 0.5, armTop + 0.5, footprint.w - 1, armHeight - 1);
+	}
+
+	// Peel front (red once it has stopped on a tear or a snap)
+	const stuck = trace.outcome !== 'clean' && distance >= trace.stopDistance;
+	ctx.strokeStyle = stuck ? '#dc2626' : 'rgba(60, 50, 30, 0.85)';
+	ctx.lineWidth = stuck ? 3 : 2;
+	ctx.beginPath();
+	ctx.moveTo(footprint.x, frontY);
+	ctx.lineTo(footprint.x + footprint.w, frontY);
+	ctx.stroke();
+}
+
+// Bring the tape, chart, scrubber and readout to the current front position
+function updatePeel() {
+	const widget = document.getElementById('peelSimulation');
+	if (!simulation || !widget) return;
+	const { trace, distance } = simulation;
+
+	const shown = traceUpTo(distance);
+	const current = shown[shown.length - 1];
+	widget.querySelector('.peel-live')?.setAttribute('points', toPolyline(shown));
+	const cursor = widget.querySelector('.peel-cursor');
+	if (cursor) {
+		cursor.setAttribute('cx', peelChartX(current.distance).toFixed(1));
+		cursor.setAttribute('cy', peelChartY(current.force).toFixed(1));
+	}
+
+	const scrubber = widget.querySelector('#peelScrubber');
+	if (scrubber) scrubber.value = Math.round(distance / trace.length * 1000);
+	const playButton = widget.querySelector('#peelPlayBtn');
+	if (playButton) playButton.textContent = simulation.playing ? '⏸' : '▶';
+
+	const atStop = distance >= trace.stopDistance;
+	let status = simulation.playing ? t('peel.peeling') : t('peel.dragHint');
+	if (atStop) status = trace.outcome === 'clean' ? t('peel.peeledClean') : t(`peel.stopped.${trace.outcome}`, { distance: formatLength(trace.stopDistance, 1) });
+	const readout = widget.querySelector('#peelReadout');
+	// Past a tear or snap the trace drops to zero; the readout keeps the load that did it
+	const force = atStop && trace.outcome !== 'clean' ? Math.min(trace.surfaceTearLoad, trace.breakingLoad) : current.force;
+	if (readout) readout.innerHTML = `<strong>${formatLength(distance, 1)} · ${formatForce(force)}</strong> · <span style="color: ${atStop && trace.outcome !== 'clean' ? '#dc2626' : '#6b7280'};">${status}</span>`;
+
+	drawPeelTape();
+
+	if (atStop && !simulation.completed) {
+		simulation.completed = true;
+		simulation.onComplete?.();
+	}
+}
+
+function stepPeel(now) {
+	if (!simulation?.playing) return;
+	const elapsed = simulation.lastTime === null ? 0 : now - simulation.lastTime;
+	simulation.lastTime = now;
+	simulation.distance = Math.min(simulation.trace.stopDistance, simulation.distance + simulation.trace.length * elapsed / PEEL_PLAY_DURATION);
+	if (simulation.distance >= simulation.trace.stopDistance) simulation.playing = false;
+	updatePeel();
+	if (simulation.playing) simulation.frame = requestAnimationFrame(stepPeel);
+}
+
+function playPeel() {
+	if (!simulation) return;
+	if (simulation.distance >= simulation.trace.stopDistance) simulation.distance = 0;
+	simulation.playing = true;
+	simulation.lastTime = null;
+	cancelAnimationFrame(simulation.frame);
+	simulation.frame = requestAnimationFrame(stepPeel);
+}
+
+function pausePeel() {
+	if (!simulation) return;
+	simulation.playing = false;
+	cancelAnimationFrame(simulation.frame);
+}
+
+// Move the front by hand (it cannot pass the point where the peel stops)
+function seekPeel(distance) {
+	if (!simulation) return;
+	pausePeel();
+	simulation.distance = Math.min(simulation.trace.stopDistance, Math.max(0, distance));
+	updatePeel();
+}
+
+// Front position under a pointer on the tape canvas
+function pointerToDistance(event) {
+	const canvas = event.currentTarget;
+	const rect = canvas.getBoundingClientRect();
+	const footprint = getTapeFootprint(canvas.clientWidth, canvas.clientHeight, simulation.params);
+	const y = event.clientY - rect.top - canvas.clientTop;
+	return (y - footprint.y) / footprint.h * simulation.trace.length;
+}
+
+/**
+ * Start the peel animation for a Test Ground peel
+ * @param {Object} params - Test Ground peel parameters
+ * @param {Object} peelOutcome - calculatePeelOutcome result for the same params
+ * @param {Function} [onComplete] - Runs once, when the front first reaches the end or the stop point
+ */
+export function startPeelSimulation(params, peelOutcome, onComplete) {
+	const widget = document.getElementById('peelSimulation');
+	const canvas = document.getElementById('previewPeelCanvas');
+	if (!widget || !canvas) {
+		onComplete?.();
+		return;
+	}
+	if (simulation) pausePeel();
+
+	const trace = simulatePeelTrace(params, peelOutcome);
+	const peak = Math.max(...trace.points.map(point => point.force), 0.1);
+	// Show a limit line when it is within reach of the trace
+	const nearLimits = [trace.surfaceTearLoad, trace.breakingLoad].filter(load => Number.isFinite(load) && load <= peak * 1.6);
+	simulation = { params, trace, yMax: Math.max(peak, ...nearLimits) * 1.1, distance: 0, playing: false, frame: null, lastTime: null, completed: false, onComplete };
+
+	widget.innerHTML = `
+		<div style="display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 6px;">
+			<h3>〰️ ${t('peel.title')}</h3>
+			<span style="font-size: 0.7rem; color: #6b7280;">${t('peel.angleAtRate', { angle: params.peelAngle ?? 180, rate: formatParam('peelRate', params.peelRate ?? 300) })}${trace.stickSlip >= 0.15 ? ` · ${t('peel.stickSlip', { percent: formatNumber(trace.stickSlip * 100) })}` : ''}</span>
+		</div>
+		${renderPeelChart()}
+		<div style="display: flex; align-items: center; gap: 8px; margin-top: 6px;">
+			<button id="peelPlayBtn" title="${t('peel.playPause')}" style="width: 28px; height: 24px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;">▶</button>
+			<input type="range" id="peelScrubber" min="0" max="1000" step="1" value="0" style="flex: 1;" aria-label="${t('peel.frontPosition')}" />
+		</div>
+		<div id="peelReadout" style="font-size: 0.75rem; color: #374151; margin-top: 4px;"></div>
+	`;
+	widget.querySelector('#peelPlayBtn').addEventListener('click', () => (simulation?.playing ? pausePeel() : playPeel()));
+	const scrubber = widget.querySelector('#peelScrubber');
+	scrubber.addEventListener('input', () => seekPeel(Number(scrubber.value) / 1000 * trace.length));
+
+	widget.classList.add('visible');
+	canvas.classList.add('visible', 'active');
+	updatePeel();
+	playPeel();
+}
+
+// True while the peel plays by itself (not once it has stopped, been paused or been dragged)
+export function isPeelPlaying() {
+	return !!simulation?.playing;
+}
+
+// Put the peel away (hang test, another surface, Test Ground closed)
+export function stopPeelSimulation() {
+	if (!simulation) return;
+	pausePeel();
+	simulation = null;
+	document.getElementById('peelSimulation')?.classList.remove('visible');
+	const canvas = document.getElementById('previewPeelCanvas');
+	if (canvas) {
+		canvas.classList.remove('visible', 'active');
+		canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+	}
+}
+
+export function initPeelSimulation() {
+	const canvas = document.getElementById('previewPeelCanvas');
+	if (canvas) {
+		canvas.addEventListener('pointerdown', (e) => {
+			if (!simulation) return;
+			dragging = true;
+			canvas.setPointerCapture(e.pointerId);
+			seekPeel(pointerToDistance(e));
+		});
+		canvas.addEventListener('pointermove', (e) => {
+			if (dragging && simulation) seekPeel(pointerToDistance(e));
+		});
+		const endDrag = () => {
+			dragging = false;
+		};
+		canvas.addEventListener('pointerup', endDrag);
+		canvas.addEventListener('pointercancel', endDrag);
+	}
+
+	store.subscribe(['previewMode', 'params.surface'], () => {
+		if (simulation && (!state.previewMode || state.params.surface !== simulation.params.surface)) stopPeelSimulation();
+	});
+}
@@ -0,0 +1,318 @@
+import { TAPE_MODES, calculateTapeYellowTint } from '../math_reasoning.js';
+import { getAdhesiveOptions, getEnvironmentText, regularTapeOptions, surfaceMaterials, tapeMaterials } from './catalog.js';
+import { PEEL_RATE_PRESETS, bindFaceControls, bindPeelControls } from './controls.js';
+import { copyScenarioLink } from './experiments.js';
+import { formatParam, fromInputValue, getInputUnit, paramInputAttrs, toInputValue } from './format.js';
+import { addHistory } from './history.js';
+import { formatNumber, t } from './i18n.js';
+import { generateTestGroundReport } from './lab_report.js';
+import { describeLaminate } from './laminate.js';
+import { sanitizeNumber, validateString } from './security.js';
+import { state, store } from './state.js';
+
+// Function to update playground background based on environment
+function updatePlaygroundBackground(environment) {
+	const background = document.getElementById('playgroundBackground');
+	if (!background) return;
+
+	const imageMap = {
+		'Humid': './images/Humid.jpg',
+		'Tropical': './images/Tropical.jpg',
+		'Semiarid': './images/Semiarid.jpg',
+		'Arid': './images/Arid.jpg',
+		'Dry': './images/Dry.jpg'
+	};
+
+	const imagePath = imageMap[environment];
+	if (imagePath) {
+		background.style.backgroundImage = `url('${imagePath}')`;
+		background.classList.add('visible');
+	} else {
+		background.classList.remove('visible');
+	}
+}
+
+// Function to update preview surface image based on selected surface
+function updatePreviewSurfaceImage() {
+	const previewImage = document.getElementById('previewSurfaceImage');
+	if (!previewImage) return;
+
+	// Find the selected surface material
+	const selectedSurface = surfaceMaterials.find(mat => mat.name === state.params.surface);
+	if (selectedSurface && selectedSurface.image) {
+		previewImage.src = selectedSurface.image;
+		previewImage.classList.add('visible');
+	} else {
+		previewImage.classList.remove('visible');
+	}
+}
+
+// Function to hide preview surface image
+function hidePreviewSurfaceImage() {
+	const previewImage = document.getElementById('previewSurfaceImage');
+	if (previewImage) {
+		previewImage.classList.remove('visible');
+	}
+}
+
+// Function to update test conditions display
+function updateTestConditionsDisplay() {
+	const conditionsDisplay = document.getElementById('testConditionsDisplay');
+	if (!conditionsDisplay) return;
+
+	// Check if variant tape is active
+	const laminateLayers = state.laminate.layers;
+	const isVariant = laminateLayers.length > 1;
+
+	// Get surface info
+	const surfaceInfo = surfaceMaterials.find(s => s.name === state.params.surface);
+
+	// Get environment info
+	const envText = getEnvironmentText(state.params.environment);
+
+	conditionsDisplay.innerHTML = `
+		<h3>📊 ${t('conditions.title')}</h3>
+		<div class="condition-item">
+			<strong>${t('conditions.tape')}:</strong> ${isVariant ? `${describeLaminate(laminateLayers)} (${t('conditions.variant')})` : state.params.tape}
+		</div>
+		<div class="condition-item">
+			<strong>${t('conditions.surface')}:</strong> ${state.params.surface}
+			${surfaceInfo?.description ? `<div class="condition-desc">${surfaceInfo.description}</div>` : ''}
+		</div>
+		<div class="condition-item">
+			<strong>${t('conditions.environment')}:</strong> ${t('conditions.environmentValue', { name: envText.name, temperature: formatParam('temperature', state.params.temperature), humidity: formatNumber(state.params.humidity) })}
+			${envText.description ? `<div class="condition-desc">${envText.description}</div>` : ''}
+		</div>
+		<div class="condition-item">
+			<strong>${t('conditions.adhesive')}:</strong> ${t('conditions.adhesiveLayer', { adhesive: state.params.adhesive, thickness: formatParam('thickness', state.params.thickness) })}
+		</div>
+		<div class="condition-item">
+			<strong>${t('conditions.test')}:</strong>
+			<select id="testModeSelect" style="width: 100%; font-size: 0.75rem;">
+				<option value="peel" ${state.params.testMode !== 'hang' ? 'selected' : ''}>${t('conditions.peelTest')}</option>
+				<option value="hang" ${state.params.testMode === 'hang' ? 'selected' : ''}>${t('conditions.hangTest')}</option>
+			</select>
+		</div>
+		${state.params.testMode === 'hang' ? `
+		<div class="condition-item">
+			<strong>${t('conditions.hangingMass')} (${getInputUnit('hangMass')}):</strong>
+			<input type="number" id="hangMassInput" ${paramInputAttrs('hangMass', state.params.hangMass, { min: 1, max: 50000, step: 50 })} style="width: 100%; font-size: 0.75rem;" />
+			<div class="condition-desc">${t('conditions.overlap', { width: formatParam('width', state.params.width), height: formatParam('height', state.params.height) })}</div>
+		</div>
+		` : `
+		<div class="condition-item">
+			<strong>${t('conditions.peel')}:</strong>
+			<label style="display: flex; align-items: center; gap: 6px;">
+				<input type="range" data-peel-param="peelAngle" min="5" max="180" step="5" value="${state.params.peelAngle}" style="flex: 1;" />
+				<span id="testPeelAngleValue">${state.params.peelAngle}°</span>
+			</label>
+			<select data-peel-param="peelRate" style="width: 100%; margin-top: 4px; font-size: 0.75rem;">
+				${PEEL_RATE_PRESETS.some(preset => preset.rate === state.params.peelRate) ? '' : `<option value="${state.params.peelRate}" selected>${formatParam('peelRate', state.params.peelRate)}</option>`}
+				${PEEL_RATE_PRESETS.map(preset => `<option value="${preset.rate}" ${state.params.peelRate === preset.rate ? 'selected' : ''}>${t(`controls.peelRatePresets.${preset.key}`)} (${formatParam('peelRate', preset.rate)})</option>`).join('')}
+			</select>
+		</div>
+		<div class="condition-item">
+			<strong>${t('conditions.construction')}:</strong>
+			<select data-face-param="tapeMode" style="width: 100%; font-size: 0.75rem;">
+				${Object.entries(TAPE_MODES).map(([key, mode]) => `<option value="${key}" ${state.params.tapeMode === key ? 'selected' : ''}>${t(`controls.tapeModes.${key}`)}</option>`).join('')}
+			</select>
+			${state.params.tapeMode !== 'single' ? `
+			<select data-face-param="surfaceB" title="${t('controls.faceBSurface')}" style="width: 100%; margin-top: 4px; font-size: 0.75rem;">
+				${surfaceMaterials.map(mat => `<option value="${mat.name}" ${state.params.surfaceB === mat.name ? 'selected' : ''}>${t('conditions.faceBOn', { surface: mat.name })}</option>`).join('')}
+			</select>
+			${state.params.tapeMode === 'double-sided' ? `
+			<select data-face-param="adhesiveB" title="${t('controls.faceBAdhesive')}" style="width: 100%; margin-top: 4px; font-size: 0.75rem;">
+				${getAdhesiveOptions().map(name => `<option value="${name}" ${state.params.adhesiveB === name ? 'selected' : ''}>${t('conditions.faceBAdhesive', { adhesive: name, thickness: formatParam('thickness', state.params.thicknessB) })}</option>`).join('')}
+			</select>
+			` : ''}
+			` : ''}
+		</div>
+		`}
+		<button id="shareScenarioBtn" style="width: 100%; padding: 6px; margin-top: 4px; border: 1px solid #93c5fd; background: #fff; color: #1e40af; border-radius: 4px; font-size: 0.75rem; cursor: pointer;">🔗 ${t('conditions.copyLink')}</button>
+		<button id="generateReportBtn" style="width: 100%; padding: 6px; margin-top: 4px; border: 1px solid #93c5fd; background: #fff; color: #1e40af; border-radius: 4px; font-size: 0.75rem; cursor: pointer;">📄 ${t('conditions.generateReport')}</button>
+		<div class="condition-summary">
+			${state.params.testMode !== 'hang' && state.params.tapeMode !== 'single' ?
+				`${t('conditions.summaryJoint', { adhesiveA: state.params.adhesive, surfaceA: state.params.surface, adhesiveB: state.params.tapeMode === 'transfer' ? state.params.adhesive : state.params.adhesiveB, surfaceB: state.params.surfaceB })} ` : ''}
+			${isVariant ?
+				t('conditions.summaryVariant', { count: laminateLayers.length, layers: laminateLayers.map(layer => layer.material).join(t('conditions.layerSeparator')), adhesive: state.params.adhesive, contact: laminateLayers[laminateLayers.length - 1].material, surface: state.params.surface }) :
+				t('conditions.summary', { tape: state.params.tape, adhesive: state.params.adhesive, surface: state.params.surface, environment: envText.name })
+			}
+		</div>
+	`;
+
+	document.getElementById('shareScenarioBtn').addEventListener('click', copyScenarioLink);
+	document.getElementById('generateReportBtn').addEventListener('click', generateTestGroundReport);
+	document.getElementById('testModeSelect').addEventListener('change', (e) => {
+		state.params.testMode = validateString(e.target.value, ['peel', 'hang'], 'peel');
+		addHistory(`Test mode set to ${state.params.testMode === 'hang' ? 'hang test' : 'peel test'}`);
+	});
+
+	if (state.params.testMode === 'hang') {
+		document.getElementById('hangMassInput').addEventListener('change', (e) => {
+			const sanitized = sanitizeNumber(fromInputValue('hangMass', e.target.value), 1, 50000, 1000);
+			state.params.hangMass = sanitized;
+			e.target.value = toInputValue('hangMass', sanitized);
+			addHistory(`Hanging mass set to ${formatParam('hangMass', sanitized)}`);
+		});
+		return;
+	}
+
+	const angleInput = conditionsDisplay.querySelector('[data-peel-param="peelAngle"]');
+	angleInput.addEventListener('input', () => {
+		document.getElementById('testPeelAngleValue').textContent = `${angleInput.value}°`;
+	});
+	bindPeelControls(conditionsDisplay);
+	bindFaceControls(conditionsDisplay);
+}
+
+// Function to draw the laminate stack (outer face on top, adhesive strip at the bottom)
+function updatePreviewTapeImages() {
+	const stack = document.getElementById('previewLaminateStack');
+	if (!stack) return;
+
+	// Strip heights follow the square root of each layer's thickness so thin films stay visible
+	const layers = state.laminate.layers;
+	const weights = layers.map(layer => Math.sqrt(layer.thickness));
+	const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+	stack.innerHTML = layers.map((layer, index) => {
+		const material = tapeMaterials.find(mat => mat.name === layer.material);
+		return `
+			<div class="laminate-layer" data-material="${layer.material}" style="flex: ${(weights[index] / totalWeight).toFixed(3)} 1 0; background-image: url('${material?.image || ''}');">
+				<span>${layer.material} · ${layer.thickness} µm</span>
+			</div>
+		`;
+	}).join('') + '<div class="laminate-adhesive" title="Adhesive"></div>';
+	stack.classList.add('visible');
+}
+
+// Function to hide the laminate stack
+function hidePreviewTapeImages() {
+	const stack = document.getElementById('previewLaminateStack');
+	if (stack) {
+		stack.classList.remove('visible');
+		stack.innerHTML = '';
+	}
+}
+
+// Function to show preview sticker with slide-in animation
+function showPreviewSticker() {
+	const sticker = document.getElementById('previewStickerVariant');
+	if (sticker && !sticker.classList.contains('visible')) {
+		// Small delay to ensure smooth animation
+		setTimeout(() => {
+			sticker.classList.add('visible');
+		}, 100);
+	}
+}
+
+// Function to hide preview sticker
+function hidePreviewSticker() {
+	const sticker = document.getElementById('previewStickerVariant');
+	if (sticker) {
+		sticker.classList.remove('visible');
+	}
+}
+
+// Function to update preview regular tape image
+function updatePreviewRegularTapeImage() {
+	const regularTapeImage = document.getElementById('previewRegularTapeImage');
+	if (!regularTapeImage) return;
+
+	// Find the selected regular tape and the tape material image for its backing
+	const selectedTape = regularTapeOptions.find(tape => tape.name === state.selectedRegularTape);
+	const tapeMaterial = selectedTape && tapeMaterials.find(mat => mat.name === selectedTape.backing);
+	if (tapeMaterial && tapeMaterial.image) {
+		regularTapeImage.src = tapeMaterial.image;
+		regularTapeImage.classList.add('visible');
+	} else {
+		regularTapeImage.classList.remove('visible');
+	}
+}
+
+// Function to hide preview regular tape image
+function hidePreviewRegularTapeImage() {
+	const regularTapeImage = document.getElementById('previewRegularTapeImage');
+	if (regularTapeImage) {
+		regularTapeImage.classList.remove('visible');
+		regularTapeImage.style.filter = '';
+	}
+}
+
+// Show the tape picked on the Test Ground: the laminate stack (variant) or a catalogue roll (regular)
+function updatePreviewTape() {
+	const tape = state.previewMode ? state.testTape : null;
+	document.getElementById('variantTapeBtn')?.classList.toggle('active', tape === 'variant');
+	document.getElementById('regularTapeBtn')?.classList.toggle('active', tape === 'regular');
+	if (tape !== 'regular') document.getElementById('regularTapeDropdown')?.classList.remove('show');
+
+	if (tape === 'variant') updatePreviewTapeImages();
+	else hidePreviewTapeImages();
+	if (tape === 'regular') updatePreviewRegularTapeImage();
+	else hidePreviewRegularTapeImage();
+	if (tape) showPreviewSticker();
+	else hidePreviewSticker();
+	updateTapeYellowTint();
+}
+
+// Function to update yellow tint on all visible tape images based on time impact
+function updateTapeYellowTint() {
+	if (!state.previewMode) return;
+
+	const timeImpactDays = state.timeImpactDays || 0;
+	const environment = state.params.environment || 'Dry';
+	const surface = state.params.surface || 'Steel';
+
+	// Update each laminate layer in the variant stack
+	const stack = document.getElementById('previewLaminateStack');
+	if (state.testTape === 'variant' && stack?.classList.contains('visible')) {
+		stack.querySelectorAll('.laminate-layer').forEach(layerStrip => {
+			const tint = calculateTapeYellowTint({
+				backing: layerStrip.dataset.material,
+				adhesive: state.params.adhesive || 'Acrylic',
+				environment: environment,
+				temperature: state.params.temperature,
+				humidity: state.params.humidity,
+				surface: surface,
+				timeImpactDays: timeImpactDays
+			});
+			layerStrip.style.filter = tint.cssFilter;
+		});
+	}
+
+	// Update regular tape image
+	if (state.testTape === 'regular' && state.selectedRegularTape) {
+		const regularTapeImage = document.getElementById('previewRegularTapeImage');
+		if (regularTapeImage && regularTapeImage.classList.contains('visible')) {
+			// Find the selected regular tape configuration
+			const selectedTape = regularTapeOptions.find(tape => tape.name === state.selectedRegularTape);
+			if (selectedTape) {
+				const tint = calculateTapeYellowTint({
+					backing: selectedTape.backing,
+					adhesive: selectedTape.adhesive,
+					environment: environment,
+					temperature: state.params.temperature,
+					humidity: state.params.humidity,
+					surface: surface,
+					timeImpactDays: timeImpactDays
+				});
+				regularTapeImage.style.filter = tint.cssFilter;
+			}
+		}
+	}
+}
+
+// Keep the playground and the Test Ground in step with the store
+export function initPreview() {
+	store.subscribe(['params.environment'], () => updatePlaygroundBackground(state.params.environment));
+	store.subscribe(['previewMode', 'params.surface', 'customMaterials'], () => {
+		if (state.previewMode) updatePreviewSurfaceImage();
+		else hidePreviewSurfaceImage();
+	});
+	store.subscribe(['previewMode', 'params', 'laminate.layers', 'customMaterials', 'calibration.active', 'locale', 'unitSystem'], () => {
+		if (state.previewMode) updateTestConditionsDisplay();
+	});
+	store.subscribe(['previewMode', 'testTape', 'selectedRegularTape', 'laminate.layers', 'customMaterials'], updatePreviewTape);
+	// Aging only recolours the strips already on screen (the time slider lands here on every step)
+	store.subscribe(['timeImpactDays', 'params.environment', 'params.temperature', 'params.humidity', 'params.surface', 'params.adhesive'], updateTapeYellowTint);
+	updatePlaygroundBackground(state.params.environment);
+}
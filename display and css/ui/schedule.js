@@ -0,0 +1,215 @@
+import { ENVIRONMENTAL_CONDITIONS, MAX_SCHEDULE_SEGMENTS, SCHEDULE_CYCLES, getScheduleClimate, resolveSchedule } from '../math_reasoning.js';
+import { getEnvironmentText } from './catalog.js';
+import { formatParam, formatTimeImpact, fromInputValue, getInputUnit, toInputValue } from './format.js';
+import { addHistory } from './history.js';
+import { formatNumber, t, translateData } from './i18n.js';
+import { getDefaultSchedule, sanitizeNumber, validateSchedule } from './security.js';
+import { state } from './state.js';
+
+// ==================== ENVIRONMENT SCHEDULE ====================
+
+const SCHEDULE_COLORS = { Humid: '#60a5fa', Tropical: '#10b981', Semiarid: '#f59e0b', Arid: '#ef4444', Dry: '#a78bfa' };
+
+// Starting points for the timeline editor (temperature/humidity null = preset typical)
+const SCHEDULE_TEMPLATES = {
+	journey: { icon: '📦', label: 'Shipping journey', repeat: false, segments: getDefaultSchedule().segments },
+	indoor: { icon: '🏠', label: 'Indoor day/night', repeat: false, segments: [
+		{ environment: 'Dry', days: 366, cycle: 'day-night', temperature: null, humidity: null }
+	] },
+	seasons: { icon: '🍂', label: 'Four seasons', repeat: true, segments: [
+		{ environment: 'Humid', days: 91, cycle: 'day-night', temperature: 15, humidity: 70 },
+		{ environment: 'Tropical', days: 92, cycle: 'day-night', temperature: null, humidity: null },
+		{ environment: 'Semiarid', days: 91, cycle: 'day-night', temperature: 12, humidity: 65 },
+		{ environment: 'Humid', days: 91, cycle: 'day-night', temperature: 3, humidity: 85 }
+	] }
+};
+
+/**
+ * Follow the schedule at the slider day: environment, temperature and humidity
+ * come from the timeline and the playground background tracks the segment
+ */
+export function syncScheduleClimate() {
+	const climate = getScheduleClimate(state.params.schedule, state.timeImpactDays || 0);
+	if (!climate) return null;
+	state.params.environment = climate.environment;
+	state.params.temperature = Math.round(climate.temperature * 10) / 10;
+	state.params.humidity = Math.round(climate.humidity);
+	return climate;
+}
+
+// Cycle names from the math table, in the UI's language
+export function getCycleLabel(cycle) {
+	return translateData(`schedule.cycles.${cycle}`, SCHEDULE_CYCLES[cycle]?.label || cycle);
+}
+
+function updateSchedule(schedule, message) {
+	state.params.schedule = validateSchedule(schedule);
+	syncScheduleClimate();
+	addHistory(message);
+}
+
+/**
+ * Move the editor's slider cursor: bar position, the climate readout and the highlighted segment
+ * (runs on every time slider step, so it only touches those elements)
+ */
+export function updateScheduleCursor(container) {
+	const cursor = container.querySelector('[data-schedule-cursor]');
+	if (!cursor) return;
+	const schedule = state.params.schedule;
+	const cursorDay = state.timeImpactDays || 0;
+	const barDays = Number(cursor.dataset.barDays);
+	const climate = schedule.enabled ? getScheduleClimate(schedule, cursorDay) : null;
+
+	cursor.style.left = `calc(${Math.min(cursorDay, barDays) / barDays * 100}% - 1px)`;
+	container.querySelector('[data-schedule-now]').textContent = climate ?
+		t('schedule.now', {
+			time: formatTimeImpact(cursorDay),
+			environment: getEnvironmentText(climate.environment).name,
+			temperature: formatParam('temperature', climate.temperature, 1),
+			humidity: formatNumber(climate.humidity)
+		}) : t('schedule.sliderPosition');
+	container.querySelectorAll('[data-schedule-bar]').forEach(bar => {
+		bar.style.boxShadow = climate?.segmentIndex === Number(bar.dataset.scheduleBar) ? 'inset 0 0 0 2px #1f2937' : '';
+	});
+	container.querySelectorAll('[data-schedule-row]').forEach(row => {
+		const isCurrent = climate?.segmentIndex === Number(row.dataset.scheduleRow);
+		row.style.background = isCurrent ? '#eff6ff' : '#fff';
+		row.style.borderColor = isCurrent ? '#2563eb' : '#e5e7eb';
+	});
+}
+
+/**
+ * Environment timeline editor: segments of preset climates with optional day/night or seasonal cycles
+ */
+export function renderScheduleEditor(container) {
+	if (!container) return;
+	const schedule = state.params.schedule;
+	const segments = schedule.segments;
+	const maxSegments = MAX_SCHEDULE_SEGMENTS;
+	const envConditions = ENVIRONMENTAL_CONDITIONS;
+	const cycles = SCHEDULE_CYCLES;
+	const resolved = resolveSchedule({ ...schedule, enabled: true });
+	const totalDays = resolved ? resolved.length : 0;
+	const barDays = Math.max(totalDays, 366);
+	const buttonStyle = 'padding: 4px 8px; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; cursor: pointer;';
+	const inputStyle = 'width: 100%; padding: 4px; border: 1px solid #d1d5db; border-radius: 4px; box-sizing: border-box;';
+
+	container.innerHTML = `
+		<h3 style="margin: 24px 0 6px 0; font-size: 1rem; color: #1f2937;">🗓️ ${t('schedule.title')}</h3>
+		<p style="font-size: 0.8rem; color: #6b7280; margin: 0 0 10px 0;">${t('schedule.subtitle')}</p>
+		<div style="display: flex; flex-wrap: wrap; gap: 16px; align-items: center; margin-bottom: 10px; font-size: 0.85rem;">
+			<label style="display: flex; align-items: center; gap: 6px;"><input type="checkbox" id="scheduleEnabled" ${schedule.enabled ? 'checked' : ''} /> ${t('schedule.follow')}</label>
+			<label style="display: flex; align-items: center; gap: 6px;"><input type="checkbox" id="scheduleRepeat" ${schedule.repeat ? 'checked' : ''} /> ${t('schedule.repeat', { days: formatNumber(totalDays, totalDays % 1 ? 1 : 0) })}</label>
+		</div>
+		<div style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px;">
+			${Object.entries(SCHEDULE_TEMPLATES).map(([key, template]) => `<button data-schedule-template="${key}" style="${buttonStyle} font-size: 0.8rem;">${template.icon} ${translateData(`schedule.templates.${key}`, template.label)}</button>`).join('')}
+		</div>
+		<div style="position: relative; display: flex; height: 22px; border-radius: 4px; overflow: hidden; background: #f3f4f6; border: 1px solid #e5e7eb; opacity: ${schedule.enabled ? 1 : 0.5};">
+			${resolved ? resolved.segments.map((segment, index) => `<div data-schedule-bar="${index}" title="${t('schedule.barTitle', { environment: getEnvironmentText(segment.environment).name, start: formatNumber(segment.start, segment.start % 1 ? 1 : 0), end: formatNumber(segment.end, segment.end % 1 ? 1 : 0) })}" style="width: ${(segment.end - segment.start) / barDays * 100}%; background: ${SCHEDULE_COLORS[segment.environment] || '#9ca3af'};"></div>`).join('') : ''}
+			<div data-schedule-cursor data-bar-days="${barDays}" style="position: absolute; top: 0; bottom: 0; width: 2px; background: #1f2937;"></div>
+		</div>
+		<div style="display: flex; justify-content: space-between; font-size: 0.7rem; color: #9ca3af; margin: 2px 0 12px 0;">
+			<span>${t('schedule.day', { day: formatNumber(0) })}</span>
+			<span data-schedule-now></span>
+			<span>${t('schedule.day', { day: formatNumber(barDays) })}</span>
+		</div>
+		<div style="display: flex; flex-direction: column; gap: 6px;">
+			${segments.map((segment, index) => {
+				const preset = envConditions[segment.environment];
+				return `
+				<div data-schedule-row="${index}" style="display: grid; grid-template-columns: 8px 1.3fr 70px 1.1fr 64px 64px auto; gap: 6px; align-items: center; padding: 6px; background: #fff; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 0.8rem;">
+					<span style="width: 8px; height: 24px; border-radius: 2px; background: ${SCHEDULE_COLORS[segment.environment] || '#9ca3af'};"></span>
+					<select data-segment-environment="${index}" style="${inputStyle}">
+						${Object.keys(envConditions).map(env => `<option value="${env}" ${env === segment.environment ? 'selected' : ''}>${getEnvironmentText(env).name}</option>`).join('')}
+					</select>
+					<input type="number" data-segment-days="${index}" value="${segment.days}" min="0.1" max="366" step="0.5" title="${t('schedule.days')}" style="${inputStyle}" />
+					<select data-segment-cycle="${index}" style="${inputStyle}">
+						${Object.keys(cycles).map(key => `<option value="${key}" ${key === segment.cycle ? 'selected' : ''}>${getCycleLabel(key)}</option>`).join('')}
+					</select>
+					<input type="number" data-segment-temperature="${index}" value="${segment.temperature === null ? '' : toInputValue('temperature', segment.temperature)}" min="${toInputValue('temperature', -40)}" max="${toInputValue('temperature', 90)}" step="1" placeholder="${preset ? formatParam('temperature', preset.temperature.typical) : ''}" title="${t('schedule.temperatureTitle', { unit: getInputUnit('temperature') })}" style="${inputStyle}" />
+					<input type="number" data-segment-humidity="${index}" value="${segment.humidity ?? ''}" placeholder="${preset?.humidity.typical ?? ''}%" min="0" max="100" step="1" title="${t('schedule.humidityTitle')}" style="${inputStyle}" />
+					<div style="display: flex; gap: 2px;">
+						<button data-segment-move="${index}" data-direction="-1" title="${t('schedule.moveEarlier')}" ${index === 0 ? 'disabled' : ''} style="${buttonStyle}">↑</button>
+						<button data-segment-move="${index}" data-direction="1" title="${t('schedule.moveLater')}" ${index === segments.length - 1 ? 'disabled' : ''} style="${buttonStyle}">↓</button>
+						<button data-segment-remove="${index}" title="${t('schedule.removeSegment')}" ${segments.length === 1 ? 'disabled' : ''} style="${buttonStyle}">✕</button>
+					</div>
+				</div>
+				`;
+			}).join('')}
+			<div style="display: grid; grid-template-columns: 8px 1.3fr 70px 1.1fr 64px 64px auto; gap: 6px; font-size: 0.7rem; color: #9ca3af;">
+				<span></span><span>${t('schedule.climate')}</span><span>${t('schedule.days')}</span><span>${t('schedule.cycle')}</span><span>${t('schedule.meanTemperature', { unit: getInputUnit('temperature') })}</span><span>${t('schedule.meanHumidity')}</span><span></span>
+			</div>
+			<button data-segment-add ${segments.length >= maxSegments ? 'disabled' : ''} style="${buttonStyle} align-self: flex-start;">+ ${t('schedule.addSegment', { count: segments.length, max: maxSegments })}</button>
+			${!schedule.repeat && totalDays < 366 ? `<div style="font-size: 0.75rem; color: #92400e;">${t('schedule.shortTimeline', { days: formatNumber(totalDays) })}</div>` : ''}
+		</div>
+	`;
+	updateScheduleCursor(container);
+
+	const updateSegment = (index, changes, message) => {
+		updateSchedule({ ...schedule, segments: segments.map((segment, i) => i === index ? { ...segment, ...changes } : segment) }, message);
+	};
+
+	container.querySelector('#scheduleEnabled').addEventListener('change', (e) => {
+		updateSchedule({ ...schedule, enabled: e.target.checked }, e.target.checked ? 'Environment timeline enabled' : 'Environment timeline disabled');
+	});
+	container.querySelector('#scheduleRepeat').addEventListener('change', (e) => {
+		updateSchedule({ ...schedule, repeat: e.target.checked }, e.target.checked ? 'Environment timeline set to repeat' : 'Environment timeline set to run once');
+	});
+	container.querySelectorAll('[data-schedule-template]').forEach(button => {
+		button.addEventListener('click', () => {
+			const template = SCHEDULE_TEMPLATES[button.dataset.scheduleTemplate];
+			updateSchedule({ enabled: true, repeat: template.repeat, segments: template.segments }, `Environment timeline: ${template.label}`);
+		});
+	});
+	container.querySelectorAll('[data-segment-environment]').forEach(select => {
+		select.addEventListener('change', () => {
+			const index = Number(select.dataset.segmentEnvironment);
+			updateSegment(index, { environment: select.value, temperature: null, humidity: null }, `Timeline segment ${index + 1} set to ${select.value}`);
+		});
+	});
+	container.querySelectorAll('[data-segment-days]').forEach(input => {
+		input.addEventListener('change', () => {
+			const index = Number(input.dataset.segmentDays);
+			const days = Math.round(sanitizeNumber(input.value, 0.1, 366, segments[index].days) * 10) / 10;
+			updateSegment(index, { days }, `Timeline segment ${index + 1} lasts ${days} days`);
+		});
+	});
+	container.querySelectorAll('[data-segment-cycle]').forEach(select => {
+		select.addEventListener('change', () => {
+			const index = Number(select.dataset.segmentCycle);
+			updateSegment(index, { cycle: select.value }, `Timeline segment ${index + 1} cycle: ${cycles[select.value]?.label || select.value}`);
+		});
+	});
+	[['temperature', -40, 90, '°C'], ['humidity', 0, 100, '% RH']].forEach(([field, min, max, unit]) => {
+		container.querySelectorAll(`[data-segment-${field}]`).forEach(input => {
+			input.addEventListener('change', () => {
+				const index = Number(input.dataset[`segment${field[0].toUpperCase()}${field.slice(1)}`]);
+				const typed = field === 'temperature' ? fromInputValue('temperature', input.value) : input.value;
+				const value = input.value === '' ? null : sanitizeNumber(typed, min, max, null);
+				updateSegment(index, { [field]: value }, value === null ?
+					`Timeline segment ${index + 1} ${field} reset to preset` :
+					`Timeline segment ${index + 1} ${field} set to ${value}${unit}`);
+			});
+		});
+	});
+	container.querySelectorAll('[data-segment-move]').forEach(button => {
+		button.addEventListener('click', () => {
+			const index = Number(button.dataset.segmentMove);
+			const target = index + Number(button.dataset.direction);
+			const reordered = [...segments];
+			[reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+			updateSchedule({ ...schedule, segments: reordered }, `Moved ${segments[index].environment} segment to position ${target + 1}`);
+		});
+	});
+	container.querySelectorAll('[data-segment-remove]').forEach(button => {
+		button.addEventListener('click', () => {
+			const index = Number(button.dataset.segmentRemove);
+			updateSchedule({ ...schedule, segments: segments.filter((segment, i) => i !== index) }, `Removed ${segments[index].environment} timeline segment`);
+		});
+	});
+	container.querySelector('[data-segment-add]')?.addEventListener('click', () => {
+		if (segments.length >= maxSegments) return;
+		const last = segments[segments.length - 1];
+		updateSchedule({ ...schedule, segments: [...segments, { environment: last.environment, days: 30, cycle: last.cycle, temperature: null, humidity: null }] }, 'Added timeline segment');
+	});
+}
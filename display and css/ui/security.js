@@ -0,0 +1,431 @@
+import { ADHESIVE_TYPES, BACKING_MATERIALS, ENVIRONMENTAL_CONDITIONS, MAX_LAMINATE_LAYERS, MAX_SCHEDULE_SEGMENTS, SCHEDULE_CYCLES, SURFACE_MATERIALS, TAPE_MODES } from '../math_reasoning.js';
+import { MATERIAL_SCHEMAS, TAPE_SCHEMA, getBuiltInMaterials, getFieldLabel, regularTapeOptions } from './catalog.js';
+import { EXPERIMENT_LIMIT } from './experiments.js';
+import { HISTORY_LIMIT } from './history.js';
+import { t } from './i18n.js';
+import { state } from './state.js';
+
+// ==================== SECURITY FUNCTIONS ====================
+
+/**
+ * Sanitize HTML to prevent XSS attacks
+ * Escapes special characters that could be used for injection
+ */
+export function sanitizeHTML(str) {
+	if (typeof str !== 'string') return str;
+	const div = document.createElement('div');
+	div.textContent = str;
+	return div.innerHTML;
+}
+
+/**
+ * Validate and sanitize numeric input
+ * Returns safe number within specified range
+ */
+export function sanitizeNumber(value, min = -Infinity, max = Infinity, defaultValue = 0) {
+	const num = Number(value);
+	if (isNaN(num) || !isFinite(num)) return defaultValue;
+	return Math.max(min, Math.min(max, num));
+}
+
+/**
+ * Validate string input against whitelist
+ * Returns value if valid, default otherwise
+ */
+export function validateString(value, allowedValues, defaultValue) {
+	if (typeof value !== 'string') return defaultValue;
+	return allowedValues.includes(value) ? value : defaultValue;
+}
+
+/**
+ * Validate and sanitize localStorage data
+ * Checks structure and sanitizes all values
+ */
+export function validateStateData(data) {
+	if (!data || typeof data !== 'object') return null;
+
+	// Validate params object
+	if (data.params && typeof data.params === 'object') {
+		data.params.width = sanitizeNumber(data.params.width, 1, 10000, 100);
+		data.params.height = sanitizeNumber(data.params.height, 1, 10000, 80);
+		data.params.thickness = sanitizeNumber(data.params.thickness, 1, 1000, 120);
+		data.params.temperature = sanitizeNumber(data.params.temperature, -100, 200, 23);
+		data.params.humidity = sanitizeNumber(data.params.humidity, 0, 100, 50);
+		data.params.tapeLength = sanitizeNumber(data.params.tapeLength, 10, 100000, 1000);
+		data.params.peelAngle = sanitizeNumber(data.params.peelAngle, 5, 180, 180);
+		data.params.peelRate = sanitizeNumber(data.params.peelRate, 1, 10000, 300);
+		data.params.hangMass = sanitizeNumber(data.params.hangMass, 1, 50000, 1000);
+		data.params.testMode = validateString(data.params.testMode, ['peel', 'hang'], 'peel');
+		data.params.tapeMode = validateString(data.params.tapeMode, Object.keys(TAPE_MODES), 'single');
+		data.params.thicknessB = sanitizeNumber(data.params.thicknessB, 1, 1000, 120);
+		data.params.tape = validateString(data.params.tape, getKnownMaterialNames('backing'), 'PVC');
+		data.params.adhesive = validateString(data.params.adhesive, getKnownMaterialNames('adhesive'), 'Acrylic');
+		data.params.surface = validateString(data.params.surface, getKnownMaterialNames('surface'), 'Steel');
+		data.params.adhesiveB = validateString(data.params.adhesiveB, getKnownMaterialNames('adhesive'), 'Acrylic');
+		data.params.surfaceB = validateString(data.params.surfaceB, getKnownMaterialNames('surface'), 'Wall Paint');
+		data.params.environment = validateString(data.params.environment, Object.keys(ENVIRONMENTAL_CONDITIONS), 'Dry');
+		data.params.schedule = validateSchedule(data.params.schedule);
+	}
+
+	// Validate tape selections (scenario links and imports)
+	if (data.laminate && typeof data.laminate === 'object') {
+		data.laminate = { layers: validateLaminateLayers(data.laminate.layers) };
+	}
+	if (data.mixedTapes && typeof data.mixedTapes === 'object') {
+		data.mixedTapes = {
+			tape1: validateString(data.mixedTapes.tape1, getKnownMaterialNames('backing'), null),
+			tape2: validateString(data.mixedTapes.tape2, getKnownMaterialNames('backing'), null)
+		};
+	}
+	if ('selectedRegularTape' in data) {
+		data.selectedRegularTape = validateString(data.selectedRegularTape, regularTapeOptions.map(tape => tape.name), null);
+	}
+
+	// Validate arrays
+	if (Array.isArray(data.history)) {
+		data.history = data.history.slice(0, 1000); // Limit history size
+	}
+	if (Array.isArray(data.experiments)) {
+		data.experiments = data.experiments.slice(-EXPERIMENT_LIMIT); // Limit experiments (newest kept)
+	}
+
+	// Validate timeImpactDays
+	if (typeof data.timeImpactDays === 'number') {
+		data.timeImpactDays = sanitizeNumber(data.timeImpactDays, 0, 366, 0);
+	}
+
+	return data;
+}
+
+/**
+ * Built-in plus custom material names of one kind (whitelist for string params)
+ */
+export function getKnownMaterialNames(kind) {
+	return [...Object.keys(getBuiltInMaterials(kind)), ...Object.keys(state.customMaterials[kind] || {})];
+}
+
+/**
+ * Validate a laminate layer list ({ material, thickness µm }, outer face first)
+ * Returns null unless every layer is valid
+ */
+export function validateLaminateLayers(layers) {
+	if (!Array.isArray(layers) || layers.length === 0 || layers.length > MAX_LAMINATE_LAYERS) return null;
+	const backings = getKnownMaterialNames('backing');
+	const valid = layers.map(layer => layer && typeof layer === 'object' && backings.includes(layer.material) ? {
+		material: layer.material,
+		thickness: Math.round(sanitizeNumber(layer.thickness, 1, 5000, 50))
+	} : null);
+	return valid.includes(null) ? null : valid;
+}
+
+/**
+ * Validate an environment schedule ({ enabled, repeat, segments: [{ environment, days, cycle, temperature?, humidity? }] })
+ * Missing or malformed schedules fall back to the default (disabled) journey
+ */
+export function validateSchedule(schedule) {
+	if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.segments)) return getDefaultSchedule();
+	const environments = Object.keys(ENVIRONMENTAL_CONDITIONS);
+	const cycles = Object.keys(SCHEDULE_CYCLES);
+	const optional = (value, min, max) => value === null || value === undefined || value === '' || !isFinite(Number(value)) ? null : sanitizeNumber(value, min, max, null);
+	const segments = schedule.segments
+		.slice(0, MAX_SCHEDULE_SEGMENTS)
+		.filter(segment => segment && typeof segment === 'object')
+		.map(segment => ({
+			environment: validateString(segment.environment, environments, 'Dry'),
+			days: Math.round(sanitizeNumber(segment.days, 0.1, 366, 30) * 10) / 10,
+			cycle: validateString(segment.cycle, cycles, 'none'),
+			temperature: optional(segment.temperature, -40, 90),
+			humidity: optional(segment.humidity, 0, 100)
+		}));
+	if (segments.length === 0) return getDefaultSchedule();
+	return { enabled: schedule.enabled === true, repeat: schedule.repeat === true, segments };
+}
+
+/**
+ * Parcel journey used until the user builds their own schedule
+ */
+export function getDefaultSchedule() {
+	return {
+		enabled: false,
+		repeat: false,
+		segments: [
+			{ environment: 'Dry', days: 14, cycle: 'day-night', temperature: null, humidity: null },
+			{ environment: 'Tropical', days: 30, cycle: 'none', temperature: null, humidity: null },
+			{ environment: 'Arid', days: 322, cycle: 'seasonal', temperature: null, humidity: null }
+		]
+	};
+}
+
+/**
+ * Safe JSON parse with error handling
+ */
+export function safeJSONParse(str, defaultValue = null) {
+	try {
+		const parsed = JSON.parse(str);
+		return validateStateData(parsed) || defaultValue;
+	} catch (e) {
+		console.warn('JSON parse failed:', e);
+		return defaultValue;
+	}
+}
+
+/**
+ * Read / write a nested value by dotted path (e.g. 'typicalThickness.min')
+ */
+export function getPath(obj, path) {
+	return path.split('.').reduce((acc, key) => (acc && typeof acc === 'object' ? acc[key] : undefined), obj);
+}
+
+export function setPath(obj, path, value) {
+	const keys = path.split('.');
+	const last = keys.pop();
+	const target = keys.reduce((acc, key) => {
+		if (!acc[key] || typeof acc[key] !== 'object') acc[key] = {};
+		return acc[key];
+	}, obj);
+	target[last] = value;
+}
+
+/**
+ * Validate a custom material short name (the key used everywhere in state)
+ * Returns an error message, or null if the key is acceptable
+ */
+export function validateMaterialKey(kind, key, library, originalKey = null) {
+	if (typeof key !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9 ._+()-]{0,29}$/.test(key)) {
+		return t('materials.errors.shortName');
+	}
+	const builtIn = { backing: BACKING_MATERIALS, adhesive: ADHESIVE_TYPES, surface: SURFACE_MATERIALS }[kind] || {};
+	if (builtIn[key]) return t('materials.errors.builtIn', { key });
+	if (key !== originalKey && library[kind]?.[key]) return t('materials.errors.exists', { key });
+	return null;
+}
+
+/**
+ * Options of a schema select field (fixed list, or a function for lists that include custom materials)
+ */
+export function getFieldOptions(field) {
+	return typeof field.options === 'function' ? field.options() : field.options;
+}
+
+/**
+ * Check a form/data object against a field schema (MATERIAL_SCHEMAS, TAPE_SCHEMA)
+ * Returns the sanitized entry plus a list of readable errors (empty when valid)
+ * schemaKey (backing, adhesive, surface or tape) picks the field labels the errors use
+ */
+function validateSchemaFields(schema, data, schemaKey) {
+	const entry = {};
+	const errors = [];
+	schema.forEach(field => {
+		const label = getFieldLabel(schemaKey, field);
+		const raw = getPath(data, field.path);
+		const isBlank = raw === '' || raw === null || raw === undefined;
+		let value;
+		if (field.type === 'number') {
+			if (isBlank && field.optional) return;
+			const num = Number(raw);
+			if (isBlank || !isFinite(num)) {
+				errors.push(t('materials.errors.number', { label }));
+				value = field.default;
+			} else if (num < field.min || num > field.max) {
+				errors.push(t('materials.errors.range', { label, min: field.min, max: field.max }));
+				value = sanitizeNumber(num, field.min, field.max, field.default);
+			} else {
+				value = num;
+			}
+		} else if (field.type === 'select') {
+			const options = getFieldOptions(field);
+			value = validateString(raw, options, field.default);
+			if (raw !== value) errors.push(t('materials.errors.option', { label, options: options.join(', ') }));
+		} else if (field.type === 'url') {
+			// Links are shown as hrefs: web addresses only, without quotes or markup
+			value = typeof raw === 'string' ? raw.replace(/[\s<>"'`]/g, '').slice(0, field.maxLength) : '';
+			if (value && !/^https?:\/\//i.test(value)) {
+				errors.push(t('materials.errors.url', { label }));
+				value = '';
+			}
+		} else {
+			// Strip markup characters so names are safe in templates and attributes
+			value = typeof raw === 'string' ? raw.replace(/[<>"'`&]/g, '').trim().slice(0, field.maxLength) : '';
+			if (field.required && !value) errors.push(t('materials.errors.required', { label }));
+		}
+		setPath(entry, field.path, value);
+	});
+	return { entry, errors };
+}
+
+/**
+ * Validate a custom material entry against MATERIAL_SCHEMAS
+ * Returns the sanitized entry plus a list of readable errors (empty when valid)
+ */
+export function validateMaterialEntry(kind, data) {
+	const schema = MATERIAL_SCHEMAS[kind];
+	if (!schema || !data || typeof data !== 'object') return { entry: null, errors: [t('materials.errors.invalidMaterial')] };
+
+	const { entry, errors } = validateSchemaFields(schema, data, kind);
+
+	// Cross-field checks
+	const thickness = entry.typicalThickness;
+	if (thickness && !(thickness.min <= thickness.standard && thickness.standard <= thickness.max)) {
+		errors.push(t('materials.errors.thicknessOrder'));
+	}
+	if (entry.temperatureRange && entry.temperatureRange.min >= entry.temperatureRange.max) {
+		errors.push(t('materials.errors.temperatureOrder'));
+	}
+	if (kind === 'surface') {
+		const rupture = entry.ruptureStrength || {};
+		const given = ['min', 'typical', 'max'].filter(k => rupture[k] !== undefined);
+		if (given.length === 0) {
+			entry.ruptureStrength = null; // too strong for tape to damage
+		} else if (given.length < 3) {
+			errors.push(t('materials.errors.ruptureIncomplete'));
+		} else if (!(rupture.min <= rupture.typical && rupture.typical <= rupture.max)) {
+			errors.push(t('materials.errors.ruptureOrder'));
+		}
+	}
+
+	return { entry, errors };
+}
+
+/**
+ * Validate a whole custom material library loaded from localStorage
+ * Invalid entries are dropped rather than repaired
+ */
+export function validateMaterialLibrary(data) {
+	const library = { backing: {}, adhesive: {}, surface: {} };
+	if (!data || typeof data !== 'object') return library;
+
+	Object.keys(library).forEach(kind => {
+		const entries = data[kind];
+		if (!entries || typeof entries !== 'object') return;
+		Object.keys(entries).slice(0, 100).forEach(key => {
+			if (validateMaterialKey(kind, key, library)) return;
+			const { entry, errors } = validateMaterialEntry(kind, entries[key]);
+			if (entry && errors.length === 0) library[kind][key] = entry;
+		});
+	});
+	return library;
+}
+
+/**
+ * Validate a commercial tape entry (bundled catalog or imported datasheet) against TAPE_SCHEMA
+ * Returns the sanitized entry plus a list of readable errors (empty when valid)
+ */
+export function validateTapeEntry(data) {
+	if (!data || typeof data !== 'object') return { entry: null, errors: [t('materials.errors.invalidTape')] };
+
+	const { entry, errors } = validateSchemaFields(TAPE_SCHEMA, data, 'tape');
+	if (!entry.adhesiveThickness && !entry.totalThickness) {
+		errors.push(t('materials.errors.tapeThickness'));
+	}
+	const layered = (entry.backingThickness || 0) + (entry.adhesiveThickness || 0);
+	if (entry.totalThickness && layered > entry.totalThickness) {
+		errors.push(t('materials.errors.tapeLayers'));
+	}
+	if (entry.source?.url && !entry.source.title) entry.source.title = entry.source.url;
+	return { entry, errors };
+}
+
+/**
+ * Validate a list of tapes (the bundled catalog or the stored imports)
+ * Invalid entries and repeated product names are dropped; `taken` names are reserved
+ */
+export function validateTapeList(list, taken = []) {
+	if (!Array.isArray(list)) return [];
+	const names = new Set(taken);
+	return list.slice(0, 200).map(data => validateTapeEntry(data)).filter(({ entry, errors }) => {
+		if (!entry || errors.length > 0 || names.has(entry.name)) return false;
+		names.add(entry.name);
+		return true;
+	}).map(({ entry }) => entry);
+}
+
+/**
+ * Validate stored history entries ({ time, text, changes: [{ path, before, after }] })
+ * Each value goes through the same checks loadState applies; changes that fail are dropped
+ */
+export function validateHistoryEntries(entries) {
+	if (!Array.isArray(entries)) return [];
+	return entries.slice(0, HISTORY_LIMIT).filter(entry => entry && typeof entry === 'object').map(entry => ({
+		time: sanitizeHTML(String(entry.time || '')),
+		text: sanitizeHTML(String(entry.text || '')),
+		changes: (Array.isArray(entry.changes) ? entry.changes : []).slice(0, 200).map(validateHistoryChange).filter(Boolean)
+	}));
+}
+
+function validateHistoryChange(change) {
+	if (!change || typeof change !== 'object' || typeof change.path !== 'string') return null;
+	const validate = getHistoryValueValidator(change.path);
+	if (!validate) return null;
+	// null marks a value that did not exist (e.g. a custom material before it was created)
+	const before = change.before === null ? null : validate(change.before);
+	const after = change.after === null ? null : validate(change.after);
+	return before === undefined || after === undefined ? null : { path: change.path, before, after };
+}
+
+/**
+ * Validator for one tracked path (see captureTrackedState); undefined means invalid
+ */
+function getHistoryValueValidator(path) {
+	if (path.startsWith('params.')) {
+		const key = path.slice('params.'.length);
+		if (!Object.hasOwn(validateStateData({ params: {} }).params, key)) return null;
+		return value => validateStateData({ params: { [key]: value } }).params[key];
+	}
+	if (path === 'laminate.layers') return value => validateLaminateLayers(value) ?? undefined;
+	if (path === 'timeImpactDays') return value => sanitizeNumber(value, 0, 366, 0);
+	if (path === 'selectedRegularTape') return value => validateStateData({ selectedRegularTape: value }).selectedRegularTape ?? undefined;
+	const material = path.match(/^customMaterials\.(backing|adhesive|surface)\.(.+)$/);
+	if (material) {
+		const [, kind, key] = material;
+		return value => validateMaterialLibrary({ [kind]: { [key]: value } })[kind][key];
+	}
+	return null;
+}
+
+/**
+ * Validate stored experiment results (SI numbers from the math module)
+ * Returns null when missing so they are recomputed on demand
+ */
+export function validateExperimentResults(results) {
+	if (!results || typeof results !== 'object') return null;
+	const number = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+	return {
+		peel: number(results.peel),
+		hold: number(results.hold),
+		stretch: number(results.stretch),
+		safetyFactor: number(results.safetyFactor),
+		damageRisk: validateString(results.damageRisk, ['none', 'low', 'moderate', 'high', 'critical'], 'none'),
+		uvDegradation: number(results.uvDegradation),
+		adhesiveResidue: number(results.adhesiveResidue)
+	};
+}
+
+/**
+ * Validate stored calibration profiles (fitted peel coefficients)
+ * Unknown surfaces/environments and out-of-range numbers are dropped
+ */
+export function validateCalibrationProfiles(data) {
+	const profiles = {};
+	if (!data || typeof data !== 'object') return profiles;
+	const number = (value, min, max) => (typeof value === 'number' && isFinite(value) && value >= min && value <= max ? value : null);
+	const multipliers = (entries, allowed) => Object.fromEntries(Object.entries(entries && typeof entries === 'object' ? entries : {})
+		.filter(([name, value]) => allowed.includes(name) && number(value, 0.05, 20) !== null));
+
+	Object.keys(data).slice(0, 20).forEach(name => {
+		const raw = data[name];
+		if (!/^[A-Za-z0-9][A-Za-z0-9 ._+()-]{0,29}$/.test(name) || !raw || typeof raw !== 'object') return;
+		profiles[name] = {
+			surface: multipliers(raw.surface, getKnownMaterialNames('surface')),
+			environment: multipliers(raw.environment, Object.keys(ENVIRONMENTAL_CONDITIONS)),
+			thicknessExponent: number(raw.thicknessExponent, 0, 1.5) ?? 0.3,
+			lowEnergyPenalty: {
+				Acrylic: number(raw.lowEnergyPenalty?.Acrylic, 0.05, 1.5) ?? 0.5,
+				Rubber: number(raw.lowEnergyPenalty?.Rubber, 0.05, 1.5) ?? 0.8
+			},
+			createdAt: sanitizeHTML(String(raw.createdAt || '')).slice(0, 60),
+			sampleCount: sanitizeNumber(raw.sampleCount, 0, 100000, 0),
+			r2: number(raw.r2, -1000, 1)
+		};
+	});
+	return profiles;
+}
@@ -0,0 +1,419 @@
+import { describeCatalogTape, regularTapeOptions, surfaceMaterials } from './catalog.js';
+import { EXPERIMENT_LIMIT, computeExperimentResults, nextExperimentId } from './experiments.js';
+import { addHistory, redoHistory, undoHistory } from './history.js';
+import { t } from './i18n.js';
+import { renderTapePopupLaminate, updateLaminateSummary } from './laminate.js';
+import { sanitizeHTML } from './security.js';
+import { saveState, state, store } from './state.js';
+
+// ==================== SIDEBAR & POPUPS ====================
+
+// Material popup windows with the layer editor (tape) and grid tiles (surface)
+const tapePopup = document.getElementById('tapePopup');
+const surfacePopup = document.getElementById('surfacePopup');
+const surfaceGridContainer = document.getElementById('surfaceGrid');
+const surfaceSelectionOptionsContainer = document.getElementById('surfaceSelectionOptions');
+const regularTapeOptionsContainer = document.getElementById('regularTapeOptions');
+
+// Surface tiles in the Surface Material panel
+export function selectSurface(name, label) {
+	state.params.surface = name;
+	addHistory(`Surface selected: ${label}`);
+}
+
+// Record the current setup in the experiment log
+function saveExperiment() {
+	const experimentId = nextExperimentId();
+	const timestamp = new Date().toLocaleString();
+	const experimentName = `Tape Experiment ${experimentId} - ${timestamp}`;
+	const snapshot = {
+		id: experimentId,
+		name: experimentName,
+		timestamp: timestamp,
+		data: { ...state.params },
+		variant: {
+			isVariant: state.laminate.layers.length > 1,
+			layers: state.laminate.layers.map(layer => ({ ...layer }))
+		},
+		timeImpactDays: state.timeImpactDays || 0
+	};
+	snapshot.results = computeExperimentResults(snapshot);
+	state.experiments = [...state.experiments, snapshot].slice(-EXPERIMENT_LIMIT);
+	addHistory(`Saved experiment: ${experimentName}`);
+	saveState();
+
+	// Show save indicator
+	const saveNotice = document.getElementById('saveNotice');
+	saveNotice.textContent = t('saveNotice');
+	saveNotice.classList.add('show');
+	setTimeout(() => saveNotice.classList.remove('show'), 2500);
+}
+
+// Sidebar buttons: click to open a panel, click again to close it (the panel host shows it)
+function bindSidebarButtons() {
+	document.querySelectorAll('.sidebar-btn[data-panel], .save-btn[data-panel]').forEach(btn => {
+		btn.addEventListener('click', (e) => {
+			e.stopPropagation();
+			const panelName = btn.getAttribute('data-panel');
+			const title = panelName.charAt(0).toUpperCase() + panelName.slice(1);
+
+			if (panelName === 'save') {
+				saveExperiment();
+				return;
+			}
+
+			if (state.activePanel === panelName) {
+				state.activePanel = null;
+				addHistory(`Closed ${title}`);
+				return;
+			}
+
+			state.activePanel = panelName;
+			if (panelName === 'history') state.historyView = 'list';
+			addHistory(`Opened ${title}`);
+		});
+	});
+}
+
+// Populate the tape layer editor, surface tiles and the Test Ground surface dropdown from the current catalogs
+export function populateMaterialSelectors() {
+	surfaceGridContainer.innerHTML = '';
+	surfaceSelectionOptionsContainer.innerHTML = '';
+
+	// Layer editor in the tape popup
+	renderTapePopupLaminate();
+
+	// Populate surface tiles
+	surfaceMaterials.forEach(mat => {
+		const wrap = document.createElement('div');
+		wrap.className = 'material-tile-wrap';
+
+		const tile = document.createElement('div');
+		tile.className = 'material-tile';
+		if (mat.name === state.params.surface) tile.classList.add('selected');
+
+		const img = document.createElement('img');
+		img.src = mat.image;
+		img.alt = mat.label;
+		tile.appendChild(img);
+
+		const label = document.createElement('div');
+		label.className = 'material-tile-label';
+		label.textContent = mat.label;
+
+		wrap.appendChild(tile);
+		wrap.appendChild(label);
+
+		wrap.addEventListener('click', () => {
+			state.params.surface = mat.name;
+			addHistory(`Surface selected: ${mat.name}`);
+			closeSurfacePopup();
+		});
+
+		surfaceGridContainer.appendChild(wrap);
+	});
+
+	// Populate surface selection dropdown
+	surfaceMaterials.forEach(surface => {
+		const option = document.createElement('div');
+		option.className = 'surface-selection-option';
+		if (surface.name === state.params.surface) option.classList.add('selected');
+
+		const name = document.createElement('span');
+		name.textContent = surface.label;
+		name.style.fontWeight = 'bold';
+
+		option.appendChild(name);
+
+		option.addEventListener('click', () => {
+			state.params.surface = surface.name;
+			addHistory(`Surface material selected: ${surface.label}`);
+		});
+
+		surfaceSelectionOptionsContainer.appendChild(option);
+	});
+}
+
+// Catalog tapes matching the dropdown's search box and filters
+function getFilteredRegularTapes() {
+	const { query, adhesive, datasheetOnly } = state.regularTapeFilter;
+	const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+	return regularTapeOptions.filter(tape => {
+		if (adhesive && tape.adhesive !== adhesive) return false;
+		if (datasheetOnly && !tape.peelAdhesion) return false;
+		const haystack = `${tape.name} ${tape.manufacturer} ${tape.backing} ${tape.adhesive}`.toLowerCase();
+		return words.every(word => haystack.includes(word));
+	});
+}
+
+// Populate regular tape dropdown options (rebuilt when the catalog or the filters change)
+function populateRegularTapeOptions() {
+	const adhesiveFilter = document.getElementById('regularTapeAdhesiveFilter');
+	const adhesives = [...new Set(regularTapeOptions.map(tape => tape.adhesive))];
+	adhesiveFilter.innerHTML = `<option value="">${t('sidebar.allAdhesives')}</option>${adhesives.map(adhesive => `<option value="${sanitizeHTML(adhesive)}">${sanitizeHTML(adhesive)}</option>`).join('')}`;
+	adhesiveFilter.value = state.regularTapeFilter.adhesive;
+
+	regularTapeOptionsContainer.innerHTML = '';
+	const tapes = getFilteredRegularTapes();
+	tapes.forEach(tape => {
+		const option = document.createElement('div');
+		option.className = 'regular-tape-option';
+		option.dataset.tape = tape.name;
+		if (state.selectedRegularTape === tape.name) option.classList.add('selected');
+
+		const name = document.createElement('div');
+		name.className = 'tape-name';
+		name.textContent = tape.imported ? `${tape.name} ${t('sidebar.importedSuffix')}` : tape.name;
+
+		const specs = document.createElement('div');
+		specs.className = 'tape-specs';
+		specs.textContent = describeCatalogTape(tape);
+
+		option.appendChild(name);
+		option.appendChild(specs);
+
+		option.addEventListener('click', () => {
+			state.selectedRegularTape = tape.name;
+			addHistory(`Regular tape selected: ${tape.name}`);
+		});
+
+		regularTapeOptionsContainer.appendChild(option);
+	});
+	if (tapes.length === 0) {
+		regularTapeOptionsContainer.innerHTML = `<div class="regular-tape-empty">${t('sidebar.noTapesMatch')}</div>`;
+	}
+}
+
+function updateRegularTapeSelection() {
+	document.querySelectorAll('.regular-tape-option').forEach(opt => {
+		opt.classList.toggle('selected', opt.dataset.tape === state.selectedRegularTape);
+	});
+}
+
+// Search box and filters above the regular tape list write to the state; the list follows
+function bindRegularTapeFilters() {
+	const search = document.getElementById('regularTapeSearch');
+	search.value = state.regularTapeFilter.query;
+	search.addEventListener('input', () => {
+		state.regularTapeFilter.query = search.value.slice(0, 60);
+	});
+	document.getElementById('regularTapeAdhesiveFilter').addEventListener('change', (e) => {
+		state.regularTapeFilter.adhesive = e.target.value;
+	});
+	document.getElementById('regularTapeDatasheetFilter').addEventListener('change', (e) => {
+		state.regularTapeFilter.datasheetOnly = e.target.checked;
+	});
+}
+
+function updateSurfaceSelectionDropdown() {
+	document.querySelectorAll('.surface-selection-option').forEach(opt => {
+		opt.classList.remove('selected');
+	});
+	surfaceMaterials.forEach((surface, index) => {
+		if (surface.name === state.params.surface) {
+			document.querySelectorAll('.surface-selection-option')[index].classList.add('selected');
+		}
+	});
+}
+
+// Surface popup tiles (the Surface Material panel renders its own selection)
+function updateTileSelection() {
+	surfaceGridContainer.querySelectorAll('.material-tile').forEach((tile, index) => {
+		tile.classList.toggle('selected', surfaceMaterials[index]?.name === state.params.surface);
+	});
+}
+
+// Popup control functions
+function closeTapePopup() {
+	tapePopup.classList.remove('open');
+}
+
+function openSurfacePopup() {
+	surfacePopup.classList.add('open');
+	closeTapePopup();
+}
+
+function closeSurfacePopup() {
+	surfacePopup.classList.remove('open');
+}
+
+export function toggleSurfacePopup() {
+	surfacePopup.classList.contains('open') ? closeSurfacePopup() : openSurfacePopup();
+}
+
+function syncScrollbar(frame, thumb) {
+	if (!frame || !thumb) return;
+	const track = thumb.parentElement;
+	const maxTop = track.clientHeight - thumb.clientHeight;
+	const scrollRatio = frame.scrollTop / Math.max(1, (frame.scrollHeight - frame.clientHeight));
+	thumb.style.top = `${Math.round(scrollRatio * maxTop)}px`;
+}
+
+// Floating tooltip behavior: show a top-level tooltip so it won't be clipped by sidebar overflow
+function setupFloatingTooltips() {
+	const tip = document.querySelector('.floating-tip');
+	const elementsWithTips = document.querySelectorAll('[data-tip]');
+	let showTimeout, hideTimeout;
+
+	elementsWithTips.forEach(elem => {
+		elem.addEventListener('mouseenter', (e) => {
+			clearTimeout(hideTimeout);
+			const tipText = elem.getAttribute('data-tip');
+			showTimeout = setTimeout(() => {
+				tip.textContent = tipText;
+				tip.style.display = 'block';
+				tip.classList.add('show');
+				tip.setAttribute('aria-hidden', 'false');
+
+				const rect = elem.getBoundingClientRect();
+				let left = rect.left + rect.width / 2;
+				let top = rect.top - 10;
+
+				if (left + 75 > window.innerWidth) left = window.innerWidth - 80;
+				if (left - 75 < 0) left = 80;
+				if (top < 30) top = rect.bottom + 10;
+
+				tip.style.left = left + 'px';
+				tip.style.top = top + 'px';
+			}, 50);
+		});
+
+		elem.addEventListener('mouseleave', () => {
+			clearTimeout(showTimeout);
+			hideTimeout = setTimeout(() => {
+				tip.classList.remove('show');
+				tip.setAttribute('aria-hidden', 'true');
+				setTimeout(() => {
+					tip.style.display = 'none';
+				}, 120);
+			}, 1000);
+		});
+	});
+}
+
+export function initSidebar() {
+	bindSidebarButtons();
+	bindRegularTapeFilters();
+	populateRegularTapeOptions();
+
+	// Selection highlights and the popup layer editor follow the state
+	store.subscribe(['params.surface', 'customMaterials'], () => {
+		updateTileSelection();
+		updateSurfaceSelectionDropdown();
+	});
+	store.subscribe(['selectedRegularTape'], updateRegularTapeSelection);
+	store.subscribe(['regularTapeFilter', 'customTapes', 'customMaterials', 'locale', 'unitSystem', 'displayUnits'], populateRegularTapeOptions);
+	store.subscribe(['laminate.layers', 'params.adhesive', 'params.thickness', 'locale', 'unitSystem'], renderTapePopupLaminate);
+	store.subscribe(['params', 'timeImpactDays', 'displayUnits', 'calibration.active', 'locale', 'unitSystem'], () => {
+		const container = document.getElementById('tapePopupLaminate');
+		if (container) updateLaminateSummary(container);
+	});
+
+	// Button event listeners
+	document.getElementById('closeTapePopup').addEventListener('click', closeTapePopup);
+	document.getElementById('closeSurfacePopup').addEventListener('click', closeSurfacePopup);
+
+	// Close popups on outside click
+	document.addEventListener('click', (e) => {
+		const path = e.composedPath ? e.composedPath() : (e.path || []);
+		if (!path.includes(tapePopup)) {
+			closeTapePopup();
+		}
+		if (!path.includes(surfacePopup) &&
+		    !path.includes(document.getElementById('previewSurfaceBtn'))) {
+			closeSurfacePopup();
+		}
+		// Close regular tape dropdown on outside click
+		const regularTapeDropdown = document.getElementById('regularTapeDropdown');
+		const regularTapeBtn = document.getElementById('regularTapeBtn');
+		// Only close dropdown if it's open, and don't deactivate button (tape stays selected)
+		if (regularTapeDropdown.classList.contains('show') &&
+		    !path.includes(regularTapeDropdown) && !path.includes(regularTapeBtn)) {
+			regularTapeDropdown.classList.remove('show');
+		}
+		// Close surface selection dropdown on outside click
+		const surfaceSelectionDropdown = document.getElementById('surfaceSelectionDropdown');
+		const previewSurfaceBtn = document.getElementById('previewSurfaceBtn');
+		if (!path.includes(surfaceSelectionDropdown) && !path.includes(previewSurfaceBtn)) {
+			surfaceSelectionDropdown.classList.remove('show');
+			previewSurfaceBtn.classList.remove('active');
+		}
+	});
+
+	// Undo / redo shortcuts (form fields keep their own text undo)
+	document.addEventListener('keydown', (e) => {
+		if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+		if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+		const key = e.key.toLowerCase();
+		if (key === 'z' && !e.shiftKey) {
+			e.preventDefault();
+			undoHistory();
+		} else if ((key === 'z' && e.shiftKey) || key === 'y') {
+			e.preventDefault();
+			redoHistory();
+		}
+	});
+
+	// Close popups on ESC key
+	document.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') {
+			closeTapePopup();
+			closeSurfacePopup();
+			// Close regular tape dropdown (but don't deactivate - tape stays selected)
+			document.getElementById('regularTapeDropdown').classList.remove('show');
+			// Close surface selection dropdown
+			document.getElementById('surfaceSelectionDropdown').classList.remove('show');
+			document.getElementById('previewSurfaceBtn').classList.remove('active');
+		}
+	});
+
+	// Sync scrollbar thumbs with scroll position
+	const tapeFrame = document.querySelector('#tapePopup .popup-frame');
+	const surfaceFrame = document.querySelector('#surfacePopup .popup-frame');
+	const tapeThumb = document.getElementById('tapeScrollThumb');
+	const surfaceThumb = document.getElementById('surfaceScrollThumb');
+	if (tapeFrame) tapeFrame.addEventListener('scroll', () => syncScrollbar(tapeFrame, tapeThumb));
+	if (surfaceFrame) surfaceFrame.addEventListener('scroll', () => syncScrollbar(surfaceFrame, surfaceThumb));
+
+	// Info button - show guidelines modal
+	document.getElementById('infoBtn').addEventListener('click', () => {
+		const modal = document.createElement('div');
+		modal.innerHTML = `
+			<div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 0, 0, 0.5); z-index: 10000; display: flex; align-items: center; justify-content: center;" id="infoModal">
+				<div style="background: white; border: 4px solid var(--primary-color); border-radius: 12px; padding: 32px; max-width: 600px; width: 90%; box-shadow: 0 12px 48px rgba(0, 0, 0, 0.2); position: relative;">
+					<button data-close-info style="position: absolute; top: 16px; right: 16px; border: none; background: transparent; font-size: 24px; cursor: pointer; color: #6b7280; padding: 4px 8px;">×</button>
+					<h2 style="margin: 0 0 20px 0; color: var(--primary-color); font-size: 1.5rem;">About This Project</h2>
+					<div style="font-size: 0.95rem; line-height: 1.7; color: #374151; margin-bottom: 20px;">
+						<p style="margin: 0 0 16px 0;">
+							This is a locally made website with the help of AI and simple maths. To simulate real-world situations, environment behaviour, tape stickiness, tape strength, after-peel damage of new/existing tape variants. This is specifically made as a testing playground for my first Product UX RDI (research/design/innovation) case.
+						</p>
+						<p style="margin: 0 0 20px 0; font-weight: 600;">
+							For More visit the LinkedIn page where I post the structured presentation on my research (coming soon on 17-11-25)
+						</p>
+						<div style="text-align: center; padding: 20px; background: #f9fafb; border-radius: 8px;">
+							<img src="./images/LinkedIn_QR.png" alt="LinkedIn QR Code" style="max-width: 200px; width: 100%; height: auto;" />
+							<p style="margin: 12px 0 0 0; font-size: 0.85rem; color: #6b7280;">Scan to connect on LinkedIn</p>
+						</div>
+					</div>
+					<button data-close-info style="width: 100%; padding: 12px; background: var(--primary-color); color: white; border: none; border-radius: 6px; font-size: 1rem; font-weight: 600; cursor: pointer;">Got it!</button>
+				</div>
+			</div>
+		`;
+		modal.querySelectorAll('[data-close-info]').forEach(button => button.addEventListener('click', () => modal.remove()));
+		document.body.appendChild(modal);
+		addHistory('Opened info');
+	});
+
+	// ESC key shortcut - close the open content panel, or show the test ground
+	document.addEventListener('keydown', (e) => {
+		if (e.key !== 'Escape') return;
+		if (state.activePanel) {
+			state.activePanel = null;
+			addHistory('Closed content windows (ESC)');
+		} else if (!state.previewMode) {
+			document.getElementById('testBtn').click();
+		}
+	});
+
+	setupFloatingTooltips();
+}
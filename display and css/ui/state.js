@@ -0,0 +1,129 @@
+import { applyImportedTapes } from './catalog.js';
+import { EXPERIMENT_LIMIT } from './experiments.js';
+import { DISPLAY_UNIT_OPTIONS, UNIT_SYSTEMS } from './format.js';
+import { HISTORY_LIMIT } from './history.js';
+import { LOCALES } from './i18n.js';
+import { setLaminateLayers } from './laminate.js';
+import { getDefaultSchedule, safeJSONParse, sanitizeNumber, validateCalibrationProfiles, validateExperimentResults, validateHistoryEntries, validateMaterialLibrary, validateStateData, validateString, validateTapeList } from './security.js';
+import { createStore } from './store.js';
+
+// ==================== UI STATE ====================
+
+// Everything the UI shows lives here; panels and the Test Ground re-render from store subscriptions
+export const store = createStore({
+	activePanel: 'environment',
+	params: { width: 100, height: 80, tape: 'PVC', surface: 'Steel', temperature: 23, humidity: 50, thickness: 120, adhesive: 'Acrylic', environment: 'Dry', tapeLength: 1000, peelAngle: 180, peelRate: 300, hangMass: 1000, testMode: 'peel', tapeMode: 'single', adhesiveB: 'Acrylic', thicknessB: 120, surfaceB: 'Wall Paint', schedule: getDefaultSchedule() },
+	history: [],
+	experiments: [],
+	previewMode: false,
+	testTape: null, // 'variant' | 'regular' shown on the Test Ground
+	selectedRegularTape: null,
+	regularTapeFilter: { query: '', adhesive: '', datasheetOnly: false },
+	timeImpactDays: 0,
+	laminate: { layers: [{ material: 'PP', thickness: 41 }, { material: 'PVC', thickness: 165 }] },
+	customMaterials: { backing: {}, adhesive: {}, surface: {} },
+	customTapes: [], // imported datasheets (TAPE_SCHEMA entries)
+	tapeImport: { draft: null, units: {}, errors: [] },
+	materialEditor: { kind: 'backing', originalKey: null, draft: null, errors: [] },
+	displayUnits: { forcePerWidth: 'N/cm', stress: 'N/cm²', length: 'µm' },
+	locale: 'en',
+	unitSystem: 'metric', // inputs and results; params themselves always stay metric
+	sweep: { rows: 'surface', columns: 'tape', metric: 'safetyFactor' },
+	optimizer: { durationDays: 30, hangMass: 1000, cleanRemoval: true },
+	historyView: 'list',
+	historyCursor: 0,
+	compareSelection: [],
+	calibration: { profiles: {}, active: null, samples: [], importErrors: [], fit: null }
+});
+export const state = store.state;
+
+// Load from localStorage
+export function loadState() {
+	try {
+		// Custom materials first: params, layers and history may name them
+		const savedMaterials = localStorage.getItem('tape_ui_materials');
+		if (savedMaterials) {
+			state.customMaterials = validateMaterialLibrary(safeJSONParse(savedMaterials));
+		}
+		const savedTapes = localStorage.getItem('tape_ui_tapes');
+		if (savedTapes) {
+			state.customTapes = validateTapeList(safeJSONParse(savedTapes));
+		}
+		// The saved tape selection and history are checked against the catalog plus these imports
+		applyImportedTapes();
+		const saved = localStorage.getItem('tape_ui_params');
+		if (saved) {
+			const parsed = safeJSONParse(saved);
+			if (parsed && parsed.params) {
+				state.params = parsed.params;
+				if (parsed.laminate?.layers) setLaminateLayers(parsed.laminate.layers);
+				if ('selectedRegularTape' in parsed) state.selectedRegularTape = parsed.selectedRegularTape;
+				if (typeof parsed.timeImpactDays === 'number') state.timeImpactDays = parsed.timeImpactDays;
+			} else if (parsed && 'width' in parsed) {
+				// Older versions stored the bare params object
+				state.params = validateStateData({ params: parsed }).params;
+			}
+		}
+		const savedHistory = localStorage.getItem('tape_ui_history');
+		if (savedHistory) {
+			state.history = validateHistoryEntries(safeJSONParse(savedHistory));
+			state.historyCursor = Math.round(sanitizeNumber(localStorage.getItem('tape_ui_history_cursor'), 0, state.history.length, 0));
+		}
+		const savedExperiments = localStorage.getItem('tape_ui_experiments');
+		if (savedExperiments) {
+			const parsed = safeJSONParse(savedExperiments);
+			if (Array.isArray(parsed)) {
+				state.experiments = parsed.slice(-EXPERIMENT_LIMIT).map(exp => ({
+					...exp,
+					timeImpactDays: sanitizeNumber(exp.timeImpactDays, 0, 366, 0),
+					results: validateExperimentResults(exp.results)
+				}));
+			}
+		}
+		const savedUnits = localStorage.getItem('tape_ui_units');
+		if (savedUnits) {
+			const parsed = safeJSONParse(savedUnits) || {};
+			Object.keys(DISPLAY_UNIT_OPTIONS).forEach(dimension => {
+				state.displayUnits[dimension] = validateString(parsed[dimension], DISPLAY_UNIT_OPTIONS[dimension], state.displayUnits[dimension]);
+			});
+		}
+		const savedSettings = localStorage.getItem('tape_ui_settings');
+		if (savedSettings) {
+			const parsed = safeJSONParse(savedSettings) || {};
+			state.locale = validateString(parsed.locale, Object.keys(LOCALES), 'en');
+			state.unitSystem = validateString(parsed.unitSystem, Object.keys(UNIT_SYSTEMS), 'metric');
+		}
+		const savedCalibration = localStorage.getItem('tape_ui_calibration');
+		if (savedCalibration) {
+			const parsed = safeJSONParse(savedCalibration) || {};
+			state.calibration.profiles = validateCalibrationProfiles(parsed.profiles);
+			state.calibration.active = validateString(parsed.active, Object.keys(state.calibration.profiles), null);
+		}
+	} catch (e) {
+		console.warn('Failed to load state:', e);
+		// Reset to defaults on error
+		state.params = { width: 100, height: 80, tape: 'PVC', surface: 'Steel', temperature: 23, humidity: 50, thickness: 120, adhesive: 'Acrylic', environment: 'Dry', tapeLength: 1000, peelAngle: 180, peelRate: 300, hangMass: 1000, testMode: 'peel' };
+	}
+}
+
+// Save to localStorage
+export function saveState() {
+	try {
+		localStorage.setItem('tape_ui_params', JSON.stringify({
+			params: state.params,
+			laminate: state.laminate,
+			selectedRegularTape: state.selectedRegularTape ?? null,
+			timeImpactDays: state.timeImpactDays || 0
+		}));
+		localStorage.setItem('tape_ui_history', JSON.stringify(state.history.slice(0, HISTORY_LIMIT)));
+		localStorage.setItem('tape_ui_history_cursor', String(state.historyCursor));
+		localStorage.setItem('tape_ui_experiments', JSON.stringify(state.experiments.slice(-EXPERIMENT_LIMIT)));
+		localStorage.setItem('tape_ui_materials', JSON.stringify(state.customMaterials));
+		localStorage.setItem('tape_ui_tapes', JSON.stringify(state.customTapes));
+		localStorage.setItem('tape_ui_units', JSON.stringify(state.displayUnits));
+		localStorage.setItem('tape_ui_settings', JSON.stringify({ locale: state.locale, unitSystem: state.unitSystem }));
+		localStorage.setItem('tape_ui_calibration', JSON.stringify({ profiles: state.calibration.profiles, active: state.calibration.active }));
+	} catch (e) {
+		console.warn('Failed to save state:', e);
+	}
+}
@@ -0,0 +1,123 @@
+// ==================== OBSERVABLE STORE ====================
+// Plain-object state behind a Proxy: every write is recorded by its dotted path
+// (e.g. "params.thickness") and subscribers of that path run once per microtask.
+// Writes inside arrays report the array's own path, so "laminate.layers" covers
+// every layer edit, reorder and push.
+
+/**
+ * Does a change at `changed` concern a subscriber of `watched`?
+ * True when either path is the other or an ancestor of it.
+ */
+export function pathsOverlap(watched, changed) {
+	if (watched === changed) return true;
+	const [shorter, longer] = watched.length < changed.length ? [watched, changed] : [changed, watched];
+	return longer.startsWith(shorter) && longer[shorter.length] === '.';
+}
+
+/**
+ * Wrap `initial` in an observable store
+ * @param {Object} initial - Initial state (kept as the Proxy target, not copied)
+ * @returns {{ state: Object, subscribe: Function, raw: Function }}
+ */
+export function createStore(initial) {
+	const proxies = new WeakMap(); // target -> Map(path -> proxy)
+	const targets = new WeakMap(); // proxy -> target
+	const listeners = new Set();
+	let pending = new Set();
+	let flushQueued = false;
+
+	const unwrap = (value) => (value && typeof value === 'object' && targets.has(value)) ? targets.get(value) : value;
+
+	// New plain values may carry proxies read from the state (e.g. `{ ...state.params }`); store their targets instead
+	function unwrapDeep(value) {
+		if (!value || typeof value !== 'object') return value;
+		if (targets.has(value)) return targets.get(value);
+		if (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) {
+			Object.keys(value).forEach(key => {
+				const child = value[key];
+				if (child && typeof child === 'object') value[key] = unwrapDeep(child);
+			});
+		}
+		return value;
+	}
+
+	function notify(path) {
+		pending.add(path);
+		if (flushQueued) return;
+		flushQueued = true;
+		queueMicrotask(flush);
+	}
+
+	function flush() {
+		flushQueued = false;
+		const changed = [...pending];
+		pending = new Set();
+		listeners.forEach(listener => {
+			if (!listener.paths || changed.some(path => listener.paths.some(watched => pathsOverlap(watched, path)))) {
+				try {
+					listener.callback(changed);
+				} catch (e) {
+					console.error('State subscriber failed:', e);
+				}
+			}
+		});
+	}
+
+	function wrap(target, path) {
+		let byPath = proxies.get(target);
+		if (!byPath) {
+			byPath = new Map();
+			proxies.set(target, byPath);
+		}
+		if (byPath.has(path)) return byPath.get(path);
+
+		const isArray = Array.isArray(target);
+		const childPath = (key) => isArray ? path : (path ? `${path}.${String(key)}` : String(key));
+		const proxy = new Proxy(target, {
+			get(obj, key, receiver) {
+				const value = Reflect.get(obj, key, receiver);
+				if (typeof key === 'symbol' || !value || typeof value !== 'object') return value;
+				return wrap(value, childPath(key));
+			},
+			set(obj, key, value) {
+				const plain = unwrapDeep(value);
+				const had = Object.prototype.hasOwnProperty.call(obj, key);
+				if (had && obj[key] === plain) return true;
+				obj[key] = plain;
+				if (typeof key !== 'symbol') notify(childPath(key));
+				return true;
+			},
+			deleteProperty(obj, key) {
+				if (!Object.prototype.hasOwnProperty.call(obj, key)) return true;
+				delete obj[key];
+				if (typeof key !== 'symbol') notify(childPath(key));
+				return true;
+			}
+		});
+		byPath.set(path, proxy);
+		targets.set(proxy, target);
+		return proxy;
+	}
+
+	return {
+		state: wrap(initial, ''),
+
+		/**
+		 * Run `callback(changedPaths)` after any batch of writes touching one of `paths`
+		 * @param {string[]|null} paths - Dotted paths to watch (null = every change)
+		 * @param {Function} callback
+		 * @param {AbortSignal} [signal] - Unsubscribes when aborted
+		 * @returns {Function} Unsubscribe
+		 */
+		subscribe(paths, callback, signal) {
+			const listener = { paths, callback };
+			listeners.add(listener);
+			const unsubscribe = () => listeners.delete(listener);
+			signal?.addEventListener('abort', unsubscribe, { once: true });
+			return unsubscribe;
+		},
+
+		// The plain object behind a state proxy (for structured cloning and identity checks)
+		raw: unwrap
+	};
+}
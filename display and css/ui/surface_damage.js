@@ -0,0 +1,186 @@
+import { calculateSurfaceDamageMarks, createRandom } from '../math_reasoning.js';
+import { state, store } from './state.js';
+
+// ==================== SURFACE DAMAGE ====================
+// The last peel's predicted damage, drawn on a canvas laid over previewSurfaceImage: torn fibres,
+// paint flakes or lifted photo emulsion under the tape footprint, plus adhesive residue patches.
+// The same test always draws the same marks (the pattern is seeded from the test setup).
+
+// Surface the marks were drawn on; they go when the surface changes or the Test Ground closes
+let drawnSurface = null;
+
+const DAMAGE_STYLES = {
+	fibres: { fill: 'rgba(250, 246, 236, 0.95)', edge: 'rgba(110, 90, 70, 0.45)', detail: 'rgba(236, 228, 210, 0.9)', jag: 0.45, points: 18 },
+	flakes: { fill: 'rgba(212, 201, 182, 0.95)', edge: 'rgba(60, 50, 40, 0.5)', detail: 'rgba(190, 178, 158, 0.9)', jag: 0.3, points: 7 },
+	delamination: { fill: 'rgba(255, 255, 255, 0.92)', edge: 'rgba(40, 40, 40, 0.35)', detail: 'rgba(30, 30, 30, 0.4)', jag: 0.2, points: 14 }
+};
+
+// FNV-1a hash of the test setup, so a repeated test draws the same pattern
+function hashSeed(text) {
+	let hash = 0x811C9DC5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+// Irregular closed outline around (x, y): `jag` is how far the radius wanders
+function traceBlob(ctx, random, x, y, radius, points, jag) {
+	const outline = [];
+	for (let i = 0; i < points; i++) {
+		const angle = (i / points) * Math.PI * 2;
+		const r = radius * (1 - jag / 2 + random() * jag);
+		outline.push([x + Math.cos(angle) * r, y + Math.sin(angle) * r]);
+	}
+	ctx.beginPath();
+	outline.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+	ctx.closePath();
+	return outline;
+}
+
+// Spots of damage whose total area is `share` of the footprint; the peel starts at the top
+// edge, so they gather there and run down the strip as the share grows
+function layoutSpots(random, footprint, share, maxSpots) {
+	const target = share * footprint.w * footprint.h;
+	const count = Math.max(1, Math.min(maxSpots, Math.round(3 + share * maxSpots)));
+	const radius = Math.sqrt(target / count / Math.PI);
+	return Array.from({ length: count }, () => ({
+		x: footprint.x + random() * footprint.w,
+		y: footprint.y + Math.pow(random(), 1.6) * footprint.h * Math.min(1, 0.35 + share),
+		r: radius * (0.6 + random() * 0.8)
+	}));
+}
+
+function drawDamageSpot(ctx, random, spot, mode) {
+	const style = DAMAGE_STYLES[mode];
+	const outline = traceBlob(ctx, random, spot.x, spot.y, spot.r, style.points, style.jag);
+
+	// Shadow first, offset down-right, so the spot reads as a dip below the surface
+	ctx.save();
+	ctx.translate(1.5, 1.5);
+	ctx.fillStyle = style.edge;
+	ctx.fill();
+	ctx.restore();
+	ctx.fillStyle = style.fill;
+	ctx.fill();
+
+	ctx.strokeStyle = style.detail;
+	ctx.lineWidth = 0.8;
+	if (mode === 'fibres') {
+		// Loose fibres sticking out of the torn edge
+		outline.forEach(([px, py]) => {
+			const angle = Math.atan2(py - spot.y, px - spot.x) + (random() - 0.5) * 1.2;
+			const length = 2 + random() * 5;
+			ctx.beginPath();
+			ctx.moveTo(px, py);
+			ctx.lineTo(px + Math.cos(angle) * length, py + Math.sin(angle) * length);
+			ctx.stroke();
+		});
+	} else if (mode === 'flakes') {
+		// Chips that broke off around the crater
+		for (let i = 0; i < 4; i++) {
+			const angle = random() * Math.PI * 2;
+			const distance = spot.r * (1.1 + random() * 0.5);
+			traceBlob(ctx, random, spot.x + Math.cos(angle) * distance, spot.y + Math.sin(angle) * distance, 1 + random() * spot.r * 0.2, 5, 0.5);
+			ctx.fillStyle = style.detail;
+			ctx.fill();
+		}
+	} else {
+		// Hairline cracks running out from the lifted emulsion
+		outline.filter(() => random() < 0.3).forEach(([px, py]) => {
+			const angle = Math.atan2(py - spot.y, px - spot.x);
+			ctx.beginPath();
+			ctx.moveTo(px, py);
+			ctx.lineTo(px + Math.cos(angle) * spot.r * 0.5, py + Math.sin(angle) * spot.r * 0.5 + (random() - 0.5) * 4);
+			ctx.stroke();
+		});
+	}
+}
+
+// Soft amber patches of adhesive left behind, more opaque as the residue builds up
+function drawResidueSpot(ctx, random, spot, residue) {
+	const alpha = 0.15 + residue * 0.45;
+	const gradient = ctx.createRadialGradient(spot.x, spot.y, 0, spot.x, spot.y, spot.r);
+	gradient.addColorStop(0, `rgba(214, 170, 60, ${alpha.toFixed(3)})`);
+	gradient.addColorStop(1, 'rgba(214, 170, 60, 0)');
+	traceBlob(ctx, random, spot.x, spot.y, spot.r * 1.2, 12, 0.35);
+	ctx.fillStyle = gradient;
+	ctx.fill();
+}
+
+/**
+ * Where the tape sits on a surface drawing of `width` × `height` px: centred, keeping the tape's aspect ratio
+ * @returns {{ x: number, y: number, w: number, h: number }} Pixels; the peel starts at the top edge
+ */
+export function getTapeFootprint(width, height, params) {
+	const tapeWidth = params.width || 100;
+	const tapeHeight = params.height || 80;
+	const fit = Math.min(width * 0.8 / tapeWidth, height * 0.8 / tapeHeight);
+	const w = tapeWidth * fit;
+	const h = tapeHeight * fit;
+	return { x: (width - w) / 2, y: (height - h) / 2, w, h };
+}
+
+// Hide the marks (new test, another surface or the Test Ground closed)
+export function clearSurfaceDamage() {
+	const canvas = document.getElementById('previewDamageCanvas');
+	if (!canvas) return;
+	canvas.classList.remove('visible');
+	canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+	drawnSurface = null;
+}
+
+/**
+ * Draw what the peel in `params` did to the surface
+ * @param {Object} params - Test Ground peel parameters (width/height in mm set the footprint)
+ * @param {Object} peelOutcome - calculatePeelOutcome result for the same params
+ */
+export function renderSurfaceDamage(params, peelOutcome) {
+	const canvas = document.getElementById('previewDamageCanvas');
+	const surfaceImage = document.getElementById('previewSurfaceImage');
+	if (!canvas || !surfaceImage) return;
+
+	const marks = calculateSurfaceDamageMarks(params, peelOutcome);
+	const width = surfaceImage.clientWidth;
+	const height = surfaceImage.clientHeight;
+	const scale = window.devicePixelRatio || 1;
+	canvas.width = Math.round(width * scale);
+	canvas.height = Math.round(height * scale);
+	const ctx = canvas.getContext('2d');
+	ctx.setTransform(scale, 0, 0, scale, 0, 0);
+	ctx.clearRect(0, 0, width, height);
+
+	const footprint = getTapeFootprint(width, height, params);
+	const random = createRandom(hashSeed(`${params.surface}|${params.adhesive}|${params.width}|${params.height}`));
+
+	ctx.save();
+	ctx.beginPath();
+	ctx.rect(footprint.x, footprint.y, footprint.w, footprint.h);
+	ctx.clip();
+	if (marks.residueShare > 0.01) {
+		layoutSpots(random, footprint, marks.residueShare, 10).forEach(spot => drawResidueSpot(ctx, random, spot, marks.residue));
+	}
+	if (marks.mode) {
+		layoutSpots(random, footprint, marks.damageShare, 14).forEach(spot => drawDamageSpot(ctx, random, spot, marks.mode));
+	}
+	ctx.restore();
+
+	ctx.setLineDash([4, 3]);
+	ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+	ctx.lineWidth = 1;
+	ctx.strokeRect(footprint.x + 0.5, footprint.y + 0.5, footprint.w - 1, footprint.h - 1);
+	ctx.setLineDash([]);
+
+	canvas.setAttribute('aria-label', marks.mode
+		? `${(marks.damageShare * 100).toFixed(0)}% of the footprint damaged (peel at ${(marks.damageRatio * 100).toFixed(0)}% of the tear load), ${(marks.residue * 100).toFixed(0)}% residue`
+		: `No surface damage, ${(marks.residue * 100).toFixed(0)}% residue`);
+	canvas.classList.add('visible');
+	drawnSurface = params.surface;
+}
+
+export function initSurfaceDamage() {
+	store.subscribe(['previewMode', 'params.surface'], () => {
+		if (drawnSurface && (!state.previewMode || state.params.surface !== drawnSurface)) clearSurfaceDamage();
+	});
+}
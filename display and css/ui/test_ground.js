@@ -0,0 +1,267 @@
+import { calculateDamageProbability, calculateDoubleSidedJoint, calculateHangTest, calculatePeelOutcome, formatDuration } from '../math_reasoning.js';
+import { getCatalogTapeParams, regularTapeOptions } from './catalog.js';
+import { describeJoint, renderDoubleSidedJoint } from './controls.js';
+import { formatTimeImpact } from './format.js';
+import { addHistory } from './history.js';
+import { t } from './i18n.js';
+import { describeLaminate, getLaminateParams } from './laminate.js';
+import { isPeelPlaying, startPeelSimulation, stopPeelSimulation } from './peel_simulation.js';
+import { toggleSurfacePopup } from './sidebar.js';
+import { state, store } from './state.js';
+import { clearSurfaceDamage, renderSurfaceDamage } from './surface_damage.js';
+import { animateHangWeight, describeHangResult, displayHangResults, displayRealImpactResults, getPeelVerdict, showDamageSign } from './test_results.js';
+
+// ==================== TEST GROUND ====================
+
+// Set while the hang weight animates; a peel holds the TEST button for as long as its playback runs
+let hangInProgress = false;
+
+// Redraws the results panel of the last test without replaying it (language or unit changes)
+let redrawResults = null;
+
+// TEST button: enter the Test Ground if needed, then assess the selected tape
+function onTestButton() {
+	state.activePanel = null;
+	if (!state.previewMode) enterTestGround();
+
+	// Prevent multiple simultaneous assessments
+	if (hangInProgress || isPeelPlaying()) return;
+
+	if (!state.testTape) {
+		addHistory('TEST: No tape selected - Select a tape first');
+		alert(t('testGround.selectTapeFirst'));
+		return;
+	}
+
+	runTestGroundTest();
+	addHistory('TEST button clicked - assessing damage');
+}
+
+// Switch the playground into Test Ground mode (panels closed, preview images shown)
+export function enterTestGround() {
+	document.querySelector('.playground').classList.add('preview-mode');
+	document.getElementById('testBtn').classList.add('active');
+	state.activePanel = null;
+	// Auto-activate variant tape display when a laminate is stacked
+	if (state.laminate.layers.length > 1) state.testTape = 'variant';
+	state.previewMode = true;
+	addHistory('Entered Test Ground mode');
+}
+
+// Variant / regular tape buttons pick the tape on the Test Ground (click again to put it away)
+function onVariantTapeButton() {
+	if (!state.previewMode) return;
+	state.testTape = state.testTape === 'variant' ? null : 'variant';
+	addHistory(state.testTape ? 'Variant Tape preview activated' : 'Variant Tape preview deactivated');
+}
+
+function onRegularTapeButton() {
+	if (!state.previewMode) return;
+	const opening = state.testTape !== 'regular';
+	state.testTape = opening ? 'regular' : null;
+	document.getElementById('regularTapeDropdown').classList.toggle('show', opening);
+	addHistory(opening ? 'Regular Tape dropdown opened' : 'Regular Tape dropdown closed');
+}
+
+// Preview surface button - toggles surface selection dropdown in preview mode
+function onPreviewSurfaceButton() {
+	const btn = document.getElementById('previewSurfaceBtn');
+	const dropdown = document.getElementById('surfaceSelectionDropdown');
+
+	if (!state.previewMode) {
+		// Outside preview mode, open the surface popup as before
+		toggleSurfacePopup();
+		addHistory('Opened surface selection in preview mode');
+		return;
+	}
+	const opening = !btn.classList.contains('active');
+	btn.classList.toggle('active', opening);
+	dropdown.classList.toggle('show', opening);
+	addHistory(opening ? 'Surface selection dropdown opened' : 'Surface selection dropdown closed');
+}
+
+// Double-sided / transfer construction (face B) carried into the Test Ground params
+function getFaceParams() {
+	const { tapeMode, adhesiveB, thicknessB, surfaceB } = state.params;
+	return tapeMode === 'single' ? { tapeMode } : { tapeMode, adhesiveB, thicknessB, surfaceB };
+}
+
+// Parameters for the tape shown on the Test Ground (variant or regular), or null if none is selected
+export function buildTestGroundParams() {
+	const surface = state.params.surface || 'Steel';
+	const environment = state.params.environment || 'Dry';
+	const timeImpactDays = state.timeImpactDays || 0;
+
+	let testParams;
+	let tapeDescription;
+
+	if (state.testTape === 'variant') {
+		// Variant tape: the laminate layers share the load, the contact layer carries the adhesive
+		const layers = state.laminate.layers;
+
+		testParams = getLaminateParams({
+			surface: surface,
+			adhesive: state.params.adhesive || 'Acrylic',
+			environment: environment,
+			temperature: state.params.temperature,
+			humidity: state.params.humidity,
+			peelAngle: state.params.peelAngle,
+			peelRate: state.params.peelRate,
+			thickness: state.params.thickness || 25,
+			timeImpactDays: timeImpactDays,
+			schedule: state.params.schedule,
+			hangMass: state.params.hangMass,
+			width: state.params.width || 100,
+			height: state.params.height || 80,
+			...getFaceParams()
+		}, layers);
+		tapeDescription = t('testGround.variantTapeOf', { laminate: describeLaminate(layers) });
+	} else if (state.testTape === 'regular' && state.selectedRegularTape) {
+		const selectedTape = regularTapeOptions.find(t => t.name === state.selectedRegularTape);
+		if (!selectedTape) return null;
+
+		// Datasheet values, backing thickness and roll width come with the catalog entry
+		testParams = {
+			surface: surface,
+			environment: environment,
+			temperature: state.params.temperature,
+			humidity: state.params.humidity,
+			peelAngle: state.params.peelAngle,
+			peelRate: state.params.peelRate,
+			timeImpactDays: timeImpactDays,
+			schedule: state.params.schedule,
+			hangMass: state.params.hangMass,
+			height: state.params.height || 80,
+			...getCatalogTapeParams(selectedTape),
+			...getFaceParams()
+		};
+		tapeDescription = t('testGround.regularTapeOf', { name: state.selectedRegularTape });
+	}
+
+	return testParams ? { params: testParams, tapeDescription } : null;
+}
+
+// Function to assess peel damage and show appropriate sign
+function assessPeelDamage() {
+	const surface = state.params.surface || 'Steel';
+	const timeImpactDays = state.timeImpactDays || 0;
+
+	const testGround = buildTestGroundParams();
+	if (!testGround) return;
+	const { params: peelParams, tapeDescription } = testGround;
+
+	if (peelParams.tapeMode !== 'single') {
+		clearSurfaceDamage();
+		stopPeelSimulation();
+		assessDoubleSidedJoint(peelParams, tapeDescription);
+		return;
+	}
+
+	const peelOutcome = calculatePeelOutcome(peelParams);
+	const damageResult = peelOutcome.damage;
+
+	// Spread of outcomes over the rupture strength range, adhesive scatter and climate
+	const damageProbability = calculateDamageProbability(peelParams);
+	const { signImage, signClass, message } = getPeelVerdict(peelParams, peelOutcome, damageProbability);
+
+	// Play the peel over the marks it leaves; the sign shows once the front stops
+	renderSurfaceDamage(peelParams, peelOutcome);
+	startPeelSimulation(peelParams, peelOutcome, () => showDamageSign(signImage, signClass, message));
+
+	// Display real-impact results panel
+	redrawResults = () => displayRealImpactResults(peelParams, damageResult, peelOutcome, damageProbability);
+	redrawResults();
+
+	// Add history with time impact information
+	const timeInfo = timeImpactDays > 0 ? ` (after ${formatTimeImpact(timeImpactDays)})` : ' (just applied)';
+	const outcomeLabels = { clean: 'clean peel', snap: 'tape snaps', tear: 'surface tears' };
+	const probabilityInfo = damageProbability.canDamage ? `, ${(damageProbability.probability * 100).toFixed(1)}% damage probability` : '';
+	addHistory(`PEEL assessed: ${tapeDescription} on ${surface}${timeInfo} - ${outcomeLabels[peelOutcome.outcome]} (${damageResult.damageRisk} surface risk${probabilityInfo})`);
+}
+
+// Pull a double-sided / transfer joint apart: sign and results follow whichever limit gives way first
+function assessDoubleSidedJoint(params, tapeDescription) {
+	const joint = calculateDoubleSidedJoint(params);
+	const failedFace = joint.faces.find(face => face.face === joint.firstFailure);
+	const worstRisk = ['critical', 'high', 'moderate'].find(risk => joint.faces.some(face => face.status === 'keeps tape' && face.damage.damageRisk === risk));
+
+	let signImage, signClass;
+	if (failedFace?.status === 'torn') {
+		signImage = './images/signs/boom_sign.png';
+		signClass = 'boom';
+	} else if (joint.firstFailure === 'core') {
+		signImage = './images/signs/snap_sign.svg';
+		signClass = 'snap';
+	} else if (worstRisk) {
+		signImage = './images/signs/oops_sign.png';
+		signClass = 'oops';
+	} else {
+		signImage = './images/signs/ok_sign.png';
+		signClass = 'ok';
+	}
+	showDamageSign(signImage, signClass, describeJoint(joint));
+
+	redrawResults = () => {
+		const resultsPanel = document.getElementById('realImpactResults');
+		if (!resultsPanel) return;
+		resultsPanel.innerHTML = `
+			<h2>🔬 ${t('results.title')}</h2>
+			<div class="impact-section">
+				<h3>⏱️ ${t('results.timeImpact', { time: formatTimeImpact(params.timeImpactDays || 0) })}</h3>
+				<div class="impact-item">${tapeDescription}, ${t(`controls.tapeModes.${joint.mode}`).toLowerCase()}</div>
+			</div>
+			${renderDoubleSidedJoint(joint)}
+		`;
+	};
+	redrawResults();
+
+	const timeInfo = (params.timeImpactDays || 0) > 0 ? ` (after ${formatTimeImpact(params.timeImpactDays)})` : ' (just applied)';
+	const failureLabel = joint.firstFailure === 'core' ? `${joint.core.material} core splits` : `face ${failedFace.face} ${failedFace.status}`;
+	addHistory(`PEEL assessed: ${tapeDescription} between ${params.surface} and ${params.surfaceB}${timeInfo} - ${failureLabel} at ${joint.failureLoad.toFixed(1)} N`);
+}
+
+// Function to run the static shear hang test and animate the weight
+function assessHangTest() {
+	const testGround = buildTestGroundParams();
+	if (!testGround) return;
+	const { params: hangParams, tapeDescription } = testGround;
+
+	const hangResult = calculateHangTest(hangParams);
+	clearSurfaceDamage();
+	stopPeelSimulation();
+
+	hangInProgress = true;
+	animateHangWeight(hangResult, () => {
+		hangInProgress = false;
+		if (hangResult.outcome === 'holds') {
+			showDamageSign('./images/signs/ok_sign.png', 'ok', t('signs.holds', { message: describeHangResult(hangResult) }));
+		} else {
+			showDamageSign('./images/signs/oops_sign.png', 'oops', t('signs.drop', { message: describeHangResult(hangResult) }));
+		}
+	});
+
+	redrawResults = () => displayHangResults(hangParams, hangResult);
+	redrawResults();
+
+	const timeInfo = hangParams.timeImpactDays > 0 ? ` after ${formatTimeImpact(hangParams.timeImpactDays)} dwell` : ' right after application';
+	addHistory(`HANG assessed: ${tapeDescription} on ${hangParams.surface} with ${hangParams.hangMass} g${timeInfo} - ${hangResult.outcome === 'holds' ? 'holds 10+ years' : `fails after ${formatDuration(hangResult.timeToFailure)}`}`);
+}
+
+// Run whichever test is selected on the Test Ground
+export function runTestGroundTest() {
+	if (state.params.testMode === 'hang') {
+		assessHangTest();
+	} else {
+		assessPeelDamage();
+	}
+}
+
+export function initTestGround() {
+	document.getElementById('testBtn').addEventListener('click', onTestButton);
+	document.getElementById('variantTapeBtn').addEventListener('click', onVariantTapeButton);
+	document.getElementById('regularTapeBtn').addEventListener('click', onRegularTapeButton);
+	document.getElementById('previewSurfaceBtn').addEventListener('click', onPreviewSurfaceButton);
+	store.subscribe(['locale', 'unitSystem', 'displayUnits'], () => {
+		if (state.previewMode && redrawResults) redrawResults();
+	});
+}
@@ -0,0 +1,468 @@
+import { HANG_TEST_HORIZON, calculateAdhesiveResidue, calculateAgingEffects, calculateUVDegradation, interpolateCreep } from '../math_reasoning.js';
+import { formatElapsed, formatForce, formatLength, formatParam, formatSI, formatTimeImpact } from './format.js';
+import { formatNumber, t } from './i18n.js';
+
+// Track the running hang animation so a new test restarts it cleanly
+let hangAnimationFrame = null;
+
+let hangHideTimeout = null;
+
+// Slide the weight down along the creep curve (log time), then drop it if the joint fails
+export function animateHangWeight(hangResult, onComplete) {
+	const weight = document.getElementById('hangWeight');
+	const surfaceImage = document.getElementById('previewSurfaceImage');
+	if (!weight || !surfaceImage) {
+		onComplete();
+		return;
+	}
+
+	if (hangAnimationFrame) cancelAnimationFrame(hangAnimationFrame);
+	if (hangHideTimeout) clearTimeout(hangHideTimeout);
+
+	const surfaceRect = surfaceImage.getBoundingClientRect();
+	const playgroundRect = surfaceImage.parentElement.getBoundingClientRect();
+	const left = surfaceRect.left - playgroundRect.left + surfaceRect.width / 2;
+	const top = surfaceRect.top - playgroundRect.top + surfaceRect.height / 2 + 48;
+
+	weight.className = 'hang-weight visible';
+	weight.style.left = left + 'px';
+	weight.style.top = top + 'px';
+	weight.innerHTML = `<span>${formatParam('hangMass', hangResult.mass * 1000)}</span><small>${formatElapsed(0)}</small>`;
+	const clock = weight.querySelector('small');
+
+	const failed = Number.isFinite(hangResult.timeToFailure);
+	const endTime = failed ? Math.max(1, hangResult.timeToFailure) : HANG_TEST_HORIZON;
+	const maxSlipPx = 36;
+	const duration = 3000;
+	const start = performance.now();
+
+	const step = (now) => {
+		const progress = Math.min(1, (now - start) / duration);
+		const time = Math.pow(endTime, progress) - 1 + progress; // 0 → endTime on a log scale
+		const slip = interpolateCreep(hangResult.creep, time);
+		weight.style.top = (top + maxSlipPx * slip / hangResult.slipAtFailure) + 'px';
+		clock.textContent = formatElapsed(time);
+
+		if (progress < 1) {
+			hangAnimationFrame = requestAnimationFrame(step);
+			return;
+		}
+
+		hangAnimationFrame = null;
+		if (failed) weight.classList.add('falling');
+		onComplete();
+		hangHideTimeout = setTimeout(() => {
+			weight.className = 'hang-weight';
+		}, 3500);
+	};
+	hangAnimationFrame = requestAnimationFrame(step);
+}
+
+// What the adhesive is doing at this age (Real-Impact panel and lab report)
+export function describeAdhesiveBehavior(timeImpactDays, aging, adhesiveResidue) {
+	if (timeImpactDays === 0) {
+		return t('results.behavior.justApplied');
+	} else if (aging && aging.phase === 'build-up') {
+		return t('results.behavior.wetOut');
+	} else if (timeImpactDays < 30) {
+		return t('results.behavior.established');
+	} else if (timeImpactDays < 180) {
+		if (adhesiveResidue > 0.4) {
+			return t('results.behavior.migrating');
+		}
+		return t('results.behavior.fullyBonded');
+	}
+	if (adhesiveResidue > 0.6) {
+		return t('results.behavior.heavyMigration');
+	} else if (aging && aging.peelRetention < 0.9) {
+		return t('results.behavior.dryingOut');
+	}
+	return t('results.behavior.longTerm');
+}
+
+export function describeResidue(adhesiveResidue) {
+	if (adhesiveResidue === 0) return t('results.residue.none');
+	if (adhesiveResidue < 0.2) return t('results.residue.minimal');
+	if (adhesiveResidue < 0.5) return t('results.residue.light');
+	if (adhesiveResidue < 0.8) return t('results.residue.moderate');
+	return t('results.residue.heavy');
+}
+
+export function describeUVDegradation(uvDegradation) {
+	if (uvDegradation === 0) return t('results.uv.none');
+	if (uvDegradation < 0.3) return t('results.uv.slight');
+	if (uvDegradation < 0.6) return t('results.uv.moderate');
+	return t('results.uv.severe');
+}
+
+// Peel outcome explanation (what gives way first)
+const PEEL_OUTCOME_ICONS = { clean: '✅', snap: '✂️', tear: '💥' };
+
+export function getPeelOutcomeDetails(outcome) {
+	return { title: `${PEEL_OUTCOME_ICONS[outcome]} ${t(`results.peelOutcomes.${outcome}.title`)}`, text: t(`results.peelOutcomes.${outcome}.text`) };
+}
+
+// calculatePeelOutcome's verdict sentence in the UI's language and units
+export function describePeelOutcome(peelOutcome, surface) {
+	return t(`results.peelOutcomes.${peelOutcome.outcome}.message`, {
+		peel: formatForce(peelOutcome.peelLoad),
+		breaking: formatForce(peelOutcome.breakingLoad),
+		tear: formatForce(peelOutcome.surfaceTearLoad),
+		surface
+	});
+}
+
+// calculateHangTest's verdict sentence in the UI's language and units
+export function describeHangResult(hangResult) {
+	if (hangResult.outcome === 'falls') {
+		const values = { stress: formatSI(hangResult.shearStress, 'stress'), hold: formatSI(hangResult.holdStrength, 'stress'), time: formatElapsed(hangResult.timeToFailure) };
+		return t(hangResult.shearStress >= hangResult.holdStrength ? 'results.hang.fallsMessage' : 'results.hang.creepFallsMessage', values);
+	}
+	if (hangResult.outcome === 'slides') {
+		return t('results.hang.slidesMessage', { time: formatElapsed(hangResult.timeToFailure), load: formatForce(hangResult.load) });
+	}
+	return t('results.hang.holdsMessage', { load: formatForce(hangResult.load), slip: formatLength(hangResult.creep[hangResult.creep.length - 1].slip) });
+}
+
+// Function to populate real-impact results panel for the hang test
+export function displayHangResults(params, hangResult) {
+	const resultsPanel = document.getElementById('realImpactResults');
+	if (!resultsPanel) return;
+
+	const outcomeDetails = {
+		falls: { icon: '⬇️', riskClass: 'risk-critical' },
+		slides: { icon: '🐌', riskClass: 'risk-high' },
+		holds: { icon: '✅', riskClass: 'risk-low' }
+	};
+	const outcomeInfo = outcomeDetails[hangResult.outcome];
+	const creepCheckpoints = [3600, 86400, 30 * 86400].filter(time => time < hangResult.timeToFailure);
+	const aging = calculateAgingEffects(params);
+
+	resultsPanel.innerHTML = `
+		<h2>🪝 ${t('results.hang.title')}</h2>
+
+		<div class="impact-section">
+			<h3>${outcomeInfo.icon} ${t(`results.hang.outcomes.${hangResult.outcome}.title`)}</h3>
+			<div class="impact-item">${describeHangResult(hangResult)}</div>
+			<div class="impact-item">
+				<strong>${t('results.hang.predictedFailure')}:</strong>
+				<span class="impact-value">${Number.isFinite(hangResult.timeToFailure) ? t('results.hang.failsAfter', { time: formatElapsed(hangResult.timeToFailure) }) : t('results.hang.noFailure')}</span>
+			</div>
+			<div class="risk-indicator ${outcomeInfo.riskClass}">${t(`results.hang.outcomes.${hangResult.outcome}.label`)}</div>
+		</div>
+
+		<div class="impact-section">
+			<h3>⚖️ ${t('results.hang.load')}</h3>
+			<div class="impact-item">
+				<strong>${t('results.hang.weight')}:</strong>
+				<span class="impact-value">${formatParam('hangMass', params.hangMass)} (${formatForce(hangResult.load, 2)})</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.hang.overlap')}:</strong>
+				<span class="impact-value">${formatParam('width', params.width)} × ${formatParam('height', params.height)}</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.hang.shearStress')}:</strong>
+				<span class="impact-value">${formatSI(hangResult.shearStress, 'stress')}</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.hang.holdStrength')}:</strong>
+				<span class="impact-value">${formatSI(hangResult.holdStrength, 'stress')} (${t('results.hang.used', { percent: formatNumber(hangResult.stressRatio * 100) })})</span>
+			</div>
+		</div>
+
+		${creepCheckpoints.length > 0 ? `
+		<div class="impact-section">
+			<h3>🐌 ${t('results.hang.creep')}</h3>
+			${creepCheckpoints.map(time => `
+			<div class="impact-item">
+				<strong>${t('results.hang.after', { time: formatElapsed(time) })}:</strong>
+				<span class="impact-value">${t('results.hang.slip', { slip: formatLength(interpolateCreep(hangResult.creep, time)) })}</span>
+			</div>
+			`).join('')}
+			<div class="impact-item">
+				<strong>${t('results.hang.letsGoAt')}:</strong>
+				<span class="impact-value">${t('results.hang.slip', { slip: formatLength(hangResult.slipAtFailure) })}</span>
+			</div>
+		</div>
+		` : ''}
+
+		<div class="impact-section">
+			<h3>⏱️ ${t('results.hang.loadedAfter', { time: formatTimeImpact(params.timeImpactDays || 0) })}</h3>
+			${aging ? `
+			<div class="impact-item">
+				<strong>${t('results.bondBuildUp')}:</strong>
+				<span class="impact-value">${t('results.ofUltimate', { percent: formatNumber(aging.buildUp * 100) })}</span>
+			</div>
+			` : ''}
+			<div class="impact-item">
+				<strong>${t('results.hang.climate')}:</strong> ${t('results.hang.climateValue', { temperature: formatParam('temperature', params.temperature), humidity: formatNumber(params.humidity) })}
+			</div>
+		</div>
+	`;
+}
+
+// Track active animation timeout to allow cleanup
+let damageSignTimeout = null;
+
+let damageSignCleanupTimeout = null;
+
+/**
+ * Sign for a single-sided peel: one per outcome, clean peels with a thin margin get a warning
+ * @returns {{ signImage: string, signClass: string, message: string }} signClass is ok / oops / boom / snap
+ */
+export function getPeelVerdict(params, peelOutcome, damageProbability) {
+	const damageResult = peelOutcome.damage;
+	const isSurfaceSafe = damageProbability.probability < 0.01 && damageProbability.verdicts.ok >= 0.9;
+	const probabilityNote = damageProbability.canDamage ? ` ${t('signs.damageChance', { percent: formatNumber(damageProbability.probability * 100, 1) })}` : '';
+
+	if (peelOutcome.outcome === 'snap') {
+		return { signImage: './images/signs/snap_sign.svg', signClass: 'snap', message: t('signs.snap', { message: describePeelOutcome(peelOutcome, params.surface) }) };
+	}
+	if (peelOutcome.outcome === 'tear') {
+		return { signImage: './images/signs/boom_sign.png', signClass: 'boom', message: t('signs.tear', { message: describePeelOutcome(peelOutcome, params.surface) }) };
+	}
+	if (!damageResult.canDamage) {
+		// Surface cannot be damaged by tape
+		return { signImage: './images/signs/ok_sign.png', signClass: 'ok', message: t('signs.surfaceTooStrong', { surface: params.surface }) };
+	}
+	if (isSurfaceSafe && peelOutcome.tensile.tensileSafetyFactor > 1.5) {
+		return { signImage: './images/signs/ok_sign.png', signClass: 'ok', message: `${t('signs.safe', { factor: formatNumber(damageResult.safetyFactor, 2) })}${probabilityNote}` };
+	}
+	// Clean peel, but close to tearing the surface or snapping the tape
+	return { signImage: './images/signs/oops_sign.png', signClass: 'oops', message: `${t('signs.warning', { surface: formatNumber(damageResult.safetyFactor, 2), backing: formatNumber(peelOutcome.tensile.tensileSafetyFactor, 2) })}${probabilityNote}` };
+}
+
+// Function to show damage sign with animation
+export function showDamageSign(imageSrc, animationClass, message) {
+	const damageSign = document.getElementById('damageSign');
+	const surfaceImage = document.getElementById('previewSurfaceImage');
+
+	if (!damageSign) {
+		console.error('Damage sign element not found!');
+		return;
+	}
+
+	if (!surfaceImage) {
+		console.error('Surface image element not found!');
+		return;
+	}
+
+	console.log('🎯 Starting damage sign display:', {
+		imageSrc,
+		animationClass,
+		currentSrc: damageSign.src,
+		currentClass: damageSign.className,
+		currentDisplay: damageSign.style.display,
+		currentOpacity: damageSign.style.opacity
+	});
+
+	// Clear any existing timeouts
+	if (damageSignTimeout) clearTimeout(damageSignTimeout);
+	if (damageSignCleanupTimeout) clearTimeout(damageSignCleanupTimeout);
+
+	// Clear any existing animation state
+	damageSign.className = 'damage-sign';
+	damageSign.style.opacity = '0';
+	damageSign.style.display = 'block';
+	damageSign.style.visibility = 'visible';
+	damageSign.style.animation = '';
+	damageSign.style.transform = '';
+
+	// Position the sign over the surface image
+	const surfaceRect = surfaceImage.getBoundingClientRect();
+	const playgroundRect = surfaceImage.parentElement.getBoundingClientRect();
+
+	// Calculate position relative to playground
+	const centerX = surfaceRect.left - playgroundRect.left + surfaceRect.width / 2;
+	const centerY = surfaceRect.top - playgroundRect.top + surfaceRect.height / 2;
+
+	damageSign.style.left = centerX + 'px';
+	damageSign.style.top = centerY + 'px';
+
+	console.log('📍 Positioning sign at:', {
+		centerX,
+		centerY,
+		animationClass,
+		surfaceRect: { left: surfaceRect.left, top: surfaceRect.top, width: surfaceRect.width, height: surfaceRect.height }
+	});
+
+	// Preload image before animating
+	const img = new Image();
+	img.onload = () => {
+		console.log('✅ Image loaded successfully:', imageSrc);
+		damageSign.src = imageSrc;
+
+		// Verify the image is set
+		console.log('🖼️ Damage sign src after setting:', damageSign.src);
+
+		// Force reflow to ensure clean animation start
+		void damageSign.offsetWidth;
+
+		// Add animation class immediately after image is loaded
+		requestAnimationFrame(() => {
+			damageSign.classList.add(animationClass);
+			damageSign.style.opacity = '1';
+			console.log('🎬 Animation started:', {
+				class: damageSign.className,
+				opacity: damageSign.style.opacity,
+				display: damageSign.style.display
+			});
+		});
+
+		// Hide after animation completes
+		const duration = animationClass === 'boom' ? 4000 : animationClass === 'oops' || animationClass === 'snap' ? 3500 : 3000;
+		damageSignTimeout = setTimeout(() => {
+			console.log('⏰ Animation duration complete, fading out');
+			// Animation-fill-mode: forwards keeps the final state, so just fade out
+			// Set final transform explicitly to ensure it stays centered
+			damageSign.style.transform = 'translate(-50%, -50%) scale(1)';
+			damageSign.style.animation = 'none'; // Stop animation
+			// Then fade out at the same position
+			damageSign.style.opacity = '0';
+			damageSignCleanupTimeout = setTimeout(() => {
+				damageSign.className = 'damage-sign';
+				damageSign.style.display = 'none';
+				damageSign.style.visibility = 'hidden';
+				damageSign.style.transform = '';
+				damageSign.style.animation = '';
+				console.log('✨ Cleanup complete');
+			}, 300);
+		}, duration);
+	};
+
+	img.onerror = () => {
+		console.error('❌ Failed to load sign image:', imageSrc);
+	};
+
+	img.src = imageSrc;
+	console.log('💬', message);
+}
+
+// Function to populate real-impact results panel
+export function displayRealImpactResults(params, damageResult, peelOutcome, damageProbability) {
+	const resultsPanel = document.getElementById('realImpactResults');
+	if (!resultsPanel) return;
+
+	const { adhesive, timeImpactDays = 0 } = params;
+
+	// Calculate all the impacts
+	const aging = calculateAgingEffects(params);
+	const uvDegradation = timeImpactDays > 0 ? calculateUVDegradation(params) : 0;
+	const adhesiveResidue = timeImpactDays > 0 ? calculateAdhesiveResidue(params) : 0;
+
+	const adhesiveBehavior = describeAdhesiveBehavior(timeImpactDays, aging, adhesiveResidue);
+	const residueAssessment = describeResidue(adhesiveResidue);
+
+	const outcomeInfo = peelOutcome ? getPeelOutcomeDetails(peelOutcome.outcome) : null;
+
+	// Safety-factor histogram: red bins tear the surface, amber are marginal, green are safe
+	const maxBinShare = damageProbability?.canDamage ? Math.max(...damageProbability.histogram.map(bin => bin.share)) : 0;
+	const histogramBars = damageProbability?.canDamage ? damageProbability.histogram.map(bin => {
+		const color = bin.to <= 1 + 1e-9 ? '#ef4444' : bin.from >= 3 ? '#10b981' : '#f59e0b';
+		return `<div title="${formatNumber(bin.from, 2)}-${formatNumber(bin.to, 2)}×: ${formatNumber(bin.share * 100, 1)}%" style="flex: 1; height: ${(bin.share / maxBinShare * 100).toFixed(1)}%; min-height: ${bin.count > 0 ? 2 : 0}px; background: ${color}; border-radius: 2px 2px 0 0;"></div>`;
+	}).join('') : '';
+
+	// Build the HTML
+	let html = `
+		<h2>🔬 ${t('results.title')}</h2>
+
+		${outcomeInfo ? `
+		<div class="impact-section">
+			<h3>${outcomeInfo.title}</h3>
+			<div class="impact-item">${outcomeInfo.text}</div>
+			<div class="impact-item">
+				<strong>${t('results.peelLoad')}:</strong>
+				<span class="impact-value">${formatForce(peelOutcome.peelLoad)}</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.backingBreaksAt')}:</strong>
+				<span class="impact-value">${formatForce(peelOutcome.breakingLoad)} (${t('common.margin', { factor: formatNumber(peelOutcome.tensile.tensileSafetyFactor, 2) })})</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.surfaceTearsAt')}:</strong>
+				<span class="impact-value">${Number.isFinite(peelOutcome.surfaceTearLoad) ? `${formatForce(peelOutcome.surfaceTearLoad)} (${t('common.margin', { factor: formatNumber(damageResult.safetyFactor, 2) })})` : t('results.cannotBeDamaged')}</span>
+			</div>
+		</div>
+		` : ''}
+
+		${damageProbability?.canDamage ? `
+		<div class="impact-section">
+			<h3>🎲 ${t('results.damageProbability')}</h3>
+			<div class="impact-item">
+				<strong>${t('results.damageChance')}:</strong>
+				<span class="impact-value">${formatNumber(damageProbability.probability * 100, 1)}%</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.safetyFactorRange')}:</strong>
+				<span class="impact-value">${formatNumber(damageProbability.safetyFactor.p5, 2)}× - ${formatNumber(damageProbability.safetyFactor.p95, 2)}× (${t('results.median', { value: `${formatNumber(damageProbability.safetyFactor.p50, 2)}×` })})</span>
+			</div>
+			<div style="display: flex; align-items: flex-end; gap: 2px; height: 80px; margin-top: 8px; border-bottom: 1px solid #d1d5db;">
+				${histogramBars}
+			</div>
+			<div style="display: flex; justify-content: space-between; font-size: 0.65rem; color: #6b7280; margin-top: 2px;">
+				<span>${formatNumber(0.1, 1)}×</span><span>1×</span><span>10×</span><span>100×</span>
+			</div>
+			<div class="impact-item" style="margin-top: 8px;">
+				OK ${formatNumber(damageProbability.verdicts.ok * 100)}% · OOPS ${formatNumber(damageProbability.verdicts.oops * 100)}% · BOOM ${formatNumber(damageProbability.verdicts.boom * 100)}%
+				<div style="font-size: 0.7rem; color: #6b7280;">${t('results.samplesNote', { samples: formatNumber(damageProbability.samples), surface: params.surface, scatter: formatNumber(damageProbability.adhesionScatter * 100), environment: params.environment })}</div>
+			</div>
+		</div>
+		` : ''}
+
+		<div class="impact-section">
+			<h3>⏱️ ${t('results.timeImpact', { time: formatTimeImpact(timeImpactDays) })}</h3>
+			<div class="impact-item">
+				<strong>${t('results.adhesiveBehavior')}:</strong><br>
+				${adhesiveBehavior}
+			</div>
+			${aging ? `
+			<div class="impact-item">
+				<strong>${t('results.bondBuildUp')}:</strong>
+				<span class="impact-value">${t('results.ofUltimate', { percent: formatNumber(aging.buildUp * 100) })} (${t('results.fullBondAfter', { time: formatTimeImpact(aging.fullBondHours / 24) })})</span>
+			</div>
+			` : ''}
+		</div>
+
+		<div class="impact-section">
+			<h3>💧 ${t('results.adhesiveStatus')}</h3>
+			<div class="impact-item">
+				<strong>${t('results.type')}:</strong> ${adhesive}
+			</div>
+			${aging && timeImpactDays > 0 ? `
+			<div class="impact-item">
+				<strong>${t('results.peelRetention')}:</strong>
+				<span class="impact-value">${formatNumber(aging.peelRetention * 100, 1)}%</span>
+			</div>
+			<div class="impact-item">
+				<strong>${t('results.holdRetention')}:</strong>
+				<span class="impact-value">${formatNumber(aging.holdRetention * 100, 1)}%</span>
+			</div>
+			` : `<div class="impact-item">${t('results.freshTape')}</div>`}
+		</div>
+
+		<div class="impact-section">
+			<h3>🌞 ${t('results.uvDegradation')}</h3>
+			<div class="impact-item">
+				<strong>${t('results.yellowing')}:</strong>
+				<span class="impact-value">${formatNumber(uvDegradation * 100, 1)}%</span>
+			</div>
+			<div class="impact-item">
+				${describeUVDegradation(uvDegradation)}
+			</div>
+		</div>
+
+		<div class="impact-section">
+			<h3>🧪 ${t('results.residueRisk')}</h3>
+			<div class="impact-item">
+				<strong>${t('results.migration')}:</strong>
+				<span class="impact-value">${formatNumber(adhesiveResidue * 100, 1)}%</span>
+			</div>
+			<div class="impact-item">
+				${residueAssessment}
+			</div>
+		</div>
+	`;
+
+	resultsPanel.innerHTML = html;
+}
@@ -0,0 +1,75 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	calculatePeelAdhesion,
+	calculateTemperatureEffect,
+	fitCalibration,
+	resolveClimate,
+	setCalibration
+} from '../display and css/math_reasoning.js';
+
+afterEach(() => setCalibration(null));
+
+const TRUE_PROFILE = {
+	surface: { 'Glass': 1.4, 'Wall Paint': 0.6, 'Plastic Bag': 1 },
+	environment: {},
+	thicknessExponent: 0.6,
+	lowEnergyPenalty: { Acrylic: 0.3, Rubber: 0.8 }
+};
+
+// Measured peel as the model reports it under a known calibration (like a lab would measure it)
+function measure(sample, profile) {
+	setCalibration(profile);
+	const params = { ...sample, timeImpactDays: sample.dwellDays };
+	const peel = calculatePeelAdhesion(params) * calculateTemperatureEffect(resolveClimate(params).temperature, params.adhesive);
+	setCalibration(null);
+	return { ...sample, peel };
+}
+
+// Combined multiplier the calibration applies to one adhesive on one surface (in the Dry samples)
+function effectiveMultiplier(profile, surface, adhesive) {
+	const lowEnergy = surface === 'Plastic Bag' ? profile.lowEnergyPenalty[adhesive] : 1;
+	return (profile.surface[surface] ?? 1) * (profile.environment.Dry ?? 1) * lowEnergy;
+}
+
+function syntheticSamples(profile) {
+	const samples = [];
+	for (const surface of Object.keys(profile.surface)) {
+		for (const adhesive of ['Acrylic', 'Rubber']) {
+			for (const thickness of [25, 50, 100, 200, undefined]) {
+				samples.push(measure({ tape: 'PVC', adhesive, thickness, surface, environment: 'Dry', temperature: 23, humidity: 50, dwellDays: 1 }, profile));
+			}
+		}
+	}
+	return samples;
+}
+
+test('recovers known coefficients from synthetic data', () => {
+	const fit = fitCalibration(syntheticSamples(TRUE_PROFILE));
+	const { profile } = fit;
+	const near = (actual, expected, label) => assert.ok(Math.abs(actual / expected - 1) < 0.03, `${label}: ${actual} vs ${expected}`);
+
+	near(profile.thicknessExponent, TRUE_PROFILE.thicknessExponent, 'thickness exponent');
+	// Surface, environment and low-energy terms overlap, so only their product per joint is pinned down
+	for (const surface of Object.keys(TRUE_PROFILE.surface)) {
+		for (const adhesive of ['Acrylic', 'Rubber']) {
+			near(effectiveMultiplier(profile, surface, adhesive), effectiveMultiplier(TRUE_PROFILE, surface, adhesive), `${adhesive} on ${surface}`);
+		}
+	}
+
+	assert.ok(fit.after.r2 > 0.999);
+	assert.ok(fit.after.meanAbsPercentError < 2);
+	assert.ok(fit.after.rmse < fit.before.rmse);
+});
+
+test('samples without a thickness are fitted at the adhesive\'s standard coat', () => {
+	// With only standard-coat samples the thickness exponent has nothing to fit
+	const samples = syntheticSamples(TRUE_PROFILE).filter(sample => sample.thickness === undefined);
+	const fit = fitCalibration(samples);
+	assert.ok(!fit.coefficients.some(coefficient => coefficient.kind === 'thicknessExponent'));
+	assert.ok(fit.after.meanAbsPercentError < 2);
+});
+
+test('rejects data without a usable measurement', () => {
+	assert.throws(() => fitCalibration([{ tape: 'PVC', adhesive: 'Acrylic', surface: 'Glass', environment: 'Dry', peel: 0 }]), /No samples/);
+});
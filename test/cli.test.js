@@ -0,0 +1,75 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CLI = join(ROOT, 'cli', 'run-scenarios.js');
+const dir = mkdtempSync(join(tmpdir(), 'run-scenarios-'));
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function run(...args) {
+	return spawnSync(process.execPath, [CLI, ...args], { cwd: ROOT, encoding: 'utf8' });
+}
+
+function writeScenarios(name, text) {
+	const file = join(dir, name);
+	writeFileSync(file, text);
+	return file;
+}
+
+test('runs the example YAML scenarios', () => {
+	const { status, stdout } = run(join(ROOT, 'cli', 'example-scenarios.yaml'), '--format', 'json');
+	assert.equal(status, 0);
+	const report = JSON.parse(stdout);
+	assert.deepEqual(report.units, { peel: 'N/m', hold: 'Pa', stretch: '%' });
+	assert.ok(report.results.length > 0);
+	for (const result of report.results) {
+		assert.ok(result.peel > 0, result.name);
+		assert.ok(['none', 'low', 'moderate', 'high', 'critical'].includes(result.damageRisk), result.name);
+	}
+});
+
+test('applies defaults from a JSON file', () => {
+	const file = writeScenarios('scenarios.json', JSON.stringify({
+		defaults: { surface: 'Glass', days: 7 },
+		scenarios: [{ name: 'Glass default' }, { name: 'Veneer override', surface: 'Door Veneer' }]
+	}));
+	const { status, stdout } = run(file, '--format', 'json');
+	assert.equal(status, 0);
+	const [first, second] = JSON.parse(stdout).results;
+	assert.equal(first.name, 'Glass default');
+	assert.equal(first.surface, 'Glass');
+	assert.equal(first.tape, 'PVC');
+	assert.equal(first.days, 7);
+	assert.equal(second.surface, 'Door Veneer');
+});
+
+test('writes CSV to --out', () => {
+	const file = writeScenarios('list.yaml', '- name: Steel\n  surface: Steel\n- name: Paper\n  surface: Paper Note\n');
+	const out = join(dir, 'results.csv');
+	const { status } = run(file, '--format', 'csv', '--out', out);
+	assert.equal(status, 0);
+	const lines = readFileSync(out, 'utf8').trim().split('\n');
+	assert.ok(lines[0].startsWith('Scenario,'));
+	assert.equal(lines.length, 3);
+	assert.ok(lines[1].startsWith('Steel,'));
+});
+
+test('reports unknown names with exit code 1', () => {
+	const file = writeScenarios('bad.yaml', '- name: Bad\n  surface: Marble\n');
+	const { status, stderr } = run(file);
+	assert.equal(status, 1);
+	assert.match(stderr, /unknown "Marble"/);
+});
+
+test('exits with code 2 when --fail-on is reached', () => {
+	const file = writeScenarios('risky.yaml', '- name: Torn note\n  surface: Paper Note\n  adhesive: Rubber\n  thickness: 200\n');
+	const { status, stderr } = run(file, '--format', 'json', '--fail-on', 'low');
+	assert.equal(status, 2);
+	assert.match(stderr, /Torn note/);
+});
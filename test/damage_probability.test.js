@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDamageProbability, qRange, setCustomMaterials } from '../display and css/math_reasoning.js';
+
+// Test surfaces that differ only in rupture strength (typical N/cm, ±50% range)
+const STRENGTHS = [20, 10, 6, 4, 3, 2, 1];
+
+function testSurface(typical) {
+	return {
+		name: `Test surface ${typical} N/cm`,
+		surfaceEnergy: 'high',
+		texture: 'smooth',
+		adhesionMultiplier: 1,
+		absorption: 0,
+		ruptureStrength: qRange({ min: typical * 0.5, max: typical * 1.5, typical }, 'N/cm')
+	};
+}
+
+setCustomMaterials({ surface: Object.fromEntries(STRENGTHS.map(typical => [`S${typical}`, testSurface(typical)])) });
+after(() => setCustomMaterials({}));
+
+const BASE = {
+	width: 25,
+	height: 80,
+	tape: 'PVC',
+	adhesive: 'Rubber',
+	thickness: 50,
+	environment: 'Dry',
+	peelAngle: 180,
+	peelRate: 300,
+	timeImpactDays: 0
+};
+
+const OPTIONS = { samples: 500, seed: 7 };
+
+test('the probability and verdict shares are valid fractions', () => {
+	for (const typical of STRENGTHS) {
+		const result = calculateDamageProbability({ ...BASE, surface: `S${typical}` }, OPTIONS);
+		assert.ok(result.probability >= 0 && result.probability <= 1);
+		const { ok, oops, boom } = result.verdicts;
+		assert.ok(Math.abs(ok + oops + boom - 1) < 1e-9);
+		assert.equal(boom, result.probability);
+	}
+});
+
+test('the histogram counts every sample once', () => {
+	const result = calculateDamageProbability({ ...BASE, surface: 'S4' }, OPTIONS);
+	assert.equal(result.samples, OPTIONS.samples);
+	assert.equal(result.histogram.reduce((sum, bin) => sum + bin.count, 0), OPTIONS.samples);
+	assert.ok(Math.abs(result.histogram.reduce((sum, bin) => sum + bin.share, 0) - 1) < 1e-9);
+});
+
+test('the same seed gives the same answer', () => {
+	const params = { ...BASE, surface: 'S4' };
+	assert.deepEqual(calculateDamageProbability(params, OPTIONS), calculateDamageProbability(params, OPTIONS));
+});
+
+test('the probability rises as the surface gets weaker', () => {
+	const probabilities = STRENGTHS.map(typical => calculateDamageProbability({ ...BASE, surface: `S${typical}` }, OPTIONS).probability);
+	for (let i = 1; i < probabilities.length; i++) {
+		assert.ok(probabilities[i] >= probabilities[i - 1], `${STRENGTHS[i]} N/cm: ${probabilities[i]} < ${probabilities[i - 1]}`);
+	}
+	assert.equal(probabilities[0], 0);
+	assert.equal(probabilities.at(-1), 1);
+});
+
+test('a surface the tape cannot damage has no probability', () => {
+	const result = calculateDamageProbability({ ...BASE, surface: 'Steel' }, OPTIONS);
+	assert.equal(result.canDamage, false);
+	assert.equal(result.probability, 0);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDoubleSidedJoint } from '../display and css/math_reasoning.js';
+
+const BASE = {
+	width: 25,
+	height: 80,
+	tapeMode: 'double-sided',
+	tape: 'PET',
+	adhesive: 'Rubber',
+	thickness: 100,
+	surface: 'Steel',
+	adhesiveB: 'Rubber',
+	thicknessB: 100,
+	surfaceB: 'Steel',
+	environment: 'Dry',
+	peelAngle: 180,
+	peelRate: 300,
+	timeImpactDays: 0
+};
+
+function statuses(joint) {
+	return Object.fromEntries(joint.faces.map(face => [face.face, face.status]));
+}
+
+test('the weaker bond releases and the other surface keeps the tape', () => {
+	const faceB = calculateDoubleSidedJoint({ ...BASE, adhesiveB: 'Silicone' });
+	assert.equal(faceB.firstFailure, 'B');
+	assert.deepEqual(statuses(faceB), { A: 'keeps tape', B: 'released' });
+	assert.ok(Math.abs(faceB.failureLoad - faceB.faces[1].bondLoad) < 1e-9);
+
+	const faceA = calculateDoubleSidedJoint({ ...BASE, adhesive: 'Silicone' });
+	assert.equal(faceA.firstFailure, 'A');
+	assert.deepEqual(statuses(faceA), { A: 'released', B: 'keeps tape' });
+});
+
+test('a weak substrate tears under its own face', () => {
+	const faceB = calculateDoubleSidedJoint({ ...BASE, surfaceB: 'Paper Note' });
+	assert.equal(faceB.firstFailure, 'B');
+	assert.deepEqual(statuses(faceB), { A: 'keeps tape', B: 'torn' });
+	assert.ok(faceB.faces[1].tearLoad < faceB.faces[1].bondLoad);
+	assert.ok(Math.abs(faceB.failureLoad - faceB.faces[1].tearLoad) < 1e-9);
+
+	const faceA = calculateDoubleSidedJoint({ ...BASE, surface: 'Paper Note' });
+	assert.equal(faceA.firstFailure, 'A');
+	assert.deepEqual(statuses(faceA), { A: 'torn', B: 'keeps tape' });
+});
+
+test('a weak core splits before either face', () => {
+	const joint = calculateDoubleSidedJoint({ ...BASE, tape: 'Foam', layers: [{ material: 'Foam', thickness: 20 }] });
+	assert.equal(joint.firstFailure, 'core');
+	assert.deepEqual(statuses(joint), { A: 'keeps tape', B: 'keeps tape' });
+	assert.ok(joint.faces.every(face => Math.min(face.bondLoad, face.tearLoad) > joint.failureLoad));
+});
+
+test('transfer tape uses the same adhesive on both faces', () => {
+	const joint = calculateDoubleSidedJoint({ ...BASE, tapeMode: 'transfer', adhesiveB: 'Silicone', surfaceB: 'Glass' });
+	assert.equal(joint.faces[1].adhesive, 'Rubber');
+	assert.equal(joint.faces[1].surface, 'Glass');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAgingEffects, calculateDwellBuildUp } from '../display and css/math_reasoning.js';
+
+const BASE = {
+	tape: 'PVC',
+	thickness: 50,
+	environment: 'Dry',
+	temperature: 23,
+	humidity: 40
+};
+
+const JOINTS = ['Acrylic', 'Rubber', 'Silicone'].flatMap(adhesive => ['Glass', 'Steel', 'Rough Carton'].map(surface => ({ ...BASE, adhesive, surface })));
+
+function atHours(params, hours) {
+	return { ...params, timeImpactDays: hours / 24 };
+}
+
+test('the bond builds up monotonically with dwell time', () => {
+	for (const joint of JOINTS) {
+		const { fullBondHours } = calculateDwellBuildUp(joint);
+		let previous = -Infinity;
+		for (let hours = 0; hours <= 1000; hours += 0.5) {
+			const { buildUp } = calculateDwellBuildUp(atHours(joint, hours));
+			const label = `${joint.adhesive} on ${joint.surface} at ${hours} h`;
+			if (hours <= fullBondHours) assert.ok(buildUp > previous, label);
+			else assert.ok(buildUp >= previous, label);
+			previous = buildUp;
+		}
+	}
+});
+
+test('the bond levels off at full wet-out', () => {
+	for (const joint of JOINTS) {
+		const { buildUp: initial, fullBondHours } = calculateDwellBuildUp(joint);
+		const label = `${joint.adhesive} on ${joint.surface}`;
+		assert.ok(initial > 0 && initial < 1, label);
+		assert.ok(calculateDwellBuildUp(atHours(joint, fullBondHours)).buildUp >= 0.95, label);
+		assert.ok(Math.abs(calculateDwellBuildUp(atHours(joint, fullBondHours * 10)).buildUp - 1) < 1e-3, label);
+		assert.ok(calculateDwellBuildUp(atHours(joint, 24 * 366)).buildUp <= 1, label);
+	}
+});
+
+test('peel adhesion rises through the build-up phase', () => {
+	const joint = { ...BASE, adhesive: 'Acrylic', surface: 'Rough Carton' };
+	const { fullBondHours } = calculateDwellBuildUp(joint);
+	const retention = [0, 1, 6, 24, fullBondHours].map(hours => calculateAgingEffects(atHours(joint, hours)).peelRetention);
+	for (let i = 1; i < retention.length; i++) {
+		assert.ok(retention[i] > retention[i - 1]);
+	}
+	assert.equal(calculateAgingEffects(joint).phase, 'build-up');
+});
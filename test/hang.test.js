@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateHangTest } from '../display and css/math_reasoning.js';
+
+const DAY = 86400;
+
+const BASE = {
+	width: 25,
+	height: 25,
+	tape: 'PVC',
+	adhesive: 'Acrylic',
+	surface: 'Steel',
+	thickness: 50,
+	environment: 'Dry',
+	temperature: 23,
+	humidity: 40,
+	timeImpactDays: 0
+};
+
+function steady(temperature, days) {
+	return { environment: 'Dry', days, cycle: 'none', temperature, humidity: 40 };
+}
+
+function withSchedule(...segments) {
+	return { ...BASE, hangMass: 1000, schedule: { enabled: true, repeat: false, segments } };
+}
+
+test('a light weight holds for the whole horizon', () => {
+	const result = calculateHangTest({ ...BASE, hangMass: 10 });
+	assert.equal(result.outcome, 'holds');
+	assert.equal(result.timeToFailure, Infinity);
+	assert.ok(result.creep.at(-1).slip < result.slipAtFailure);
+});
+
+test('a moderate weight creeps, then slides off', () => {
+	const result = calculateHangTest({ ...BASE, hangMass: 1000 });
+	assert.equal(result.outcome, 'slides');
+	assert.ok(result.shearStress < result.holdStrength);
+	assert.ok(result.timeToFailure > 60 && Number.isFinite(result.timeToFailure));
+	assert.equal(result.creep.at(-1).slip, result.slipAtFailure);
+});
+
+test('a weight above the hold strength falls at once', () => {
+	const result = calculateHangTest({ ...BASE, hangMass: 5000 });
+	assert.equal(result.outcome, 'falls');
+	assert.ok(result.shearStress >= result.holdStrength);
+	assert.equal(result.timeToFailure, 0);
+	assert.match(result.message, /is more than/);
+});
+
+test('fast creep in the heat falls without claiming the hold strength was exceeded', () => {
+	const result = calculateHangTest({ ...BASE, hangMass: 2000, temperature: 60 });
+	assert.equal(result.outcome, 'falls');
+	assert.ok(result.shearStress < result.holdStrength);
+	assert.ok(result.timeToFailure > 0 && result.timeToFailure < 60);
+	assert.match(result.message, /creeps through/);
+	assert.doesNotMatch(result.message, /is more than/);
+});
+
+test('sums creep damage over a schedule (Miner\'s rule)', () => {
+	const cool = calculateHangTest({ ...BASE, hangMass: 1000 }).timeToFailure;
+	const hot = calculateHangTest({ ...BASE, hangMass: 1000, temperature: 60 }).timeToFailure;
+
+	// A schedule that never changes matches the steady climate
+	const flat = calculateHangTest(withSchedule(steady(23, 400))).timeToFailure;
+	assert.ok(Math.abs(flat - cool) / cool < 1e-6);
+
+	// A short hot spell uses up part of the life, the rest runs at the cool rate
+	const hotStart = calculateHangTest(withSchedule(steady(60, 3), steady(23, 400))).timeToFailure;
+	assert.ok(hotStart > 3 * DAY && hotStart < cool);
+
+	// After 30 cool days only part of the life is left for the hot phase
+	const hotLater = calculateHangTest(withSchedule(steady(23, 30), steady(60, 400))).timeToFailure;
+	assert.ok(hotLater > 30 * DAY && hotLater < 30 * DAY + hot);
+});
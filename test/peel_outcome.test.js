@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePeelOutcome, calculateSurfaceDamageMarks, simulatePeelTrace } from '../display and css/math_reasoning.js';
+
+const BASE = {
+	width: 100,
+	height: 80,
+	tape: 'PVC',
+	adhesive: 'Acrylic',
+	surface: 'Steel',
+	thickness: 200,
+	environment: 'Dry',
+	peelAngle: 180,
+	peelRate: 300,
+	timeImpactDays: 0
+};
+
+test('a strong tape peels cleanly off a hard surface', () => {
+	const result = calculatePeelOutcome(BASE);
+	assert.equal(result.outcome, 'clean');
+	assert.ok(result.peelLoad < result.breakingLoad);
+	assert.ok(result.peelLoad < result.surfaceTearLoad);
+});
+
+test('an aggressive adhesive tears a weak surface', () => {
+	const result = calculatePeelOutcome({ ...BASE, adhesive: 'Rubber', surface: 'Paper Note' });
+	assert.equal(result.outcome, 'tear');
+	assert.ok(result.peelLoad > result.surfaceTearLoad);
+});
+
+test('a narrow, weak backing snaps before it peels', () => {
+	const result = calculatePeelOutcome({ ...BASE, tape: 'Foam', adhesive: 'Rubber', width: 1.2 });
+	assert.equal(result.outcome, 'snap');
+	assert.ok(result.peelLoad > result.breakingLoad);
+});
+
+test('the outcome agrees with the surface damage risk at every peel angle', () => {
+	for (const peelAngle of [10, 20, 30, 45, 60, 90, 135, 180]) {
+		const result = calculatePeelOutcome({ ...BASE, adhesive: 'Rubber', surface: 'Paper Note', peelAngle });
+		const critical = result.damage.damageRisk === 'critical';
+		assert.ok(Math.abs(result.peelLoad / result.surfaceTearLoad - 1 / result.damage.safetyFactor) < 1e-9, `${peelAngle}°`);
+		if (critical && result.outcome !== 'snap') assert.equal(result.outcome, 'tear', `${peelAngle}°`);
+		if (!critical) assert.notEqual(result.outcome, 'tear', `${peelAngle}°`);
+	}
+});
+
+test('a low-angle peel spares a surface that tears at 180°', () => {
+	const steep = { ...BASE, adhesive: 'Rubber', surface: 'Paper Note' };
+	const shallow = { ...steep, peelAngle: 30 };
+
+	const steepTrace = simulatePeelTrace(steep);
+	assert.equal(steepTrace.outcome, 'tear');
+	assert.ok(steepTrace.stopDistance < steepTrace.length);
+	assert.ok(calculateSurfaceDamageMarks(steep).damageRatio > 1);
+
+	const outcome = calculatePeelOutcome(shallow);
+	const marks = calculateSurfaceDamageMarks(shallow, outcome);
+	const trace = simulatePeelTrace(shallow, outcome);
+	assert.equal(outcome.outcome, 'clean');
+	assert.ok(Math.abs(marks.damageRatio - 1 / outcome.damage.safetyFactor) < 1e-9);
+	assert.ok(marks.damageShare < 0.15);
+	assert.equal(trace.stopDistance, trace.length);
+});
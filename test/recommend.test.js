@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { q, recommendTapes } from '../display and css/math_reasoning.js';
+
+const JOB = {
+	width: 25,
+	height: 50,
+	surface: 'Paper Note',
+	environment: 'Dry',
+	temperature: 23,
+	humidity: 50,
+	peelAngle: 180,
+	peelRate: 300,
+	tapeMode: 'single'
+};
+
+const CLEAN_REMOVAL = { durationDays: 30, hangMass: 0, cleanRemoval: true };
+
+const CATALOG = [
+	{ name: 'Low-tack silicone', params: { tape: 'PET', adhesive: 'Silicone', thickness: 25, width: 25, datasheet: { peelAdhesion: q(0.2, 'N/cm') } } },
+	{ name: 'Aggressive rubber', params: { tape: 'PET', adhesive: 'Rubber', thickness: 200, width: 25 } }
+];
+
+test('a tape with the most headroom ranks first', () => {
+	const [best] = recommendTapes(JOB, CLEAN_REMOVAL, CATALOG);
+	assert.equal(best.name, 'Low-tack silicone');
+	assert.equal(best.source, 'catalog');
+	assert.ok(best.pass);
+});
+
+test('a tape that misses a requirement ranks below every passing tape', () => {
+	const ranked = recommendTapes(JOB, CLEAN_REMOVAL, CATALOG);
+	const aggressive = ranked.find(candidate => candidate.name === 'Aggressive rubber');
+	assert.equal(aggressive.pass, false);
+	assert.ok(aggressive.worstMargin < 1);
+
+	const firstFailing = ranked.findIndex(candidate => !candidate.pass);
+	assert.ok(firstFailing > 0);
+	assert.ok(ranked.slice(firstFailing).every(candidate => !candidate.pass));
+	assert.ok(ranked.indexOf(aggressive) >= firstFailing);
+});
+
+test('passing tapes are ordered by their tightest margin', () => {
+	const passing = recommendTapes(JOB, CLEAN_REMOVAL, CATALOG).filter(candidate => candidate.pass);
+	for (let i = 1; i < passing.length; i++) {
+		assert.ok(passing[i].worstMargin <= passing[i - 1].worstMargin);
+	}
+});
+
+test('only the requested constraints count', () => {
+	const [best] = recommendTapes(JOB, { durationDays: 7, hangMass: 200, cleanRemoval: false });
+	assert.equal(best.margins.removal, null);
+	assert.equal(best.margins.residue, null);
+	assert.ok(best.margins.hold > 1);
+	assert.equal(best.worstMargin, best.margins.hold);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSchedule, getScheduleClimate, integrateClimate } from '../display and css/math_reasoning.js';
+
+const SCHEDULE = {
+	enabled: true,
+	repeat: false,
+	segments: [
+		{ environment: 'Dry', days: 10, cycle: 'none', temperature: 20, humidity: 40 },
+		{ environment: 'Arid', days: 20, cycle: 'none', temperature: 40, humidity: 20 }
+	]
+};
+
+const identity = temperature => temperature;
+
+test('resolves segment boundaries', () => {
+	const resolved = resolveSchedule(SCHEDULE);
+	assert.equal(resolved.length, 30);
+	assert.deepEqual(resolved.segments.map(segment => segment.end), [10, 30]);
+});
+
+test('looks up the climate for a day', () => {
+	assert.equal(getScheduleClimate({ environment: 'Dry' }, 5), null);
+
+	const first = getScheduleClimate(SCHEDULE, 5);
+	assert.equal(first.environment, 'Dry');
+	assert.equal(first.segmentIndex, 0);
+	assert.equal(first.temperature, 20);
+
+	const second = getScheduleClimate(SCHEDULE, 15);
+	assert.equal(second.environment, 'Arid');
+	assert.equal(second.humidity, 20);
+
+	// Without repeat the last segment holds
+	assert.equal(getScheduleClimate(SCHEDULE, 100).environment, 'Arid');
+	// With repeat the schedule loops back to the start
+	assert.equal(getScheduleClimate({ ...SCHEDULE, repeat: true }, 35).segmentIndex, 0);
+});
+
+test('integrates a rate over the schedule', () => {
+	assert.equal(integrateClimate({ environment: 'Dry', temperature: 25, humidity: 50 }, 0, 10, identity), 250);
+	assert.ok(Math.abs(integrateClimate({ schedule: SCHEDULE }, 0, 30, identity) - 1000) < 1e-6);
+});
+
+test('a day-night cycle keeps its mean temperature', () => {
+	const schedule = {
+		enabled: true,
+		repeat: false,
+		segments: [{ environment: 'Dry', days: 10, cycle: 'day-night', temperature: 20, humidity: 40 }]
+	};
+	assert.ok(Math.abs(integrateClimate({ schedule }, 0, 10, identity) - 200) < 0.5);
+	assert.ok(Math.abs(getScheduleClimate(schedule, 15 / 24).temperature - 26) < 1e-9);
+});
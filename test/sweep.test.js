@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	SWEEP_AXES,
+	SWEEP_METRICS,
+	applyScheduleClimate,
+	calculateSensitivity,
+	calculateTapeProperties,
+	getSweepAxes,
+	runParameterSweep
+} from '../display and css/math_reasoning.js';
+
+const BASE = {
+	width: 100,
+	height: 80,
+	tape: 'PVC',
+	adhesive: 'Acrylic',
+	surface: 'Wall Paint',
+	thickness: 120,
+	environment: 'Dry',
+	temperature: 20,
+	humidity: 40,
+	peelAngle: 180,
+	peelRate: 300,
+	timeImpactDays: 0
+};
+
+// Mild for five days, then a hot, humid spell
+const SCHEDULED = {
+	...BASE,
+	schedule: {
+		enabled: true,
+		repeat: false,
+		segments: [
+			{ environment: 'Dry', days: 5, cycle: 'none', temperature: 20, humidity: 40 },
+			{ environment: 'Tropical', days: 400, cycle: 'none', temperature: 40, humidity: 85 }
+		]
+	}
+};
+
+const CLIMATE_AXES = ['environment', 'temperature', 'humidity'];
+
+test('sweeps a grid of two axes', () => {
+	const sweep = runParameterSweep(BASE, 'surface', 'thickness', 'safetyFactor');
+	assert.deepEqual(sweep.rows, SWEEP_AXES.surface.values());
+	assert.deepEqual(sweep.columns, SWEEP_AXES.thickness.values());
+	assert.equal(sweep.cells.length, sweep.rows.length);
+	for (const row of sweep.cells) {
+		assert.equal(row.length, sweep.columns.length);
+		for (const value of row) assert.ok(value >= sweep.min && value <= sweep.max);
+	}
+});
+
+test('ranks every axis by how far it moves the metric', () => {
+	const sensitivity = calculateSensitivity(BASE, 'safetyFactor');
+	assert.deepEqual(sensitivity.entries.map(entry => entry.axis).sort(), Object.keys(SWEEP_AXES).sort());
+	for (let i = 1; i < sensitivity.entries.length; i++) {
+		assert.ok(sensitivity.entries[i].swing <= sensitivity.entries[i - 1].swing);
+	}
+	for (const entry of sensitivity.entries) {
+		assert.ok(entry.high.value >= entry.low.value);
+	}
+	assert.equal(sensitivity.baseVerdict, SWEEP_METRICS.safetyFactor.verdict(sensitivity.base));
+});
+
+test('an active schedule takes the climate axes out of the sweep', () => {
+	assert.deepEqual(getSweepAxes(BASE), Object.keys(SWEEP_AXES));
+	const axes = getSweepAxes(SCHEDULED);
+	for (const axis of CLIMATE_AXES) assert.ok(!axes.includes(axis), axis);
+	assert.ok(axes.includes('timeImpactDays'));
+
+	assert.throws(() => runParameterSweep(SCHEDULED, 'environment', 'surface', 'peel'), /schedule/);
+	const entries = calculateSensitivity(SCHEDULED, 'peel').entries.map(entry => entry.axis);
+	for (const axis of CLIMATE_AXES) assert.ok(!entries.includes(axis), axis);
+});
+
+test('time sweep points take their climate from the schedule', () => {
+	const sweep = runParameterSweep(SCHEDULED, 'surface', 'timeImpactDays', 'peel');
+	const row = sweep.rows.indexOf('Wall Paint');
+	const column = sweep.columns.indexOf(30);
+	const scheduled = calculateTapeProperties(applyScheduleClimate({ ...SCHEDULED, timeImpactDays: 30 })).peel;
+	const steady = calculateTapeProperties({ ...SCHEDULED, timeImpactDays: 30 }).peel;
+
+	assert.equal(sweep.cells[row][column], scheduled);
+	assert.notEqual(scheduled, steady);
+});
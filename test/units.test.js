@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { q, toSI, fromSI, convertUnit, getUnitDimension } from '../display and css/math_reasoning.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+	assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+}
+
+test('converts known values between metric and imperial units', () => {
+	assertClose(convertUnit(25.4, 'mm', 'in'), 1);
+	assertClose(convertUnit(1, 'mil', 'µm'), 25.4);
+	assertClose(convertUnit(0, '°C', '°F'), 32);
+	assertClose(convertUnit(100, '°C', '°F'), 212);
+	assertClose(convertUnit(20, '°C', 'K'), 293.15);
+	assertClose(convertUnit(1, 'N/cm', 'N/m'), 100);
+	assertClose(convertUnit(1, 'h', 's'), 3600);
+});
+
+test('round-trips every unit pair within a dimension', () => {
+	const pairs = [
+		['mm', 'in'],
+		['µm', 'mil'],
+		['N', 'lbf'],
+		['N/cm', 'oz/in'],
+		['N/25mm', 'lb/in'],
+		['kPa', 'psi'],
+		['N/cm²', 'MPa'],
+		['mm/min', 'in/min'],
+		['g', 'oz'],
+		['kg', 'lb'],
+		['min', 'd'],
+		['°C', '°F'],
+		['K', '°F']
+	];
+	for (const [from, to] of pairs) {
+		for (const value of [-40, 0, 1.5, 300]) {
+			assertClose(convertUnit(convertUnit(value, from, to), to, from), value);
+		}
+	}
+});
+
+test('toSI and fromSI are inverses', () => {
+	const si = toSI(q(68, '°F'), 'temperature');
+	assertClose(fromSI(si, '°C'), 20);
+	assertClose(fromSI(toSI(q(4, 'mil'), 'length'), 'mil'), 4);
+	assert.equal(getUnitDimension('oz/in'), getUnitDimension('N/m'));
+});
+
+test('rejects mismatched dimensions and unknown units', () => {
+	assert.throws(() => toSI(q(1, 'mm'), 'stress'), /Dimension mismatch/);
+	assert.throws(() => convertUnit(1, 'mm', 'N/m'), /Dimension mismatch/);
+	assert.throws(() => convertUnit(1, 'furlong', 'm'), /Unknown unit/);
+});